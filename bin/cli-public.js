@@ -13,7 +13,34 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import { loadIdentity } from '../lib/identity.js';
 import { loadSession, saveSession, getEfficiencyStats } from '../lib/session.js';
-import { searchMemory, saveMemory } from '../lib/memory.js';
+import { searchMemory, saveMemory, memorySupervisor, flushMemoryQueue } from '../lib/memory.js';
+import { getPendingCount, getFailedDir } from '../lib/memory-queue.js';
+import { describeMatches, parseDateFilter } from '../lib/memory-search.js';
+import { exportMemories, importMemories } from '../lib/memory-archive.js';
+import { compactMemories, COMPACTION_WINDOWS } from '../lib/memory-compactor.js';
+import { archiveMemoryVectors } from '../lib/agents/memory-supervisor.js';
+import { getMemoryBackend, getMemoryBackendName, createMemoryBackend } from '../lib/memory-backends/index.js';
+import {
+  createWorkOrder,
+  getWorkOrder,
+  listWorkOrders,
+  getActiveWorkOrders,
+  setWorkOrderPlan,
+  completeWorkOrder,
+  cancelWorkOrder,
+  WORK_ORDER_STATUSES
+} from '../lib/work-order.js';
+import { planWorkOrder, planAgents } from '../lib/work-order-planner.js';
+import { getSkillPaths, getWorkOrderPaths } from '../lib/skill-loader.js';
+import { validateSkills } from '../lib/skill-schema.js';
+import { installSkills, uninstallSkill, findOutdatedSkills, listAllSkills, getSkillInfo } from '../lib/skill-registry.js';
+import { suggestSkills, describeSkillMatches } from '../lib/skill-matcher.js';
+import { modeCommand } from './commands/mode.js';
+import { routeLogsToStderr, parseHookPayload, handleHook, handleStop } from '../lib/conductor-guard.js';
+import { buildSessionContext } from '../lib/session-context.js';
+import { listSessionHistory, getSessionHistory } from '../lib/session-history.js';
+import { buildEfficiencyReport, DEFAULT_TREND_DAYS, DEFAULT_TOP_SESSIONS } from '../lib/efficiency-report.js';
+import { createCheckpoint, listCheckpoints, getCheckpoint, restoreCheckpoint, DEFAULT_CHECKPOINT_EVENTS } from '../lib/checkpoint.js';
 import { cleanup } from '../lib/cleanup.js';
 import dotenv from 'dotenv';
 import { join } from 'path';
@@ -159,6 +186,13 @@ program
       console.log(chalk.white(`  Sessions: ${chalk.blue(identity.total_sessions)}`));
       console.log(chalk.white(`  Balance:  ${chalk.green('$' + (identity.balance || 0).toFixed(2))}`));
 
+      const pendingSaves = await getPendingCount().catch(() => 0);
+      if (pendingSaves > 0) {
+        console.log(chalk.white(`  Queued:   ${chalk.yellow(pendingSaves)} memory save(s) pending - run: boss-claude memory flush`));
+      } else {
+        console.log(chalk.white(`  Queued:   ${chalk.dim('0 pending memory saves')}`));
+      }
+
       if (repo) {
         console.log(chalk.gray(`\n  Repository: ${repo.name}`));
       }
@@ -179,6 +213,20 @@ program
         // Silently skip efficiency stats if there's an error
       }
 
+      // Display memory query cache stats
+      try {
+        const cacheStats = await memorySupervisor.getCacheStats();
+        if (cacheStats.enabled && (cacheStats.hits + cacheStats.misses) > 0) {
+          console.log(chalk.gray('\n  ---------------------------------------------'));
+          console.log(chalk.white('  🧠 Memory Cache:'));
+          console.log(chalk.white(`     Hit Rate: ${chalk.yellow(cacheStats.hit_rate + '%')} (${cacheStats.hits} hits / ${cacheStats.misses} misses)`));
+          console.log(chalk.white(`     Cached Queries: ${chalk.blue(cacheStats.total_cached_queries)} (TTL ${cacheStats.ttl_seconds}s)`));
+          console.log(chalk.white(`     Evictions: ${chalk.dim(cacheStats.evictions)}`));
+        }
+      } catch (error) {
+        // Silently skip cache stats if there's an error
+      }
+
       console.log(chalk.gray(`
   ---------------------------------------------
   Commands: init | status | recall | save | help
@@ -201,20 +249,44 @@ program
   .command('recall [query]')
   .description('Search your session memory')
   .option('-l, --limit <number>', 'Maximum results to return', '5')
+  .option('-r, --repo <name>', 'Only memories from this repository')
+  .option('-t, --tag <tag>', 'Only memories with this tag (repeatable)', (value, previous) => previous.concat(value), [])
+  .option('--since <date>', 'Only memories saved on/after (YYYY-MM-DD or age like 7d, 2w, 3m)')
+  .option('--until <date>', 'Only memories saved on/before (YYYY-MM-DD or age)')
+  .option('-a, --agent <name>', 'Only memories saved by this conductor')
+  .option('--current-repo-first', 'Rank memories from the current repository first')
   .action(async (query, options) => {
     if (!query) {
       console.log(chalk.yellow('\nUsage: boss-claude recall <search query>\n'));
       console.log(chalk.gray('Examples:'));
       console.log(chalk.gray('  boss-claude recall "authentication"'));
-      console.log(chalk.gray('  boss-claude recall "bug fix" --limit 10\n'));
+      console.log(chalk.gray('  boss-claude recall "bug fix" --limit 10'));
+      console.log(chalk.gray('  boss-claude recall "deploy" --repo api --since 30d'));
+      console.log(chalk.gray('  boss-claude recall "auth" --tag security --current-repo-first\n'));
       await cleanExit(0);
       return;
     }
 
     try {
-      console.log(chalk.gray(`\nSearching memories for: "${query}"...\n`));
+      const filters = [
+        options.repo && `repo ${options.repo}`,
+        options.tag.length > 0 && `tags ${options.tag.join(', ')}`,
+        options.since && `since ${options.since}`,
+        options.until && `until ${options.until}`,
+        options.agent && `by ${options.agent}`
+      ].filter(Boolean);
+
+      console.log(chalk.gray(`\nSearching memories for: "${query}"${filters.length ? ` (${filters.join('; ')})` : ''}...\n`));
 
-      const results = await searchMemory(query, parseInt(options.limit) || 5);
+      const results = await searchMemory(query, {
+        limit: parseInt(options.limit) || 5,
+        repo: options.repo || null,
+        tags: options.tag,
+        since: options.since || null,
+        until: options.until || null,
+        conductor: options.agent || null,
+        currentRepoFirst: Boolean(options.currentRepoFirst)
+      });
 
       if (results.length === 0) {
         console.log(chalk.yellow('No memories found matching your query.\n'));
@@ -224,8 +296,11 @@ program
 
         results.forEach((memory, index) => {
           const date = new Date(memory.created_at).toLocaleDateString();
-          console.log(chalk.cyan(`${index + 1}. ${memory.title}`));
+          console.log(chalk.cyan(`${index + 1}. ${memory.title}`) + chalk.yellow(`  (score ${memory.score})`));
           console.log(chalk.gray(`   Date: ${date}`));
+          if (memory.matches && memory.matches.length > 0) {
+            console.log(chalk.gray(`   Matched: ${describeMatches(memory.matches)}`));
+          }
           if (memory.labels && memory.labels.length > 0) {
             console.log(chalk.gray(`   Tags: ${memory.labels.join(', ')}`));
           }
@@ -252,6 +327,7 @@ program
   .command('save [note]')
   .description('Save your current session to memory')
   .option('-t, --tags <tags>', 'Comma-separated tags for this memory')
+  .option('-d, --decision <text>', 'Record a decision made this session (repeatable)', (value, previous) => previous.concat(value), [])
   .action(async (note, options) => {
     try {
       const repo = await getCurrentRepo();
@@ -268,12 +344,23 @@ program
 
       console.log(chalk.gray(`\nSaving session for ${repo.name}...\n`));
 
-      const result = await saveSession(summary, tags);
+      const result = await saveSession(summary, tags, null, { decisions: options.decision });
 
-      console.log(chalk.green('Session saved successfully!\n'));
-      console.log(chalk.white(`  Issue: #${result.issue_number}`));
-      console.log(chalk.white(`  XP Earned: ${chalk.green('+' + result.xp_earned)}`));
-      console.log(chalk.gray(`  URL: ${result.url}\n`));
+      if (result.queued) {
+        console.log(chalk.yellow('Memory backend unreachable - session queued offline.\n'));
+        console.log(chalk.white(`  Queue ID: ${result.queue_id}`));
+        console.log(chalk.white(`  XP Earned: ${chalk.green('+' + result.xp_earned)}`));
+        console.log(chalk.gray(`  Reason: ${result.error}`));
+        console.log(chalk.gray('  Run boss-claude memory flush once you are back online.\n'));
+      } else {
+        console.log(chalk.green('Session saved successfully!\n'));
+        console.log(chalk.white(`  Issue: #${result.issue_number}`));
+        console.log(chalk.white(`  XP Earned: ${chalk.green('+' + result.xp_earned)}`));
+        console.log(chalk.gray(`  URL: ${result.url}\n`));
+      }
+      if (result.history_id) {
+        console.log(chalk.gray(`  Details: boss-claude history ${result.history_id}\n`));
+      }
 
       await cleanExit(0);
     } catch (error) {
@@ -283,6 +370,1250 @@ program
     }
   });
 
+// =============================================================================
+// HISTORY COMMAND - Finished sessions
+// =============================================================================
+
+/**
+ * Human readable session length
+ */
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+}
+
+function printSessionLine(record) {
+  const ended = new Date(record.ended_at).toLocaleString();
+  const xp = record.xp_earned > 0 ? chalk.green(`+${record.xp_earned} XP`.padEnd(8)) : chalk.gray('0 XP'.padEnd(8));
+  console.log(`${chalk.white(record.id)}  ${chalk.gray(ended.padEnd(22))}  ${chalk.gray(record.repo.padEnd(20))}  ${xp}  ${record.summary}`);
+}
+
+function printSessionDetail(record) {
+  const tokens = value => (value || 0).toLocaleString();
+
+  console.log(chalk.cyan(`\n${record.id}`) + '  ' + chalk.white(record.summary));
+  console.log(chalk.white(`\n  Repo:        ${record.repo}${record.branch ? ` (${record.branch})` : ''}`));
+  if (record.commit) console.log(chalk.white(`  Commit:      ${record.commit.slice(0, 12)}`));
+  if (record.conductor) console.log(chalk.white(`  Conductor:   ${record.conductor}`));
+  console.log(chalk.white(`  Started:     ${new Date(record.started_at).toLocaleString()}`));
+  console.log(chalk.white(`  Ended:       ${new Date(record.ended_at).toLocaleString()} (${formatDuration(record.duration_seconds || 0)})`));
+  if (record.tags && record.tags.length > 0) console.log(chalk.white(`  Tags:        ${record.tags.join(', ')}`));
+
+  console.log(chalk.bold('\n  Tokens'));
+  console.log(chalk.white(`    Total:       ${tokens(record.tokens_used)}`));
+  console.log(chalk.white(`    Conductor:   ${tokens(record.conductor_tokens)}`));
+  console.log(chalk.white(`    Agents:      ${tokens(record.agent_tokens)} (${record.efficiency_ratio || 0}x the conductor)`));
+  console.log(chalk.white(`    Delegations: ${record.delegations || 0}`));
+  (record.agents || []).forEach(agent => {
+    console.log(chalk.gray(`      ${agent.name.padEnd(20)} ${tokens(agent.tokens).padStart(12)} tokens, ${agent.delegations} delegation(s)`));
+  });
+
+  console.log(chalk.bold('\n  Rewards'));
+  if (record.work_order === false) {
+    console.log(chalk.yellow('    No active work order - no XP or $ earned'));
+  } else {
+    console.log(chalk.white(`    XP:          +${record.xp_earned || 0} (efficiency +${record.efficiency_bonus || 0}, delegation +${record.delegation_bonus || 0})`));
+    console.log(chalk.white(`    Dollars:     $${(record.dollars_earned || 0).toFixed(2)}`));
+  }
+  if (record.level_at_start != null) {
+    const levelUp = record.level_at_end > record.level_at_start ? chalk.green(` -> ${record.level_at_end}`) : '';
+    console.log(chalk.white(`    Level:       ${record.level_at_start}${levelUp}`));
+  }
+
+  if (record.decisions && record.decisions.length > 0) {
+    console.log(chalk.bold('\n  Decisions'));
+    record.decisions.forEach(decision => console.log(chalk.white(`    - ${decision}`)));
+  }
+  if (record.files && record.files.length > 0) {
+    console.log(chalk.bold(`\n  Files (${record.files.length})`));
+    record.files.forEach(file => console.log(chalk.gray(`    ${file}`)));
+  }
+
+  const memory = record.memory || {};
+  if (memory.url) console.log(chalk.gray(`\n  Memory: #${memory.issue_number} ${memory.url}`));
+  if (memory.queue_id) console.log(chalk.gray(`\n  Memory: queued offline (${memory.queue_id})`));
+  if (record.pg_session_id) console.log(chalk.gray(`  Postgres: boss_claude.sessions ${record.pg_session_id}`));
+  console.log();
+}
+
+program
+  .command('history [id]')
+  .description('List finished sessions, or show one in detail')
+  .option('-r, --repo <name>', 'Only this repository')
+  .option('--since <date>', 'Only sessions ended on/after (YYYY-MM-DD or age like 7d, 2w, 3m)')
+  .option('--until <date>', 'Only sessions ended on/before (YYYY-MM-DD or age)')
+  .option('-n, --limit <count>', 'Maximum sessions to show', '20')
+  .option('--json', 'Emit JSON')
+  .action(async (id, options) => {
+    try {
+      if (id) {
+        const record = await getSessionHistory(id);
+        if (!record) {
+          console.error(chalk.red(`Session ${id} not found`));
+          await cleanExit(1);
+          return;
+        }
+        if (options.json) {
+          console.log(JSON.stringify(record, null, 2));
+        } else {
+          printSessionDetail(record);
+        }
+        await cleanExit(0);
+        return;
+      }
+
+      const records = await listSessionHistory({
+        repo: options.repo || null,
+        since: parseDateFilter(options.since),
+        until: parseDateFilter(options.until, { endOfDay: true }),
+        limit: parseInt(options.limit, 10) || 20
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(records, null, 2));
+        await cleanExit(0);
+        return;
+      }
+
+      if (records.length === 0) {
+        console.log(chalk.yellow('\nNo finished sessions found.'));
+        console.log(chalk.gray('Sessions are recorded by: boss-claude save\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      console.log();
+      records.forEach(printSessionLine);
+      console.log(chalk.gray('\nDetails: boss-claude history <id>\n'));
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error reading session history:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+// =============================================================================
+// EFFICIENCY COMMAND - Delegation analytics
+// =============================================================================
+const TREND_COLORS = {
+  improving: chalk.green,
+  steady: chalk.yellow,
+  declining: chalk.red
+};
+
+program
+  .command('efficiency')
+  .description('Show per-agent token use, the efficiency rating and trends across past sessions')
+  .option('--since <date>', `Trends from (YYYY-MM-DD or age like 7d, 2w, 3m; default ${DEFAULT_TREND_DAYS}d)`)
+  .option('-t, --top <count>', 'Top sessions to list', String(DEFAULT_TOP_SESSIONS))
+  .option('--json', 'Emit the report as JSON')
+  .action(async (options) => {
+    try {
+      const top = parseInt(options.top, 10);
+      const report = await buildEfficiencyReport({
+        since: parseDateFilter(options.since),
+        top: Number.isFinite(top) && top >= 0 ? top : DEFAULT_TOP_SESSIONS
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        await cleanExit(0);
+        return;
+      }
+
+      const tokens = value => (value || 0).toLocaleString();
+      console.log(chalk.cyan(`
+  =============================================
+         BOSS CLAUDE EFFICIENCY
+  =============================================
+`));
+
+      if (!report.current) {
+        console.log(chalk.gray(report.repo
+          ? '  No live session data (is REDIS_URL set?)'
+          : '  Not in a git repository - showing trends only'));
+      } else {
+        const { current, rating, projection } = report;
+        console.log(chalk.white(`  Repository: ${report.repo}`));
+        console.log(chalk.white(`  Ratio:      ${chalk.yellow(current.ratio === null ? 'all agents' : `${current.ratio}x`)} agent tokens per conductor token`));
+        console.log(chalk.white(`  Rating:     ${rating.emoji}  ${rating.rating}`));
+
+        console.log(chalk.bold('\n  Agents'));
+        console.log(chalk.gray(`    ${'Agent'.padEnd(20)} ${'Tokens'.padStart(12)} ${'Agent tokens'.padStart(14)} ${'Delegations'.padStart(12)} ${'Share'.padStart(7)}`));
+        current.agents.forEach(agent => {
+          console.log(chalk.white(`    ${agent.name.padEnd(20)} ${tokens(agent.tokens).padStart(12)} ${tokens(agent.agent_tokens).padStart(14)} ${String(agent.delegations).padStart(12)} ${`${agent.share}%`.padStart(7)}`));
+        });
+        console.log(chalk.white(`    ${'Total'.padEnd(20)} ${tokens(current.total_tokens).padStart(12)} ${tokens(current.agent_tokens).padStart(14)} ${String(current.delegations).padStart(12)}`));
+        console.log(chalk.gray(`    Conductor: ${tokens(current.conductor_tokens)} tokens`));
+
+        console.log(chalk.bold('\n  If saved now'));
+        console.log(chalk.white(`    ${projection.base_xp} base + ${projection.efficiency_bonus_xp} efficiency + ${projection.delegation_bonus_xp} delegation = ${chalk.green(`${projection.xp} XP`)} ($${projection.dollars.toFixed(2)})`));
+        if (!projection.work_order) {
+          console.log(chalk.yellow('    No active work order - saving now would earn 0 XP'));
+          console.log(chalk.gray('    Start one with: boss-claude work-order:start "task-name"'));
+        }
+      }
+
+      const { trends } = report;
+      const sourceLabel = trends.source === 'postgres' ? 'boss_claude.sessions' : 'session history';
+      console.log(chalk.bold(`\n  Trends since ${new Date(trends.since).toLocaleDateString()}`) + (trends.source ? chalk.gray(` (${sourceLabel})`) : ''));
+      if (trends.error) {
+        console.log(chalk.gray(`    Unavailable: ${trends.error}`));
+      } else if (trends.days.length === 0) {
+        console.log(chalk.gray('    No saved sessions yet'));
+      } else {
+        const best = Math.max(...trends.days.map(day => day.avg_efficiency || 0), 1);
+        trends.days.forEach(day => {
+          const efficiency = day.avg_efficiency ?? 0;
+          const bar = chalk.green('█'.repeat(Math.max(efficiency > 0 ? 1 : 0, Math.round((efficiency / best) * 20))));
+          console.log(chalk.white(`    ${day.date}  ${String(day.sessions).padStart(3)} session(s)  ${`+${day.xp_earned} XP`.padStart(9)}  ${`${efficiency}x`.padStart(7)} `) + bar);
+        });
+        if (trends.direction) {
+          const color = TREND_COLORS[trends.direction] || chalk.white;
+          console.log(chalk.white('    Efficiency is ') + color(trends.direction));
+        }
+      }
+
+      if (trends.top_sessions.length > 0) {
+        console.log(chalk.bold('\n  Top Sessions'));
+        trends.top_sessions.forEach((session, index) => {
+          console.log(chalk.white(`    ${index + 1}. ${`+${session.xp_earned} XP`.padEnd(9)} ${`${session.efficiency ?? 0}x`.padStart(7)}  ${session.repo} - ${session.summary || ''}`));
+          console.log(chalk.gray(`       ${new Date(session.started_at).toLocaleString()}, ${tokens(session.agent_tokens)} agent tokens, ${session.delegations || 0} delegation(s)`));
+        });
+      }
+      console.log();
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error building efficiency report:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+// =============================================================================
+// CHECKPOINT COMMANDS - Pick up where a session left off
+// =============================================================================
+const checkpointCommand = program
+  .command('checkpoint')
+  .description('Snapshot the live session and restore it later');
+
+function printCheckpointLine(checkpoint) {
+  const created = new Date(checkpoint.created_at).toLocaleString();
+  const tokens = `${(checkpoint.totals?.tokens_used || 0).toLocaleString()} tokens`;
+  console.log(`${chalk.white(checkpoint.id.slice(0, 8))}  ${chalk.gray(created.padEnd(22))}  ${chalk.gray(checkpoint.repo.padEnd(20))}  ${chalk.cyan(tokens.padEnd(16))}  ${checkpoint.label || ''}`);
+}
+
+function printCheckpointDetail(checkpoint, options = {}) {
+  const totals = checkpoint.totals || {};
+  const tokens = value => (value || 0).toLocaleString();
+
+  console.log(chalk.cyan(`\n${checkpoint.id}`) + (checkpoint.label ? '  ' + chalk.white(checkpoint.label) : ''));
+  console.log(chalk.white(`\n  Repo:        ${checkpoint.repo}${checkpoint.branch ? ` (${checkpoint.branch})` : ''}`));
+  if (checkpoint.commit) console.log(chalk.white(`  Commit:      ${checkpoint.commit.slice(0, 12)}`));
+  console.log(chalk.white(`  Created:     ${new Date(checkpoint.created_at).toLocaleString()}`));
+  if (checkpoint.conductor) console.log(chalk.white(`  Conductor:   ${checkpoint.conductor}`));
+  if (checkpoint.mode) console.log(chalk.white(`  Mode:        ${checkpoint.mode}`));
+  console.log(chalk.white(`  Level:       ${checkpoint.level} (${checkpoint.total_xp} XP)`));
+
+  console.log(chalk.bold('\n  Session'));
+  if (totals.started_at) console.log(chalk.white(`    Started:     ${new Date(totals.started_at).toLocaleString()}`));
+  console.log(chalk.white(`    Tokens:      ${tokens(totals.tokens_used)} (conductor ${tokens(totals.conductor_tokens)}, agents ${tokens(totals.agent_tokens)})`));
+  console.log(chalk.white(`    Delegations: ${totals.delegations || 0}`));
+  (checkpoint.sessions || []).forEach(({ key, data }) => {
+    console.log(chalk.gray(`      ${key.split(':')[3].padEnd(20)} ${tokens(parseInt(data.tokens_used || 0)).padStart(12)} tokens`));
+  });
+
+  const workOrders = checkpoint.work_orders || [];
+  console.log(chalk.bold(`\n  Work Orders (${workOrders.length})`));
+  workOrders.forEach(order => console.log(chalk.white(`    ${order.id}  ${order.title}`)));
+
+  const terminals = checkpoint.terminals || [];
+  if (terminals.length > 0) {
+    console.log(chalk.bold(`\n  Terminals (${terminals.length})`));
+    terminals.forEach(terminal => {
+      console.log(chalk.gray(`    ${terminal.branch || '?'} (${terminal.context_type || 'terminal'}) on ${terminal.hostname || '?'}, pid ${terminal.pid || '?'}`));
+    });
+  }
+
+  const events = (checkpoint.events || []).slice(-(options.events ?? 10));
+  if (events.length > 0) {
+    console.log(chalk.bold(`\n  Recent Events (${events.length} of ${checkpoint.events.length})`));
+    events.forEach(event => {
+      console.log(chalk.gray(`    ${new Date(event.timestamp).toLocaleTimeString()}  ${event.name}`));
+    });
+  }
+  console.log();
+}
+
+checkpointCommand
+  .command('create [label]')
+  .description('Snapshot the live session, active work orders, terminals and recent events')
+  .option('-e, --events <count>', 'Recent events to keep', String(DEFAULT_CHECKPOINT_EVENTS))
+  .action(async (label, options) => {
+    try {
+      const events = parseInt(options.events, 10);
+      const checkpoint = await createCheckpoint(label || null, {
+        events: Number.isFinite(events) && events >= 0 ? events : DEFAULT_CHECKPOINT_EVENTS
+      });
+
+      console.log(chalk.green('\nCheckpoint created\n'));
+      console.log(chalk.white(`  ID:          ${checkpoint.id}`));
+      console.log(chalk.white(`  Repo:        ${checkpoint.repo}`));
+      console.log(chalk.white(`  Tokens:      ${checkpoint.totals.tokens_used.toLocaleString()}`));
+      console.log(chalk.white(`  Work Orders: ${checkpoint.work_orders.length}`));
+      console.log(chalk.white(`  Events:      ${checkpoint.events.length}`));
+      console.log(chalk.gray(`\n  Restore with: boss-claude checkpoint restore ${checkpoint.id.slice(0, 8)}\n`));
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error creating checkpoint:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+checkpointCommand
+  .command('list')
+  .description('List checkpoints, newest first')
+  .option('-r, --repo <name>', 'Only this repository')
+  .option('-n, --limit <count>', 'Maximum checkpoints to show', '20')
+  .option('--json', 'Emit JSON')
+  .action(async (options) => {
+    try {
+      const checkpoints = await listCheckpoints({
+        repo: options.repo || null,
+        limit: parseInt(options.limit, 10) || 20
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(checkpoints, null, 2));
+        await cleanExit(0);
+        return;
+      }
+
+      if (checkpoints.length === 0) {
+        console.log(chalk.yellow('\nNo checkpoints found.'));
+        console.log(chalk.gray('Create one with: boss-claude checkpoint create "where things stand"\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      console.log();
+      checkpoints.forEach(printCheckpointLine);
+      console.log();
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error listing checkpoints:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+checkpointCommand
+  .command('show <id>')
+  .description('Show a checkpoint (id or a unique prefix)')
+  .option('-e, --events <count>', 'Recent events to print', '10')
+  .option('--json', 'Emit JSON')
+  .action(async (id, options) => {
+    try {
+      const checkpoint = await getCheckpoint(id);
+      if (!checkpoint) {
+        console.error(chalk.red(`Checkpoint ${id} not found`));
+        await cleanExit(1);
+        return;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(checkpoint, null, 2));
+      } else {
+        printCheckpointDetail(checkpoint, { events: parseInt(options.events, 10) || 0 });
+      }
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error showing checkpoint:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+checkpointCommand
+  .command('restore [id]')
+  .description('Restore a checkpoint into the live session (default: the latest for this repo)')
+  .option('-f, --force', 'Restore token counters even if the session was saved after the checkpoint')
+  .option('--json', 'Emit JSON')
+  .action(async (id, options) => {
+    try {
+      const result = await restoreCheckpoint(id || null, { force: Boolean(options.force) });
+      const { checkpoint } = result;
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        await cleanExit(0);
+        return;
+      }
+
+      console.log(chalk.green(`\nRestored checkpoint ${checkpoint.id.slice(0, 8)}`) + (checkpoint.label ? chalk.white(` - ${checkpoint.label}`) : ''));
+      console.log(chalk.gray(`  ${checkpoint.repo}${checkpoint.branch ? ` (${checkpoint.branch})` : ''}, ${new Date(checkpoint.created_at).toLocaleString()}\n`));
+
+      if (result.saved_since && !options.force) {
+        console.log(chalk.yellow('  Session saved since this checkpoint - token counters left as they are'));
+        console.log(chalk.gray('  (its tokens are already in history; use --force to restore them anyway)'));
+      } else {
+        console.log(chalk.white(`  Sessions:    ${result.sessions} agent session(s), ${result.tokens_restored.toLocaleString()} tokens restored`));
+      }
+
+      result.work_orders.forEach(order => {
+        const status = order.status === 'active' ? chalk.green(order.status) : chalk.yellow(order.status);
+        console.log(chalk.white(`  Work Order:  ${order.id} ${order.title} `) + status);
+      });
+
+      if (result.mode.checkpoint && result.mode.checkpoint !== result.mode.current) {
+        console.log(chalk.yellow(`  Mode:        was ${result.mode.checkpoint}, now ${result.mode.current}`));
+        console.log(chalk.gray(`               switch back with: boss-claude mode ${result.mode.checkpoint}`));
+      }
+
+      const events = (checkpoint.events || []).slice(-5);
+      if (events.length > 0) {
+        console.log(chalk.bold('\n  Last activity'));
+        events.forEach(event => {
+          console.log(chalk.gray(`    ${new Date(event.timestamp).toLocaleTimeString()}  ${event.name}`));
+        });
+      }
+      console.log();
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error restoring checkpoint:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+// =============================================================================
+// MEMORY COMMANDS - Backup, migration and maintenance
+// =============================================================================
+const memoryCommand = program
+  .command('memory')
+  .description('Export, import and maintain session memories');
+
+/**
+ * Resolve the backend a memory command should use
+ * @param {string} [name] - --backend option; defaults to BOSS_CLAUDE_MEMORY_BACKEND
+ */
+function resolveBackend(name) {
+  if (!name || name === getMemoryBackendName()) {
+    return getMemoryBackend();
+  }
+  return createMemoryBackend(name);
+}
+
+memoryCommand
+  .command('export [file]')
+  .description('Export every session memory to a versioned archive')
+  .option('-f, --format <format>', 'Archive format: jsonl or tar (default: from file extension)')
+  .option('-b, --backend <name>', 'Backend to export from (default: BOSS_CLAUDE_MEMORY_BACKEND)')
+  .action(async (file, options) => {
+    try {
+      const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+      const extension = options.format === 'tar' ? 'tar.gz' : 'jsonl';
+      const target = file || `boss-claude-memories-${timestamp}.${extension}`;
+      const backend = resolveBackend(options.backend);
+
+      console.log(chalk.gray(`\nExporting memories from ${backend.name}...\n`));
+
+      const result = await exportMemories(backend, target, { format: options.format });
+
+      console.log(chalk.green(`Exported ${result.count} memory(s)\n`));
+      console.log(chalk.white(`  Archive: ${path.resolve(result.file)}`));
+      console.log(chalk.white(`  Format:  ${result.format}\n`));
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error exporting memories:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+memoryCommand
+  .command('import <file>')
+  .description('Import an archive into a backend, skipping memories already present')
+  .option('-b, --backend <name>', 'Backend to import into (default: BOSS_CLAUDE_MEMORY_BACKEND)')
+  .option('--dry-run', 'Show what would be imported without writing anything')
+  .action(async (file, options) => {
+    try {
+      const backend = resolveBackend(options.backend);
+      const isActiveBackend = backend.name === getMemoryBackendName();
+
+      console.log(chalk.gray(`\nImporting ${file} into ${backend.name}${options.dryRun ? ' (dry run)' : ''}...\n`));
+
+      const result = await importMemories(backend, file, {
+        dryRun: options.dryRun,
+        onImported: async (record) => {
+          // Keep semantic recall in step with the active store (best-effort)
+          if (isActiveBackend) {
+            await memorySupervisor.index(record).catch(() => {});
+          }
+        }
+      });
+
+      if (result.imported > 0 && !options.dryRun && isActiveBackend) {
+        await memorySupervisor.invalidateCache().catch(() => {});
+      }
+
+      const verb = options.dryRun ? 'Would import' : 'Imported';
+      console.log(chalk.green(`${verb} ${result.imported} of ${result.total} memory(s)`));
+      console.log(chalk.gray(`  Skipped (already present): ${result.skipped}`));
+      console.log(chalk.gray(`  Archive: v${result.manifest.version} from ${result.manifest.source?.backend || 'unknown'} (${result.manifest.exported_at})\n`));
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error importing memories:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+memoryCommand
+  .command('compact')
+  .description('Merge old sessions into one digest per repo and time window')
+  .option('-o, --older-than <days>', 'Only compact memories older than this many days', '30')
+  .option('-w, --window <window>', `Group by ${COMPACTION_WINDOWS.join(' or ')}`, 'week')
+  .option('-m, --min-group <count>', 'Smallest group worth a digest', '2')
+  .option('-r, --repo <name>', 'Only compact this repository')
+  .option('-s, --summarizer <name>', 'Summarizer: heuristic or openai (default: BOSS_CLAUDE_MEMORY_SUMMARIZER)')
+  .option('--dry-run', 'List what would change without writing anything')
+  .action(async (options) => {
+    try {
+      if (!/^\d+$/.test(options.olderThan)) {
+        throw new Error('--older-than must be a non-negative whole number of days');
+      }
+
+      const backend = getMemoryBackend();
+
+      console.log(chalk.gray(`\nCompacting ${backend.name} memories older than ${options.olderThan} days by ${options.window}${options.dryRun ? ' (dry run)' : ''}...\n`));
+
+      const result = await compactMemories(backend, {
+        olderThanDays: Number(options.olderThan),
+        window: options.window,
+        minGroupSize: parseInt(options.minGroup, 10) || 2,
+        repo: options.repo || null,
+        summarizer: options.summarizer,
+        dryRun: options.dryRun,
+        onCompacted: async ({ group, archived }) => {
+          // Keep semantic recall and cached queries consistent (best-effort)
+          await archiveMemoryVectors(archived).catch(() => {});
+          await memorySupervisor.invalidateCache(group.repo).catch(() => {});
+        }
+      });
+
+      if (result.groups.length === 0) {
+        console.log(chalk.yellow('Nothing to compact.\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      result.groups.forEach(group => {
+        const from = group.window.from.slice(0, 10);
+        const to = group.window.to.slice(0, 10);
+        console.log(chalk.cyan(`${group.repo}  ${from} → ${to}`) + chalk.gray(`  (${group.memories.length} sessions)`));
+        console.log(chalk.gray(`   Archive: ${group.memories.map(m => '#' + m.number).join(', ')}`));
+        console.log(chalk.gray(`   Digest:  ${group.digest.summary.split('\n')[0]}`));
+        console.log();
+      });
+
+      if (result.dryRun) {
+        const total = result.groups.reduce((sum, group) => sum + group.memories.length, 0);
+        console.log(chalk.yellow(`Would create ${result.groups.length} digest(s) and archive ${total} memory(s).\n`));
+      } else {
+        console.log(chalk.green(`Created ${result.digests} digest(s), archived ${result.archived} memory(s).\n`));
+      }
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error compacting memories:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+memoryCommand
+  .command('flush')
+  .description('Retry memory saves queued while the backend was unreachable')
+  .option('--retries <count>', 'Attempts per queued save', '3')
+  .action(async (options) => {
+    try {
+      const pending = await getPendingCount();
+      if (pending === 0) {
+        console.log(chalk.green('\nNo queued memory saves.\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      console.log(chalk.gray(`\nFlushing ${pending} queued memory save(s) to ${getMemoryBackendName()}...\n`));
+
+      const result = await flushMemoryQueue({
+        retries: Math.max(1, parseInt(options.retries, 10) || 3),
+        onResult: ({ entry, saved, rejected, record, error }) => {
+          const title = entry.memory.title.substring(0, 70);
+          if (saved) {
+            console.log(chalk.green(`  ✓ #${record.number} ${title}`));
+          } else if (rejected) {
+            console.log(chalk.red(`  ✗ ${title}`) + chalk.gray(` (${error.message}, not retried)`));
+          } else {
+            console.log(chalk.red(`  ✗ ${title}`) + chalk.gray(` (${error.message}, ${entry.attempts} attempt(s) so far)`));
+          }
+        }
+      });
+
+      console.log();
+      if (result.rejected > 0) {
+        console.log(chalk.red(`${result.rejected} save(s) rejected by ${getMemoryBackendName()} - moved to ${getFailedDir()}`));
+      }
+      if (result.failed > 0) {
+        console.log(chalk.yellow(`Saved ${result.saved}, ${result.pending} still queued. Try again later.\n`));
+        await cleanExit(1);
+        return;
+      }
+      if (result.rejected > 0) {
+        console.log(chalk.yellow(`Saved ${result.saved}.\n`));
+        await cleanExit(1);
+        return;
+      }
+      console.log(chalk.green(`Saved ${result.saved} queued memory(s).\n`));
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error flushing memory queue:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+// =============================================================================
+// WORK ORDER COMMANDS - Track work so sessions earn XP
+// =============================================================================
+const WORK_ORDER_STATUS_COLORS = { active: chalk.green, completed: chalk.cyan, cancelled: chalk.gray };
+
+/**
+ * Print a one-line work order summary
+ */
+function printWorkOrderLine(order) {
+  const color = WORK_ORDER_STATUS_COLORS[order.status] || chalk.white;
+  console.log(`${chalk.white(order.id)}  ${color(order.status.padEnd(9))}  ${chalk.gray(order.repo.padEnd(20))}  ${order.title}`);
+}
+
+/**
+ * Task text a delegation plan is built from
+ */
+function workOrderTask(order) {
+  return order.description ? `${order.title}\n\n${order.description}` : order.title;
+}
+
+/**
+ * One-line summary of a plan's team
+ */
+function describePlanTeam(plan) {
+  const workers = plan.workers.map(w => w.skill).join(', ') || 'no workers';
+  return plan.supervisor ? `${plan.supervisor.skill} supervising ${workers}` : workers;
+}
+
+/**
+ * Resolve the work order a complete/cancel command targets
+ * Without an ID, the only active order in the current repo is used.
+ * @param {string} [id] - Work order ID argument
+ */
+async function resolveWorkOrderId(id) {
+  if (id) {
+    return id;
+  }
+
+  const repo = await getCurrentRepo();
+  if (!repo) {
+    throw new Error('Not in a git repository - pass a work order ID');
+  }
+
+  const active = await getActiveWorkOrders(repo.name);
+  if (active.length === 0) {
+    throw new Error(`No active work order in ${repo.name}`);
+  }
+  if (active.length > 1) {
+    throw new Error(`${active.length} active work orders in ${repo.name} - pass one of: ${active.map(o => o.id).join(', ')}`);
+  }
+  return active[0].id;
+}
+
+program
+  .command('work-order:start <title>')
+  .description('Start a work order for the current repository')
+  .option('-d, --description <text>', 'Longer description of the work')
+  .option('-r, --repo <name>', 'Repository name (default: current git repository)')
+  .option('-t, --template <name>', 'Plan delegation from a work order template (e.g. database-migration)')
+  .action(async (title, options) => {
+    try {
+      const repoName = options.repo || (await getCurrentRepo())?.name;
+
+      // Load the template first so a typo does not leave an unplanned order behind
+      if (options.template) {
+        planWorkOrder(options.template, workOrderTask({ title, description: options.description }));
+      }
+
+      let order = await createWorkOrder({
+        title,
+        repo: repoName,
+        description: options.description
+      });
+      if (options.template) {
+        order = await setWorkOrderPlan(order.id, planWorkOrder(options.template, workOrderTask(order), { workOrderId: order.id }));
+      }
+
+      console.log(chalk.green(`\nStarted work order ${order.id}\n`));
+      console.log(chalk.white(`  Title: ${order.title}`));
+      console.log(chalk.white(`  Repo:  ${order.repo}`));
+      if (order.plan) {
+        console.log(chalk.white(`  Plan:  ${order.plan.template} - ${describePlanTeam(order.plan)}`));
+        console.log(chalk.gray(`\n  Print the prompts with: boss-claude work-order:plan ${order.id}`));
+      }
+      console.log(chalk.gray(`\n  Sessions in ${order.repo} now earn XP until it is completed.`));
+      console.log(chalk.gray(`  Finish with: boss-claude work-order:complete ${order.id}\n`));
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error starting work order:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+program
+  .command('work-order:list')
+  .alias('work-orders')
+  .description('List work orders, newest first')
+  .option('-s, --status <status>', `Only this status: ${WORK_ORDER_STATUSES.join(', ')}`)
+  .option('-r, --repo <name>', 'Only this repository')
+  .option('-n, --limit <count>', 'Maximum work orders to show', '20')
+  .action(async (options) => {
+    try {
+      const orders = await listWorkOrders({
+        status: options.status || null,
+        repo: options.repo || null,
+        limit: parseInt(options.limit, 10) || 20
+      });
+
+      if (orders.length === 0) {
+        console.log(chalk.yellow('\nNo work orders found.'));
+        console.log(chalk.gray('Start one with: boss-claude work-order:start "task-name"\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      console.log();
+      orders.forEach(printWorkOrderLine);
+      console.log();
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error listing work orders:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+program
+  .command('work-order:show <id>')
+  .description('Show a work order')
+  .action(async (id) => {
+    try {
+      const order = await getWorkOrder(id);
+      if (!order) {
+        console.error(chalk.red(`Work order ${id} not found`));
+        await cleanExit(1);
+        return;
+      }
+
+      const color = WORK_ORDER_STATUS_COLORS[order.status] || chalk.white;
+      console.log(chalk.cyan(`\n${order.id}`) + '  ' + color(order.status));
+      console.log(chalk.white(`\n  Title:     ${order.title}`));
+      console.log(chalk.white(`  Repo:      ${order.repo}`));
+      if (order.conductor) console.log(chalk.white(`  Conductor: ${order.conductor}`));
+      console.log(chalk.white(`  Created:   ${new Date(order.created_at).toLocaleString()}`));
+      if (order.closed_at) console.log(chalk.white(`  Closed:    ${new Date(order.closed_at).toLocaleString()}`));
+      if (order.description) console.log(chalk.gray(`\n  ${order.description.split('\n').join('\n  ')}`));
+      if (order.note) console.log(chalk.gray(`\n  ${order.status === 'cancelled' ? 'Reason' : 'Outcome'}: ${order.note}`));
+      if (order.plan) console.log(chalk.white(`\n  Plan:      ${order.plan.template} - ${describePlanTeam(order.plan)}`));
+      console.log();
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error showing work order:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+program
+  .command('work-order:plan <id>')
+  .description('Print the delegation plan of a work order, planning it from a template if needed')
+  .option('-t, --template <name>', 'Work order template to (re)plan from')
+  .option('--task <text>', 'Task description (default: the work order title and description)')
+  .option('--role <role>', 'Only this agent: supervisor, worker-1, worker-2, ...')
+  .option('--json', 'Emit the plan as JSON (for hooks)')
+  .action(async (id, options) => {
+    try {
+      let order = await getWorkOrder(id);
+      if (!order) {
+        throw new Error(`Work order ${id} not found`);
+      }
+
+      // --task alone re-plans from the template already on the order
+      const template = options.template || (options.task ? order.template : null);
+      if (options.task && !template) {
+        throw new Error('--task needs --template (this work order has no template yet)');
+      }
+      if (template) {
+        const plan = planWorkOrder(template, options.task || workOrderTask(order), { workOrderId: order.id });
+        order = await setWorkOrderPlan(order.id, plan);
+      }
+      if (!order.plan) {
+        throw new Error(`Work order ${id} has no plan yet. Create one with --template <name>`);
+      }
+
+      const plan = order.plan;
+      let agents = planAgents(plan);
+      if (options.role) {
+        agents = agents.filter(agent => agent.role === options.role.toLowerCase());
+        if (agents.length === 0) {
+          throw new Error(`No "${options.role}" in this plan. Roles: ${planAgents(plan).map(a => a.role).join(', ')}`);
+        }
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(options.role ? { ...plan, agents } : plan, null, 2));
+        await cleanExit(0);
+        return;
+      }
+
+      console.log(chalk.cyan(`\n${order.id}`) + chalk.gray(`  ${plan.template} (${plan.workflow}) - ${describePlanTeam(plan)}\n`));
+      plan.warnings.forEach(warning => console.log(chalk.yellow(`  ! ${warning}`)));
+
+      agents.forEach(agent => {
+        console.log(chalk.green(`\n${'='.repeat(70)}`));
+        console.log(chalk.green(`${agent.label} (${agent.skill})`) + chalk.gray(`  ${agent.phases.join(', ')}`));
+        console.log(chalk.green('='.repeat(70)) + '\n');
+        console.log(agent.prompt);
+      });
+      console.log();
+
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error planning work order:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+program
+  .command('work-order:complete [id]')
+  .description('Complete a work order (default: the only active one in this repository)')
+  .option('-n, --note <text>', 'Outcome summary')
+  .action(async (id, options) => {
+    try {
+      const order = await completeWorkOrder(await resolveWorkOrderId(id), { note: options.note });
+      console.log(chalk.green(`\nCompleted ${order.id}: ${order.title}`));
+      console.log(chalk.gray('Run "boss-claude save" to bank this session\'s XP.\n'));
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error completing work order:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+program
+  .command('work-order:cancel [id]')
+  .description('Cancel a work order (default: the only active one in this repository)')
+  .option('--reason <text>', 'Why the work was cancelled')
+  .action(async (id, options) => {
+    try {
+      const order = await cancelWorkOrder(await resolveWorkOrderId(id), { reason: options.reason });
+      console.log(chalk.yellow(`\nCancelled ${order.id}: ${order.title}\n`));
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error cancelling work order:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+// =============================================================================
+// SKILLS COMMANDS - Skills and work order templates
+// =============================================================================
+const skillsCommand = program
+  .command('skills')
+  .description('Validate and manage skills and work order templates');
+
+skillsCommand
+  .command('validate [paths...]')
+  .description('Check skill and work order frontmatter against the schema')
+  .option('--strict', 'Fail on warnings as well as errors')
+  .action(async (paths, options) => {
+    try {
+      const targets = paths.length > 0 ? paths : [...getSkillPaths(), ...getWorkOrderPaths()];
+      const result = validateSkills(targets);
+
+      if (result.files.length === 0) {
+        console.log(chalk.yellow('\nNo skill files found in:'));
+        targets.forEach(target => console.log(chalk.gray(`  ${target}`)));
+        console.log();
+        await cleanExit(paths.length > 0 ? 1 : 0);
+        return;
+      }
+
+      console.log();
+      result.files.forEach(file => {
+        const location = path.relative(process.cwd(), file.file) || file.file;
+        if (file.errors.length === 0 && file.warnings.length === 0) {
+          console.log(chalk.green('  ✓ ') + chalk.white(location) + chalk.gray(`  ${file.kind}`));
+          return;
+        }
+        [...file.errors, ...file.warnings]
+          .sort((a, b) => a.line - b.line)
+          .forEach(issue => {
+            const label = issue.level === 'error' ? chalk.red('error  ') : chalk.yellow('warning');
+            console.log(`  ${chalk.white(`${location}:${issue.line}`)}  ${label}  ${issue.message}`);
+          });
+      });
+
+      const failed = result.errors > 0 || (options.strict && result.warnings > 0);
+      const summary = `\n${result.files.length} file(s), ${result.errors} error(s), ${result.warnings} warning(s)\n`;
+      console.log(failed ? chalk.red(summary) : chalk.green(summary));
+
+      await cleanExit(failed ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red('Error validating skills:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+const INSTALL_ACTION_COLORS = {
+  installed: chalk.green,
+  upgraded: chalk.green,
+  downgraded: chalk.yellow,
+  reinstalled: chalk.cyan,
+  unchanged: chalk.gray,
+  skipped: chalk.yellow
+};
+
+/** skills install results that wrote a skill */
+const INSTALLED_ACTIONS = ['installed', 'upgraded', 'downgraded', 'reinstalled'];
+
+skillsCommand
+  .command('install <source>')
+  .description('Install skills from a .md file, a directory or a .tar.gz pack into ~/.boss-claude/skills')
+  .option('-f, --force', 'Allow downgrades and replacing skills not installed by boss-claude')
+  .action(async (source, options) => {
+    try {
+      const { results } = await installSkills(source, { force: options.force });
+
+      console.log();
+      results.forEach(result => {
+        const color = INSTALL_ACTION_COLORS[result.action] || chalk.white;
+        const versions = result.previous && result.previous !== result.version
+          ? `${result.previous} -> ${result.version}`
+          : result.version;
+        console.log(`  ${color(result.action.padEnd(11))} ${chalk.white(result.name)} ${chalk.gray(versions)}`);
+        if (result.reason) {
+          console.log(chalk.gray(`              ${result.reason}`));
+        }
+      });
+
+      const installed = results.filter(r => INSTALLED_ACTIONS.includes(r.action)).length;
+      const unchanged = results.filter(r => r.action === 'unchanged').length;
+      const skipped = results.filter(r => r.action === 'skipped').length;
+      const summary = [
+        `${installed} skill(s) installed`,
+        unchanged > 0 ? `${unchanged} unchanged` : null,
+        skipped > 0 ? `${skipped} skipped` : null
+      ].filter(Boolean).join(', ');
+      console.log((skipped > 0 ? chalk.yellow : chalk.green)(`\n${summary}\n`));
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error installing skills:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+skillsCommand
+  .command('uninstall <name>')
+  .description('Remove a skill installed with skills install')
+  .action(async (name) => {
+    try {
+      const removed = await uninstallSkill(name);
+      console.log(chalk.green(`\n✓ Uninstalled ${removed.name} ${removed.version}\n`));
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error uninstalling skill:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+skillsCommand
+  .command('list')
+  .description('List skills and work order templates across the search paths')
+  .option('--outdated', 'Only show installed skills with a newer version at their source')
+  .action(async (options) => {
+    try {
+      if (options.outdated) {
+        const outdated = await findOutdatedSkills();
+        if (outdated.length === 0) {
+          console.log(chalk.green('\nAll installed skills are up to date.\n'));
+          await cleanExit(0);
+          return;
+        }
+
+        console.log(chalk.cyan('\nOutdated skills:\n'));
+        outdated.forEach(skill => {
+          if (skill.error) {
+            console.log(`  ${chalk.white(skill.name.padEnd(28))} ${chalk.gray(skill.installed.padEnd(10))} ${chalk.red(`source unavailable: ${skill.error}`)}`);
+            return;
+          }
+          console.log(`  ${chalk.white(skill.name.padEnd(28))} ${chalk.gray(skill.installed.padEnd(10))} ${chalk.green(`-> ${skill.available}`)}  ${chalk.gray(skill.source)}`);
+        });
+        console.log(chalk.gray('\nUpdate with: boss-claude skills install <source>\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      const skills = await listAllSkills();
+      if (skills.length === 0) {
+        console.log(chalk.yellow('\nNo skills found. Install one with: boss-claude skills install <source>\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      for (const kind of ['skill', 'work-order']) {
+        const group = skills.filter(s => s.kind === kind);
+        if (group.length === 0) continue;
+        console.log(chalk.cyan(`\n${kind === 'skill' ? 'Skills' : 'Work order templates'}:\n`));
+        group.forEach(skill => {
+          const flags = [skill.location, skill.installed ? 'installed' : null, skill.shadowed ? `shadows ${skill.shadowed}` : null]
+            .filter(Boolean)
+            .join(', ');
+          console.log(`  ${chalk.white(skill.name.padEnd(28))} ${chalk.gray(String(skill.version).padEnd(10))} ${chalk.gray(`[${flags}]`)}`);
+          if (skill.description) {
+            console.log(chalk.gray(`    ${skill.description}`));
+          }
+        });
+      }
+      console.log();
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error listing skills:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+skillsCommand
+  .command('info <name>')
+  .description('Show where a skill resolves from, its versions and install record')
+  .action(async (name) => {
+    try {
+      const info = await getSkillInfo(name);
+      if (!info) {
+        console.error(chalk.red(`Skill "${name}" not found.`), chalk.gray('Run: boss-claude skills list'));
+        await cleanExit(1);
+        return;
+      }
+
+      const skill = info.skill;
+      console.log(chalk.cyan(`\n${name}`) + (skill ? chalk.gray(` ${skill.version}`) : ''));
+      if (skill) {
+        console.log(`  ${chalk.white('Description:')} ${skill.description || chalk.gray('none')}`);
+        console.log(`  ${chalk.white('Category:')}    ${skill.category}`);
+        if (skill.tags.length > 0) console.log(`  ${chalk.white('Tags:')}        ${skill.tags.join(', ')}`);
+        if (skill.inherits) console.log(`  ${chalk.white('Extends:')}     ${skill.inherits.join(' -> ')}`);
+        if (skill.requires.length > 0) console.log(`  ${chalk.white('Requires:')}    ${skill.requires.join(', ')}`);
+      } else {
+        console.log(chalk.red(`  ${info.error}`));
+      }
+
+      console.log(chalk.white('\n  Found in:'));
+      info.candidates.forEach(candidate => {
+        const marker = candidate.selected ? chalk.green('→') : chalk.gray(' ');
+        const note = candidate.selected ? chalk.green('used') : chalk.gray('shadowed');
+        console.log(`  ${marker} ${chalk.gray(String(candidate.version).padEnd(10))} ${chalk.gray(`${candidate.location.padEnd(8)}`)} ${candidate.path}  ${note}`);
+      });
+
+      if (info.lock) {
+        console.log(chalk.white('\n  Installed:'));
+        console.log(`    ${chalk.gray('Version:')}   ${info.lock.version}`);
+        console.log(`    ${chalk.gray('Source:')}    ${info.lock.source}`);
+        console.log(`    ${chalk.gray('Checksum:')}  ${info.lock.checksum}`);
+        console.log(`    ${chalk.gray('Installed:')} ${new Date(info.lock.installed_at).toLocaleString()}`);
+        if (info.modified) {
+          console.log(chalk.yellow('    Modified since install (checksum mismatch) - reinstall to restore'));
+        }
+      }
+      console.log();
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error reading skill:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+skillsCommand
+  .command('suggest <task>')
+  .description('Suggest skills and work order templates for a task')
+  .option('-n, --limit <count>', 'Maximum suggestions', '5')
+  .option('--json', 'Print suggestions as JSON')
+  .action(async (task, options) => {
+    try {
+      const limit = parseInt(options.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('--limit must be a positive number');
+      }
+
+      const suggestions = suggestSkills(task, { limit });
+      if (options.json) {
+        console.log(JSON.stringify(suggestions, null, 2));
+        await cleanExit(0);
+        return;
+      }
+
+      if (suggestions.length === 0) {
+        console.log(chalk.yellow('\nNo skills match that task.'), chalk.gray('Run: boss-claude skills list\n'));
+        await cleanExit(0);
+        return;
+      }
+
+      console.log(chalk.cyan('\nSuggested for: ') + chalk.white(task) + '\n');
+      suggestions.forEach((suggestion, i) => {
+        const percent = `${Math.round(suggestion.confidence * 100)}%`;
+        const color = suggestion.confidence >= 0.6 ? chalk.green : suggestion.confidence >= 0.4 ? chalk.yellow : chalk.gray;
+        const kind = suggestion.kind === 'work-order' ? chalk.magenta('work order') : chalk.blue('skill');
+        console.log(`  ${i + 1}. ${chalk.white(suggestion.name.padEnd(26))} ${color(percent.padStart(4))}  ${kind}`);
+        if (suggestion.description) {
+          console.log(chalk.gray(`     ${suggestion.description}`));
+        }
+        console.log(chalk.gray(`     matched ${describeSkillMatches(suggestion.matches)}`));
+      });
+      console.log();
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error suggesting skills:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+// =============================================================================
+// MODE COMMANDS - What the current session may do
+// =============================================================================
+program
+  .command('mode [args...]')
+  .description('Show or switch the operating mode (orchestrator, specialist, worker, review, learning)')
+  .option('-m, --mode <mode>', 'explain: mode to check against (default: current)')
+  .option('-t, --tokens <count>', 'explain: estimated tokens for the action')
+  .option('--strict', 'validate: fail on warnings as well as errors')
+  .allowUnknownOption(true)
+  .action(async (args, options) => {
+    try {
+      await modeCommand(args, options);
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error running mode command:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
+// =============================================================================
+// HOOK COMMANDS - Claude Code hook entry points
+// =============================================================================
+const HOOK_EVENT_NAMES = {
+  'session-start': 'SessionStart',
+  'stop': 'Stop',
+  'subagent-stop': 'SubagentStop'
+};
+
+/**
+ * Print transcript token usage recorded by the Stop hook
+ */
+function printTranscriptUsage({ usage, recorded }) {
+  const row = (label, totals) => console.log(
+    `  ${label.padEnd(22)} ${totals.total.toLocaleString().padStart(12)}  ${chalk.gray(`in ${totals.input.toLocaleString()} • cache write ${totals.cacheCreation.toLocaleString()} • cache read ${totals.cacheRead.toLocaleString()} • out ${totals.output.toLocaleString()}`)}`
+  );
+
+  console.log(chalk.white(`\nToken usage for session ${usage.sessionId}:\n`));
+  row('Conductor', usage.conductor);
+  Object.entries(usage.agents).forEach(([agent, totals]) => row(`  agent ${agent}`, totals));
+  row('Agents', usage.agentTotal);
+  console.log(chalk.bold(`  ${'Total'.padEnd(22)} ${usage.total.toLocaleString().padStart(12)}`));
+
+  if (recorded) {
+    const changed = recorded.conductor_delta !== 0 || recorded.agent_delta !== 0;
+    console.log(chalk.green(`\n✓ ${changed ? 'Session tokens updated' : 'Session tokens already up to date'}\n`));
+  } else {
+    console.log(chalk.yellow('\nNot recorded - Redis is not available\n'));
+  }
+}
+
+/**
+ * Hook payload from stdin, or a bare one when run by hand
+ */
+async function readHookPayload(eventName) {
+  if (process.stdin.isTTY) {
+    return { hook_event_name: eventName, cwd: process.cwd() };
+  }
+
+  let data = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) {
+    data += chunk;
+  }
+  return data.trim()
+    ? { ...parseHookPayload(data), hook_event_name: eventName }
+    : { hook_event_name: eventName, cwd: process.cwd() };
+}
+
+program
+  .command('hook <event>')
+  .description(`Run a Claude Code hook (${Object.keys(HOOK_EVENT_NAMES).join(', ')})`)
+  .option('--text', 'Print a readable report instead of hook JSON')
+  .option('-b, --budget <tokens>', 'session-start: token budget for the context (0 = unlimited)')
+  .option('-k, --memories <count>', 'session-start: number of relevant memories to include')
+  .option('--transcript <file>', 'stop: session transcript to read (default: transcript_path from the payload)')
+  .action(async (event, options) => {
+    // As a hook, stdout is the JSON answer - every log goes to stderr
+    if (!options.text) {
+      routeLogsToStderr();
+    }
+
+    try {
+      const eventName = HOOK_EVENT_NAMES[event];
+      if (!eventName) {
+        throw new Error(`Unknown hook "${event}" (expected: ${Object.keys(HOOK_EVENT_NAMES).join(', ')})`);
+      }
+
+      const payload = await readHookPayload(eventName);
+      if (payload.cwd && existsSync(payload.cwd)) {
+        process.chdir(payload.cwd);
+      }
+
+      if (options.transcript) {
+        payload.transcript_path = path.resolve(options.transcript);
+      }
+
+      const contextOptions = { budget: options.budget, memories: options.memories };
+      if (options.text && eventName !== 'SessionStart') {
+        printTranscriptUsage(await handleStop(payload));
+      } else if (options.text) {
+        const context = await buildSessionContext(contextOptions);
+        console.log(context.text);
+        console.log(chalk.gray(`\n~${context.tokens} tokens${context.budget ? ` of ${context.budget}` : ''}`));
+      } else {
+        const output = await handleHook(payload, contextOptions);
+        if (output) {
+          process.stdout.write(JSON.stringify(output) + '\n');
+        }
+      }
+      await cleanExit(0);
+    } catch (error) {
+      console.error(chalk.red('Error running hook:'), error.message);
+      await cleanExit(1);
+    }
+  });
+
 // =============================================================================
 // HELP COMMAND - Show available commands
 // =============================================================================
@@ -301,6 +1632,33 @@ program
   ${chalk.green('status')}        Show your level, XP, and session count
   ${chalk.green('recall')} <query> Search your session memory
   ${chalk.green('save')} [note]   Save current session to memory
+  ${chalk.green('history')} [id]  List finished sessions or show one
+  ${chalk.green('efficiency')}    Per-agent tokens, rating and trends
+  ${chalk.green('checkpoint create')} [label] Snapshot the live session
+  ${chalk.green('checkpoint list')} List checkpoints
+  ${chalk.green('checkpoint show')} <id> Show a checkpoint
+  ${chalk.green('checkpoint restore')} [id] Pick up where a checkpoint left off
+  ${chalk.green('memory export')} [file] Back up every memory to an archive
+  ${chalk.green('memory import')} <file> Restore an archive (skips duplicates)
+  ${chalk.green('memory compact')} Merge old sessions into digests
+  ${chalk.green('memory flush')}  Retry saves queued while offline
+  ${chalk.green('work-order:start')} <title> Start tracked work (sessions earn XP)
+  ${chalk.green('work-order:list')} List work orders
+  ${chalk.green('work-order:show')} <id> Show a work order
+  ${chalk.green('work-order:plan')} <id> Print worker/supervisor prompts
+  ${chalk.green('work-order:complete')} [id] Complete a work order
+  ${chalk.green('work-order:cancel')} [id] Cancel a work order
+  ${chalk.green('skills validate')} [paths] Check skill frontmatter
+  ${chalk.green('skills install')} <source> Install a skill file, directory or .tar.gz
+  ${chalk.green('skills uninstall')} <name> Remove an installed skill
+  ${chalk.green('skills list')}   List skills (--outdated for updates)
+  ${chalk.green('skills info')} <name> Show versions and install record
+  ${chalk.green('skills suggest')} <task> Suggest skills for a task
+  ${chalk.green('mode')} [mode]   Show or switch the operating mode
+  ${chalk.green('mode validate')} Check mode policy files
+  ${chalk.green('mode explain')} <action> Show which policy rule decides an action
+  ${chalk.green('hook session-start')} Print the context a new session starts with
+  ${chalk.green('hook stop')} --transcript <file> Record a session's real token usage
   ${chalk.green('agent:start')} <name> Start an agent with memory pre-loaded
   ${chalk.green('upgrade')}       View pricing and upgrade options
   ${chalk.green('help')}          Show this help message
@@ -429,19 +1787,15 @@ program
 
 const proOnlyCommands = [
   { name: 'watch', description: 'Monitor agent activity in real-time' },
-  { name: 'checkpoint', description: 'Create and manage session checkpoints' },
   { name: 'agent:kill', description: 'Kill stuck or runaway agents' },
   { name: 'agent:kill-all', description: 'Kill all running agents' },
   { name: 'hierarchy', description: 'View agent hierarchy and delegation chain' },
-  { name: 'efficiency', description: 'View detailed efficiency analytics' },
   { name: 'set-name', description: 'Set your conductor name' },
   { name: 'terminals', description: 'View active terminal sessions' },
   { name: 'send', description: 'Send messages between terminals' },
   { name: 'broadcast', description: 'Broadcast to all terminals' },
   { name: 'inbox', description: 'View terminal inbox messages' },
-  { name: 'context', description: 'Generate project context' },
-  { name: 'skills', description: 'List and load skills' },
-  { name: 'work-orders', description: 'Manage work orders' }
+  { name: 'context', description: 'Generate project context' }
 ];
 
 // Register PRO-only commands that show upgrade message
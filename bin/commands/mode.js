@@ -14,13 +14,43 @@
  *   boss-claude mode stats              # Show mode statistics
  *   boss-claude mode blocked            # Show blocked actions
  *   boss-claude mode reset              # Emergency reset to safe default
+ *   boss-claude mode validate [files]   # Check mode policy files
+ *   boss-claude mode explain <action>   # Which policy rule allows or blocks an action
  */
 
-import { getEnforcer, MODES } from '../../lib/mode-enforcer.js';
+import { getEnforcer, MODES, isValidMode, CAPABILITY_LABELS } from '../../lib/mode-enforcer.js';
 import { getGate } from '../../lib/orchestrator-gate.js';
+import { listModes, loadModePolicy, validatePolicyFiles, evaluateToolUse, getPolicyDirs } from '../../lib/mode-policy.js';
 import chalk from 'chalk';
+import path from 'path';
+
+/** Gate actions `mode explain` understands, and the capability each needs */
+const GATE_ACTIONS = {
+  delegate: 'canDelegate',
+  execute: 'canExecute',
+  review: 'canReview',
+  learn: 'canLearn',
+  config: 'canConfigure'
+};
+
+/** Tool input field an `explain` subject is passed as */
+const SUBJECT_FIELDS = {
+  Bash: 'command',
+  Task: 'description',
+  WebFetch: 'url',
+  WebSearch: 'query',
+  Grep: 'pattern',
+  Glob: 'pattern'
+};
 
-export async function modeCommand(args) {
+/**
+ * @param {string[]} args - Positional arguments after `mode`
+ * @param {Object} [options]
+ * @param {string} [options.mode] - `explain`: mode to explain against (defaults to the current mode)
+ * @param {string} [options.tokens] - `explain`: estimated tokens for the action
+ * @param {boolean} [options.strict] - `validate`: fail on warnings
+ */
+export async function modeCommand(args, options = {}) {
   const enforcer = getEnforcer();
   const gate = getGate();
 
@@ -61,10 +91,23 @@ export async function modeCommand(args) {
       await gate.printStatus();
       break;
 
+    case 'validate':
+      validatePolicies(args.slice(1), options);
+      break;
+
+    case 'explain':
+      await explainAction(enforcer, args.slice(1).join(' '), options);
+      break;
+
     default:
+      // Custom modes defined by policy files
+      if (isValidMode(subcommand)) {
+        await switchMode(enforcer, subcommand, args);
+        break;
+      }
       console.error(chalk.red(`Unknown mode command: ${subcommand}`));
-      console.log(chalk.yellow(`\nValid modes: orchestrator, specialist, worker, review, learning`));
-      console.log(chalk.yellow(`Valid commands: history, stats, blocked, reset, status`));
+      console.log(chalk.yellow(`\nValid modes: ${listModes().join(', ')}`));
+      console.log(chalk.yellow(`Valid commands: history, stats, blocked, reset, status, validate, explain`));
       process.exit(1);
   }
 }
@@ -101,7 +144,7 @@ async function showCurrentMode(enforcer, gate) {
     console.log(chalk.gray(`Since: ${agentIdentity.setAt}`));
   }
 
-  console.log(chalk.dim(`\nSwitch modes with: boss-claude mode [orchestrator|specialist|worker|review|learning]`));
+  console.log(chalk.dim(`\nSwitch modes with: boss-claude mode [${listModes().join('|')}]`));
   console.log(chalk.dim(`View capabilities: boss-claude mode status\n`));
 }
 
@@ -109,7 +152,7 @@ async function showCurrentMode(enforcer, gate) {
 // SWITCH MODE
 // ==========================================
 async function switchMode(enforcer, mode, args) {
-  const validModes = Object.values(MODES);
+  const validModes = listModes();
 
   if (!validModes.includes(mode)) {
     console.error(chalk.red(`Invalid mode: ${mode}`));
@@ -248,3 +291,122 @@ async function resetMode(enforcer) {
     process.exit(1);
   }
 }
+
+// ==========================================
+// VALIDATE POLICY FILES
+// ==========================================
+function validatePolicies(files, options) {
+  const result = validatePolicyFiles(files);
+
+  if (result.files.length === 0) {
+    console.log(chalk.yellow(`\nNo mode policy files found in:`));
+    getPolicyDirs().forEach(({ dir }) => console.log(chalk.gray(`  ${dir}`)));
+    console.log('');
+    return;
+  }
+
+  console.log('');
+  result.files.forEach(file => {
+    const location = displayPath(file.file);
+    if (file.errors.length === 0 && file.warnings.length === 0) {
+      console.log(chalk.green('  ✓ ') + chalk.white(location) + chalk.gray(`  ${file.mode}`));
+      return;
+    }
+    file.errors.forEach(issue => {
+      console.log(`  ${chalk.white(`${location}${issue.line ? `:${issue.line}` : ''}`)}  ${chalk.red('error  ')}  ${issue.message}`);
+    });
+    file.warnings.forEach(issue => {
+      console.log(`  ${chalk.white(location)}  ${chalk.yellow('warning')}  ${issue.message}`);
+    });
+  });
+
+  const failed = result.errors > 0 || (options.strict && result.warnings > 0);
+  const summary = `\n${result.files.length} file(s), ${result.errors} error(s), ${result.warnings} warning(s)\n`;
+  console.log(failed ? chalk.red(summary) : chalk.green(summary));
+  if (failed) {
+    process.exit(1);
+  }
+}
+
+// ==========================================
+// EXPLAIN A DECISION
+// ==========================================
+function displayPath(file) {
+  const relative = path.relative(process.cwd(), file);
+  return relative && !relative.startsWith('..') ? relative : file;
+}
+
+function sourceLabel(source) {
+  return source === 'default' ? 'default' : displayPath(source);
+}
+
+async function explainAction(enforcer, actionText, options) {
+  if (!actionText.trim()) {
+    console.error(chalk.red('Usage: boss-claude mode explain <action> [--mode <mode>] [--tokens <count>]'));
+    console.log(chalk.gray('  Actions: delegate | execute | review | learn | config, or a tool call such as "Bash git push" or "Edit src/app.js"'));
+    process.exit(1);
+  }
+
+  const mode = options.mode || await enforcer.getCurrentMode();
+  if (!isValidMode(mode)) {
+    console.error(chalk.red(`Invalid mode: ${mode}`));
+    console.log(chalk.yellow(`Valid modes: ${listModes().join(', ')}`));
+    process.exit(1);
+  }
+
+  const tokens = options.tokens !== undefined ? parseInt(options.tokens, 10) : undefined;
+  if (options.tokens !== undefined && (!Number.isInteger(tokens) || tokens < 0)) {
+    console.error(chalk.red('--tokens must be a non-negative number'));
+    process.exit(1);
+  }
+
+  const policy = loadModePolicy(mode);
+  const [first, ...rest] = actionText.trim().split(/\s+/);
+  const name = first.replace(/:$/, '');
+  const subject = rest.join(' ');
+
+  console.log(chalk.bold.cyan(`\n[EXPLAIN] ${actionText}`) + chalk.gray(` in ${mode.toUpperCase()} mode`));
+  console.log(chalk.gray(`Policy: ${policy.sources.map(sourceLabel).join(' + ')}${policy.extends ? ` (extends ${policy.extends})` : ''}\n`));
+
+  const capability = GATE_ACTIONS[name.toLowerCase()];
+  if (capability) {
+    const allowed = policy.capabilities[capability];
+    const overBudget = tokens !== undefined && tokens > policy.maxTokens;
+    const source = sourceLabel(policy.fieldSources.capabilities || 'default');
+
+    console.log(`  capabilities.${capability} = ${allowed ? chalk.green('true') : chalk.red('false')}  ${chalk.gray(source)}`);
+    if (tokens !== undefined) {
+      console.log(`  maxTokens = ${policy.maxTokens}  ${overBudget ? chalk.red(`~${tokens} is over`) : chalk.green(`~${tokens} is within`)}  ${chalk.gray(sourceLabel(policy.fieldSources.maxTokens || 'default'))}`);
+    }
+
+    const decision = allowed && !overBudget;
+    console.log('');
+    console.log(decision
+      ? chalk.bold.green(`ALLOWED`) + chalk.gray(` - ${mode} mode can ${CAPABILITY_LABELS[capability]}`)
+      : chalk.bold.red(`BLOCKED`) + chalk.gray(` - ${!allowed ? `${mode} mode cannot ${CAPABILITY_LABELS[capability]}` : `over the ${policy.maxTokens} token limit`}`));
+    console.log('');
+    return;
+  }
+
+  const input = subject ? { [SUBJECT_FIELDS[name] || 'file_path']: subject } : {};
+  const evaluation = evaluateToolUse(policy, { tool: name, input, tokens });
+
+  // The last step is the one that decided
+  evaluation.trace.forEach((step, index) => {
+    const decided = index === evaluation.trace.length - 1;
+    console.log(`  ${decided ? chalk.white('→') : chalk.gray('·')} ${decided ? step : chalk.gray(step)}`);
+  });
+
+  const colors = { allow: chalk.bold.green, ask: chalk.bold.yellow, deny: chalk.bold.red };
+  const labels = { allow: 'ALLOWED', ask: 'ASK USER', deny: evaluation.delegate ? 'DELEGATE' : 'BLOCKED' };
+  console.log('');
+  console.log(colors[evaluation.decision](labels[evaluation.decision]) + chalk.gray(` - ${evaluation.reason}`));
+  if (evaluation.rule) {
+    const where = evaluation.rule.index !== null ? `${evaluation.rule.field}[${evaluation.rule.index}]` : evaluation.rule.field;
+    console.log(chalk.gray(`Rule: ${where} in ${sourceLabel(evaluation.rule.source)}`));
+    if (evaluation.rule.rule && typeof evaluation.rule.rule === 'object' && !Array.isArray(evaluation.rule.rule)) {
+      console.log(chalk.gray(JSON.stringify(evaluation.rule.rule, null, 2).split('\n').map(line => `  ${line}`).join('\n')));
+    }
+  }
+  console.log('');
+}
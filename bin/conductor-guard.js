@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * CONDUCTOR GUARD - Claude Code hook (PreToolUse, PostToolUse, SessionStart, Stop)
+ *
+ * Usage:
+ *   conductor-guard                      # Hook: read the hook JSON on stdin
+ *   conductor-guard test [fixtures...]   # Replay fixture payloads (default: config/hook-fixtures)
+ *   conductor-guard test --verbose       # Also print each hook output
+ *
+ * Errors inside the guard never block a tool: they are reported on stderr
+ * with exit code 1, which Claude Code treats as a non-blocking hook error.
+ * In hook mode stdout carries only the hook's JSON output; logs go to stderr.
+ */
+
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { routeLogsToStderr, parseHookPayload, handleHook, loadFixtures, replayFixture } from '../lib/conductor-guard.js';
+
+// Load environment variables (REDIS_URL for the current mode)
+const envPath = path.join(os.homedir(), '.boss-claude', '.env');
+if (existsSync(envPath)) {
+  dotenv.config({ path: envPath, quiet: true });
+}
+
+const args = process.argv.slice(2);
+const command = args[0] || 'hook';
+
+/**
+ * Exit once pending events are published, without waiting on open connections
+ */
+async function flushAndExit(code) {
+  const forceExitTimer = setTimeout(() => process.exit(code), 1500);
+  forceExitTimer.unref();
+
+  try {
+    const { default: eventBus } = await import('../lib/event-bus.js');
+    await eventBus.flush();
+  } catch (e) {
+    // Events are best effort
+  }
+
+  clearTimeout(forceExitTimer);
+  process.exit(code);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function runHook() {
+  if (process.stdin.isTTY) {
+    console.error(chalk.red('conductor-guard reads a Claude Code hook payload on stdin'));
+    console.error(chalk.gray('  Try: conductor-guard test'));
+    process.exit(1);
+  }
+
+  // stdout is the hook's answer - every log goes to stderr
+  routeLogsToStderr();
+
+  try {
+    const payload = parseHookPayload(await readStdin());
+
+    // Project mode policies are found relative to the session's directory
+    if (payload.cwd && existsSync(payload.cwd)) {
+      process.chdir(payload.cwd);
+    }
+
+    const output = await handleHook(payload);
+    if (output) {
+      process.stdout.write(JSON.stringify(output) + '\n');
+    }
+    await flushAndExit(0);
+  } catch (error) {
+    console.error(`[conductor-guard] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function runTests() {
+  const verbose = args.includes('--verbose') || args.includes('-v');
+  const paths = args.slice(1).filter(arg => !arg.startsWith('-'));
+
+  let fixtures;
+  try {
+    fixtures = loadFixtures(paths);
+  } catch (error) {
+    console.error(chalk.red('Error loading fixtures:'), error.message);
+    process.exit(1);
+  }
+
+  console.log(chalk.bold(`\nReplaying ${fixtures.length} hook fixture(s)\n`));
+
+  let failed = 0;
+  for (const fixture of fixtures) {
+    const result = await replayFixture(fixture);
+    const event = fixture.payload?.hook_event_name || '?';
+    const tool = fixture.payload?.tool_name ? ` ${fixture.payload.tool_name}` : '';
+    const label = `${fixture.name} ${chalk.gray(`(${event}${tool}${fixture.mode ? `, ${fixture.mode}` : ''})`)}`;
+
+    if (result.passed) {
+      console.log(chalk.green('  ✓ ') + label);
+    } else {
+      failed++;
+      console.log(chalk.red('  ✗ ') + label);
+      result.failures.forEach(failure => console.log(chalk.red(`      ${failure}`)));
+      if (result.actual?.reason) {
+        console.log(chalk.gray(`      reason: ${result.actual.reason}`));
+      }
+    }
+    if (verbose && result.output) {
+      console.log(chalk.gray(`      ${JSON.stringify(result.output)}`));
+    }
+  }
+
+  const summary = `\n${fixtures.length - failed} passed, ${failed} failed\n`;
+  console.log(failed > 0 ? chalk.red(summary) : chalk.green(summary));
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+switch (command) {
+  case 'hook':
+    await runHook();
+    break;
+
+  case 'test':
+    await runTests();
+    break;
+
+  case 'help':
+  case '--help':
+    console.log(chalk.bold.cyan('\nCONDUCTOR GUARD\n'));
+    console.log(chalk.white('Claude Code PreToolUse / PostToolUse hook enforcing the current mode policy\n'));
+    console.log(chalk.bold('Usage:\n'));
+    console.log(chalk.white('  conductor-guard                      Handle a hook payload on stdin'));
+    console.log(chalk.white('  conductor-guard test [fixtures...]   Replay fixture payloads (--verbose prints hook output)\n'));
+    break;
+
+  default:
+    console.error(chalk.red(`Unknown command: ${command}`));
+    console.log(chalk.gray('Run conductor-guard help for usage'));
+    process.exit(1);
+}
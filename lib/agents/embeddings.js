@@ -0,0 +1,126 @@
+/**
+ * EMBEDDING PROVIDERS
+ *
+ * Turns memory text into vectors for the memory supervisor's Qdrant index.
+ * Every provider exposes:
+ *   { name, dimensions, embed(texts: string[]) -> Promise<number[][]> }
+ *
+ * Providers (BOSS_CLAUDE_EMBEDDER in ~/.boss-claude/.env):
+ *   openai - OpenAI embeddings API (needs OPENAI_API_KEY)
+ *   local  - Deterministic feature-hashing embedder, no network, used by tests
+ * Defaults to openai when OPENAI_API_KEY is set, otherwise local.
+ */
+
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { tokenizeQuery } from '../memory-search.js';
+
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+const OPENAI_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+const LOCAL_DIMENSIONS = 256;
+
+/**
+ * Create the OpenAI embedding provider
+ * @param {Object} [options]
+ * @param {string} [options.model] - Embedding model name
+ * @param {string} [options.apiKey] - OpenAI API key
+ * @returns {Object} Embedding provider
+ */
+export function createOpenAIEmbedder(options = {}) {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY not found. Set it in ~/.boss-claude/.env or use BOSS_CLAUDE_EMBEDDER=local');
+  }
+
+  const model = options.model || process.env.BOSS_CLAUDE_EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL;
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    model,
+    dimensions: OPENAI_DIMENSIONS[model] || 1536,
+
+    async embed(texts) {
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Create the deterministic local embedding provider
+ *
+ * Hashes unigrams and bigrams into a fixed number of buckets (signed
+ * feature hashing) and L2-normalizes the result. The same text always
+ * produces the same vector, so it is safe to use in tests and offline.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dimensions=256] - Vector size
+ * @returns {Object} Embedding provider
+ */
+export function createLocalEmbedder(options = {}) {
+  const dimensions = options.dimensions || LOCAL_DIMENSIONS;
+
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const terms = tokenizeQuery(text);
+    const features = [...terms];
+    for (let i = 0; i < terms.length - 1; i++) {
+      features.push(`${terms[i]} ${terms[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32BE(0) % dimensions;
+      const sign = (hash[4] & 1) === 0 ? 1 : -1;
+      vector[bucket] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+  }
+
+  return {
+    name: 'local',
+    model: `feature-hash-${dimensions}`,
+    dimensions,
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+export const EMBEDDING_PROVIDERS = {
+  openai: createOpenAIEmbedder,
+  local: createLocalEmbedder
+};
+
+/**
+ * Create the embedding provider configured in the environment
+ * @returns {Object} Embedding provider
+ */
+export function createConfiguredEmbedder() {
+  const name = (process.env.BOSS_CLAUDE_EMBEDDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local'))
+    .trim()
+    .toLowerCase();
+
+  const factory = EMBEDDING_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown BOSS_CLAUDE_EMBEDDER "${name}". Valid providers: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
+
+export default {
+  createOpenAIEmbedder,
+  createLocalEmbedder,
+  createConfiguredEmbedder,
+  EMBEDDING_PROVIDERS
+};
@@ -0,0 +1,267 @@
+/**
+ * MEMORY QUERY CACHE
+ *
+ * Redis cache for memory recall queries (searchMemory and the memory
+ * supervisor). Degrades to a no-op when Redis is not configured or not
+ * reachable - every lookup is simply a miss.
+ *
+ * Redis Schema:
+ * - boss:cache:memory:q:{scope}:{hash}  # String (JSON result), TTL = cache TTL
+ * - boss:cache:memory:idx:{scope}       # Set of entry keys for a scope
+ * - boss:cache:memory:stats             # Hash: hits, misses, sets, evictions, expired, invalidations
+ *
+ * {scope} is the repo filter of the query, or "_all" for unscoped queries.
+ * {hash} is a SHA-1 of the normalized query plus its filters.
+ *
+ * Saving a memory for repo X invalidates scope X and "_all" (unscoped
+ * queries can return X's memories); other repos' entries stay warm.
+ */
+
+import crypto from 'crypto';
+import { ensureRedisConnected } from '../redis.js';
+
+const KEY_PREFIX = 'boss:cache:memory';
+const STATS_KEY = `${KEY_PREFIX}:stats`;
+const GLOBAL_SCOPE = '_all';
+
+/** Default cache TTL in seconds (5 minutes) - override with BOSS_CLAUDE_MEMORY_CACHE_TTL */
+const DEFAULT_TTL_SECONDS = 300;
+
+/**
+ * Configured cache TTL in seconds
+ * @returns {number}
+ */
+export function getCacheTtl() {
+  const ttl = parseInt(process.env.BOSS_CLAUDE_MEMORY_CACHE_TTL || '', 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Normalize query text so trivially different spellings share an entry
+ * Word order is kept - it affects phrase bonuses in ranking.
+ * @param {string} query
+ * @returns {string}
+ */
+export function normalizeQuery(query) {
+  return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Make a value safe to embed in a Redis key
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizeScope(value) {
+  return value ? String(value).replace(/[^a-zA-Z0-9._-]/g, '_') : GLOBAL_SCOPE;
+}
+
+/**
+ * Build the cache key for a query
+ * @param {Object} params
+ * @param {string} params.kind - Query source ('keyword' | 'supervisor')
+ * @param {string} params.query - Raw query text
+ * @param {number} [params.limit]
+ * @param {string} [params.repo]
+ * @param {string[]} [params.tags]
+ * @param {string} [params.backend] - Storage backend name
+ * @returns {{ key: string, scope: string }}
+ */
+export function buildCacheKey({ kind, query, limit = null, repo = null, tags = [], backend = null, ...filters }) {
+  const normalized = {
+    kind,
+    query: normalizeQuery(query),
+    limit,
+    repo: repo || null,
+    tags: [...(tags || [])].map(t => t.toLowerCase()).sort(),
+    backend,
+    // Any other filters (dates, agent, ranking mode) become part of the key, in stable order
+    filters: Object.keys(filters).sort().map(k => [k, filters[k] ?? null])
+  };
+
+  const hash = crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+  const scope = sanitizeScope(repo);
+  return { key: `${KEY_PREFIX}:q:${scope}:${hash}`, scope };
+}
+
+/**
+ * Look up a cached query result
+ * @param {Object} params - See buildCacheKey()
+ * @returns {Promise<*|null>} Cached value or null on miss / no Redis
+ */
+export async function getCachedQuery(params) {
+  const client = await ensureRedisConnected();
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const { key } = buildCacheKey(params);
+    const cached = await client.get(key);
+    await client.hincrby(STATS_KEY, cached ? 'hits' : 'misses', 1);
+    return cached ? JSON.parse(cached) : null;
+  } catch (err) {
+    // Treat any Redis problem as a miss
+    return null;
+  }
+}
+
+/**
+ * Store a query result
+ * @param {Object} params - See buildCacheKey()
+ * @param {*} value - JSON-serializable result
+ * @param {number} [ttl] - TTL in seconds (defaults to getCacheTtl())
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function setCachedQuery(params, value, ttl = getCacheTtl()) {
+  const client = await ensureRedisConnected();
+  if (!client) {
+    return false;
+  }
+
+  try {
+    const { key, scope } = buildCacheKey(params);
+    const indexKey = `${KEY_PREFIX}:idx:${scope}`;
+
+    const pipeline = client.pipeline();
+    pipeline.set(key, JSON.stringify(value), 'EX', ttl);
+    pipeline.sadd(indexKey, key);
+    pipeline.hincrby(STATS_KEY, 'sets', 1);
+    await pipeline.exec();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Delete every entry in one scope's index set
+ * @returns {Promise<{ evicted: number, expired: number }>}
+ */
+async function clearScope(client, scope) {
+  const indexKey = `${KEY_PREFIX}:idx:${scope}`;
+  const keys = await client.smembers(indexKey);
+  if (keys.length === 0) {
+    return { evicted: 0, expired: 0 };
+  }
+
+  const evicted = await client.del(...keys);
+  await client.del(indexKey);
+
+  // Index members whose entry was already gone expired through TTL
+  return { evicted, expired: keys.length - evicted };
+}
+
+/**
+ * Invalidate cached memory queries
+ * @param {string|null} [repo] - Repo whose memories changed; null clears every scope
+ * @returns {Promise<{ invalidated: number, expired?: number, scopes?: string[] }>}
+ */
+export async function invalidateMemoryCache(repo = null) {
+  const client = await ensureRedisConnected();
+  if (!client) {
+    return { invalidated: 0 };
+  }
+
+  let scopes;
+  if (repo) {
+    scopes = [...new Set([sanitizeScope(repo), GLOBAL_SCOPE])];
+  } else {
+    scopes = [];
+    let cursor = '0';
+    do {
+      const [next, keys] = await client.scan(cursor, 'MATCH', `${KEY_PREFIX}:idx:*`, 'COUNT', 100);
+      cursor = next;
+      scopes.push(...keys.map(k => k.slice(`${KEY_PREFIX}:idx:`.length)));
+    } while (cursor !== '0');
+  }
+
+  let evicted = 0;
+  let expired = 0;
+  for (const scope of scopes) {
+    const result = await clearScope(client, scope);
+    evicted += result.evicted;
+    expired += result.expired;
+  }
+
+  const pipeline = client.pipeline();
+  pipeline.hincrby(STATS_KEY, 'invalidations', 1);
+  pipeline.hincrby(STATS_KEY, 'evictions', evicted);
+  pipeline.hincrby(STATS_KEY, 'expired', expired);
+  await pipeline.exec();
+
+  return { invalidated: evicted, expired, scopes };
+}
+
+/**
+ * Count live cache entries with SCAN (never KEYS)
+ */
+async function countEntries(client) {
+  let count = 0;
+  let cursor = '0';
+  do {
+    const [next, keys] = await client.scan(cursor, 'MATCH', `${KEY_PREFIX}:q:*`, 'COUNT', 500);
+    cursor = next;
+    count += keys.length;
+  } while (cursor !== '0');
+  return count;
+}
+
+/**
+ * Memory query cache statistics
+ * @returns {Promise<{ enabled, hits, misses, sets, evictions, expired, invalidations, hit_rate, total_cached_queries, ttl_seconds }>}
+ */
+export async function getMemoryCacheStats() {
+  const empty = {
+    enabled: false,
+    hits: 0,
+    misses: 0,
+    sets: 0,
+    evictions: 0,
+    expired: 0,
+    invalidations: 0,
+    hit_rate: 0,
+    total_cached_queries: 0,
+    ttl_seconds: getCacheTtl()
+  };
+
+  const client = await ensureRedisConnected();
+  if (!client) {
+    return empty;
+  }
+
+  try {
+    const raw = await client.hgetall(STATS_KEY);
+    const stats = { ...empty, enabled: true };
+    for (const field of ['hits', 'misses', 'sets', 'evictions', 'expired', 'invalidations']) {
+      stats[field] = parseInt(raw[field] || 0, 10);
+    }
+
+    const lookups = stats.hits + stats.misses;
+    stats.hit_rate = lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 10 : 0;
+    stats.total_cached_queries = await countEntries(client);
+    return stats;
+  } catch (err) {
+    return empty;
+  }
+}
+
+/**
+ * Reset hit/miss/eviction counters
+ */
+export async function resetMemoryCacheStats() {
+  const client = await ensureRedisConnected();
+  if (client) {
+    await client.del(STATS_KEY);
+  }
+}
+
+export default {
+  normalizeQuery,
+  buildCacheKey,
+  getCachedQuery,
+  setCachedQuery,
+  invalidateMemoryCache,
+  getMemoryCacheStats,
+  resetMemoryCacheStats,
+  getCacheTtl
+};
@@ -0,0 +1,457 @@
+/**
+ * MEMORY SUPERVISOR
+ *
+ * Semantic recall over session memories.
+ *
+ * - saveMemory() calls indexMemory() so every new memory is embedded and
+ *   upserted into a Qdrant collection (QDRANT_URL / QDRANT_API_KEY).
+ * - queryMemorySupervisor(query, { limit, repo, tags }) embeds the query and
+ *   returns the most similar memories.
+ * - When Qdrant is not configured or unreachable, queries fall back to the
+ *   keyword ranking in lib/memory-search.js over the active storage backend,
+ *   the same way the Redis code degrades when getRedis() returns null.
+ *
+ * Results are cached in Redis (see ./memory-cache.js) and invalidated per
+ * repo whenever saveMemory() stores a new memory.
+ *
+ * Embeddings come from a pluggable provider (see ./embeddings.js). Tests can
+ * call setEmbeddingProvider(createLocalEmbedder()) to stay deterministic.
+ *
+ * Collections are named per provider and vector size
+ * (e.g. boss_claude_memories_local_256) so switching providers never mixes
+ * incompatible vectors.
+ */
+
+import crypto from 'crypto';
+import { QdrantClient } from '@qdrant/js-client-rest';
+import { createConfiguredEmbedder } from './embeddings.js';
+import { getMemoryBackend, getMemoryBackendName } from '../memory-backends/index.js';
+import { rankMemories, filterMemories, parseDateFilter, isMemoryInRepo } from '../memory-search.js';
+import { readMemoryRecord, parseMemoryTitle } from '../memory-record.js';
+import { ARCHIVED_LABEL } from '../memory-compactor.js';
+import { getCachedQuery, setCachedQuery, invalidateMemoryCache, getMemoryCacheStats } from './memory-cache.js';
+
+const DEFAULT_COLLECTION = 'boss_claude_memories';
+const DEFAULT_TIMEOUT_MS = 5000;
+/** Characters of memory body embedded alongside the title */
+const MAX_EMBED_CHARS = 8000;
+
+let qdrant = null;
+let embedder = null;
+/** Collections already created/verified in this process */
+const readyCollections = new Set();
+
+/**
+ * Get the Qdrant client singleton
+ * Returns null if QDRANT_URL is not configured (graceful degradation)
+ * @returns {QdrantClient|null}
+ */
+function getQdrant() {
+  if (qdrant) {
+    return qdrant;
+  }
+  if (!process.env.QDRANT_URL) {
+    return null;
+  }
+
+  qdrant = new QdrantClient({
+    url: process.env.QDRANT_URL,
+    apiKey: process.env.QDRANT_API_KEY || undefined,
+    checkCompatibility: false
+  });
+  return qdrant;
+}
+
+/**
+ * Replace the embedding provider (e.g. with a deterministic local embedder in tests)
+ * @param {Object|null} provider - Provider with { name, dimensions, embed(texts) }; null resets to the configured default
+ */
+export function setEmbeddingProvider(provider) {
+  embedder = provider;
+}
+
+/**
+ * Get the active embedding provider
+ * @returns {Object} Embedding provider
+ */
+export function getEmbeddingProvider() {
+  if (!embedder) {
+    embedder = createConfiguredEmbedder();
+  }
+  return embedder;
+}
+
+/**
+ * Collection name for the active provider
+ * @param {Object} provider - Embedding provider
+ * @returns {string}
+ */
+function getCollectionName(provider) {
+  const base = process.env.QDRANT_COLLECTION || DEFAULT_COLLECTION;
+  return `${base}_${provider.name}_${provider.dimensions}`;
+}
+
+/**
+ * Create the collection and payload indexes if missing
+ * @param {QdrantClient} client
+ * @param {string} collection
+ * @param {number} dimensions
+ */
+async function ensureCollection(client, collection, dimensions) {
+  if (readyCollections.has(collection)) {
+    return;
+  }
+
+  const { exists } = await client.collectionExists(collection);
+  if (!exists) {
+    await client.createCollection(collection, {
+      vectors: { size: dimensions, distance: 'Cosine' }
+    });
+    await client.createPayloadIndex(collection, { field_name: 'repo', field_schema: 'keyword', wait: true });
+    await client.createPayloadIndex(collection, { field_name: 'labels', field_schema: 'keyword', wait: true });
+    await client.createPayloadIndex(collection, { field_name: 'conductor', field_schema: 'keyword', wait: true });
+    await client.createPayloadIndex(collection, { field_name: 'created_ts', field_schema: 'integer', wait: true });
+  }
+
+  readyCollections.add(collection);
+}
+
+/**
+ * Deterministic point id for a memory (Qdrant ids must be uints or UUIDs)
+ * @param {string} backendName - Storage backend the memory lives in
+ * @param {number} number - Memory number in that backend
+ * @returns {string} UUID
+ */
+function pointId(backendName, number) {
+  const hex = crypto.createHash('sha1').update(`${backendName}:${number}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Text that represents a memory for embedding
+ * @param {Object} record - Memory record
+ * @returns {string}
+ */
+function embeddingText(record) {
+  return [record.title, record.labels.join(' '), (record.body || '').slice(0, MAX_EMBED_CHARS)]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Qdrant payload for a memory
+ * created_ts (epoch ms) backs --since/--until range filters.
+ * @param {Object} record - Backend record
+ * @param {Object} meta - { repo, summary }
+ * @param {string} backendName - Storage backend name
+ * @returns {Object}
+ */
+function buildPayload(record, meta, backendName) {
+  const title = parseMemoryTitle(record.title);
+  return {
+    number: record.number,
+    title: record.title,
+    summary: meta.summary || readMemoryRecord(record.body, record).summary,
+    url: record.url,
+    created_at: record.created_at,
+    created_ts: new Date(record.created_at).getTime(),
+    labels: record.labels,
+    repo: meta.repo || title.repo,
+    conductor: title.conductor,
+    backend: backendName,
+    archived: record.labels.includes(ARCHIVED_LABEL)
+  };
+}
+
+/**
+ * Embed a memory and upsert it into Qdrant
+ * No-op (returns { indexed: false }) when Qdrant is not configured.
+ * @param {Object} record - Backend record ({ number, title, body, url, created_at, labels })
+ * @param {Object} [meta]
+ * @param {string} [meta.repo] - Repo the memory belongs to
+ * @param {string} [meta.summary] - Short summary stored in the payload
+ * @returns {Promise<{ indexed: boolean, id?: string, collection?: string }>}
+ */
+export async function indexMemory(record, meta = {}) {
+  const client = getQdrant();
+  if (!client) {
+    return { indexed: false };
+  }
+
+  const provider = getEmbeddingProvider();
+  const collection = getCollectionName(provider);
+  await ensureCollection(client, collection, provider.dimensions);
+
+  const [vector] = await provider.embed([embeddingText(record)]);
+  const id = pointId(getMemoryBackendName(), record.number);
+
+  await client.upsert(collection, {
+    wait: true,
+    points: [{
+      id,
+      vector,
+      payload: buildPayload(record, meta, getMemoryBackendName())
+    }]
+  });
+
+  return { indexed: true, id, collection };
+}
+
+/**
+ * Embed every memory in the active storage backend (backfill)
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=32] - Memories embedded per provider call
+ * @returns {Promise<{ indexed: number, collection?: string }>}
+ */
+export async function indexAllMemories(options = {}) {
+  const client = getQdrant();
+  if (!client) {
+    return { indexed: 0 };
+  }
+
+  const batchSize = options.batchSize || 32;
+  const provider = getEmbeddingProvider();
+  const collection = getCollectionName(provider);
+  const backendName = getMemoryBackendName();
+  await ensureCollection(client, collection, provider.dimensions);
+
+  const records = await getMemoryBackend().list({ label: 'session', limit: null });
+  for (let i = 0; i < records.length; i += batchSize) {
+    const batch = records.slice(i, i + batchSize);
+    const vectors = await provider.embed(batch.map(embeddingText));
+
+    await client.upsert(collection, {
+      wait: true,
+      points: batch.map((record, j) => ({
+        id: pointId(backendName, record.number),
+        vector: vectors[j],
+        payload: buildPayload(record, {}, backendName)
+      }))
+    });
+  }
+
+  return { indexed: records.length, collection };
+}
+
+/**
+ * Flag memories as archived so vector search skips them
+ * Used by memory compaction once originals are folded into a digest.
+ * @param {number[]} numbers - Memory numbers in the active backend
+ * @returns {Promise<{ archived: number }>}
+ */
+export async function archiveMemoryVectors(numbers) {
+  const client = getQdrant();
+  if (!client || numbers.length === 0) {
+    return { archived: 0 };
+  }
+
+  const provider = getEmbeddingProvider();
+  const collection = getCollectionName(provider);
+  await ensureCollection(client, collection, provider.dimensions);
+
+  const backendName = getMemoryBackendName();
+  await client.setPayload(collection, {
+    wait: true,
+    payload: { archived: true },
+    points: numbers.map(number => pointId(backendName, number))
+  });
+
+  return { archived: numbers.length };
+}
+
+/**
+ * Reject after a timeout so a slow engine never blocks recall
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} label
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Vector similarity search in Qdrant
+ */
+async function searchVectors(client, query, { limit, repo, tags, since, until, conductor, preferRepo }) {
+  const provider = getEmbeddingProvider();
+  const collection = getCollectionName(provider);
+  await ensureCollection(client, collection, provider.dimensions);
+
+  const [vector] = await provider.embed([query]);
+
+  const must = [{ key: 'backend', match: { value: getMemoryBackendName() } }];
+  if (repo) {
+    must.push({ key: 'repo', match: { value: repo } });
+  }
+  if (tags && tags.length > 0) {
+    must.push({ key: 'labels', match: { any: tags } });
+  }
+  if (conductor) {
+    must.push({ key: 'conductor', match: { value: conductor } });
+  }
+  const sinceDate = parseDateFilter(since);
+  const untilDate = parseDateFilter(until, { endOfDay: true });
+  if (sinceDate || untilDate) {
+    must.push({
+      key: 'created_ts',
+      range: {
+        ...(sinceDate ? { gte: sinceDate.getTime() } : {}),
+        ...(untilDate ? { lte: untilDate.getTime() } : {})
+      }
+    });
+  }
+
+  // Over-fetch when re-ordering by repo so the preferred repo's hits are not cut off
+  const hits = await client.search(collection, {
+    vector,
+    limit: preferRepo ? limit * 3 : limit,
+    filter: { must, must_not: [{ key: 'archived', match: { value: true } }] },
+    with_payload: true
+  });
+
+  const results = hits.map(hit => ({
+    number: hit.payload.number,
+    title: hit.payload.title,
+    summary: hit.payload.summary,
+    url: hit.payload.url,
+    created_at: hit.payload.created_at,
+    labels: hit.payload.labels,
+    repo: hit.payload.repo,
+    score: Math.round(hit.score * 1000) / 1000
+  }));
+
+  if (!preferRepo) {
+    return results;
+  }
+
+  // Stable partition: preferred repo first, similarity order kept within each part
+  const isPreferred = (r) => isMemoryInRepo(r, preferRepo);
+  return [...results.filter(isPreferred), ...results.filter(r => !isPreferred(r))].slice(0, limit);
+}
+
+/**
+ * Keyword fallback over the storage backend
+ */
+async function searchKeywords(query, { limit, repo, tags, since, until, conductor, preferRepo }) {
+  const records = (await getMemoryBackend().list({ label: 'session', limit: null }))
+    .filter(r => !r.labels.includes(ARCHIVED_LABEL));
+
+  const candidates = filterMemories(records, { repo, tags, since, until, conductor });
+
+  return rankMemories(candidates, query, limit, { preferRepo }).map(({ record, score, matches }) => ({
+    number: record.number,
+    title: record.title,
+    summary: readMemoryRecord(record.body, record).summary,
+    url: record.url,
+    created_at: record.created_at,
+    labels: record.labels,
+    repo: parseMemoryTitle(record.title).repo,
+    score,
+    matches
+  }));
+}
+
+/**
+ * Answer a recall query by semantic similarity
+ * @param {string} query - Natural language query
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum results
+ * @param {string} [options.repo] - Only memories for this repo
+ * @param {string[]} [options.tags] - Only memories carrying any of these labels
+ * @param {string} [options.since] - Created on/after (YYYY-MM-DD, ISO timestamp, or age like 7d)
+ * @param {string} [options.until] - Created on/before
+ * @param {string} [options.conductor] - Only memories saved by this conductor
+ * @param {string} [options.preferRepo] - Rank this repo's memories first
+ * @param {number} [options.timeout=5000] - Per-engine timeout in ms
+ * @param {boolean} [options.useCache=true] - Read from the query cache (results are always written back)
+ * @param {number} [options.cacheTtl] - Cache TTL in seconds (defaults to BOSS_CLAUDE_MEMORY_CACHE_TTL)
+ * @returns {Promise<{ query, results, total_results, cache_hit, engineers_queried, query_time_ms }>}
+ */
+export async function queryMemorySupervisor(query, options = {}) {
+  const startTime = Date.now();
+  const {
+    limit = 5,
+    repo = null,
+    tags = [],
+    since = null,
+    until = null,
+    conductor = null,
+    preferRepo = null,
+    timeout = DEFAULT_TIMEOUT_MS,
+    useCache = true,
+    cacheTtl
+  } = options;
+  const searchOptions = { limit, repo, tags, since, until, conductor, preferRepo };
+  const cacheParams = { kind: 'supervisor', backend: getMemoryBackendName(), query, ...searchOptions };
+
+  if (useCache) {
+    const cached = await getCachedQuery(cacheParams);
+    if (cached) {
+      return { ...cached, cache_hit: true, query_time_ms: Date.now() - startTime };
+    }
+  }
+
+  const engineers = [];
+
+  let results = null;
+
+  const client = getQdrant();
+  if (client) {
+    const engineStart = Date.now();
+    try {
+      results = await withTimeout(searchVectors(client, query, searchOptions), timeout, 'Qdrant search');
+      engineers.push({ engineer: 'qdrant', result_count: results.length, duration_ms: Date.now() - engineStart });
+    } catch (err) {
+      engineers.push({ engineer: 'qdrant', error: err.message, duration_ms: Date.now() - engineStart });
+      results = null;
+    }
+  }
+
+  if (!results) {
+    const engineStart = Date.now();
+    results = await withTimeout(searchKeywords(query, searchOptions), timeout, 'Keyword search');
+    engineers.push({ engineer: 'keyword', result_count: results.length, duration_ms: Date.now() - engineStart });
+  }
+
+  const response = {
+    query,
+    results,
+    total_results: results.length,
+    cache_hit: false,
+    engineers_queried: engineers,
+    query_time_ms: Date.now() - startTime
+  };
+
+  // Only cache complete answers - a Qdrant failure should be retried next time
+  if (!engineers.some(e => e.error)) {
+    await setCachedQuery(cacheParams, response, cacheTtl);
+  }
+
+  return response;
+}
+
+export { invalidateMemoryCache, getMemoryCacheStats };
+
+/**
+ * Release the Qdrant client
+ */
+export async function closeConnections() {
+  qdrant = null;
+  readyCollections.clear();
+}
+
+export default {
+  queryMemorySupervisor,
+  indexMemory,
+  indexAllMemories,
+  archiveMemoryVectors,
+  setEmbeddingProvider,
+  getEmbeddingProvider,
+  invalidateMemoryCache,
+  getMemoryCacheStats,
+  closeConnections
+};
@@ -0,0 +1,154 @@
+/**
+ * MEMORY SUMMARIZERS
+ *
+ * Turn a group of session memories into the text of one digest memory for
+ * `boss-claude memory compact`. Every summarizer exposes:
+ *   { name, summarize(group) -> Promise<{ summary: string, decisions: string[] }> }
+ *
+ * group = { repo, window: { key, from, to }, memories: [{ number, title, created_at, record }] }
+ * where `record` is the parsed memory record (see ../memory-record.js).
+ *
+ * Summarizers (BOSS_CLAUDE_MEMORY_SUMMARIZER in ~/.boss-claude/.env):
+ *   heuristic - Local, deterministic: counts sessions and lists distinct summaries (default)
+ *   openai    - Chat completion summary (needs OPENAI_API_KEY)
+ */
+
+import OpenAI from 'openai';
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+/** Distinct session summaries listed in a heuristic digest */
+const MAX_HIGHLIGHTS = 20;
+/** Auto-generated summaries that say nothing about the work */
+const BOILERPLATE_SUMMARY = /^session saved( for .+)?$/i;
+
+/**
+ * Distinct, meaningful session summaries in chronological order
+ * @param {Object} group
+ * @returns {string[]}
+ */
+function distinctSummaries(group) {
+  const seen = new Set();
+  const summaries = [];
+  for (const memory of group.memories) {
+    const summary = (memory.record.summary || '').split('\n')[0].trim();
+    const key = summary.toLowerCase();
+    if (!summary || BOILERPLATE_SUMMARY.test(summary) || seen.has(key)) continue;
+    seen.add(key);
+    summaries.push(summary);
+  }
+  return summaries;
+}
+
+/**
+ * Every decision recorded in the group, de-duplicated
+ * @param {Object} group
+ * @returns {string[]}
+ */
+function collectDecisions(group) {
+  return [...new Set(group.memories.flatMap(memory => memory.record.decisions || []))];
+}
+
+/**
+ * Headline shared by every summarizer
+ * @param {Object} group
+ * @returns {string}
+ */
+function headline(group) {
+  return `${group.memories.length} sessions in ${group.repo} from ${group.window.from.slice(0, 10)} to ${group.window.to.slice(0, 10)}.`;
+}
+
+/**
+ * Create the local heuristic summarizer
+ * @returns {Object} Summarizer
+ */
+export function createHeuristicSummarizer() {
+  return {
+    name: 'heuristic',
+
+    async summarize(group) {
+      const summaries = distinctSummaries(group);
+      const lines = [headline(group)];
+
+      if (summaries.length > 0) {
+        lines.push('', 'Highlights:');
+        lines.push(...summaries.slice(0, MAX_HIGHLIGHTS).map(s => `- ${s}`));
+        if (summaries.length > MAX_HIGHLIGHTS) {
+          lines.push(`- ...and ${summaries.length - MAX_HIGHLIGHTS} more`);
+        }
+      }
+
+      return { summary: lines.join('\n'), decisions: collectDecisions(group) };
+    }
+  };
+}
+
+/**
+ * Create the OpenAI summarizer
+ * @param {Object} [options]
+ * @param {string} [options.model] - Chat model name
+ * @param {string} [options.apiKey] - OpenAI API key
+ * @returns {Object} Summarizer
+ */
+export function createOpenAISummarizer(options = {}) {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY not found. Set it in ~/.boss-claude/.env or use BOSS_CLAUDE_MEMORY_SUMMARIZER=heuristic');
+  }
+
+  const model = options.model || process.env.BOSS_CLAUDE_SUMMARIZER_MODEL || DEFAULT_OPENAI_MODEL;
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+
+    async summarize(group) {
+      const decisions = collectDecisions(group);
+      const notes = group.memories
+        .map(memory => `- ${memory.created_at.slice(0, 10)}: ${memory.record.summary || memory.title}`)
+        .join('\n');
+
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          {
+            role: 'system',
+            content: 'You condense coding session notes into a short digest. Reply with at most 8 plain sentences or bullets. Keep file names, features and bugs; drop filler.'
+          },
+          {
+            role: 'user',
+            content: `Repository: ${group.repo}\n\nSessions:\n${notes}${decisions.length ? `\n\nDecisions:\n${decisions.map(d => `- ${d}`).join('\n')}` : ''}`
+          }
+        ]
+      });
+
+      const text = (response.choices[0]?.message?.content || '').trim();
+      return { summary: `${headline(group)}\n\n${text}`, decisions };
+    }
+  };
+}
+
+export const SUMMARIZERS = {
+  heuristic: createHeuristicSummarizer,
+  openai: createOpenAISummarizer
+};
+
+/**
+ * Create a summarizer by name, or the one configured in the environment
+ * @param {string} [name] - Summarizer name (defaults to BOSS_CLAUDE_MEMORY_SUMMARIZER, then heuristic)
+ * @returns {Object} Summarizer
+ */
+export function createSummarizer(name) {
+  const resolved = (name || process.env.BOSS_CLAUDE_MEMORY_SUMMARIZER || 'heuristic').trim().toLowerCase();
+  const factory = SUMMARIZERS[resolved];
+  if (!factory) {
+    throw new Error(`Unknown summarizer "${resolved}". Valid summarizers: ${Object.keys(SUMMARIZERS).join(', ')}`);
+  }
+  return factory();
+}
+
+export default {
+  createHeuristicSummarizer,
+  createOpenAISummarizer,
+  createSummarizer,
+  SUMMARIZERS
+};
@@ -0,0 +1,274 @@
+/**
+ * SESSION CHECKPOINTS
+ *
+ * A checkpoint is a point-in-time copy of what a session was doing in a repo,
+ * so a crashed or compacted Claude Code session can pick up where it left off.
+ * Each one captures:
+ * - The live session hash of every agent, and the recorded transcript totals
+ * - Active work orders
+ * - Other terminals working on the repo
+ * - The current mode
+ * - Recent event bus activity (boss:events:log)
+ *
+ * Checkpoints are rows in boss_claude.memory_snapshots (snapshot_type
+ * 'checkpoint'), so they need BOSS_CLAUDE_PG_URL as well as Redis.
+ *
+ * Restoring merges the session hashes back with restoreSessionSnapshot()
+ * (./session.js): counters keep the larger of the checkpoint and live value,
+ * so restoring twice never counts a token twice. Once the repo's session has
+ * been saved after the checkpoint its tokens are already in history, and
+ * counters are only restored when forced.
+ */
+
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { ensureRedisConnected } from './redis.js';
+import { loadIdentity } from './identity.js';
+import { getCurrentRepo, snapshotSessions, restoreSessionSnapshot, aggregateSessions } from './session.js';
+import { getSessionUser, getLastSessionEnd } from './session-history.js';
+import { getActiveWorkOrders, getWorkOrder } from './work-order.js';
+import { getTerminalsForRepo } from './terminal-registry.js';
+import { getEnforcer } from './mode-enforcer.js';
+import { getConductorName } from './conductor-name.js';
+import eventBus from './event-bus.js';
+
+const execAsync = promisify(exec);
+
+export const CHECKPOINT_TYPE = 'checkpoint';
+
+/** snapshot_data format version */
+export const CHECKPOINT_VERSION = 1;
+
+/** Recent events a checkpoint keeps by default */
+export const DEFAULT_CHECKPOINT_EVENTS = 50;
+
+/** Largest value memory_snapshots.efficiency (NUMERIC(4,2)) holds */
+const MAX_PG_EFFICIENCY = 99.99;
+
+/** Checkpoint ids are UUIDs; any unambiguous prefix of 4+ characters is accepted */
+const ID_PREFIX_PATTERN = /^[0-9a-f-]{4,36}$/i;
+
+/**
+ * Connected Redis client, or throw - the live session state is in Redis
+ */
+async function requireRedis() {
+  const client = await ensureRedisConnected();
+  if (!client) {
+    throw new Error('Redis not available. Checkpoints need REDIS_URL in ~/.boss-claude/.env');
+  }
+  return client;
+}
+
+/**
+ * Postgres snapshot queries, or throw (imported lazily: lib/postgres.js opens its pool on import)
+ */
+async function requireSnapshots() {
+  if (!process.env.BOSS_CLAUDE_PG_URL) {
+    throw new Error('Checkpoints are stored in Postgres. Set BOSS_CLAUDE_PG_URL in ~/.boss-claude/.env');
+  }
+  const { snapshots } = await import('./postgres.js');
+  return snapshots;
+}
+
+async function gitOutput(command) {
+  try {
+    const { stdout } = await execAsync(command);
+    return stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert a memory_snapshots row into a checkpoint
+ */
+function fromRow(row) {
+  const data = row.snapshot_data || {};
+  return {
+    ...data,
+    id: row.id,
+    created_at: new Date(row.created_at).toISOString(),
+    level: row.level,
+    token_bank: row.token_bank,
+    total_xp: row.total_xp,
+    efficiency: row.efficiency === null ? null : Number(row.efficiency)
+  };
+}
+
+/**
+ * Snapshot the current repo's session
+ * @param {string} [label] - Short note on where the work stands
+ * @param {Object} [options]
+ * @param {number} [options.events=DEFAULT_CHECKPOINT_EVENTS] - Recent events to keep
+ * @returns {Promise<Object>} The checkpoint
+ */
+export async function createCheckpoint(label = null, options = {}) {
+  const { events = DEFAULT_CHECKPOINT_EVENTS } = options;
+  const repo = await getCurrentRepo();
+  if (!repo) {
+    throw new Error('Not in a git repository');
+  }
+
+  const client = await requireRedis();
+  const snapshots = await requireSnapshots();
+
+  const [state, workOrders, terminals, mode, identity, branch, commit, recentEvents] = await Promise.all([
+    snapshotSessions(client, repo.name),
+    getActiveWorkOrders(repo.name),
+    getTerminalsForRepo(repo.name),
+    getEnforcer().getCurrentMode(),
+    loadIdentity(),
+    gitOutput('git rev-parse --abbrev-ref HEAD'),
+    gitOutput('git rev-parse HEAD'),
+    events > 0 ? eventBus.getLoggedEvents(events) : []
+  ]);
+
+  const totals = aggregateSessions(state.sessions);
+  const snapshotData = {
+    version: CHECKPOINT_VERSION,
+    label: label || null,
+    repo: repo.name,
+    path: repo.path,
+    branch,
+    commit,
+    conductor: getConductorName(),
+    mode,
+    totals: {
+      tokens_used: totals.tokens_used,
+      conductor_tokens: totals.conductor_tokens,
+      agent_tokens: totals.agent_tokens,
+      delegations: totals.delegations,
+      started_at: totals.started_at
+    },
+    sessions: state.sessions,
+    transcripts: state.transcripts,
+    work_orders: workOrders,
+    terminals,
+    events: recentEvents
+  };
+
+  const efficiency = totals.conductor_tokens > 0
+    ? Math.min(MAX_PG_EFFICIENCY, Math.round((totals.agent_tokens / totals.conductor_tokens) * 100) / 100)
+    : 0;
+
+  const row = await snapshots.create(getSessionUser(), null, CHECKPOINT_TYPE, {
+    level: identity.level,
+    tokenBank: Math.round(identity.balance || 0),
+    totalXp: identity.xp,
+    efficiency,
+    snapshotData
+  });
+
+  eventBus.emitSessionUpdated('checkpoint-created', { id: row.id, label: snapshotData.label, repo: repo.name });
+
+  return fromRow({
+    ...row,
+    snapshot_data: snapshotData,
+    level: identity.level,
+    token_bank: Math.round(identity.balance || 0),
+    total_xp: identity.xp,
+    efficiency
+  });
+}
+
+/**
+ * Checkpoints, newest first
+ * @param {Object} [options]
+ * @param {string} [options.repo] - Only this repository
+ * @param {number|null} [options.limit=20]
+ * @returns {Promise<Object[]>}
+ */
+export async function listCheckpoints(options = {}) {
+  const { repo = null, limit = 20 } = options;
+  const snapshots = await requireSnapshots();
+  const rows = await snapshots.list(getSessionUser(), { type: CHECKPOINT_TYPE, repo, limit });
+  return rows.map(fromRow);
+}
+
+/**
+ * One checkpoint
+ * @param {string} id - Checkpoint id or a unique prefix of it
+ * @returns {Promise<Object|null>}
+ * @throws {Error} When the prefix matches several checkpoints
+ */
+export async function getCheckpoint(id) {
+  if (!ID_PREFIX_PATTERN.test(id || '')) {
+    return null;
+  }
+
+  const snapshots = await requireSnapshots();
+  const rows = (await snapshots.findByIdPrefix(getSessionUser(), id.toLowerCase()))
+    .filter(row => row.snapshot_type === CHECKPOINT_TYPE);
+  if (rows.length > 1) {
+    throw new Error(`Checkpoint id "${id}" is ambiguous - use more characters`);
+  }
+  return rows.length === 1 ? fromRow(rows[0]) : null;
+}
+
+/**
+ * Restore a checkpoint into the live session
+ * @param {string} [id] - Checkpoint id or prefix (default: the current repo's latest)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Restore token counters even if the session was saved since
+ * @returns {Promise<Object>} { checkpoint, sessions, tokens_restored, saved_since, work_orders, mode }
+ */
+export async function restoreCheckpoint(id = null, options = {}) {
+  const { force = false } = options;
+
+  let checkpoint;
+  if (id) {
+    checkpoint = await getCheckpoint(id);
+    if (!checkpoint) {
+      throw new Error(`Checkpoint ${id} not found`);
+    }
+  } else {
+    const repo = await getCurrentRepo();
+    if (!repo) {
+      throw new Error('Not in a git repository - pass a checkpoint id');
+    }
+    [checkpoint] = await listCheckpoints({ repo: repo.name, limit: 1 });
+    if (!checkpoint) {
+      throw new Error(`No checkpoints for ${repo.name}`);
+    }
+  }
+
+  const client = await requireRedis();
+  const lastSaved = await getLastSessionEnd(checkpoint.repo);
+  const savedSince = Boolean(lastSaved && lastSaved > new Date(checkpoint.created_at));
+
+  const restored = savedSince && !force
+    ? { sessions: 0, tokens_restored: 0 }
+    : await restoreSessionSnapshot(client, checkpoint.repo, checkpoint);
+
+  const workOrders = await Promise.all((checkpoint.work_orders || []).map(async order => {
+    const current = await getWorkOrder(order.id);
+    return { id: order.id, title: order.title, status: current ? current.status : 'missing' };
+  }));
+
+  const currentMode = await getEnforcer().getCurrentMode();
+
+  eventBus.emitSessionUpdated('checkpoint-restored', {
+    id: checkpoint.id,
+    repo: checkpoint.repo,
+    tokensRestored: restored.tokens_restored
+  });
+
+  return {
+    checkpoint,
+    sessions: restored.sessions,
+    tokens_restored: restored.tokens_restored,
+    saved_since: savedSince,
+    work_orders: workOrders,
+    mode: { checkpoint: checkpoint.mode || null, current: currentMode }
+  };
+}
+
+export default {
+  CHECKPOINT_TYPE,
+  CHECKPOINT_VERSION,
+  DEFAULT_CHECKPOINT_EVENTS,
+  createCheckpoint,
+  listCheckpoints,
+  getCheckpoint,
+  restoreCheckpoint
+};
@@ -0,0 +1,407 @@
+/**
+ * CONDUCTOR GUARD
+ *
+ * Claude Code hook handler behind bin/conductor-guard.js. Claude Code runs the
+ * hook for every tool call and passes the call as JSON on stdin:
+ *   { session_id, cwd, hook_event_name, tool_name, tool_input, tool_response? }
+ *
+ * PreToolUse:  the call is checked against the current mode's policy through
+ *              the orchestrator gate (see ./mode-policy.js). Denied and
+ *              escalated calls answer with a permission decision:
+ *                { hookSpecificOutput: { hookEventName: 'PreToolUse',
+ *                  permissionDecision: 'deny' | 'ask' | 'allow', permissionDecisionReason } }
+ *              Allowed calls print nothing, so Claude Code's own permission
+ *              rules still apply, unless BOSS_CLAUDE_GUARD_AUTO_ALLOW=true.
+ * PostToolUse: token usage in the tool result is read with parseTokenStats()
+ *              (estimated from the result size when it reports none) and
+ *              emitted on the event bus as 'tool-executed' and 'tokens-tracked'.
+ * SessionStart: answers with the session context (see ./session-context.js).
+ * Stop / SubagentStop: the real token usage in the session transcript
+ *              (transcript_path, see ./transcript-usage.js) is written to the
+ *              session hash as exact conductor and agent tokens.
+ * Other events are accepted and ignored, so one command can be installed for
+ * every hook (see lib/setup/claude-settings.js).
+ *
+ * Claude Code only reads a hook's stdout as a decision if it is exactly one
+ * JSON document, so hook processes call routeLogsToStderr() before loading
+ * anything that logs.
+ *
+ * Fixtures replayed by `conductor-guard test` (config/hook-fixtures/*.json)
+ * are hook payloads with the mode to check them in and the expected result:
+ *   { name, mode, payload, expect: { decision, delegate } | { usedTokens, isEstimate }
+ *     | { conductorTokens, agentTokens, agentCount } }
+ * With `process: true` the payload is piped through a separate conductor-guard
+ * process instead, which must exit with one JSON document on stdout:
+ *   { name, process: true, payload, expect: { stdout: 'json', exitCode: 0 } }
+ * A fixture file holds one fixture or an array of them. Transcript paths in
+ * Stop fixtures are relative to the fixture file.
+ */
+
+import { spawn } from 'child_process';
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadModePolicy, evaluateToolUse, toolSubject } from './mode-policy.js';
+import { parseTokenStats, parseTokensFromMessage, estimateTokens } from './token-parser.js';
+import { readTranscriptUsage } from './transcript-usage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES_DIR = path.join(__dirname, '..', 'config', 'hook-fixtures');
+
+const GUARD_BIN = path.join(__dirname, '..', 'bin', 'conductor-guard.js');
+
+/** How long a `process: true` fixture may run */
+const PROCESS_FIXTURE_TIMEOUT_MS = 20000;
+
+/**
+ * Send console.log/info/debug to stderr, keeping stdout for the hook's JSON
+ * Library modules log progress with console.log (Redis subscriptions,
+ * terminal cleanup); call this before importing them in a hook process.
+ */
+export function routeLogsToStderr() {
+  const log = (...args) => console.error(...args);
+  console.log = log;
+  console.info = log;
+  console.debug = log;
+}
+
+/** Events that carry a tool call */
+const TOOL_EVENTS = ['PreToolUse', 'PostToolUse'];
+
+/**
+ * Parse the JSON Claude Code passes to a hook
+ * @param {string} text - Hook stdin
+ * @returns {Object} Payload
+ * @throws {Error} When the input is not a hook payload
+ */
+export function parseHookPayload(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid hook input: ${error.message}`);
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Invalid hook input: expected a JSON object');
+  }
+  if (!payload.hook_event_name) {
+    throw new Error('Invalid hook input: hook_event_name is required');
+  }
+  if (TOOL_EVENTS.includes(payload.hook_event_name) && !payload.tool_name) {
+    throw new Error(`Invalid hook input: ${payload.hook_event_name} needs tool_name`);
+  }
+  return payload;
+}
+
+/**
+ * PreToolUse hook output for a policy decision
+ * @param {Object} evaluation - { tool, decision, reason, delegate }
+ * @param {Object} [options]
+ * @param {boolean} [options.autoAllow] - Answer 'allow' too (skips Claude Code's permission prompt)
+ * @returns {Object|null} Hook output, or null to leave the decision to Claude Code
+ */
+export function preToolUseOutput(evaluation, options = {}) {
+  const autoAllow = options.autoAllow ?? process.env.BOSS_CLAUDE_GUARD_AUTO_ALLOW === 'true';
+  if (evaluation.decision === 'allow' && !autoAllow) {
+    return null;
+  }
+
+  const reason = evaluation.decision === 'deny' && evaluation.delegate && evaluation.tool !== 'Task'
+    ? `${evaluation.reason}. Hand this to an agent with the Task tool instead.`
+    : evaluation.reason;
+
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: evaluation.decision,
+      permissionDecisionReason: reason
+    }
+  };
+}
+
+/**
+ * Check a tool call before it runs
+ * Without `options.mode` the call goes through the orchestrator gate for the
+ * current mode, so it is counted, and blocked calls are recorded and emitted.
+ * @param {Object} payload - PreToolUse hook payload
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Check against this mode's policy only (no Redis, no events)
+ * @param {boolean} [options.autoAllow]
+ * @returns {Promise<{ evaluation: Object, output: Object|null }>}
+ */
+export async function handlePreToolUse(payload, options = {}) {
+  const tool = payload.tool_name;
+  const input = payload.tool_input || {};
+  let evaluation;
+
+  if (options.mode) {
+    const policy = loadModePolicy(options.mode);
+    if (!policy) {
+      throw new Error(`No policy for mode "${options.mode}"`);
+    }
+    evaluation = { ...evaluateToolUse(policy, { tool, input }), tool, mode: options.mode };
+  } else {
+    // Loaded on demand so fixture replays run without Redis
+    const { getGate } = await import('./orchestrator-gate.js');
+    try {
+      const result = await getGate().beforeToolUse(tool, input);
+      evaluation = { tool, decision: result.decision, delegate: false, reason: result.reason, rule: result.rule, mode: result.mode };
+    } catch (error) {
+      if (error.code !== 'MODE_VIOLATION') throw error;
+      const { violation } = error;
+      evaluation = { tool, decision: 'deny', delegate: violation.delegate, reason: error.message, rule: violation.rule, mode: violation.mode };
+    }
+
+    if (tool === 'Task' && evaluation.decision !== 'deny') {
+      const { default: eventBus } = await import('./event-bus.js');
+      eventBus.emitDelegation(input.subagent_type || 'agent', input.description || toolSubject(tool, input).slice(0, 80));
+    }
+  }
+
+  return { evaluation, output: preToolUseOutput(evaluation, options) };
+}
+
+/**
+ * Text of a tool result, for token estimates
+ */
+function responseText(response) {
+  if (response === undefined || response === null) return '';
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+/**
+ * Token usage reported by (or estimated from) a tool result
+ * @param {*} response - tool_response from a PostToolUse payload
+ * @returns {Object} { usedTokens, totalTokens, inputTokens?, outputTokens?, isEstimate? }
+ */
+export function toolResultTokens(response) {
+  const stats = typeof response === 'string'
+    ? parseTokensFromMessage(response)
+    : parseTokenStats(response);
+  if (stats) return stats;
+
+  return { usedTokens: estimateTokens(responseText(response)), totalTokens: null, isEstimate: true };
+}
+
+/**
+ * Record a tool call after it ran
+ * @param {Object} payload - PostToolUse hook payload
+ * @param {Object} [options]
+ * @param {boolean} [options.emit=true] - Emit events (off for fixture replays)
+ * @returns {Promise<{ tool: string, delegated: boolean, success: boolean, tokens: Object }>}
+ */
+export async function handlePostToolUse(payload, options = {}) {
+  const tool = payload.tool_name;
+  const response = payload.tool_response;
+  const failed = Boolean(response && typeof response === 'object' && (response.is_error || response.error || response.interrupted));
+  const result = {
+    tool,
+    delegated: tool === 'Task',
+    success: !failed,
+    tokens: toolResultTokens(response)
+  };
+
+  if (options.emit !== false) {
+    const { default: eventBus } = await import('./event-bus.js');
+    const subject = toolSubject(tool, payload.tool_input || {}).split('\n')[0].slice(0, 200);
+    eventBus.emitToolExecuted(tool, { subject, sessionId: payload.session_id || null }, { success: result.success }, result.delegated, response?.totalDurationMs || 0);
+    eventBus.emitTokensTracked('hook', result.tokens);
+  }
+
+  return result;
+}
+
+/**
+ * Record the session's real token usage when Claude Code (or a subagent) stops
+ * Usage is recomputed from the whole transcript each time, so repeated Stop
+ * and SubagentStop events for a session leave the same totals.
+ * @param {Object} payload - Stop or SubagentStop hook payload
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - Write to the session hash (off for fixture replays)
+ * @returns {Promise<{ usage: Object, recorded: Object|null }>}
+ */
+export async function handleStop(payload, options = {}) {
+  if (!payload.transcript_path) {
+    throw new Error(`${payload.hook_event_name} needs transcript_path`);
+  }
+
+  const usage = await readTranscriptUsage(payload.transcript_path, {
+    sessionId: payload.session_id,
+    subagentTranscripts: [payload.agent_transcript_path]
+  });
+
+  if (options.record === false) {
+    return { usage, recorded: null };
+  }
+
+  const { recordTranscriptUsage } = await import('./session.js');
+  return { usage, recorded: await recordTranscriptUsage(usage) };
+}
+
+/**
+ * Handle one hook payload
+ * @param {Object} payload - From parseHookPayload()
+ * @param {Object} [options] - Passed to the event handler
+ * @returns {Promise<Object|null>} Hook output to print as JSON, or null
+ */
+export async function handleHook(payload, options = {}) {
+  switch (payload.hook_event_name) {
+    case 'PreToolUse':
+      return (await handlePreToolUse(payload, options)).output;
+    case 'PostToolUse':
+      await handlePostToolUse(payload, options);
+      return null;
+    case 'SessionStart': {
+      const { sessionStartOutput } = await import('./session-context.js');
+      return sessionStartOutput(options);
+    }
+    case 'Stop':
+    case 'SubagentStop':
+      await handleStop(payload, options);
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read fixtures from files and directories
+ * @param {string[]} [paths] - Defaults to FIXTURES_DIR
+ * @returns {Array<Object>} Fixtures with `file`
+ * @throws {Error} On missing or unreadable fixture files
+ */
+export function loadFixtures(paths = []) {
+  const targets = paths.length > 0 ? paths : [FIXTURES_DIR];
+  const files = targets.flatMap(target => {
+    if (!existsSync(target)) {
+      throw new Error(`Fixture not found: ${target}`);
+    }
+    if (statSync(target).isDirectory()) {
+      return readdirSync(target)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(target, name));
+    }
+    return [target];
+  });
+
+  return files.flatMap(file => {
+    let content;
+    try {
+      content = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+    return (Array.isArray(content) ? content : [content]).map((fixture, index) => ({
+      name: fixture.name || `${path.basename(file)}[${index}]`,
+      ...fixture,
+      file
+    }));
+  });
+}
+
+/**
+ * Pipe a payload through a conductor-guard process
+ * @returns {Promise<{ stdout: string, stderr: string, exitCode: number|null }>}
+ */
+function runGuardProcess(payload) {
+  return new Promise((resolve, reject) => {
+    // execArgv carries loaders and flags the test run itself was started with
+    const child = spawn(process.execPath, [...process.execArgv, GUARD_BIN], {
+      cwd: path.join(__dirname, '..'),
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    const timer = setTimeout(() => child.kill(), PROCESS_FIXTURE_TIMEOUT_MS);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => { clearTimeout(timer); reject(error); });
+    child.on('close', exitCode => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr, exitCode });
+    });
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * What a hook process printed: 'empty', 'json' (exactly one JSON document) or 'mixed'
+ */
+function classifyStdout(stdout) {
+  if (stdout.trim() === '') return 'empty';
+  try {
+    JSON.parse(stdout);
+    return 'json';
+  } catch (error) {
+    return 'mixed';
+  }
+}
+
+/**
+ * Replay one fixture and compare it with what it expects
+ * @param {Object} fixture - From loadFixtures()
+ * @returns {Promise<{ fixture: Object, passed: boolean, actual: Object, output: Object|null, failures: string[] }>}
+ */
+export async function replayFixture(fixture) {
+  const expect = fixture.expect || {};
+  const failures = [];
+  let actual;
+  let output = null;
+
+  try {
+    const payload = parseHookPayload(JSON.stringify(fixture.payload));
+    if (fixture.process) {
+      const result = await runGuardProcess(payload);
+      actual = { stdout: classifyStdout(result.stdout), exitCode: result.exitCode };
+      if (actual.exitCode !== 0 && result.stderr.trim()) {
+        actual.reason = result.stderr.trim().split('\n').pop();
+      }
+      if (actual.stdout === 'json') {
+        output = JSON.parse(result.stdout);
+      }
+    } else if (payload.hook_event_name === 'PreToolUse') {
+      const result = await handlePreToolUse(payload, { mode: fixture.mode || 'orchestrator', autoAllow: true });
+      actual = { decision: result.evaluation.decision, delegate: result.evaluation.delegate, reason: result.evaluation.reason };
+      output = result.output;
+    } else if (payload.hook_event_name === 'PostToolUse') {
+      const result = await handlePostToolUse(payload, { emit: false });
+      actual = { usedTokens: result.tokens.usedTokens, isEstimate: Boolean(result.tokens.isEstimate), success: result.success };
+    } else if (payload.hook_event_name === 'Stop' || payload.hook_event_name === 'SubagentStop') {
+      const relative = file => file && fixture.file ? path.resolve(path.dirname(fixture.file), file) : file;
+      const { usage } = await handleStop({
+        ...payload,
+        transcript_path: relative(payload.transcript_path),
+        agent_transcript_path: relative(payload.agent_transcript_path)
+      }, { record: false });
+      actual = { conductorTokens: usage.conductor.total, agentTokens: usage.agentTotal.total, agentCount: Object.keys(usage.agents).length };
+    } else {
+      throw new Error(`Unsupported hook event: ${payload.hook_event_name}`);
+    }
+  } catch (error) {
+    return { fixture, passed: false, actual: null, output: null, failures: [error.message] };
+  }
+
+  for (const [key, value] of Object.entries(expect)) {
+    if (actual[key] !== value) {
+      failures.push(`expected ${key} ${JSON.stringify(value)}, got ${JSON.stringify(actual[key])}`);
+    }
+  }
+
+  return { fixture, passed: failures.length === 0, actual, output, failures };
+}
+
+export default {
+  FIXTURES_DIR,
+  routeLogsToStderr,
+  parseHookPayload,
+  preToolUseOutput,
+  handlePreToolUse,
+  toolResultTokens,
+  handlePostToolUse,
+  handleStop,
+  handleHook,
+  loadFixtures,
+  replayFixture
+};
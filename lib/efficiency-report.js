@@ -0,0 +1,213 @@
+/**
+ * EFFICIENCY REPORT
+ *
+ * What `boss-claude efficiency` shows:
+ * - The live session: conductor vs agent tokens per agent (getEfficiencyStats)
+ * - Its rating (getEfficiencyRating in ./token-parser.js) and the XP and $ it
+ *   would earn if saved now
+ * - Trends across past sessions: per-day activity and the top sessions, from
+ *   boss_claude.sessions (stats.getActivity / stats.getTopSessions) when
+ *   BOSS_CLAUDE_PG_URL is set, otherwise from the Redis session history
+ *
+ * Efficiency is agent tokens per conductor token: the more of the work the
+ * conductor delegates, the higher it is. Past sessions store agent tokens as
+ * boss_claude.sessions.tokens_saved (see ./session-history.js).
+ */
+
+import { getCurrentRepo, getEfficiencyStats, BASE_SESSION_XP } from './session.js';
+import { getEfficiencyRating } from './token-parser.js';
+import { getActiveWorkOrders } from './work-order.js';
+import { getSessionUser, listSessionHistory } from './session-history.js';
+
+/** How far back trends go without --since */
+export const DEFAULT_TREND_DAYS = 30;
+
+/** Top sessions listed */
+export const DEFAULT_TOP_SESSIONS = 5;
+
+/** Relative change in average efficiency that counts as a trend */
+const TREND_THRESHOLD = 0.1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * YYYY-MM-DD for a date (pg DATE columns are parsed as local midnight)
+ */
+function dayString(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Per-agent rows with each agent's share of the session's tokens
+ */
+function agentBreakdown(stats) {
+  const total = stats.total_tokens || 0;
+  return (stats.agents || []).map(agent => ({
+    name: agent.name,
+    tokens: agent.tokens,
+    agent_tokens: agent.agent_tokens,
+    delegations: agent.delegations,
+    share: total > 0 ? round((agent.tokens / total) * 100) : 0
+  }));
+}
+
+/**
+ * Day-by-day activity and top sessions from Postgres
+ */
+async function postgresTrends(since, top) {
+  const { stats } = await import('./postgres.js');
+  const userId = getSessionUser();
+  const days = Math.max(1, Math.ceil((Date.now() - since.getTime()) / DAY_MS));
+
+  const [activity, topSessions] = await Promise.all([
+    stats.getActivity(userId, days),
+    stats.getTopSessions(userId, top, since)
+  ]);
+
+  return {
+    source: 'postgres',
+    days: activity.map(row => ({
+      date: dayString(row.date),
+      sessions: Number(row.sessions),
+      xp_earned: Number(row.total_xp || 0),
+      agent_tokens: Number(row.total_tokens || 0),
+      avg_efficiency: row.avg_efficiency === null ? null : Number(row.avg_efficiency)
+    })),
+    top_sessions: topSessions.map(row => ({
+      repo: row.project,
+      started_at: new Date(row.start_time).toISOString(),
+      xp_earned: row.xp_earned,
+      agent_tokens: row.tokens_saved,
+      efficiency: row.efficiency_multiplier === null ? null : Number(row.efficiency_multiplier),
+      delegations: row.tasks_completed,
+      summary: row.summary
+    }))
+  };
+}
+
+/**
+ * Day-by-day activity and top sessions from the Redis session history
+ */
+async function historyTrends(since, top) {
+  const records = await listSessionHistory({ since, limit: null });
+
+  const byDay = new Map();
+  for (const record of records) {
+    const date = dayString(record.started_at);
+    const day = byDay.get(date) || { date, sessions: 0, xp_earned: 0, agent_tokens: 0, efficiency_total: 0 };
+    day.sessions++;
+    day.xp_earned += record.xp_earned || 0;
+    day.agent_tokens += record.agent_tokens || 0;
+    day.efficiency_total += record.efficiency_ratio || 0;
+    byDay.set(date, day);
+  }
+
+  return {
+    source: 'history',
+    days: [...byDay.values()]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map(({ efficiency_total: efficiencyTotal, ...day }) => ({ ...day, avg_efficiency: round(efficiencyTotal / day.sessions) })),
+    top_sessions: [...records]
+      .sort((a, b) => (b.xp_earned || 0) - (a.xp_earned || 0))
+      .slice(0, top)
+      .map(record => ({
+        repo: record.repo,
+        started_at: record.started_at,
+        xp_earned: record.xp_earned || 0,
+        agent_tokens: record.agent_tokens || 0,
+        efficiency: record.efficiency_ratio || 0,
+        delegations: record.delegations || 0,
+        summary: record.summary
+      }))
+  };
+}
+
+/**
+ * Whether average efficiency went up or down: the older half of the days
+ * against the newer half
+ * @param {Object[]} days - Newest first
+ * @returns {string|null} 'improving' | 'declining' | 'steady', or null with under two days
+ */
+export function efficiencyDirection(days) {
+  const values = days.map(day => day.avg_efficiency).filter(value => value !== null).reverse();
+  if (values.length < 2) return null;
+
+  const half = Math.floor(values.length / 2);
+  const average = (list) => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const older = average(values.slice(0, half));
+  const newer = average(values.slice(values.length - half));
+
+  if (older === 0) return newer > 0 ? 'improving' : 'steady';
+  const change = (newer - older) / older;
+  if (change > TREND_THRESHOLD) return 'improving';
+  if (change < -TREND_THRESHOLD) return 'declining';
+  return 'steady';
+}
+
+/**
+ * Build the efficiency report
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Trends start (default DEFAULT_TREND_DAYS ago)
+ * @param {number} [options.top=DEFAULT_TOP_SESSIONS] - Top sessions to list
+ * @returns {Promise<Object>} { repo, current, rating, projection, trends }; current/rating/projection
+ *   are null outside a repo or without Redis, trends.error is set when history could not be read
+ */
+export async function buildEfficiencyReport(options = {}) {
+  const since = options.since || new Date(Date.now() - DEFAULT_TREND_DAYS * DAY_MS);
+  const top = options.top ?? DEFAULT_TOP_SESSIONS;
+
+  const repo = await getCurrentRepo();
+  const stats = repo ? await getEfficiencyStats() : null;
+
+  let current = null;
+  let rating = null;
+  let projection = null;
+  if (stats) {
+    const ratio = stats.conductor_tokens > 0
+      ? stats.agent_tokens / stats.conductor_tokens
+      : (stats.agent_tokens > 0 ? Infinity : 0);
+    current = { ...stats, ratio: Number.isFinite(ratio) ? round(ratio) : null, agents: agentBreakdown(stats) };
+    rating = getEfficiencyRating(ratio);
+
+    // Saving only pays with an active work order; xp and dollars are what it would pay then
+    const workOrders = await getActiveWorkOrders(repo.name).catch(() => []);
+    const xp = BASE_SESSION_XP + stats.projected_bonus_xp + stats.delegation_bonus_xp;
+    projection = {
+      base_xp: BASE_SESSION_XP,
+      efficiency_bonus_xp: stats.projected_bonus_xp,
+      delegation_bonus_xp: stats.delegation_bonus_xp,
+      xp,
+      dollars: round((xp / 500) * 100),
+      work_order: workOrders.length > 0
+    };
+  }
+
+  let trends;
+  try {
+    trends = process.env.BOSS_CLAUDE_PG_URL
+      ? await postgresTrends(since, top)
+      : await historyTrends(since, top);
+    trends.direction = efficiencyDirection(trends.days);
+  } catch (error) {
+    trends = { source: null, days: [], top_sessions: [], direction: null, error: error.message };
+  }
+
+  return {
+    repo: repo ? repo.name : null,
+    current,
+    rating,
+    projection,
+    trends: { since: since.toISOString(), ...trends }
+  };
+}
+
+export default {
+  DEFAULT_TREND_DAYS,
+  DEFAULT_TOP_SESSIONS,
+  efficiencyDirection,
+  buildEfficiencyReport
+};
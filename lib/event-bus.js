@@ -8,7 +8,9 @@
  * Events:
  * - 'tokens-updated' - Token count changed (source, amount, total)
  * - 'tokens-tracked' - Token tracking event with parsed data
- * - 'violation' - Delegation violation detected (severity, details)
+ * - 'violation' - Delegation violation detected (severity, details); mode gate
+ *   violations also carry gate, mode, capability, requiredModes and action
+ * - 'mode-changed' - Operating mode switched (from, to, setBy, reason)
  * - 'delegation' - Task delegated to agent (agentId, task)
  * - 'delegation-started' - Delegation process initiated
  * - 'delegation-completed' - Delegation process finished
@@ -17,11 +19,23 @@
  * - 'agent-started' - Agent spawned (agentId, task)
  * - 'agent-completed' - Agent finished (agentId, success, tokens, duration)
  * - 'tool-executed' - Tool execution completed (tool, params, result)
+ * - 'work-order-created' - Work order started (id, title, repo)
+ * - 'work-order-completed' - Work order completed (id, title, repo, note)
+ * - 'work-order-cancelled' - Work order cancelled (id, title, repo, note)
+ *
+ * Events published to Redis are also kept in the capped list boss:events:log
+ * (newest first), so other processes can read recent activity (getLoggedEvents).
  */
 
 import { EventEmitter } from 'events';
 import { getRedis, ensureRedisConnected, getSubscriberConnection, subscribeToChannel } from './redis.js';
 
+/** Redis list of recently published events, newest first */
+const EVENT_LOG_KEY = 'boss:events:log';
+
+/** Events kept in EVENT_LOG_KEY */
+const EVENT_LOG_LIMIT = 200;
+
 class BossClaudeEventBus extends EventEmitter {
   constructor(options = {}) {
     super();
@@ -40,9 +54,10 @@ class BossClaudeEventBus extends EventEmitter {
     this.processId = `${process.pid}-${Date.now()}`; // Unique process identifier
 
     // Initialize Redis connection (non-blocking)
-    this.initializeRedis().catch(err => {
+    this.ready = this.initializeRedis().catch(err => {
       console.error('[event-bus] Redis initialization failed:', err.message);
     });
+    this.pendingPublishes = new Set();
 
     // Periodic cleanup under memory pressure
     this.cleanupInterval = setInterval(() => {
@@ -108,7 +123,8 @@ class BossClaudeEventBus extends EventEmitter {
    * Publish event to Redis channel
    */
   async publishToRedis(event) {
-    if (!this.redisEnabled || !this.redisPublisher) {
+    // Publishing only needs the main connection, not this process's subscriber
+    if (!this.redisPublisher) {
       return;
     }
 
@@ -119,7 +135,12 @@ class BossClaudeEventBus extends EventEmitter {
         origin: this.processId
       };
 
-      await this.redisPublisher.publish('boss:events', JSON.stringify(eventWithOrigin));
+      const message = JSON.stringify(eventWithOrigin);
+      await this.redisPublisher.multi()
+        .publish('boss:events', message)
+        .lpush(EVENT_LOG_KEY, message)
+        .ltrim(EVENT_LOG_KEY, 0, EVENT_LOG_LIMIT - 1)
+        .exec();
       console.error(`[event-bus] Published to Redis: ${event.name}`);
     } catch (err) {
       console.error('[event-bus] Failed to publish to Redis:', err.message);
@@ -209,10 +230,24 @@ class BossClaudeEventBus extends EventEmitter {
     // Also emit a wildcard event for universal listeners
     this.emit('*', event);
 
-    // Publish to Redis for cross-process distribution (non-blocking)
-    this.publishToRedis(event).catch(err => {
-      // Silent failure - already logged in publishToRedis
-    });
+    // Publish to Redis for cross-process distribution (non-blocking),
+    // once the connection attempt has settled
+    const publish = this.ready
+      .then(() => this.publishToRedis(event))
+      .catch(err => {
+        // Silent failure - already logged in publishToRedis
+      })
+      .finally(() => this.pendingPublishes.delete(publish));
+    this.pendingPublishes.add(publish);
+  }
+
+  /**
+   * Wait until every event emitted so far has been published to Redis
+   * Short-lived processes (hooks) call this before exiting.
+   */
+  async flush() {
+    await this.ready;
+    await Promise.all([...this.pendingPublishes]);
   }
 
   /**
@@ -364,6 +399,30 @@ class BossClaudeEventBus extends EventEmitter {
     return this.eventLog.slice(-count);
   }
 
+  /**
+   * Recent events published by any process, oldest first
+   * @param {number} [count=20]
+   * @returns {Promise<Object[]>} Empty without Redis
+   */
+  async getLoggedEvents(count = 20) {
+    const client = await ensureRedisConnected();
+    if (!client) {
+      return [];
+    }
+
+    const entries = await client.lrange(EVENT_LOG_KEY, 0, count - 1);
+    return entries
+      .map(entry => {
+        try {
+          return JSON.parse(entry);
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .reverse();
+  }
+
   /**
    * Clear event log
    */
@@ -7,6 +7,8 @@
 export * from './identity.js';
 export * from './session.js';
 export * from './memory.js';
+export * from './work-order.js';
+export * from './session-history.js';
 export * from './postgres.js';
 export * from './validators/index.js';
 export * from './tool-wrapper-integration.js';
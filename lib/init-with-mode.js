@@ -234,12 +234,3 @@ export async function preActionHook(actionType, options = {}) {
 
   return true;
 }
-
-/**
- * Exports
- */
-export {
-  getStatusWithMode,
-  initOrchestratorSession,
-  preActionHook
-};
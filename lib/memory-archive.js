@@ -0,0 +1,258 @@
+/**
+ * MEMORY ARCHIVES
+ *
+ * Backup and migration for session memories.
+ *
+ * exportMemories() writes every session memory from a storage backend to a
+ * versioned archive; importMemories() replays an archive into any backend.
+ * Imports are idempotent - a memory whose title and body already exist in
+ * the target is skipped, so the same archive can be imported repeatedly.
+ *
+ * Archive formats (version 1):
+ *   jsonl  - line 1 is the manifest, every following line is one memory
+ *   tar    - gzipped tarball holding manifest.json and memories.jsonl
+ *
+ * Manifest: { format, version, exported_at, source: { backend }, count }
+ * Memory:   { number, title, body, labels, state, created_at, updated_at,
+ *             url, fingerprint, session }
+ * `session` is the raw session data from the memory record (or null).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { parseMemoryRecord } from './memory-record.js';
+import { createTar, extractTar } from './tar.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export const ARCHIVE_FORMAT = 'boss-claude-memory-archive';
+export const ARCHIVE_VERSION = 1;
+export const ARCHIVE_TYPES = ['jsonl', 'tar'];
+
+const MANIFEST_FILE = 'manifest.json';
+const MEMORIES_FILE = 'memories.jsonl';
+
+/**
+ * Session data embedded in a memory body, for either record format
+ * @param {string} body - Memory body
+ * @returns {Object|null} Session data, or null if absent or malformed
+ */
+export function parseSessionData(body) {
+  try {
+    return parseMemoryRecord(body).session;
+  } catch (err) {
+    // Written by a newer release - the raw body is still exported
+    return null;
+  }
+}
+
+/**
+ * Content fingerprint used to detect memories that already exist
+ * Numbers, URLs and timestamps change between backends, so only the
+ * title and body identify a memory.
+ * @param {{ title: string, body?: string }} record
+ * @returns {string} sha256 hex digest
+ */
+export function memoryFingerprint(record) {
+  return crypto
+    .createHash('sha256')
+    .update(`${record.title}\n${record.body || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Convert a backend record into an archive entry
+ * @param {Object} record - Backend record
+ * @returns {Object} Archive entry
+ */
+function toArchiveEntry(record) {
+  return {
+    number: record.number,
+    title: record.title,
+    body: record.body || '',
+    labels: record.labels || [],
+    state: record.state || 'open',
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+    url: record.url,
+    fingerprint: memoryFingerprint(record),
+    session: parseSessionData(record.body)
+  };
+}
+
+/**
+ * Pick the archive type from an explicit option or the file extension
+ * @param {string} file - Archive path
+ * @param {string} [type] - 'jsonl' | 'tar'
+ * @returns {string}
+ */
+function resolveArchiveType(file, type) {
+  if (type) {
+    if (!ARCHIVE_TYPES.includes(type)) {
+      throw new Error(`Unknown archive format "${type}". Valid formats: ${ARCHIVE_TYPES.join(', ')}`);
+    }
+    return type;
+  }
+  return /\.(tar\.gz|tgz)$/.test(file) ? 'tar' : 'jsonl';
+}
+
+// =============================================================================
+// Export / import
+// =============================================================================
+
+/**
+ * Export every session memory to an archive
+ * @param {Object} backend - Source memory backend
+ * @param {string} file - Archive path to write
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'jsonl' | 'tar' (defaults from the file extension)
+ * @returns {Promise<{ file: string, format: string, count: number }>}
+ */
+export async function exportMemories(backend, file, options = {}) {
+  const format = resolveArchiveType(file, options.format);
+  const records = await backend.list({ label: 'session', limit: null });
+
+  // Oldest first, so an import recreates memories in their original order
+  const entries = records.map(toArchiveEntry).reverse();
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    source: { backend: backend.name },
+    count: entries.length
+  };
+  const memoriesJsonl = entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+
+  await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+
+  if (format === 'tar') {
+    const tar = createTar([
+      { name: MANIFEST_FILE, content: Buffer.from(JSON.stringify(manifest, null, 2) + '\n') },
+      { name: MEMORIES_FILE, content: Buffer.from(memoriesJsonl) }
+    ]);
+    await fs.writeFile(file, await gzip(tar), { mode: 0o600 });
+  } else {
+    await fs.writeFile(file, JSON.stringify(manifest) + '\n' + memoriesJsonl, { mode: 0o600 });
+  }
+
+  return { file, format, count: entries.length };
+}
+
+/**
+ * Parse JSONL memory lines
+ * @param {string} content
+ * @param {number} firstLine - Line number of the first line (for errors)
+ */
+function parseEntries(content, firstLine) {
+  return content
+    .split('\n')
+    .map((line, i) => ({ line, number: firstLine + i }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Invalid memory on line ${number}: ${err.message}`);
+      }
+    });
+}
+
+/**
+ * Read and validate an archive
+ * @param {string} file - Archive path
+ * @returns {Promise<{ manifest: Object, entries: Object[] }>}
+ */
+export async function readArchive(file) {
+  let raw = await fs.readFile(file);
+  let manifest;
+  let entries;
+
+  // gzip magic bytes - a tarball regardless of the file name
+  if (raw[0] === 0x1f && raw[1] === 0x8b) {
+    raw = await gunzip(raw);
+    const files = extractTar(raw);
+    if (!files.has(MANIFEST_FILE) || !files.has(MEMORIES_FILE)) {
+      throw new Error(`${file} is not a memory archive (missing ${MANIFEST_FILE} or ${MEMORIES_FILE})`);
+    }
+    manifest = JSON.parse(files.get(MANIFEST_FILE).toString('utf8'));
+    entries = parseEntries(files.get(MEMORIES_FILE).toString('utf8'), 1);
+  } else {
+    const content = raw.toString('utf8');
+    const newline = content.indexOf('\n');
+    const header = newline === -1 ? content : content.slice(0, newline);
+    try {
+      manifest = JSON.parse(header);
+    } catch (err) {
+      throw new Error(`${file} is not a memory archive (unreadable manifest line)`);
+    }
+    entries = newline === -1 ? [] : parseEntries(content.slice(newline + 1), 2);
+  }
+
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`${file} is not a memory archive (format "${manifest.format}")`);
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than supported version ${ARCHIVE_VERSION}. Upgrade boss-claude.`);
+  }
+
+  return { manifest, entries };
+}
+
+/**
+ * Import an archive into a backend, skipping memories already present
+ * @param {Object} backend - Target memory backend
+ * @param {string} file - Archive path
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would be imported without writing
+ * @param {Function} [options.onImported] - Called with each created record
+ * @returns {Promise<{ total: number, imported: number, skipped: number, manifest: Object }>}
+ */
+export async function importMemories(backend, file, options = {}) {
+  const { manifest, entries } = await readArchive(file);
+
+  const existing = await backend.list({ label: 'session', limit: null });
+  const seen = new Set(existing.map(memoryFingerprint));
+
+  let imported = 0;
+  let skipped = 0;
+
+  for (const entry of entries) {
+    // Recompute rather than trust the archive, in case it was edited by hand
+    const fingerprint = memoryFingerprint(entry);
+    if (seen.has(fingerprint)) {
+      skipped++;
+      continue;
+    }
+    seen.add(fingerprint);
+
+    if (!options.dryRun) {
+      const record = await backend.create({
+        title: entry.title,
+        body: entry.body,
+        labels: entry.labels || ['session'],
+        state: entry.state,
+        created_at: entry.created_at
+      });
+      if (options.onImported) {
+        await options.onImported(record);
+      }
+    }
+    imported++;
+  }
+
+  return { total: entries.length, imported, skipped, manifest };
+}
+
+export default {
+  exportMemories,
+  importMemories,
+  readArchive,
+  parseSessionData,
+  memoryFingerprint,
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION
+};
@@ -0,0 +1,126 @@
+/**
+ * GitHub Issues Memory Backend
+ *
+ * Stores each memory as an issue in the GITHUB_MEMORY_REPO repository.
+ * This is the original Boss Claude storage and remains the default.
+ */
+
+import { Octokit } from '@octokit/rest';
+
+/**
+ * Convert a GitHub issue into a backend record
+ * @param {Object} issue - Issue payload from Octokit
+ * @returns {Object} Memory record
+ */
+function toRecord(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body || '',
+    url: issue.html_url,
+    state: issue.state,
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    labels: issue.labels.map(l => (typeof l === 'string' ? l : l.name))
+  };
+}
+
+/**
+ * Create the GitHub Issues backend
+ * @returns {Object} Memory backend
+ */
+export function createGithubBackend() {
+  let octokit = null;
+
+  function getClient() {
+    if (!octokit) {
+      if (!process.env.GITHUB_TOKEN) {
+        throw new Error('GITHUB_TOKEN not found. Please run: boss-claude init');
+      }
+      octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+    }
+    return octokit;
+  }
+
+  function getRepo() {
+    const owner = process.env.GITHUB_OWNER;
+    if (!owner) {
+      throw new Error('GITHUB_OWNER environment variable is required. Please run: boss-claude init');
+    }
+    return { owner, repo: process.env.GITHUB_MEMORY_REPO || 'boss-claude-memory' };
+  }
+
+  return {
+    name: 'github',
+
+    async create({ title, body, labels = [], state = 'open' }) {
+      // GitHub always stamps created_at itself, so an imported timestamp cannot be kept
+      const { data } = await getClient().issues.create({
+        ...getRepo(),
+        title,
+        body,
+        labels
+      });
+
+      if (state === 'closed') {
+        const { data: closed } = await getClient().issues.update({
+          ...getRepo(),
+          issue_number: data.number,
+          state: 'closed'
+        });
+        return toRecord(closed);
+      }
+      return toRecord(data);
+    },
+
+    async list({ label = 'session', limit = null } = {}) {
+      const client = getClient();
+      const records = [];
+
+      // Page through the whole repo (newest first) until the limit is reached
+      for await (const { data } of client.paginate.iterator(client.issues.listForRepo, {
+        ...getRepo(),
+        labels: label || undefined,
+        state: 'all',
+        sort: 'created',
+        direction: 'desc',
+        per_page: 100
+      })) {
+        for (const issue of data) {
+          // The issues endpoint also returns pull requests
+          if (issue.pull_request) continue;
+          records.push(toRecord(issue));
+          if (limit && records.length >= limit) {
+            return records;
+          }
+        }
+      }
+
+      return records;
+    },
+
+    async get(number) {
+      const { data } = await getClient().issues.get({
+        ...getRepo(),
+        issue_number: number
+      });
+      return toRecord(data);
+    },
+
+    async update(number, { state, labels } = {}) {
+      const { data } = await getClient().issues.update({
+        ...getRepo(),
+        issue_number: number,
+        ...(state ? { state } : {}),
+        ...(labels ? { labels } : {})
+      });
+      return toRecord(data);
+    },
+
+    async close() {
+      octokit = null;
+    }
+  };
+}
+
+export default createGithubBackend;
@@ -0,0 +1,91 @@
+/**
+ * Memory Storage Backends
+ *
+ * saveMemory, searchMemory and getMemoryByIssue all go through the backend
+ * selected by BOSS_CLAUDE_MEMORY_BACKEND in ~/.boss-claude/.env:
+ *   github   - GitHub Issues in GITHUB_MEMORY_REPO (default)
+ *   local    - JSONL file under ~/.boss-claude/memory (offline, no PAT needed)
+ *   postgres - boss_claude.memories table via BOSS_CLAUDE_PG_URL
+ *
+ * Every backend exposes the same interface and returns records shaped as
+ *   { number, title, body, url, state, created_at, updated_at, labels: string[] }
+ *
+ *   create({ title, body, labels, state?, created_at? }) -> record
+ *     (state and created_at are honoured where the store allows - used by import)
+ *   list({ label, limit })          -> records, newest first (all of them when limit is null)
+ *   get(number)                     -> record
+ *   update(number, { state, labels }) -> record (used to archive compacted memories)
+ *   close()                         -> release clients
+ */
+
+import { createGithubBackend } from './github.js';
+import { createLocalBackend } from './local.js';
+import { createPostgresBackend } from './postgres.js';
+
+export const MEMORY_BACKENDS = {
+  github: createGithubBackend,
+  local: createLocalBackend,
+  postgres: createPostgresBackend
+};
+
+export const DEFAULT_MEMORY_BACKEND = 'github';
+
+let backend = null;
+
+/**
+ * Resolve the configured backend name
+ * @returns {string} Backend name
+ */
+export function getMemoryBackendName() {
+  const name = (process.env.BOSS_CLAUDE_MEMORY_BACKEND || DEFAULT_MEMORY_BACKEND).trim().toLowerCase();
+  if (!MEMORY_BACKENDS[name]) {
+    throw new Error(
+      `Unknown BOSS_CLAUDE_MEMORY_BACKEND "${name}". Valid backends: ${Object.keys(MEMORY_BACKENDS).join(', ')}`
+    );
+  }
+  return name;
+}
+
+/**
+ * Create a backend by name without touching the shared singleton
+ * @param {string} name - Backend name
+ * @param {Object} [options] - Backend specific options
+ * @returns {Object} Memory backend
+ */
+export function createMemoryBackend(name, options = {}) {
+  const factory = MEMORY_BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown memory backend "${name}". Valid backends: ${Object.keys(MEMORY_BACKENDS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Get the memory backend singleton
+ * @returns {Object} Memory backend
+ */
+export function getMemoryBackend() {
+  if (!backend) {
+    backend = createMemoryBackend(getMemoryBackendName());
+  }
+  return backend;
+}
+
+/**
+ * Close the active backend and drop the singleton
+ */
+export async function closeMemoryBackend() {
+  if (backend) {
+    const active = backend;
+    backend = null;
+    await active.close();
+  }
+}
+
+export default {
+  getMemoryBackend,
+  getMemoryBackendName,
+  createMemoryBackend,
+  closeMemoryBackend,
+  MEMORY_BACKENDS
+};
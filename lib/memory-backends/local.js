@@ -0,0 +1,212 @@
+/**
+ * Local Filesystem Memory Backend
+ *
+ * Stores memories as one JSON record per line in
+ * ~/.boss-claude/memory/memories.jsonl (override with BOSS_CLAUDE_MEMORY_DIR).
+ * Works fully offline and needs no credentials.
+ *
+ * Writes hold memories.jsonl.lock (created exclusively), so concurrent saves
+ * from several terminals never get the same number or lose a record.
+ * A lock left by a crashed process is taken over by one waiter at a time,
+ * which re-checks that it is still the stale file before deleting it, so two
+ * waiters cannot delete each other's fresh lock.
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import os from 'os';
+
+const DEFAULT_MEMORY_DIR = path.join(os.homedir(), '.boss-claude', 'memory');
+const MEMORY_FILE = 'memories.jsonl';
+
+/** How long to wait for the write lock */
+const LOCK_TIMEOUT_MS = 10000;
+
+/** A lock older than this was left by a crashed process */
+const STALE_LOCK_MS = 30000;
+
+const LOCK_RETRY_MS = 25;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create the local JSONL backend
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory holding memories.jsonl
+ * @returns {Object} Memory backend
+ */
+export function createLocalBackend(options = {}) {
+  const dir = options.dir || process.env.BOSS_CLAUDE_MEMORY_DIR || DEFAULT_MEMORY_DIR;
+  const filePath = path.join(dir, MEMORY_FILE);
+  const lockPath = `${filePath}.lock`;
+
+  /**
+   * Read every record from disk, skipping lines that fail to parse
+   * @returns {Promise<Object[]>} Records in insertion order
+   */
+  async function readAll() {
+    if (!existsSync(filePath)) {
+      return [];
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        // Skip a partially written line rather than losing the whole file
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Remove the lock file if it is still the stale one that was seen
+   *
+   * Waiters that saw the same stale lock race for a takeover marker named
+   * after it (created exclusively); only the winner re-checks the lock's inode
+   * and mtime and deletes it, so a fresh lock created meanwhile survives.
+   * @param {fs.Stats} stale - Stats of the stale lock
+   * @returns {Promise<boolean>} Whether the stale lock was removed
+   */
+  async function removeStaleLock(stale) {
+    const markerPath = `${lockPath}.${stale.ino}-${Math.floor(stale.mtimeMs)}.takeover`;
+    let marker;
+    try {
+      marker = await fs.open(markerPath, 'wx', 0o600);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      // Another waiter is taking over; a marker left by a crash is cleared once it is stale too
+      const markerStat = await fs.stat(markerPath).catch(() => null);
+      if (markerStat && Date.now() - markerStat.mtimeMs > STALE_LOCK_MS) {
+        await fs.rm(markerPath, { force: true });
+      }
+      return false;
+    }
+
+    try {
+      const current = await fs.stat(lockPath).catch(() => null);
+      if (!current || current.ino !== stale.ino || current.mtimeMs !== stale.mtimeMs) {
+        return false;
+      }
+      await fs.rm(lockPath, { force: true });
+      return true;
+    } finally {
+      await marker.close();
+      await fs.rm(markerPath, { force: true });
+    }
+  }
+
+  /**
+   * Run fn while holding the write lock
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>} What fn returns
+   */
+  async function withLock(fn) {
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    let handle;
+    while (!handle) {
+      try {
+        handle = await fs.open(lockPath, 'wx', 0o600);
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS && await removeStaleLock(stat)) {
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ${lockPath} - remove it if no boss-claude process is running`);
+        }
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      const held = await handle.stat();
+      await handle.close();
+      // If fn outlived STALE_LOCK_MS the lock may have been taken over - leave the new owner's
+      const current = await fs.stat(lockPath).catch(() => null);
+      if (current && current.ino === held.ino) {
+        await fs.rm(lockPath, { force: true });
+      }
+    }
+  }
+
+  function withUrl(record) {
+    return { ...record, url: `file://${filePath}#${record.number}` };
+  }
+
+  return {
+    name: 'local',
+
+    async create({ title, body, labels = [], state = 'open', created_at = null }) {
+      return withLock(async () => {
+        const records = await readAll();
+        const number = records.reduce((max, r) => Math.max(max, r.number || 0), 0) + 1;
+        const now = new Date().toISOString();
+        const record = {
+          number,
+          title,
+          body: body || '',
+          state,
+          created_at: created_at || now,
+          updated_at: now,
+          labels: [...labels]
+        };
+
+        await fs.appendFile(filePath, JSON.stringify(record) + '\n', { mode: 0o600 });
+        return withUrl(record);
+      });
+    },
+
+    async list({ label = 'session', limit = null } = {}) {
+      const records = (await readAll())
+        .filter(r => !label || r.labels.includes(label))
+        .sort((a, b) => (b.created_at.localeCompare(a.created_at)) || (b.number - a.number));
+      return (limit ? records.slice(0, limit) : records).map(withUrl);
+    },
+
+    async get(number) {
+      const records = await readAll();
+      const record = records.find(r => r.number === Number(number));
+      if (!record) {
+        throw new Error(`Memory #${number} not found in ${filePath}`);
+      }
+      return withUrl(record);
+    },
+
+    async update(number, { state, labels } = {}) {
+      return withLock(async () => {
+        const records = await readAll();
+        const record = records.find(r => r.number === Number(number));
+        if (!record) {
+          throw new Error(`Memory #${number} not found in ${filePath}`);
+        }
+
+        if (state) record.state = state;
+        if (labels) record.labels = [...labels];
+        record.updated_at = new Date().toISOString();
+
+        // Rewrite through a temp file so a crash never truncates the store
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, records.map(r => JSON.stringify(r)).join('\n') + '\n', { mode: 0o600 });
+        await fs.rename(tempPath, filePath);
+        return withUrl(record);
+      });
+    },
+
+    async close() {
+      // Nothing to release - every call opens and closes the file
+    }
+  };
+}
+
+export default createLocalBackend;
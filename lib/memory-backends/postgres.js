@@ -0,0 +1,87 @@
+/**
+ * PostgreSQL Memory Backend
+ *
+ * Stores memories in boss_claude.memories using the shared pool from
+ * lib/postgres.js. Run the setup wizard (or initializePostgres) to create
+ * the table.
+ */
+
+import { memories } from '../postgres.js';
+
+/**
+ * Convert a boss_claude.memories row into a backend record
+ * @param {Object} row - Database row
+ * @returns {Object} Memory record
+ */
+function toRecord(row) {
+  return {
+    number: Number(row.id),
+    title: row.title,
+    body: row.body || '',
+    url: `postgres://boss_claude.memories/${row.id}`,
+    state: row.state,
+    created_at: new Date(row.created_at).toISOString(),
+    updated_at: new Date(row.updated_at).toISOString(),
+    labels: row.labels || []
+  };
+}
+
+/**
+ * Create the PostgreSQL backend
+ * @returns {Object} Memory backend
+ */
+export function createPostgresBackend() {
+  if (!process.env.BOSS_CLAUDE_PG_URL) {
+    throw new Error('BOSS_CLAUDE_PG_URL not found. Please run: boss-claude init');
+  }
+
+  return {
+    name: 'postgres',
+
+    async create({ title, body, labels = [], state = 'open', created_at = null }) {
+      const row = await memories.create(title, body, labels, { state, createdAt: created_at });
+      return toRecord(row);
+    },
+
+    async list({ label = 'session', limit = null } = {}) {
+      const records = [];
+      const pageSize = 500;
+
+      // Page through the table so large memory stores never load in one query
+      for (let offset = 0; ; offset += pageSize) {
+        const rows = await memories.list(label, pageSize, offset);
+        for (const row of rows) {
+          records.push(toRecord(row));
+          if (limit && records.length >= limit) {
+            return records;
+          }
+        }
+        if (rows.length < pageSize) {
+          return records;
+        }
+      }
+    },
+
+    async get(number) {
+      const row = await memories.get(number);
+      if (!row) {
+        throw new Error(`Memory #${number} not found in boss_claude.memories`);
+      }
+      return toRecord(row);
+    },
+
+    async update(number, { state, labels } = {}) {
+      const row = await memories.update(number, { state, labels });
+      if (!row) {
+        throw new Error(`Memory #${number} not found in boss_claude.memories`);
+      }
+      return toRecord(row);
+    },
+
+    async close() {
+      // The shared pool is closed by cleanup() via postgres.utils.close()
+    }
+  };
+}
+
+export default createPostgresBackend;
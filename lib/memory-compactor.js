@@ -0,0 +1,228 @@
+/**
+ * MEMORY COMPACTION
+ *
+ * Folds old session memories into digests so the memory store does not fill
+ * up with thousands of tiny "Session saved for X" entries.
+ *
+ * 1. Session memories older than `olderThanDays` are grouped by repo and
+ *    time window (ISO week or calendar month, UTC).
+ * 2. Each group with at least `minGroupSize` memories is summarized by a
+ *    pluggable summarizer (see ./agents/summarizers.js) into one digest
+ *    memory labelled `digest`. Token stats and touched files are summed.
+ * 3. The originals are closed and labelled `archived`. Recall skips archived
+ *    memories; they stay in the backend and in exports.
+ *
+ * Digests and archived memories are never compacted again, so the job is
+ * safe to re-run. Memories written by a newer boss-claude are skipped. With dryRun the plan is returned and nothing is written.
+ */
+
+import { createMemoryRecord, serializeMemoryRecord, parseMemoryRecord } from './memory-record.js';
+import { createSummarizer } from './agents/summarizers.js';
+import { getConductorName } from './conductor-name.js';
+
+export const ARCHIVED_LABEL = 'archived';
+export const DIGEST_LABEL = 'digest';
+export const COMPACTION_WINDOWS = ['week', 'month'];
+
+const DEFAULT_OLDER_THAN_DAYS = 30;
+const DEFAULT_MIN_GROUP_SIZE = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Key of the window a timestamp falls in
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} window - 'week' | 'month'
+ * @returns {string} Window key (week: Monday's date, month: YYYY-MM)
+ */
+export function windowKey(timestamp, window) {
+  const date = new Date(timestamp);
+  if (window === 'month') {
+    return date.toISOString().slice(0, 7);
+  }
+
+  // ISO weeks start on Monday
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Group compactable memories by repo and window
+ * @param {Object[]} records - Backend records
+ * @param {Object} options - { olderThanDays, window, minGroupSize, repo, now }
+ * @returns {Object[]} Groups: { repo, window: { key, from, to }, memories }
+ */
+export function planCompaction(records, options = {}) {
+  const {
+    olderThanDays = DEFAULT_OLDER_THAN_DAYS,
+    window = 'week',
+    minGroupSize = DEFAULT_MIN_GROUP_SIZE,
+    repo = null,
+    now = Date.now()
+  } = options;
+
+  if (!COMPACTION_WINDOWS.includes(window)) {
+    throw new Error(`Unknown compaction window "${window}". Valid windows: ${COMPACTION_WINDOWS.join(', ')}`);
+  }
+
+  // NaN or a negative age would put every memory before the cutoff
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    throw new Error(`olderThanDays must be a non-negative integer, got ${olderThanDays}`);
+  }
+
+  const cutoff = now - olderThanDays * DAY_MS;
+  const groups = new Map();
+
+  for (const memory of records) {
+    if (memory.labels.includes(ARCHIVED_LABEL) || memory.labels.includes(DIGEST_LABEL)) continue;
+    if (memory.state === 'closed') continue;
+    if (new Date(memory.created_at).getTime() >= cutoff) continue;
+
+    let record;
+    try {
+      record = parseMemoryRecord(memory.body, memory);
+    } catch (err) {
+      // Written by a newer boss-claude - leave it for a client that can read it whole
+      console.warn(`[memory] Skipping #${memory.number}: ${err.message}`);
+      continue;
+    }
+    const memoryRepo = record.repo || 'unknown';
+    if (repo && memoryRepo !== repo) continue;
+
+    const key = `${memoryRepo}|${windowKey(memory.created_at, window)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { repo: memoryRepo, window: { key: windowKey(memory.created_at, window) }, memories: [] });
+    }
+    groups.get(key).memories.push({
+      number: memory.number,
+      title: memory.title,
+      created_at: memory.created_at,
+      labels: memory.labels,
+      record
+    });
+  }
+
+  return [...groups.values()]
+    .filter(group => group.memories.length >= minGroupSize)
+    .map(group => {
+      group.memories.sort((a, b) => a.created_at.localeCompare(b.created_at));
+      group.window.from = group.memories[0].created_at;
+      group.window.to = group.memories[group.memories.length - 1].created_at;
+      return group;
+    })
+    .sort((a, b) => a.repo.localeCompare(b.repo) || a.window.key.localeCompare(b.window.key));
+}
+
+/**
+ * Sum token stats and merge files/tags across a group
+ * @param {Object} group
+ */
+function mergeGroup(group) {
+  const tokens = { total: 0, conductor: 0, agent: 0, delegations: 0 };
+  const fileCounts = new Map();
+  const tags = new Set();
+
+  for (const { record } of group.memories) {
+    for (const field of Object.keys(tokens)) {
+      tokens[field] += record.tokens?.[field] || 0;
+    }
+    for (const file of record.files || []) {
+      fileCounts.set(file, (fileCounts.get(file) || 0) + 1);
+    }
+    for (const tag of record.tags || []) {
+      tags.add(tag);
+    }
+  }
+
+  // Most frequently touched files first
+  const files = [...fileCounts.entries()].sort((a, b) => b[1] - a[1]).map(([file]) => file);
+  return { tokens, files, tags: [...tags] };
+}
+
+/**
+ * Compact old session memories into digests
+ * @param {Object} backend - Memory backend (must implement update())
+ * @param {Object} [options]
+ * @param {number} [options.olderThanDays=30] - Only compact memories older than this
+ * @param {string} [options.window='week'] - 'week' | 'month'
+ * @param {number} [options.minGroupSize=2] - Smallest group worth a digest
+ * @param {string} [options.repo] - Only compact this repo
+ * @param {Object|string} [options.summarizer] - Summarizer object or name (default: configured/heuristic)
+ * @param {boolean} [options.dryRun=false] - Plan only, write nothing
+ * @param {Function} [options.onCompacted] - Called with ({ group, digest, archived: number[] }) after each group
+ * @returns {Promise<{ groups: Object[], digests: number, archived: number, dryRun: boolean }>}
+ */
+export async function compactMemories(backend, options = {}) {
+  const summarizer = typeof options.summarizer === 'object' && options.summarizer
+    ? options.summarizer
+    : createSummarizer(options.summarizer);
+
+  const records = await backend.list({ label: 'session', limit: null });
+  const groups = planCompaction(records, options);
+
+  let digests = 0;
+  let archived = 0;
+
+  for (const group of groups) {
+    const { summary, decisions } = await summarizer.summarize(group);
+    const merged = mergeGroup(group);
+    const conductor = group.memories.find(m => m.record.conductor)?.record.conductor || getConductorName();
+
+    group.digest = createMemoryRecord({
+      summary,
+      repo: group.repo,
+      conductor,
+      commit: [...group.memories].reverse().find(m => m.record.commit)?.record.commit || null,
+      files: merged.files,
+      decisions,
+      tokens: merged.tokens,
+      tags: [...merged.tags, DIGEST_LABEL],
+      session: {
+        digest: {
+          window: options.window || 'week',
+          key: group.window.key,
+          from: group.window.from,
+          to: group.window.to,
+          summarizer: summarizer.name,
+          sources: group.memories.map(m => m.number)
+        }
+      }
+    });
+
+    if (options.dryRun) continue;
+
+    const title = `[${group.repo}:${conductor}] Digest: ${group.memories.length} sessions, ${group.window.from.slice(0, 10)} to ${group.window.to.slice(0, 10)}`;
+    const digest = await backend.create({
+      title,
+      body: serializeMemoryRecord(group.digest),
+      labels: ['session', group.repo, ...group.digest.tags],
+      created_at: group.window.to
+    });
+    digests++;
+
+    const archivedNumbers = [];
+    for (const memory of group.memories) {
+      await backend.update(memory.number, {
+        state: 'closed',
+        labels: [...new Set([...memory.labels, ARCHIVED_LABEL])]
+      });
+      archivedNumbers.push(memory.number);
+      archived++;
+    }
+
+    if (options.onCompacted) {
+      await options.onCompacted({ group, digest, archived: archivedNumbers });
+    }
+  }
+
+  return { groups, digests, archived, dryRun: Boolean(options.dryRun) };
+}
+
+export default {
+  compactMemories,
+  planCompaction,
+  windowKey,
+  ARCHIVED_LABEL,
+  DIGEST_LABEL,
+  COMPACTION_WINDOWS
+};
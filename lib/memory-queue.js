@@ -0,0 +1,213 @@
+/**
+ * MEMORY WRITE-AHEAD QUEUE
+ *
+ * Durable local queue for memory saves that could not reach the storage
+ * backend (GitHub down, laptop offline, ...). saveMemory() writes the fully
+ * rendered memory here instead of throwing, and `boss-claude memory flush`
+ * replays it later (see flushMemoryQueue() in ./memory.js).
+ *
+ * Layout: one JSON file per pending save in ~/.boss-claude/queue/memories/
+ * (override with BOSS_CLAUDE_QUEUE_DIR). Files are written to a temp name and
+ * renamed into place, so a crash never leaves a half-written entry. Entries
+ * the backend rejects for good (see isTransientError) move to failed/ in the
+ * queue directory, so later flushes stop retrying them.
+ *
+ * Entry:
+ *   {
+ *     id, enqueued_at, attempts, last_error, last_attempt_at,
+ *     memory: { title, body, labels, created_at },
+ *     meta:   { repo, summary }
+ *   }
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const DEFAULT_QUEUE_DIR = path.join(os.homedir(), '.boss-claude', 'queue', 'memories');
+
+/** Network error codes that mean the backend could not be reached */
+const TRANSIENT_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT',
+  'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'
+]);
+
+/** Postgres SQLSTATE classes/codes for lost connections and overload */
+const TRANSIENT_PG_CODE = /^(08|53|57P0)/;
+
+/**
+ * Directory holding queued memory saves
+ * @returns {string}
+ */
+export function getQueueDir() {
+  return process.env.BOSS_CLAUDE_QUEUE_DIR || DEFAULT_QUEUE_DIR;
+}
+
+/**
+ * Directory holding queued saves the backend rejected
+ * @returns {string}
+ */
+export function getFailedDir() {
+  return path.join(getQueueDir(), 'failed');
+}
+
+/**
+ * Write a file atomically (temp file + rename)
+ * @param {string} filePath
+ * @param {Object} data
+ */
+async function writeAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Whether a failed save is worth retrying later: the backend was unreachable,
+ * failed (5xx) or rate limited. Configuration and validation errors (missing
+ * token, 401/403, 422, ...) are not - queueing them would only hide them.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  for (let err = error; err; err = err.cause) {
+    if (TRANSIENT_CODES.has(err.code) || TRANSIENT_PG_CODE.test(err.code || '')) {
+      return true;
+    }
+
+    const status = err.status ?? err.response?.status;
+    if (status >= 500 || status === 429) {
+      return true;
+    }
+    if (status === 403 && (err.response?.headers?.['x-ratelimit-remaining'] === '0' || /rate limit/i.test(err.message))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Queue a memory save for a later flush
+ * @param {Object} memory - { title, body, labels, created_at } as it would be sent to the backend
+ * @param {Object} [meta] - { repo, summary } used for indexing once saved
+ * @param {Error} [error] - Why the save failed
+ * @returns {Promise<Object>} Queue entry
+ */
+export async function enqueueMemory(memory, meta = {}, error = null) {
+  const dir = getQueueDir();
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+
+  const now = new Date();
+  // Sortable ids keep flushes in the order the sessions were saved
+  const id = `${now.toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+  const entry = {
+    id,
+    enqueued_at: now.toISOString(),
+    attempts: 0,
+    last_error: error ? error.message : null,
+    last_attempt_at: null,
+    memory,
+    meta
+  };
+
+  await writeAtomic(path.join(dir, `${id}.json`), entry);
+  return entry;
+}
+
+/**
+ * Every pending entry, oldest first
+ * Unreadable files are skipped rather than blocking the queue.
+ * @returns {Promise<Object[]>}
+ */
+export async function listQueuedMemories() {
+  const dir = getQueueDir();
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+  const entries = [];
+  for (const file of files) {
+    try {
+      entries.push(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')));
+    } catch (err) {
+      // Leave the file for manual inspection
+    }
+  }
+  return entries;
+}
+
+/**
+ * Number of memory saves waiting to be flushed
+ * @returns {Promise<number>}
+ */
+export async function getPendingCount() {
+  const dir = getQueueDir();
+  if (!existsSync(dir)) {
+    return 0;
+  }
+  return (await fs.readdir(dir)).filter(f => f.endsWith('.json')).length;
+}
+
+/**
+ * Record a failed flush attempt
+ * @param {Object} entry - Queue entry
+ * @param {Error} error - Failure
+ * @param {number} [attempts=1] - Attempts made in this flush
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function markAttemptFailed(entry, error, attempts = 1) {
+  const updated = {
+    ...entry,
+    attempts: entry.attempts + attempts,
+    last_error: error.message,
+    last_attempt_at: new Date().toISOString()
+  };
+  await writeAtomic(path.join(getQueueDir(), `${entry.id}.json`), updated);
+  return updated;
+}
+
+/**
+ * Move an entry the backend will never accept out of the queue
+ * @param {Object} entry - Queue entry
+ * @param {Error} error - Why the backend rejected it
+ * @param {number} [attempts=1] - Attempts made in this flush
+ * @returns {Promise<Object>} Updated entry, now in getFailedDir()
+ */
+export async function moveToFailed(entry, error, attempts = 1) {
+  const now = new Date().toISOString();
+  const updated = {
+    ...entry,
+    attempts: entry.attempts + attempts,
+    last_error: error.message,
+    last_attempt_at: now,
+    failed_at: now
+  };
+  const dir = getFailedDir();
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  await writeAtomic(path.join(dir, `${entry.id}.json`), updated);
+  await removeQueuedMemory(entry.id);
+  return updated;
+}
+
+/**
+ * Remove an entry once it has been saved
+ * @param {string} id - Entry id
+ */
+export async function removeQueuedMemory(id) {
+  await fs.rm(path.join(getQueueDir(), `${id}.json`), { force: true });
+}
+
+export default {
+  getQueueDir,
+  getFailedDir,
+  isTransientError,
+  enqueueMemory,
+  listQueuedMemories,
+  getPendingCount,
+  markAttemptFailed,
+  moveToFailed,
+  removeQueuedMemory
+};
@@ -0,0 +1,272 @@
+/**
+ * MEMORY RECORD SCHEMA
+ *
+ * Versioned structure for session memories, stored in the memory body so it
+ * survives every backend (GitHub issue body, JSONL line, Postgres row).
+ *
+ * Record (version 1):
+ *   {
+ *     version: 1,
+ *     summary, repo, conductor, branch, commit,
+ *     files: string[],              // files touched during the session
+ *     decisions: string[],          // notable decisions, one sentence each
+ *     tokens: { total, conductor, agent, delegations },
+ *     tags: string[],
+ *     session: Object|null,         // raw session data from Redis
+ *     saved_at: ISO timestamp
+ *   }
+ *
+ * serializeMemoryRecord() renders a readable Markdown body followed by the
+ * record itself as JSON behind a versioned marker; parseMemoryRecord() reads
+ * it back exactly. Memories written before the schema existed ("## Session
+ * Summary" + a fenced JSON block) are parsed by parseLegacyMemory() and come
+ * back as version 0 records.
+ *
+ * parseMemoryRecord() throws on a record written by a newer boss-claude;
+ * readMemoryRecord() is the lenient variant used by recall, which warns once
+ * and reads such a memory from its title, labels and Markdown summary.
+ */
+
+export const MEMORY_RECORD_VERSION = 1;
+
+const RECORD_MARKER = 'boss-claude:memory-record';
+const RECORD_PATTERN = new RegExp(`<!-- ${RECORD_MARKER} v(\\d+) -->\\s*\`\`\`json\\n([\\s\\S]*?)\\n\`\`\``);
+
+/**
+ * Coerce a value into a clean string array
+ * @param {*} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Coerce a value into a non-negative integer
+ * @param {*} value
+ * @returns {number}
+ */
+function toCount(value) {
+  const n = parseInt(value || 0, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * Token stats from explicit values, falling back to the session hash fields
+ * @param {Object} [tokens]
+ * @param {Object} [session]
+ * @returns {{ total: number, conductor: number, agent: number, delegations: number }}
+ */
+function normalizeTokens(tokens = {}, session = null) {
+  const s = session || {};
+  return {
+    total: toCount(tokens.total ?? s.tokens_used),
+    conductor: toCount(tokens.conductor ?? s.conductor_tokens),
+    agent: toCount(tokens.agent ?? s.agent_tokens),
+    delegations: toCount(tokens.delegations ?? s.delegations)
+  };
+}
+
+/**
+ * Build a normalized memory record
+ * @param {Object} fields
+ * @param {string} fields.summary - Session summary
+ * @param {string} fields.repo - Repository name
+ * @param {string} [fields.conductor] - Conductor name
+ * @param {string} [fields.branch] - Git branch
+ * @param {string} [fields.commit] - Git commit SHA (HEAD when saved)
+ * @param {string[]} [fields.files] - Files touched
+ * @param {string[]} [fields.decisions] - Decisions made
+ * @param {Object} [fields.tokens] - { total, conductor, agent, delegations }; defaults from session
+ * @param {string[]} [fields.tags] - Tags
+ * @param {Object} [fields.session] - Raw session data
+ * @param {string} [fields.saved_at] - ISO timestamp (defaults to now)
+ * @returns {Object} Memory record
+ */
+export function createMemoryRecord(fields) {
+  const session = fields.session && typeof fields.session === 'object' ? fields.session : null;
+
+  return {
+    version: MEMORY_RECORD_VERSION,
+    summary: String(fields.summary || '').trim(),
+    repo: fields.repo || null,
+    conductor: fields.conductor || null,
+    branch: fields.branch || null,
+    commit: fields.commit || null,
+    files: toList(fields.files),
+    decisions: toList(fields.decisions),
+    tokens: normalizeTokens(fields.tokens, session),
+    tags: toList(fields.tags),
+    session,
+    saved_at: fields.saved_at || new Date().toISOString()
+  };
+}
+
+/**
+ * Render a record as a memory body
+ * @param {Object} record - Record from createMemoryRecord()
+ * @returns {string} Markdown body
+ */
+export function serializeMemoryRecord(record) {
+  const lines = ['## Session Summary', '', record.summary || '(no summary)', '', '## Details', ''];
+
+  lines.push(`- **Repo:** ${record.repo || 'unknown'}`);
+  if (record.conductor) lines.push(`- **Conductor:** ${record.conductor}`);
+  if (record.branch) lines.push(`- **Branch:** ${record.branch}`);
+  if (record.commit) lines.push(`- **Commit:** ${record.commit}`);
+  lines.push(`- **Tokens:** ${record.tokens.total.toLocaleString()} total (conductor ${record.tokens.conductor.toLocaleString()}, agents ${record.tokens.agent.toLocaleString()}, ${record.tokens.delegations} delegations)`);
+  if (record.tags.length > 0) lines.push(`- **Tags:** ${record.tags.join(', ')}`);
+
+  if (record.decisions.length > 0) {
+    lines.push('', '## Decisions', '', ...record.decisions.map(d => `- ${d}`));
+  }
+  if (record.files.length > 0) {
+    lines.push('', '## Files Touched', '', ...record.files.map(f => `- \`${f}\``));
+  }
+
+  lines.push(
+    '',
+    '## Record',
+    '',
+    `<!-- ${RECORD_MARKER} v${record.version} -->`,
+    '```json',
+    JSON.stringify(record, null, 2),
+    '```',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Repo and conductor from a memory title ("[repo:CONDUCTOR] summary")
+ * @param {string} title
+ * @returns {{ repo: string|null, conductor: string|null }}
+ */
+export function parseMemoryTitle(title) {
+  const match = (title || '').match(/^\[([^:\]]+)(?::([^\]]+))?\]/);
+  return {
+    repo: match ? match[1] : null,
+    conductor: match && match[2] ? match[2] : null
+  };
+}
+
+/**
+ * Parse a memory written before the record schema existed
+ *
+ * Legacy body:
+ *   ## Session Summary\n\n<summary>\n\n## Session Data\n\n```json\n<session>\n```
+ *
+ * @param {string} body - Memory body
+ * @param {Object} [meta] - Backend record fields ({ title, labels, created_at })
+ * @returns {Object} Version 0 memory record
+ */
+export function parseLegacyMemory(body, meta = {}) {
+  const text = body || '';
+  const summaryMatch = text.match(/## Session Summary\n\n([\s\S]*?)(?:\n\n## Session Data|$)/);
+  const summary = summaryMatch ? summaryMatch[1] : (text.split('\n\n')[1] || '');
+
+  let session = null;
+  const dataMatch = text.match(/```json\n([\s\S]*?)\n```/);
+  if (dataMatch) {
+    try {
+      session = JSON.parse(dataMatch[1]);
+    } catch (err) {
+      // Leave session null - the summary is still useful
+    }
+  }
+
+  const { repo, conductor } = parseMemoryTitle(meta.title);
+  const tags = (meta.labels || []).filter(label => label !== 'session' && label !== repo);
+
+  return {
+    ...createMemoryRecord({
+      summary: summary.trim(),
+      repo,
+      conductor,
+      tags,
+      session,
+      saved_at: meta.created_at || session?.last_updated || null
+    }),
+    version: 0
+  };
+}
+
+/**
+ * Parse a memory body into a record, whichever format it was written in
+ * @param {string} body - Memory body
+ * @param {Object} [meta] - Backend record fields ({ title, labels, created_at }) for legacy memories
+ * @returns {Object} Memory record (version 0 for legacy memories)
+ */
+export function parseMemoryRecord(body, meta = {}) {
+  const match = (body || '').match(RECORD_PATTERN);
+  if (!match) {
+    return parseLegacyMemory(body, meta);
+  }
+
+  const version = parseInt(match[1], 10);
+  if (version > MEMORY_RECORD_VERSION) {
+    const error = new Error(`Memory record version ${version} is newer than supported version ${MEMORY_RECORD_VERSION}. Upgrade boss-claude.`);
+    error.recordVersion = version;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(match[2]);
+  } catch (err) {
+    // A hand-edited record that no longer parses still has a readable summary
+    return parseLegacyMemory(body, meta);
+  }
+}
+
+const warnedVersions = new Set();
+
+/**
+ * Parse a memory body into a record without throwing on newer record versions
+ *
+ * A memory written by a newer boss-claude (e.g. in a shared memory repo)
+ * comes back as a version 0 record built from its title, labels and the
+ * Markdown summary, with a warning on stderr once per version.
+ *
+ * @param {string} body - Memory body
+ * @param {Object} [meta] - Backend record fields ({ title, labels, created_at })
+ * @returns {Object} Memory record
+ */
+export function readMemoryRecord(body, meta = {}) {
+  try {
+    return parseMemoryRecord(body, meta);
+  } catch (err) {
+    if (!err.recordVersion) throw err;
+
+    if (!warnedVersions.has(err.recordVersion)) {
+      warnedVersions.add(err.recordVersion);
+      console.warn(`[memory] ${err.message} Reading such memories from their title and summary only.`);
+    }
+
+    // The summary section ends at the next heading ("## Details" in version 1)
+    const summaryMatch = (body || '').match(/## Session Summary\n\n([\s\S]*?)(?:\n\n## |$)/);
+    const { repo, conductor } = parseMemoryTitle(meta.title);
+    return {
+      ...createMemoryRecord({
+        summary: summaryMatch ? summaryMatch[1] : '',
+        repo,
+        conductor,
+        tags: (meta.labels || []).filter(label => label !== 'session' && label !== repo),
+        saved_at: meta.created_at || null
+      }),
+      version: 0
+    };
+  }
+}
+
+export default {
+  MEMORY_RECORD_VERSION,
+  createMemoryRecord,
+  serializeMemoryRecord,
+  parseMemoryRecord,
+  readMemoryRecord,
+  parseLegacyMemory,
+  parseMemoryTitle
+};
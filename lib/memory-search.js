@@ -0,0 +1,267 @@
+/**
+ * MEMORY SEARCH RANKING
+ *
+ * Tokenizes recall queries and scores memory records by relevance across
+ * title, labels and body. Used by searchMemory() for every storage backend.
+ *
+ * Scoring (per query term):
+ * - Exact label match:   4
+ * - Title occurrence:    3
+ * - Partial label match: 2
+ * - Body occurrence:     1 each (capped at 3)
+ * Whole-query phrase in title (+5) or body (+2) adds a bonus, and the
+ * total is scaled by the fraction of query terms that matched anywhere.
+ *
+ * filterMemories() narrows records by repo, tag, date range and conductor
+ * before ranking; rankMemories() can float one repo's memories to the top.
+ */
+
+import { parseMemoryTitle } from './memory-record.js';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what',
+  'when', 'where', 'which', 'with'
+]);
+
+const WEIGHTS = {
+  labelExact: 4,
+  title: 3,
+  labelPartial: 2,
+  body: 1,
+  maxBodyHits: 3,
+  titlePhrase: 5,
+  bodyPhrase: 2
+};
+
+/**
+ * Split a query into lowercase search terms
+ * @param {string} query - Raw query text
+ * @returns {string[]} Unique terms with stop words removed
+ */
+export function tokenizeQuery(query) {
+  if (typeof query !== 'string') return [];
+
+  const terms = query
+    .toLowerCase()
+    .split(/[^a-z0-9_.\-]+/)
+    .map(t => t.replace(/^[.\-]+|[.\-]+$/g, ''))
+    .filter(t => t.length > 0 && !STOP_WORDS.has(t));
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Count non-overlapping occurrences of a term in text
+ * @param {string} text - Lowercased text
+ * @param {string} term - Lowercased term
+ * @returns {number} Occurrence count
+ */
+function countOccurrences(text, term) {
+  if (!text || !term) return 0;
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+}
+
+/**
+ * Score a memory record against a tokenized query
+ * @param {{ title: string, body?: string, labels?: string[] }} record - Memory record
+ * @param {string[]} terms - Terms from tokenizeQuery()
+ * @param {string} [phrase] - Original query, for the phrase bonus
+ * @returns {{ score: number, matches: Array<{ field: string, term: string, count: number }> }}
+ */
+export function scoreMemory(record, terms, phrase = '') {
+  const title = (record.title || '').toLowerCase();
+  const body = (record.body || '').toLowerCase();
+  const labels = (record.labels || []).map(l => l.toLowerCase());
+  const matches = [];
+  const matchedTerms = new Set();
+  let score = 0;
+
+  for (const term of terms) {
+    const titleHits = countOccurrences(title, term);
+    if (titleHits > 0) {
+      score += WEIGHTS.title * titleHits;
+      matches.push({ field: 'title', term, count: titleHits });
+      matchedTerms.add(term);
+    }
+
+    const exactLabel = labels.find(l => l === term);
+    const partialLabel = exactLabel ? null : labels.find(l => l.includes(term));
+    if (exactLabel) {
+      score += WEIGHTS.labelExact;
+      matches.push({ field: 'label', term: exactLabel, count: 1 });
+      matchedTerms.add(term);
+    } else if (partialLabel) {
+      score += WEIGHTS.labelPartial;
+      matches.push({ field: 'label', term: partialLabel, count: 1 });
+      matchedTerms.add(term);
+    }
+
+    const bodyHits = countOccurrences(body, term);
+    if (bodyHits > 0) {
+      score += WEIGHTS.body * Math.min(bodyHits, WEIGHTS.maxBodyHits);
+      matches.push({ field: 'body', term, count: bodyHits });
+      matchedTerms.add(term);
+    }
+  }
+
+  if (matchedTerms.size === 0) {
+    return { score: 0, matches };
+  }
+
+  const normalizedPhrase = phrase.trim().toLowerCase();
+  if (terms.length > 1 && normalizedPhrase) {
+    if (title.includes(normalizedPhrase)) {
+      score += WEIGHTS.titlePhrase;
+      matches.push({ field: 'title', term: normalizedPhrase, count: 1, phrase: true });
+    } else if (body.includes(normalizedPhrase)) {
+      score += WEIGHTS.bodyPhrase;
+      matches.push({ field: 'body', term: normalizedPhrase, count: 1, phrase: true });
+    }
+  }
+
+  // Favour records that cover more of the query
+  const coverage = matchedTerms.size / terms.length;
+  return { score: Math.round(score * coverage * 100) / 100, matches };
+}
+
+/**
+ * Repo a memory belongs to: its repo field, else the title prefix
+ * ("[repo:CONDUCTOR] summary")
+ * @param {Object} record - Memory record
+ * @returns {string|null}
+ */
+export function memoryRepo(record) {
+  return record.repo || parseMemoryTitle(record.title).repo;
+}
+
+/**
+ * Does a memory belong to a repo? Labels are not consulted - a tag that
+ * happens to equal a repo name is left to the --tag filter.
+ * @param {Object} record - Memory record
+ * @param {string} repo - Repository name
+ * @returns {boolean}
+ */
+export function isMemoryInRepo(record, repo) {
+  return (memoryRepo(record) || '').toLowerCase() === repo.toLowerCase();
+}
+
+/**
+ * Parse a --since/--until value
+ * Accepts ISO dates ("2026-01-31"), timestamps, and relative ages
+ * ("7d", "2w", "3m", "1y" - that long before now).
+ * @param {string|Date|null} value
+ * @param {Object} [options]
+ * @param {boolean} [options.endOfDay=false] - A bare date means the end of that day (for --until)
+ * @returns {Date|null} Parsed date, or null when value is empty
+ */
+export function parseDateFilter(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+
+  const relative = String(value).trim().match(/^(\d+)\s*([dwmy])$/i);
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    const date = new Date();
+    switch (relative[2].toLowerCase()) {
+      case 'd': date.setDate(date.getDate() - amount); break;
+      case 'w': date.setDate(date.getDate() - amount * 7); break;
+      case 'm': date.setMonth(date.getMonth() - amount); break;
+      case 'y': date.setFullYear(date.getFullYear() - amount); break;
+    }
+    return date;
+  }
+
+  const bareDate = /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+  const date = new Date(bareDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}". Use YYYY-MM-DD, an ISO timestamp, or an age like 7d, 2w, 3m`);
+  }
+  return date;
+}
+
+/**
+ * Narrow memory records by repo, tags, date range and conductor
+ * @param {Object[]} records - Memory records from a storage backend
+ * @param {Object} [filters]
+ * @param {string} [filters.repo] - Only this repo
+ * @param {string[]} [filters.tags] - Only records carrying any of these labels
+ * @param {string|Date} [filters.since] - Created at or after
+ * @param {string|Date} [filters.until] - Created at or before
+ * @param {string} [filters.conductor] - Only memories saved by this conductor
+ * @returns {Object[]} Matching records
+ */
+export function filterMemories(records, filters = {}) {
+  const since = parseDateFilter(filters.since);
+  const until = parseDateFilter(filters.until, { endOfDay: true });
+  const tags = (filters.tags || []).map(t => t.toLowerCase());
+  const conductor = filters.conductor ? filters.conductor.toLowerCase() : null;
+
+  return records.filter(record => {
+    if (filters.repo && !isMemoryInRepo(record, filters.repo)) return false;
+    if (tags.length > 0 && !(record.labels || []).some(l => tags.includes(l.toLowerCase()))) return false;
+
+    const created = new Date(record.created_at);
+    if (since && created < since) return false;
+    if (until && created > until) return false;
+
+    if (conductor && (parseMemoryTitle(record.title).conductor || '').toLowerCase() !== conductor) return false;
+    return true;
+  });
+}
+
+/**
+ * Rank records against a query and return the top N
+ * Ties are broken by recency (newest first).
+ * @param {Object[]} records - Memory records from a storage backend
+ * @param {string} query - Raw query text
+ * @param {number} [limit=5] - Maximum results
+ * @param {Object} [options]
+ * @param {string} [options.preferRepo] - Rank this repo's matches ahead of all others
+ * @returns {Array<{ record: Object, score: number, matches: Object[] }>}
+ */
+export function rankMemories(records, query, limit = 5, options = {}) {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) return [];
+
+  const preferred = (result) => (options.preferRepo && isMemoryInRepo(result.record, options.preferRepo) ? 1 : 0);
+
+  return records
+    .map(record => ({ record, ...scoreMemory(record, terms, query) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => (preferred(b) - preferred(a))
+      || (b.score - a.score)
+      || String(b.record.created_at).localeCompare(String(a.record.created_at)))
+    .slice(0, limit);
+}
+
+/**
+ * Describe why a result matched, for display in `boss-claude recall`
+ * @param {Object[]} matches - Matches from scoreMemory()
+ * @returns {string} Human-readable explanation
+ */
+export function describeMatches(matches) {
+  return matches
+    .map(m => {
+      if (m.phrase) return `${m.field} contains "${m.term}"`;
+      const times = m.count > 1 ? ` x${m.count}` : '';
+      return `${m.field}: "${m.term}"${times}`;
+    })
+    .join(', ');
+}
+
+export default {
+  tokenizeQuery,
+  scoreMemory,
+  filterMemories,
+  parseDateFilter,
+  isMemoryInRepo,
+  rankMemories,
+  describeMatches
+};
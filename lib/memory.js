@@ -1,12 +1,17 @@
-import { Octokit } from '@octokit/rest';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { existsSync } from 'fs';
 import os from 'os';
-import { queryMemorySupervisor, invalidateMemoryCache, getMemoryCacheStats } from './agents/memory-supervisor.js';
+import { queryMemorySupervisor, indexMemory, invalidateMemoryCache, getMemoryCacheStats } from './agents/memory-supervisor.js';
 import { logAgent } from './agent-logger.js';
 import { getConductorName } from './conductor-name.js';
+import { getCachedQuery, setCachedQuery } from './agents/memory-cache.js';
+import { getMemoryBackend, getMemoryBackendName, closeMemoryBackend } from './memory-backends/index.js';
+import { rankMemories, filterMemories } from './memory-search.js';
+import { createMemoryRecord, serializeMemoryRecord, readMemoryRecord } from './memory-record.js';
+import { ARCHIVED_LABEL } from './memory-compactor.js';
+import { isTransientError, enqueueMemory, listQueuedMemories, markAttemptFailed, moveToFailed, removeQueuedMemory, getPendingCount } from './memory-queue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,134 +22,325 @@ if (existsSync(envPath)) {
   dotenv.config({ path: envPath });
 }
 
-let octokit = null;
-
-function getOctokit() {
-  if (!octokit) {
-    if (!process.env.GITHUB_TOKEN) {
-      throw new Error('GITHUB_TOKEN not found. Please run: boss-claude init');
-    }
-    octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-  }
-  return octokit;
-}
-
 /**
- * Close the Octokit client to allow proper cleanup.
- * This releases the HTTP agent so the process can exit cleanly.
+ * Close the memory storage backend to allow proper cleanup.
+ * For the GitHub backend this releases the Octokit HTTP agent so the
+ * process can exit cleanly.
  */
 export function closeOctokit() {
-  if (octokit) {
-    octokit = null;
-  }
+  closeMemoryBackend().catch(() => {});
 }
 
-export async function saveMemory({ repo_name, summary, content, tags = [] }) {
-  const client = getOctokit();
-
-  const owner = process.env.GITHUB_OWNER;
-  if (!owner) {
-    throw new Error('GITHUB_OWNER environment variable is required. Please run: boss-claude init');
-  }
-  const repo = process.env.GITHUB_MEMORY_REPO || 'boss-claude-memory';
+/**
+ * Save a session memory
+ * The body is a versioned memory record (see ./memory-record.js). If the
+ * backend cannot be reached (network error, 5xx, rate limit) the memory goes
+ * to the local write-ahead queue (see ./memory-queue.js) and the result has
+ * queued: true. Any other failure is thrown.
+ * @param {Object} params
+ * @param {string} params.repo_name - Repository name
+ * @param {string} params.summary - Session summary
+ * @param {string|Object} [params.content] - Session data (JSON string or object)
+ * @param {string[]} [params.tags] - Tags, also applied as labels
+ * @param {string} [params.branch] - Git branch
+ * @param {string} [params.commit] - Git commit SHA
+ * @param {string[]} [params.files] - Files touched
+ * @param {string[]} [params.decisions] - Decisions made
+ * @param {Object} [params.tokens] - { total, conductor, agent, delegations }; defaults from content
+ * @param {Object} [options]
+ * @param {boolean} [options.queueOnFailure=true] - Queue the save on disk instead of throwing when the backend is unreachable
+ * @returns {Promise<{ issue_number, url, summary, tags, record, queued, queue_id? }>}
+ */
+export async function saveMemory({ repo_name, summary, content, tags = [], branch, commit, files, decisions, tokens }, options = {}) {
+  const backend = getMemoryBackend();
 
   // Get conductor name for issue title
   const conductorName = getConductorName();
 
-  // Create issue with session data
-  const issue = await client.issues.create({
-    owner,
-    repo,
-    title: `[${repo_name}:${conductorName}] ${summary}`,
-    body: `## Session Summary\n\n${summary}\n\n## Session Data\n\n\`\`\`json\n${content}\n\`\`\``,
-    labels: ['session', repo_name, ...tags]
+  let session = null;
+  if (content && typeof content === 'object') {
+    session = content;
+  } else if (content) {
+    try {
+      session = JSON.parse(content);
+    } catch (err) {
+      session = { raw: content };
+    }
+  }
+
+  const memoryRecord = createMemoryRecord({
+    summary,
+    repo: repo_name,
+    conductor: conductorName,
+    branch,
+    commit,
+    files,
+    decisions,
+    tokens,
+    tags,
+    session
   });
 
-  // Invalidate all memory caches after saving new memory
+  const memory = {
+    title: `[${repo_name}:${conductorName}] ${summary}`,
+    body: serializeMemoryRecord(memoryRecord),
+    labels: ['session', repo_name, ...memoryRecord.tags],
+    created_at: memoryRecord.saved_at
+  };
+  const meta = { repo: repo_name, summary };
+
+  let record;
   try {
-    await invalidateMemoryCache();
+    record = await backend.create(memory);
   } catch (err) {
-    console.warn('Failed to invalidate cache after save:', err.message);
+    if (options.queueOnFailure === false || !isTransientError(err)) {
+      throw err;
+    }
+
+    // Backend unreachable - keep the memory on disk for `boss-claude memory flush`
+    const entry = await enqueueMemory(memory, meta, err);
+    logAgent('Memory', 'QUEUED', `${backend.name} unavailable (${err.message}) - queued ${entry.id}`);
+
+    return {
+      issue_number: null,
+      url: null,
+      summary,
+      tags,
+      record: memoryRecord,
+      queued: true,
+      queue_id: entry.id,
+      error: err.message
+    };
   }
 
-  // Log memory save for watch command
-  const shortSummary = summary.substring(0, 60).replace(/\n/g, ' ').trim();
-  logAgent('Memory', 'SAVE', `Issue #${issue.data.number}: ${shortSummary}`);
+  await afterMemorySaved(record, meta);
 
   return {
-    issue_number: issue.data.number,
-    url: issue.data.html_url,
+    issue_number: record.number,
+    url: record.url,
     summary,
-    tags
+    tags,
+    record: memoryRecord,
+    queued: false
   };
 }
 
-export async function searchMemory(query, limit = 5) {
-  const client = getOctokit();
+/**
+ * Index, invalidate caches and log once a memory reached the backend
+ * @param {Object} record - Backend record
+ * @param {Object} meta - { repo, summary }
+ */
+async function afterMemorySaved(record, { repo, summary }) {
+  // Embed the memory for semantic recall (best-effort - the save already succeeded)
+  try {
+    await indexMemory(record, { repo, summary });
+  } catch (err) {
+    console.warn('Failed to index memory for semantic search:', err.message);
+  }
 
-  const owner = process.env.GITHUB_OWNER;
-  if (!owner) {
-    throw new Error('GITHUB_OWNER environment variable is required. Please run: boss-claude init');
+  // Invalidate cached queries that could now return this memory
+  try {
+    await invalidateMemoryCache(repo);
+  } catch (err) {
+    console.warn('Failed to invalidate cache after save:', err.message);
   }
-  const repo = process.env.GITHUB_MEMORY_REPO || 'boss-claude-memory';
 
-  const { data } = await client.issues.listForRepo({
-    owner,
+  // Log memory save for watch command
+  const shortSummary = summary.substring(0, 60).replace(/\n/g, ' ').trim();
+  logAgent('Memory', 'SAVE', `Issue #${record.number}: ${shortSummary}`);
+}
+
+/**
+ * Sleep helper for flush backoff
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Replay queued memory saves into the backend
+ * Each entry is retried with exponential backoff while the backend is
+ * unreachable; entries that still fail stay queued with their attempt count
+ * and last error. Entries the backend rejects for good (see isTransientError)
+ * are not retried and move to the queue's failed/ directory.
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Attempts per entry in this flush
+ * @param {number} [options.backoffMs=1000] - First retry delay, doubled each attempt
+ * @param {Function} [options.onResult] - Called with ({ entry, saved, rejected?, record?, error? }) per entry
+ * @returns {Promise<{ total: number, saved: number, failed: number, rejected: number, pending: number }>}
+ */
+export async function flushMemoryQueue(options = {}) {
+  const { retries = 3, backoffMs = 1000, onResult } = options;
+  const backend = getMemoryBackend();
+  const entries = await listQueuedMemories();
+
+  let saved = 0;
+  let failed = 0;
+  let rejected = 0;
+
+  for (const entry of entries) {
+    let lastError = null;
+    let record = null;
+    let attempts = 0;
+
+    while (attempts < retries) {
+      if (attempts > 0) {
+        await sleep(backoffMs * 2 ** (attempts - 1));
+      }
+      attempts++;
+      try {
+        record = await backend.create(entry.memory);
+        break;
+      } catch (err) {
+        lastError = err;
+        if (!isTransientError(err)) break;
+      }
+    }
+
+    if (record) {
+      await removeQueuedMemory(entry.id);
+      await afterMemorySaved(record, entry.meta);
+      saved++;
+      if (onResult) await onResult({ entry, saved: true, record });
+    } else if (!isTransientError(lastError)) {
+      const updated = await moveToFailed(entry, lastError, attempts);
+      rejected++;
+      if (onResult) await onResult({ entry: updated, saved: false, rejected: true, error: lastError });
+    } else {
+      const updated = await markAttemptFailed(entry, lastError, attempts);
+      failed++;
+      if (onResult) await onResult({ entry: updated, saved: false, error: lastError });
+    }
+  }
+
+  return { total: entries.length, saved, failed, rejected, pending: await getPendingCount() };
+}
+
+/**
+ * Name of the repo the CLI is running in, for "current repo first" ranking
+ * session.js imports this module, so it is loaded lazily.
+ * @returns {Promise<string|null>}
+ */
+async function resolveCurrentRepo() {
+  try {
+    const { getCurrentRepo } = await import('./session.js');
+    const repo = await getCurrentRepo();
+    return repo ? repo.name : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Search every session memory and return the most relevant ones
+ * Results are ranked by relevance across title, labels and body; each
+ * result carries its score and the matches that produced it. Results are
+ * served from the Redis query cache when available.
+ * @param {string} query - Search query
+ * @param {number|Object} [options=5] - Maximum results, or an options object
+ * @param {number} [options.limit=5] - Maximum results
+ * @param {string} [options.repo] - Only memories for this repo
+ * @param {string[]} [options.tags] - Only memories carrying any of these tags
+ * @param {string} [options.since] - Created on/after (YYYY-MM-DD, ISO timestamp, or age like 7d)
+ * @param {string} [options.until] - Created on/before
+ * @param {string} [options.conductor] - Only memories saved by this conductor
+ * @param {boolean} [options.currentRepoFirst=false] - Rank the current repo's memories first
+ * @param {string} [options.currentRepo] - Repo to prefer (defaults to getCurrentRepo())
+ * @returns {Promise<Array<{ title, summary, url, created_at, labels, repo, score, matches }>>}
+ */
+export async function searchMemory(query, options = 5) {
+  const {
+    limit = 5,
+    repo = null,
+    tags = [],
+    since = null,
+    until = null,
+    conductor = null,
+    currentRepoFirst = false
+  } = typeof options === 'number' ? { limit: options } : options;
+
+  const preferRepo = currentRepoFirst && !repo
+    ? (options.currentRepo || await resolveCurrentRepo())
+    : null;
+
+  const cacheParams = {
+    kind: 'keyword',
+    query,
+    limit,
     repo,
-    labels: 'session',
-    state: 'all',
-    sort: 'created',
-    direction: 'desc',
-    per_page: 100
+    tags,
+    backend: getMemoryBackendName(),
+    since,
+    until,
+    conductor,
+    preferRepo
+  };
+  const cached = await getCachedQuery(cacheParams);
+  if (cached) {
+    return cached;
+  }
+
+  const backend = getMemoryBackend();
+
+  // Fetch the whole memory store - ranking needs every candidate, not just the newest page.
+  // Memories folded into a digest by `memory compact` are skipped; the digest stands in for them.
+  const records = (await backend.list({ label: 'session', limit: null }))
+    .filter(r => !r.labels.includes(ARCHIVED_LABEL));
+
+  const candidates = filterMemories(records, { repo, tags, since, until, conductor });
+
+  const results = rankMemories(candidates, query, limit, { preferRepo }).map(({ record, score, matches }) => {
+    const parsed = readMemoryRecord(record.body, record);
+    return {
+      title: record.title,
+      summary: parsed.summary,
+      url: record.url,
+      created_at: record.created_at,
+      labels: record.labels,
+      repo: parsed.repo,
+      score,
+      matches
+    };
   });
 
-  const queryLower = query.toLowerCase();
-  const filtered = data.filter(issue => {
-    const titleMatch = issue.title.toLowerCase().includes(queryLower);
-    const bodyMatch = issue.body && issue.body.toLowerCase().includes(queryLower);
-    const labelMatch = issue.labels.some(l => l.name.toLowerCase().includes(queryLower));
-    return titleMatch || bodyMatch || labelMatch;
-  }).slice(0, limit);
-
-  return filtered.map(issue => ({
-    title: issue.title,
-    summary: issue.body ? issue.body.split('\n\n')[1] || '' : '',
-    url: issue.html_url,
-    created_at: issue.created_at,
-    labels: issue.labels.map(l => l.name)
-  }));
+  await setCachedQuery(cacheParams, results);
+  return results;
 }
 
+/**
+ * Semantic memory search via the memory supervisor
+ * @param {string} query - Natural language query
+ * @param {Object} [options] - { limit, repo, tags, since, until, conductor, preferRepo, timeout, useCache, cacheTtl }
+ */
 export async function searchMemoryAdvanced(query, options = {}) {
   return await queryMemorySupervisor(query, options);
 }
 
+/**
+ * Load one memory and parse its body into a structured record
+ * Legacy memories, and memories written by a newer boss-claude, come back as version 0 records.
+ * @param {number} issueNumber - Memory number in the active backend
+ * @returns {Promise<{ number, title, body, url, state, created_at, labels, record }>}
+ */
 export async function getMemoryByIssue(issueNumber) {
-  const client = getOctokit();
-
-  const owner = process.env.GITHUB_OWNER;
-  if (!owner) {
-    throw new Error('GITHUB_OWNER environment variable is required. Please run: boss-claude init');
-  }
-  const repo = process.env.GITHUB_MEMORY_REPO || 'boss-claude-memory';
-
-  const { data } = await client.issues.get({
-    owner,
-    repo,
-    issue_number: issueNumber
-  });
+  const memory = await getMemoryBackend().get(issueNumber);
 
   return {
-    title: data.title,
-    body: data.body,
-    url: data.html_url,
-    created_at: data.created_at,
-    labels: data.labels.map(l => l.name)
+    number: memory.number,
+    title: memory.title,
+    body: memory.body,
+    url: memory.url,
+    state: memory.state,
+    created_at: memory.created_at,
+    labels: memory.labels,
+    record: readMemoryRecord(memory.body, memory)
   };
 }
 
 export const memorySupervisor = {
   query: queryMemorySupervisor,
+  index: indexMemory,
   invalidateCache: invalidateMemoryCache,
   getCacheStats: getMemoryCacheStats
 };
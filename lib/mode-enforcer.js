@@ -0,0 +1,406 @@
+/**
+ * MODE ENFORCER
+ *
+ * Tracks which mode Boss Claude is operating in and what that mode may do.
+ * The mode is shared across terminals through Redis, so a switch made with
+ * `boss-claude mode <name>` applies to every session.
+ *
+ * Modes:
+ * - orchestrator: plans and delegates; does not do implementation work itself
+ * - specialist:   domain expert doing work in its own domain
+ * - worker:       executes small delegated tasks (safe default)
+ * - review:       reviews code and results, changes nothing
+ * - learning:     records patterns and lessons
+ * plus any custom mode defined by a policy file. What each mode may do
+ * (capabilities, token limits, tool rules) comes from its policy - see
+ * ./mode-policy.js.
+ *
+ * Redis Schema:
+ * - boss:mode:current   # Hash: mode, setBy, setAt, reason, sessionId (expires after MODE_TTL)
+ * - boss:mode:agent     # Hash: agent, domain, setAt (expires with the mode)
+ * - boss:mode:history   # List of JSON mode changes, newest first (last 100)
+ * - boss:mode:stats     # Hash: mode -> allowed action count
+ * - boss:mode:blocked   # List of JSON blocked actions, newest first (last 100)
+ *
+ * Without Redis the current mode reads as the default (worker); switching
+ * modes needs Redis.
+ *
+ * Violations are thrown as Errors carrying a `violation` object:
+ *   { type: 'capability' | 'token-budget' | 'tool', mode, capability, requiredModes, action, tokens, limit, timestamp }
+ */
+
+import { ensureRedisConnected } from './redis.js';
+import { logAgent } from './agent-logger.js';
+import eventBus from './event-bus.js';
+import { loadModePolicy, listModes } from './mode-policy.js';
+
+export const MODES = {
+  ORCHESTRATOR: 'orchestrator',
+  SPECIALIST: 'specialist',
+  WORKER: 'worker',
+  REVIEW: 'review',
+  LEARNING: 'learning'
+};
+
+export const DEFAULT_MODE = MODES.WORKER;
+
+/** Capability -> what it lets a mode do, for messages */
+export const CAPABILITY_LABELS = {
+  canDelegate: 'delegate tasks',
+  canExecute: 'execute work directly',
+  canReview: 'review code',
+  canLearn: 'record learnings',
+  canConfigure: 'change configuration'
+};
+
+/** A mode expires after a day without being set again */
+const MODE_TTL = 86400;
+
+/** Entries kept in the history and blocked-action lists */
+const LOG_LIMIT = 100;
+
+const CURRENT_KEY = 'boss:mode:current';
+const AGENT_KEY = 'boss:mode:agent';
+const HISTORY_KEY = 'boss:mode:history';
+const STATS_KEY = 'boss:mode:stats';
+const BLOCKED_KEY = 'boss:mode:blocked';
+
+/**
+ * Whether a mode has a policy (built-in or custom)
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function isValidMode(mode) {
+  return typeof mode === 'string' && listModes().includes(mode);
+}
+
+/**
+ * Policy of a mode
+ * @param {string} mode
+ * @returns {Object}
+ * @throws {Error} When the mode has no policy or its files are invalid
+ */
+function policyFor(mode) {
+  const policy = loadModePolicy(mode);
+  if (!policy) {
+    throw new Error(`No policy for mode "${mode}". Check: boss-claude mode validate`);
+  }
+  return policy;
+}
+
+/**
+ * Error for an action the current mode does not allow
+ */
+function violationError(message, violation) {
+  const error = new Error(message);
+  error.code = 'MODE_VIOLATION';
+  error.violation = violation;
+  return error;
+}
+
+function parseEntries(entries) {
+  return entries
+    .map(entry => {
+      try {
+        return JSON.parse(entry);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+class ModeEnforcer {
+  async requireRedis() {
+    const redis = await ensureRedisConnected();
+    if (!redis) {
+      throw new Error('Redis not available. Mode enforcement needs REDIS_URL in ~/.boss-claude/.env');
+    }
+    return redis;
+  }
+
+  /**
+   * Current mode (the default when unset, expired or Redis is unavailable)
+   * @returns {Promise<string>}
+   */
+  async getCurrentMode() {
+    const redis = await ensureRedisConnected();
+    if (!redis) return DEFAULT_MODE;
+
+    const mode = await redis.hget(CURRENT_KEY, 'mode');
+    return isValidMode(mode) ? mode : DEFAULT_MODE;
+  }
+
+  /**
+   * Who set the current mode, when and why
+   * @returns {Promise<{ mode, setBy, setAt, reason, sessionId, ttl }|null>} null when no mode is set
+   */
+  async getModeMetadata() {
+    const redis = await ensureRedisConnected();
+    if (!redis) return null;
+
+    const metadata = await redis.hgetall(CURRENT_KEY);
+    if (!metadata || !metadata.mode) return null;
+
+    return {
+      mode: metadata.mode,
+      setBy: metadata.setBy,
+      setAt: metadata.setAt,
+      reason: metadata.reason,
+      sessionId: metadata.sessionId || null,
+      ttl: await redis.ttl(CURRENT_KEY)
+    };
+  }
+
+  /**
+   * Switch mode
+   * @param {string} mode - Mode name (built-in or defined by a policy file)
+   * @param {Object} [options]
+   * @param {string} [options.agent='boss-claude'] - Who is switching
+   * @param {string} [options.reason='manual-switch']
+   * @param {string} [options.sessionId]
+   * @returns {Promise<Object>} The history entry
+   */
+  async setMode(mode, options = {}) {
+    if (!isValidMode(mode)) {
+      throw new Error(`Invalid mode "${mode}". Valid modes: ${listModes().join(', ')}`);
+    }
+
+    const redis = await this.requireRedis();
+    const previous = await this.getCurrentMode();
+    const entry = {
+      mode,
+      previous,
+      setBy: options.agent || 'boss-claude',
+      setAt: new Date().toISOString(),
+      reason: options.reason || 'manual-switch',
+      sessionId: options.sessionId || null
+    };
+
+    await redis.multi()
+      .del(CURRENT_KEY)
+      .hset(CURRENT_KEY, 'mode', mode, 'setBy', entry.setBy, 'setAt', entry.setAt, 'reason', entry.reason, 'sessionId', entry.sessionId || '')
+      .expire(CURRENT_KEY, MODE_TTL)
+      .lpush(HISTORY_KEY, JSON.stringify(entry))
+      .ltrim(HISTORY_KEY, 0, LOG_LIMIT - 1)
+      .exec();
+
+    logAgent('MODE', 'SWITCH', `${previous} -> ${mode} (${entry.reason})`);
+    eventBus.emitEvent('mode-changed', { from: previous, to: mode, setBy: entry.setBy, reason: entry.reason });
+
+    return entry;
+  }
+
+  /**
+   * Emergency reset to the default mode, clearing the agent identity
+   * @returns {Promise<Object>} The history entry
+   */
+  async resetMode() {
+    const entry = await this.setMode(DEFAULT_MODE, { agent: 'system', reason: 'emergency-reset' });
+    const redis = await this.requireRedis();
+    await redis.del(AGENT_KEY);
+    return entry;
+  }
+
+  /**
+   * Record which agent is operating (e.g. a specialist and its domain)
+   * @param {string} agent
+   * @param {string|null} [domain]
+   */
+  async setAgentIdentity(agent, domain = null) {
+    if (!agent) {
+      throw new Error('Agent name is required');
+    }
+
+    const redis = await this.requireRedis();
+    await redis.multi()
+      .del(AGENT_KEY)
+      .hset(AGENT_KEY, 'agent', agent, 'domain', domain || '', 'setAt', new Date().toISOString())
+      .expire(AGENT_KEY, MODE_TTL)
+      .exec();
+  }
+
+  /**
+   * @returns {Promise<{ agent: string, domain: string|null, setAt: string }|null>}
+   */
+  async getAgentIdentity() {
+    const redis = await ensureRedisConnected();
+    if (!redis) return null;
+
+    const identity = await redis.hgetall(AGENT_KEY);
+    if (!identity || !identity.agent) return null;
+    return { agent: identity.agent, domain: identity.domain || null, setAt: identity.setAt };
+  }
+
+  /**
+   * Recent mode changes, newest first
+   * @param {number} [limit=20]
+   * @returns {Promise<Object[]>}
+   */
+  async getModeHistory(limit = 20) {
+    const redis = await ensureRedisConnected();
+    if (!redis) return [];
+    return parseEntries(await redis.lrange(HISTORY_KEY, 0, limit - 1));
+  }
+
+  /**
+   * Allowed actions per mode
+   * @returns {Promise<Object>} mode -> count (every mode present)
+   */
+  async getModeStats() {
+    const stats = Object.fromEntries(listModes().map(mode => [mode, 0]));
+    const redis = await ensureRedisConnected();
+    if (!redis) return stats;
+
+    for (const [mode, count] of Object.entries(await redis.hgetall(STATS_KEY) || {})) {
+      if (isValidMode(mode)) stats[mode] = parseInt(count, 10) || 0;
+    }
+    return stats;
+  }
+
+  /**
+   * Recent blocked actions, newest first
+   * @param {number} [limit=20]
+   * @returns {Promise<Array<{ timestamp, currentMode, requiredMode, action, type }>>}
+   */
+  async getBlockedActions(limit = 20) {
+    const redis = await ensureRedisConnected();
+    if (!redis) return [];
+    return parseEntries(await redis.lrange(BLOCKED_KEY, 0, limit - 1));
+  }
+
+  /**
+   * Policy of a mode (capabilities, token limits, tool rules)
+   * @param {string} [mode] - Defaults to the current mode
+   * @returns {Promise<Object>}
+   */
+  async getPolicy(mode = null) {
+    return policyFor(mode || await this.getCurrentMode());
+  }
+
+  /**
+   * Count an allowed action for a mode's stats
+   * @param {string} mode
+   */
+  async recordAction(mode) {
+    const redis = await ensureRedisConnected();
+    if (redis) {
+      await redis.hincrby(STATS_KEY, mode, 1);
+    }
+  }
+
+  /**
+   * Add a violation to the blocked-action audit log
+   * @param {Object} violation
+   */
+  async recordBlocked(violation) {
+    logAgent('MODE', 'BLOCKED', `${violation.mode}: ${violation.action}`);
+
+    const redis = await ensureRedisConnected();
+    if (!redis) return;
+    const entry = {
+      timestamp: violation.timestamp,
+      type: violation.type,
+      currentMode: violation.mode,
+      requiredMode: violation.requiredModes.join(' | ') || 'none',
+      action: violation.action
+    };
+    await redis.multi()
+      .lpush(BLOCKED_KEY, JSON.stringify(entry))
+      .ltrim(BLOCKED_KEY, 0, LOG_LIMIT - 1)
+      .exec();
+  }
+
+  /**
+   * Throw unless the current mode has a capability
+   * @param {string} capability - canDelegate | canExecute | canReview | canLearn | canConfigure
+   * @param {string} [action] - What is being attempted, for the audit log
+   * @returns {Promise<true>}
+   * @throws {Error} CAPABILITY ENFORCEMENT error with a `violation`
+   */
+  async checkCapability(capability, action = 'unspecified action') {
+    if (!CAPABILITY_LABELS[capability]) {
+      throw new Error(`Unknown capability "${capability}". Valid capabilities: ${Object.keys(CAPABILITY_LABELS).join(', ')}`);
+    }
+
+    const mode = await this.getCurrentMode();
+    if (policyFor(mode).capabilities[capability]) {
+      await this.recordAction(mode);
+      return true;
+    }
+
+    const requiredModes = listModes().filter(m => policyFor(m).capabilities[capability]);
+    const violation = {
+      type: 'capability',
+      mode,
+      capability,
+      requiredModes,
+      action,
+      tokens: null,
+      limit: null,
+      timestamp: new Date().toISOString()
+    };
+    await this.recordBlocked(violation);
+
+    throw violationError(
+      `CAPABILITY ENFORCEMENT: ${mode} mode cannot ${CAPABILITY_LABELS[capability]} ("${action}"). Switch to ${requiredModes.join(' or ')} mode.`,
+      violation
+    );
+  }
+
+  /**
+   * Throw if an action is over the current mode's token budget
+   * @param {number} tokens - Estimated tokens for the action
+   * @param {string} [action] - What is being attempted
+   * @returns {Promise<true>}
+   * @throws {Error} TOKEN BUDGET ENFORCEMENT error with a `violation`
+   */
+  async enforceTokenBudget(tokens, action = 'unspecified action') {
+    const mode = await this.getCurrentMode();
+    const limit = policyFor(mode).maxTokens;
+    if (!tokens || tokens <= limit) {
+      return true;
+    }
+
+    const requiredModes = listModes().filter(m => policyFor(m).maxTokens >= tokens);
+    const violation = {
+      type: 'token-budget',
+      mode,
+      capability: null,
+      requiredModes,
+      action,
+      tokens,
+      limit,
+      timestamp: new Date().toISOString()
+    };
+    await this.recordBlocked(violation);
+
+    throw violationError(
+      `TOKEN BUDGET ENFORCEMENT: "${action}" needs ~${tokens} tokens, over the ${limit} token limit for ${mode} mode.${requiredModes.length > 0 ? ` Allowed in: ${requiredModes.join(', ')}.` : ' Split it into smaller tasks.'}`,
+      violation
+    );
+  }
+}
+
+let enforcer = null;
+
+/**
+ * Shared mode enforcer
+ * @returns {ModeEnforcer}
+ */
+export function getEnforcer() {
+  if (!enforcer) {
+    enforcer = new ModeEnforcer();
+  }
+  return enforcer;
+}
+
+export { ModeEnforcer };
+
+export default {
+  getEnforcer,
+  isValidMode,
+  MODES,
+  DEFAULT_MODE,
+  CAPABILITY_LABELS
+};
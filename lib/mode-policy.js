@@ -0,0 +1,438 @@
+/**
+ * MODE POLICIES
+ *
+ * Each operating mode is defined by a JSON policy file. Policies are layered,
+ * later layers replacing the fields they set (capabilities merge per key):
+ *
+ * 1. Package defaults:  config/modes/<mode>.json
+ * 2. User policies:     ~/.boss-claude/modes/<mode>.json
+ * 3. Project policies:  .boss-claude/modes/<mode>.json
+ *
+ * A file for a new name defines a custom mode; it should `extends` a built-in
+ * mode and override what differs.
+ *
+ * Policy (version 1):
+ *   {
+ *     version: 1, mode, description, extends,
+ *     capabilities:      { canDelegate, canExecute, canReview, canLearn, canConfigure },
+ *     maxTokens:         largest single action or delegation,
+ *     maxDirectTokens:   largest tool call made directly before it must be delegated,
+ *     allowedTools:      tool names, "*" wildcards allowed ("mcp__*"),
+ *     requireDelegation: [{ tools, pattern?, reason, delegateTo? }],
+ *     escalation:        [{ tools?, pattern?, tokensOver?, action: 'ask' | 'deny', reason }]
+ *   }
+ * `pattern` is a regular expression tested against the tool's subject: the
+ * Bash command, the file path, the Task description, the search pattern.
+ *
+ * A tool call is evaluated in order: escalation, requireDelegation,
+ * allowedTools, maxDirectTokens. The first rule that decides wins, and
+ * evaluateToolUse() reports which one it was.
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { estimateTokens } from './token-parser.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const POLICY_VERSION = 1;
+
+/** Modes that ship with boss-claude */
+export const BUILTIN_MODES = ['orchestrator', 'specialist', 'worker', 'review', 'learning'];
+
+export const CAPABILITY_KEYS = ['canDelegate', 'canExecute', 'canReview', 'canLearn', 'canConfigure'];
+
+const POLICY_FIELDS = ['version', 'mode', 'description', 'extends', 'capabilities', 'maxTokens', 'maxDirectTokens', 'allowedTools', 'requireDelegation', 'escalation'];
+const ESCALATION_ACTIONS = ['ask', 'deny'];
+
+/**
+ * Policy directories, lowest precedence first
+ * @returns {Array<{ scope: string, dir: string }>}
+ */
+export function getPolicyDirs() {
+  return [
+    { scope: 'package', dir: join(dirname(__dirname), 'config', 'modes') },
+    { scope: 'user', dir: join(os.homedir(), '.boss-claude', 'modes') },
+    { scope: 'project', dir: join(process.cwd(), '.boss-claude', 'modes') }
+  ];
+}
+
+/**
+ * Every policy file, lowest precedence first
+ * @returns {Array<{ scope: string, mode: string, file: string }>}
+ */
+export function listPolicyFiles() {
+  const files = [];
+  for (const { scope, dir } of getPolicyDirs()) {
+    if (!existsSync(dir)) continue;
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+      files.push({ scope, mode: file.replace(/\.json$/, ''), file: join(dir, file) });
+    }
+  }
+  return files;
+}
+
+/**
+ * Names of every mode with a policy (built-in first)
+ * @returns {string[]}
+ */
+export function listModes() {
+  const custom = listPolicyFiles().map(f => f.mode).filter(mode => !BUILTIN_MODES.includes(mode));
+  return [...BUILTIN_MODES, ...new Set(custom)];
+}
+
+/**
+ * Line of a character offset, for JSON syntax errors
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Read a policy file
+ * @param {string} file
+ * @returns {Object}
+ * @throws {Error} With `.line` for JSON syntax errors (null when the parser gives no position)
+ */
+export function readPolicyFile(file) {
+  const text = readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const position = err.message.match(/position (\d+)/);
+    const line = position ? lineAt(text, parseInt(position[1], 10)) : null;
+    // Drop the quoted source excerpt newer Node versions append
+    const reason = err.message.replace(/,\s*(\.\.\.)?".*is not valid JSON$/s, '').replace(/\s+/g, ' ');
+    const error = new Error(`${file}${line ? `:${line}` : ''}: invalid JSON - ${reason}`);
+    error.line = line;
+    throw error;
+  }
+}
+
+/**
+ * Resolved policy for a mode
+ * @param {string} mode - Mode name
+ * @param {string[]} [chain] - Modes being resolved (cycle detection)
+ * @returns {Object|null} Policy with `sources` (files applied, parents first) and `fieldSources` (field -> file), or null if the mode has no policy
+ * @throws {Error} On unreadable files and `extends` cycles
+ */
+export function loadModePolicy(mode, chain = []) {
+  if (chain.includes(mode)) {
+    throw new Error(`Mode policy cycle: ${[...chain, mode].join(' -> ')}`);
+  }
+
+  const layers = listPolicyFiles().filter(f => f.mode === mode);
+  if (layers.length === 0) {
+    return null;
+  }
+
+  const documents = layers.map(layer => ({ ...layer, policy: readPolicyFile(layer.file) }));
+  const parentName = documents.reduce((parent, doc) => doc.policy.extends || parent, null);
+
+  let policy = {
+    capabilities: Object.fromEntries(CAPABILITY_KEYS.map(key => [key, false])),
+    maxTokens: 0,
+    maxDirectTokens: 0,
+    allowedTools: [],
+    requireDelegation: [],
+    escalation: [],
+    fieldSources: {}
+  };
+
+  if (parentName) {
+    const parent = loadModePolicy(parentName, [...chain, mode]);
+    if (!parent) {
+      throw new Error(`Mode "${mode}" extends "${parentName}", which has no policy`);
+    }
+    policy = { ...parent, capabilities: { ...parent.capabilities }, fieldSources: { ...parent.fieldSources } };
+  }
+
+  for (const { file, policy: layer } of documents) {
+    for (const field of POLICY_FIELDS) {
+      if (layer[field] === undefined || field === 'version' || field === 'mode') continue;
+      if (field === 'capabilities') {
+        policy.capabilities = { ...policy.capabilities, ...layer.capabilities };
+      } else {
+        policy[field] = layer[field];
+      }
+      policy.fieldSources[field] = file;
+    }
+  }
+
+  return {
+    ...policy,
+    mode,
+    extends: parentName,
+    description: policy.description || '',
+    sources: [...(policy.sources || []), ...documents.map(doc => doc.file)]
+  };
+}
+
+/**
+ * Validate one policy document
+ * @param {Object} policy - Parsed JSON
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Mode the file defines (from its name)
+ * @param {string[]} [options.modes] - Every known mode, to check `extends`
+ * @returns {{ errors: Array<{ field, message }>, warnings: Array<{ field, message }> }}
+ */
+export function validatePolicy(policy, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (field, message) => errors.push({ field, message: `${field} ${message}` });
+  const warn = (field, message) => warnings.push({ field, message: `${field} ${message}` });
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return { errors: [{ field: null, message: 'policy must be a JSON object' }], warnings };
+  }
+
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+  const checkPattern = (field, pattern) => {
+    if (pattern === undefined) return;
+    if (typeof pattern !== 'string') return error(field, 'must be a string');
+    try {
+      new RegExp(pattern);
+    } catch (err) {
+      error(field, `is not a valid regular expression (${err.message})`);
+    }
+  };
+  const checkTokens = (field, value) => {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) error(field, 'must be a non-negative integer');
+  };
+
+  if (policy.version !== undefined && policy.version !== POLICY_VERSION) {
+    error('version', `must be ${POLICY_VERSION}`);
+  }
+  if (policy.mode !== undefined && options.mode && policy.mode !== options.mode) {
+    warn('mode', `"${policy.mode}" does not match the file name "${options.mode}" (modes are named by file)`);
+  }
+  if (policy.description !== undefined && typeof policy.description !== 'string') {
+    error('description', 'must be a string');
+  }
+
+  if (policy.extends !== undefined) {
+    if (typeof policy.extends !== 'string') {
+      error('extends', 'must be a mode name');
+    } else if (policy.extends === options.mode) {
+      error('extends', 'cannot extend itself');
+    } else if (options.modes && !options.modes.includes(policy.extends)) {
+      error('extends', `"${policy.extends}" is not a known mode`);
+    }
+  } else if (options.mode && !BUILTIN_MODES.includes(options.mode)) {
+    for (const field of ['capabilities', 'allowedTools']) {
+      if (policy[field] === undefined) warn(field, `is not set and "${options.mode}" does not extend a mode - nothing is allowed`);
+    }
+  }
+
+  if (policy.capabilities !== undefined) {
+    if (!policy.capabilities || typeof policy.capabilities !== 'object' || Array.isArray(policy.capabilities)) {
+      error('capabilities', 'must be an object');
+    } else {
+      for (const [key, value] of Object.entries(policy.capabilities)) {
+        if (!CAPABILITY_KEYS.includes(key)) warn(`capabilities.${key}`, `is not a known capability (${CAPABILITY_KEYS.join(', ')})`);
+        else if (typeof value !== 'boolean') error(`capabilities.${key}`, 'must be true or false');
+      }
+    }
+  }
+
+  checkTokens('maxTokens', policy.maxTokens);
+  checkTokens('maxDirectTokens', policy.maxDirectTokens);
+
+  if (policy.allowedTools !== undefined && !isStringList(policy.allowedTools)) {
+    error('allowedTools', 'must be a list of tool names');
+  }
+
+  const checkRules = (field, rules, checkRule) => {
+    if (rules === undefined) return;
+    if (!Array.isArray(rules)) return error(field, 'must be a list of rules');
+    rules.forEach((rule, i) => {
+      const path = `${field}[${i}]`;
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return error(path, 'must be an object');
+      if (rule.tools !== undefined && !isStringList(rule.tools)) error(`${path}.tools`, 'must be a list of tool names');
+      checkPattern(`${path}.pattern`, rule.pattern);
+      if (rule.reason !== undefined && typeof rule.reason !== 'string') error(`${path}.reason`, 'must be a string');
+      if (!rule.reason) warn(`${path}.reason`, 'is missing - blocked tool calls will not say why');
+      checkRule(path, rule);
+    });
+  };
+
+  checkRules('requireDelegation', policy.requireDelegation, (path, rule) => {
+    if (rule.tools === undefined) error(`${path}.tools`, 'is required');
+    if (rule.delegateTo !== undefined && typeof rule.delegateTo !== 'string') error(`${path}.delegateTo`, 'must be a string');
+    for (const key of Object.keys(rule)) {
+      if (!['tools', 'pattern', 'reason', 'delegateTo'].includes(key)) warn(`${path}.${key}`, 'is not a known field');
+    }
+  });
+
+  checkRules('escalation', policy.escalation, (path, rule) => {
+    if (!ESCALATION_ACTIONS.includes(rule.action)) error(`${path}.action`, `must be one of: ${ESCALATION_ACTIONS.join(', ')}`);
+    checkTokens(`${path}.tokensOver`, rule.tokensOver);
+    if (rule.tools === undefined && rule.pattern === undefined && rule.tokensOver === undefined) {
+      error(path, 'needs tools, pattern or tokensOver');
+    }
+    for (const key of Object.keys(rule)) {
+      if (!['tools', 'pattern', 'tokensOver', 'action', 'reason'].includes(key)) warn(`${path}.${key}`, 'is not a known field');
+    }
+  });
+
+  for (const field of Object.keys(policy)) {
+    if (!POLICY_FIELDS.includes(field)) warn(field, 'is not a known field');
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate policy files
+ * @param {string[]} [files] - Defaults to every file in the policy directories
+ * @returns {{ files: Array<{ file, mode, errors, warnings }>, errors: number, warnings: number }}
+ */
+export function validatePolicyFiles(files = null) {
+  const targets = files && files.length > 0
+    ? files.map(file => ({ file, mode: basename(file).replace(/\.json$/, '') }))
+    : listPolicyFiles();
+  const modes = listModes();
+
+  const results = targets.map(({ file, mode }) => {
+    const result = { file, mode, errors: [], warnings: [] };
+    if (!existsSync(file)) {
+      result.errors.push({ field: null, message: 'file not found' });
+      return result;
+    }
+
+    let policy;
+    try {
+      policy = readPolicyFile(file);
+    } catch (err) {
+      result.errors.push({ field: null, message: err.message.replace(`${file}${err.line ? `:${err.line}` : ''}: `, ''), line: err.line });
+      return result;
+    }
+
+    const validation = validatePolicy(policy, { mode, modes });
+    result.errors = validation.errors;
+    result.warnings = validation.warnings;
+
+    // Cycles and missing parents only show up once layers are resolved
+    if (result.errors.length === 0) {
+      try {
+        loadModePolicy(mode);
+      } catch (err) {
+        result.errors.push({ field: 'extends', message: err.message });
+      }
+    }
+    return result;
+  });
+
+  return {
+    files: results,
+    errors: results.reduce((sum, r) => sum + r.errors.length, 0),
+    warnings: results.reduce((sum, r) => sum + r.warnings.length, 0)
+  };
+}
+
+/**
+ * Whether a tool name matches a list of names ("*" wildcards allowed)
+ * @param {string} tool
+ * @param {string[]} names
+ * @returns {string|null} The matching entry
+ */
+export function matchTool(tool, names = []) {
+  return names.find(name => {
+    const pattern = new RegExp(`^${name.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+    return pattern.test(tool);
+  }) || null;
+}
+
+/**
+ * What a rule `pattern` is tested against for a tool call
+ * @param {string} tool - Tool name
+ * @param {Object} input - Tool input
+ * @returns {string}
+ */
+export function toolSubject(tool, input = {}) {
+  if (!input || typeof input !== 'object') return String(input || '');
+  if (tool === 'Bash') return input.command || '';
+  if (tool === 'Task') return [input.description, input.prompt].filter(Boolean).join('\n');
+  if (tool === 'WebFetch') return input.url || '';
+  if (tool === 'WebSearch') return input.query || '';
+  if (input.file_path || input.notebook_path || input.path) return input.file_path || input.notebook_path || input.path;
+  if (input.pattern) return input.pattern;
+  return Object.values(input).filter(value => typeof value === 'string').join(' ');
+}
+
+/**
+ * Whether a rule's tools/pattern/tokensOver conditions all hold
+ */
+function ruleMatches(rule, tool, subject, tokens) {
+  if (rule.tools && !matchTool(tool, rule.tools)) return false;
+  if (rule.pattern && !new RegExp(rule.pattern, 'i').test(subject)) return false;
+  if (rule.tokensOver !== undefined && !(tokens > rule.tokensOver)) return false;
+  return true;
+}
+
+/**
+ * Decide whether a policy allows a tool call
+ * @param {Object} policy - From loadModePolicy()
+ * @param {Object} call
+ * @param {string} call.tool - Tool name (Bash, Edit, Task, ...)
+ * @param {Object} [call.input] - Tool input
+ * @param {number} [call.tokens] - Estimated tokens (defaults to an estimate from the input)
+ * @returns {{ decision: 'allow'|'deny'|'ask', delegate: boolean, reason: string, rule: { field, index, source, rule }|null, trace: string[] }}
+ */
+export function evaluateToolUse(policy, { tool, input = {}, tokens } = {}) {
+  const subject = toolSubject(tool, input);
+  const estimated = tokens ?? estimateTokens(JSON.stringify(input || {}));
+  const trace = [];
+  const source = field => policy.fieldSources[field] || 'default';
+  const result = (decision, reason, rule, delegate = false) => ({ decision, delegate, reason, rule, trace, tokens: estimated });
+
+  for (const [index, rule] of (policy.escalation || []).entries()) {
+    if (ruleMatches(rule, tool, subject, estimated)) {
+      trace.push(`escalation[${index}] matched`);
+      return result(rule.action, rule.reason || `Escalation rule ${index}`, { field: 'escalation', index, source: source('escalation'), rule });
+    }
+    trace.push(`escalation[${index}] did not match`);
+  }
+
+  for (const [index, rule] of (policy.requireDelegation || []).entries()) {
+    if (ruleMatches(rule, tool, subject, estimated)) {
+      trace.push(`requireDelegation[${index}] matched`);
+      const target = rule.delegateTo ? ` (delegate to ${rule.delegateTo})` : '';
+      return result('deny', `${rule.reason || 'Must be delegated'}${target}`, { field: 'requireDelegation', index, source: source('requireDelegation'), rule }, true);
+    }
+    trace.push(`requireDelegation[${index}] did not match`);
+  }
+
+  const allowedBy = matchTool(tool, policy.allowedTools);
+  if (!allowedBy) {
+    trace.push(`allowedTools has no entry for ${tool}`);
+    return result('deny', `${tool} is not in the ${policy.mode} mode's allowedTools`, { field: 'allowedTools', index: null, source: source('allowedTools'), rule: policy.allowedTools });
+  }
+  trace.push(`allowedTools entry "${allowedBy}" matched`);
+
+  if (tool !== 'Task' && policy.maxDirectTokens && estimated > policy.maxDirectTokens) {
+    trace.push(`~${estimated} tokens is over maxDirectTokens (${policy.maxDirectTokens})`);
+    return result('deny', `~${estimated} tokens is over the ${policy.maxDirectTokens} token limit for direct work in ${policy.mode} mode - delegate it`, { field: 'maxDirectTokens', index: null, source: source('maxDirectTokens'), rule: policy.maxDirectTokens }, true);
+  }
+  trace.push(`~${estimated} tokens is within maxDirectTokens (${policy.maxDirectTokens || 'unlimited'})`);
+
+  return result('allow', `Allowed by allowedTools entry "${allowedBy}"`, { field: 'allowedTools', index: policy.allowedTools.indexOf(allowedBy), source: source('allowedTools'), rule: allowedBy });
+}
+
+export default {
+  POLICY_VERSION,
+  BUILTIN_MODES,
+  CAPABILITY_KEYS,
+  getPolicyDirs,
+  listPolicyFiles,
+  listModes,
+  readPolicyFile,
+  loadModePolicy,
+  validatePolicy,
+  validatePolicyFiles,
+  matchTool,
+  toolSubject,
+  evaluateToolUse
+};
@@ -0,0 +1,276 @@
+/**
+ * ORCHESTRATOR GATE
+ *
+ * Checks every kind of action against the current mode before it happens.
+ * Callers run the matching gate first and let a thrown violation stop the
+ * action:
+ *
+ *   await getGate().beforeDelegate('postgres-specialist', { description }, 15000);
+ *
+ * Gates: beforeDelegate, beforeExecute, beforeReview, beforeLearn,
+ * beforeConfigChange, and beforeToolUse for a single tool call, which applies
+ * the mode policy's tool rules (see ./mode-policy.js). A blocked action is
+ * recorded by the mode enforcer, emitted on the event bus as a 'violation'
+ * event and thrown as a "GATE BLOCKED" Error carrying a structured `violation`:
+ *   { type, gate, severity, mode, capability, requiredModes, action, tokens, limit, timestamp }
+ * Tool violations add `rule` ({ field, index, source }) and `delegate`.
+ */
+
+import chalk from 'chalk';
+import { getEnforcer, MODES, CAPABILITY_LABELS } from './mode-enforcer.js';
+import { evaluateToolUse, listModes, loadModePolicy, toolSubject, CAPABILITY_KEYS } from './mode-policy.js';
+import eventBus from './event-bus.js';
+
+/** Violation severity by gate (token overruns are always MEDIUM) */
+const GATE_SEVERITY = {
+  delegate: 'HIGH',
+  execute: 'HIGH',
+  review: 'MEDIUM',
+  learn: 'LOW',
+  config: 'CRITICAL',
+  tool: 'HIGH'
+};
+
+/**
+ * Short description of a task or action argument
+ */
+function describe(subject, fallback) {
+  if (!subject) return fallback;
+  if (typeof subject === 'string') return subject;
+  return subject.description || subject.title || subject.file || fallback;
+}
+
+/**
+ * Other modes whose policy allows a tool call, for the violation's requiredModes
+ * Informational only: a mode whose policy fails to load (bad JSON, extends
+ * cycle) is skipped rather than failing the deny.
+ * @param {string} current - Mode the call was denied in
+ * @param {Object} call - { tool, input, tokens }
+ * @returns {string[]}
+ */
+function modesAllowing(current, call) {
+  let modes;
+  try {
+    modes = listModes();
+  } catch (error) {
+    return [];
+  }
+
+  return modes.filter(mode => {
+    if (mode === current) return false;
+    try {
+      const policy = loadModePolicy(mode);
+      return Boolean(policy) && evaluateToolUse(policy, call).decision === 'allow';
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+class OrchestratorGate {
+  constructor(enforcer = getEnforcer()) {
+    this.enforcer = enforcer;
+  }
+
+  /**
+   * Run the checks for one gate
+   * @param {string} gate - delegate | execute | review | learn | config
+   * @param {string} capability - Capability the action needs
+   * @param {string} action - Description for the audit log
+   * @param {number} [tokens=0] - Estimated tokens (0 skips the budget check)
+   * @returns {Promise<{ allowed: true, mode: string }>}
+   */
+  async check(gate, capability, action, tokens = 0) {
+    try {
+      await this.enforcer.enforceTokenBudget(tokens, action);
+      await this.enforcer.checkCapability(capability, action);
+    } catch (error) {
+      if (!error.violation) throw error;
+      this.block(gate, error.message, error.violation);
+    }
+
+    return { allowed: true, mode: await this.enforcer.getCurrentMode() };
+  }
+
+  /**
+   * Emit a violation event and throw it as a GATE BLOCKED error
+   * @param {string} gate
+   * @param {string} message
+   * @param {Object} violation - From the enforcer or a tool rule
+   * @throws {Error}
+   */
+  block(gate, message, violation) {
+    const detail = {
+      ...violation,
+      gate,
+      severity: violation.type === 'token-budget' ? 'MEDIUM' : GATE_SEVERITY[gate]
+    };
+    eventBus.emitEvent('violation', {
+      ...detail,
+      operation: `${gate}: ${violation.action}`,
+      tokensUsed: detail.tokens || 0,
+      threshold: detail.limit,
+      excess: detail.tokens && detail.limit ? detail.tokens - detail.limit : 0
+    });
+
+    const blocked = new Error(`GATE BLOCKED [${gate}]: ${message}`);
+    blocked.code = 'MODE_VIOLATION';
+    blocked.violation = detail;
+    throw blocked;
+  }
+
+  /**
+   * Before handing a task to another agent
+   * @param {string} agent - Agent receiving the task
+   * @param {Object|string} task - Task ({ description })
+   * @param {number} [tokens=0] - Estimated tokens for the task
+   */
+  async beforeDelegate(agent, task, tokens = 0) {
+    return this.check('delegate', 'canDelegate', `delegate to ${agent || 'agent'}: ${describe(task, 'task')}`, tokens);
+  }
+
+  /**
+   * Before doing work directly
+   * @param {Object|string} action - Action ({ description })
+   * @param {number} [tokens=0] - Estimated tokens for the action
+   */
+  async beforeExecute(action, tokens = 0) {
+    return this.check('execute', 'canExecute', `execute: ${describe(action, 'action')}`, tokens);
+  }
+
+  /**
+   * Before reviewing an agent's work
+   * @param {string} agent - Agent whose work is reviewed
+   * @param {Object} [code] - What is reviewed ({ description | file })
+   */
+  async beforeReview(agent, code = {}) {
+    return this.check('review', 'canReview', `review ${agent || 'agent'}: ${describe(code, 'changes')}`);
+  }
+
+  /**
+   * Before recording a learning
+   * @param {string} type - Kind of learning (pattern, mistake, ...)
+   * @param {Object} [data]
+   */
+  async beforeLearn(type, data = {}) {
+    return this.check('learn', 'canLearn', `learn ${type || 'general'}: ${describe(data, 'lesson')}`);
+  }
+
+  /**
+   * Before changing configuration
+   * @param {string} key - Setting being changed
+   * @param {*} value - New value (not logged)
+   */
+  async beforeConfigChange(key, value) {
+    return this.check('config', 'canConfigure', `change config ${key || 'setting'}`);
+  }
+
+  /**
+   * Before a single tool call (Bash, Edit, Task, ...), checked against the
+   * current mode's tool rules
+   * @param {string} tool - Tool name
+   * @param {Object} [input] - Tool input
+   * @param {number} [tokens] - Estimated tokens (estimated from the input if omitted)
+   * @returns {Promise<{ allowed: true, mode: string, decision: 'allow'|'ask', reason: string, rule: Object }>}
+   *   'ask' means the policy wants the user to confirm
+   */
+  async beforeToolUse(tool, input = {}, tokens = undefined) {
+    const mode = await this.enforcer.getCurrentMode();
+    const evaluation = evaluateToolUse(await this.enforcer.getPolicy(mode), { tool, input, tokens });
+
+    if (evaluation.decision === 'deny') {
+      const subject = toolSubject(tool, input).split('\n')[0].slice(0, 80);
+      const violation = {
+        type: 'tool',
+        mode,
+        capability: null,
+        requiredModes: modesAllowing(mode, { tool, input, tokens }),
+        action: subject ? `${tool}: ${subject}` : tool,
+        tokens: evaluation.tokens,
+        limit: evaluation.rule.field === 'maxDirectTokens' ? evaluation.rule.rule : null,
+        rule: { field: evaluation.rule.field, index: evaluation.rule.index, source: evaluation.rule.source },
+        delegate: evaluation.delegate,
+        timestamp: new Date().toISOString()
+      };
+      await this.enforcer.recordBlocked(violation);
+      this.block('tool', evaluation.reason, violation);
+    }
+
+    await this.enforcer.recordAction(mode);
+    return { allowed: true, mode, decision: evaluation.decision, reason: evaluation.reason, rule: evaluation.rule };
+  }
+
+  /**
+   * Current mode with what it allows
+   * @returns {Promise<{ mode, description, metadata, agent, capabilities, restrictions, maxTokens, maxDirectTokens, allowedTools, policyFiles }>}
+   */
+  async getStatus() {
+    const mode = await this.enforcer.getCurrentMode();
+    const policy = await this.enforcer.getPolicy(mode);
+
+    return {
+      mode,
+      description: policy.description,
+      metadata: await this.enforcer.getModeMetadata(),
+      agent: await this.enforcer.getAgentIdentity(),
+      capabilities: CAPABILITY_KEYS.filter(key => policy.capabilities[key]).map(key => CAPABILITY_LABELS[key]),
+      restrictions: CAPABILITY_KEYS.filter(key => !policy.capabilities[key]).map(key => CAPABILITY_LABELS[key]),
+      maxTokens: policy.maxTokens,
+      maxDirectTokens: policy.maxDirectTokens,
+      allowedTools: policy.allowedTools,
+      policyFiles: policy.sources
+    };
+  }
+
+  /**
+   * Print the current mode and what it allows
+   */
+  async printStatus() {
+    const status = await this.getStatus();
+
+    console.log(chalk.bold(`\nMode: ${chalk.green(status.mode.toUpperCase())}`) + chalk.gray(` - ${status.description}`));
+    console.log(chalk.white('\nAllowed:'));
+    status.capabilities.forEach(capability => console.log(chalk.green(`  ✓ ${capability}`)));
+    if (status.restrictions.length > 0) {
+      console.log(chalk.white('Blocked:'));
+      status.restrictions.forEach(restriction => console.log(chalk.red(`  ✗ ${restriction}`)));
+    }
+    console.log(chalk.gray(`\nTools: ${status.allowedTools.join(', ') || 'none'}`));
+    console.log(chalk.gray(`Token limit per action: ${status.maxTokens.toLocaleString()}, direct work: ${status.maxDirectTokens.toLocaleString()}`));
+    console.log(chalk.gray(`Policy: ${status.policyFiles.join(', ')}\n`));
+  }
+}
+
+let gate = null;
+
+/**
+ * Shared orchestrator gate
+ * @returns {OrchestratorGate}
+ */
+export function getGate() {
+  if (!gate) {
+    gate = new OrchestratorGate();
+  }
+  return gate;
+}
+
+/**
+ * Put this session in orchestrator mode
+ * @param {string} [sessionId]
+ * @returns {Promise<Object>} Gate status
+ */
+export async function initOrchestratorMode(sessionId = null) {
+  await getEnforcer().setMode(MODES.ORCHESTRATOR, {
+    agent: 'boss-claude',
+    reason: 'session-start',
+    sessionId
+  });
+  return getGate().getStatus();
+}
+
+export { OrchestratorGate };
+
+export default {
+  getGate,
+  initOrchestratorMode
+};
@@ -6,8 +6,18 @@
  */
 
 import pg from 'pg';
+import dotenv from 'dotenv';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
 const { Pool } = pg;
 
+// Load environment variables from ~/.boss-claude/.env before the pool reads them
+const envPath = join(homedir(), '.boss-claude', '.env');
+if (existsSync(envPath)) {
+  dotenv.config({ path: envPath });
+}
+
 // Warn if SSL verification is explicitly disabled
 if (process.env.BOSS_CLAUDE_DISABLE_SSL === 'true') {
   console.warn('⚠️  PostgreSQL SSL verification disabled - not recommended for production');
@@ -37,12 +47,13 @@ pool.on('error', (err) => {
 export const sessions = {
   /**
    * Start a new Boss Claude session
+   * @param {Date|string} [startTime] - When the session started (defaults to now)
    */
-  async start(userId, project, levelAtStart, contextData = {}) {
+  async start(userId, project, levelAtStart, contextData = {}, startTime = null) {
     const query = `
       INSERT INTO boss_claude.sessions (
-        user_id, project, level_at_start, context_data
-      ) VALUES ($1, $2, $3, $4)
+        user_id, project, level_at_start, context_data, start_time
+      ) VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
       RETURNING id, user_id, project, start_time, level_at_start
     `;
 
@@ -50,7 +61,8 @@ export const sessions = {
       userId,
       project,
       levelAtStart,
-      JSON.stringify(contextData)
+      JSON.stringify(contextData),
+      startTime
     ]);
 
     return result.rows[0];
@@ -115,22 +127,61 @@ export const sessions = {
 
   /**
    * End a session
+   * @param {Date|string} [endTime] - When the session ended (defaults to now)
    */
-  async end(sessionId, levelAtEnd, summary) {
+  async end(sessionId, levelAtEnd, summary, endTime = null) {
     const query = `
       UPDATE boss_claude.sessions
       SET
-        end_time = NOW(),
+        end_time = COALESCE($4, NOW()),
         level_at_end = $2,
         summary = $3
       WHERE id = $1
       RETURNING id, start_time, end_time, duration_seconds, xp_earned, tokens_saved
     `;
 
-    const result = await pool.query(query, [sessionId, levelAtEnd, summary]);
+    const result = await pool.query(query, [sessionId, levelAtEnd, summary, endTime]);
     return result.rows[0];
   },
 
+  /**
+   * Finished sessions, newest first
+   * @param {string} userId
+   * @param {Object} [filters] - { project, since, until, limit }
+   */
+  async listFinished(userId, filters = {}) {
+    const { project = null, since = null, until = null, limit = 20 } = filters;
+    const query = `
+      SELECT *
+      FROM boss_claude.sessions
+      WHERE user_id = $1
+        AND end_time IS NOT NULL
+        AND ($2::text IS NULL OR project = $2)
+        AND ($3::timestamptz IS NULL OR end_time >= $3)
+        AND ($4::timestamptz IS NULL OR end_time <= $4)
+      ORDER BY end_time DESC
+      LIMIT $5
+    `;
+
+    const result = await pool.query(query, [userId, project, since, until, limit]);
+    return result.rows;
+  },
+
+  /**
+   * Find a session by the history ID saved in its context data
+   */
+  async findByHistoryId(historyId) {
+    const query = `
+      SELECT *
+      FROM boss_claude.sessions
+      WHERE context_data->>'id' = $1
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [historyId]);
+    return result.rows[0] || null;
+  },
+
   /**
    * Get recent sessions
    */
@@ -278,6 +329,111 @@ export const snapshots = {
 
     const result = await pool.query(query, [userId]);
     return result.rows[0] || null;
+  },
+
+  /**
+   * List snapshots, newest first
+   * @param {string} userId
+   * @param {Object} [filters] - { type, repo (snapshot_data.repo), limit }
+   */
+  async list(userId, filters = {}) {
+    const { type = null, repo = null, limit = 20 } = filters;
+    const query = `
+      SELECT *
+      FROM boss_claude.memory_snapshots
+      WHERE user_id = $1
+        AND ($2::text IS NULL OR snapshot_type = $2)
+        AND ($3::text IS NULL OR snapshot_data->>'repo' = $3)
+      ORDER BY created_at DESC
+      LIMIT $4
+    `;
+
+    const result = await pool.query(query, [userId, type, repo, limit]);
+    return result.rows;
+  },
+
+  /**
+   * Find snapshots whose id starts with a prefix (at most two, to detect ambiguity)
+   */
+  async findByIdPrefix(userId, idPrefix) {
+    const query = `
+      SELECT *
+      FROM boss_claude.memory_snapshots
+      WHERE user_id = $1
+        AND id::text LIKE $2 || '%'
+      ORDER BY created_at DESC
+      LIMIT 2
+    `;
+
+    const result = await pool.query(query, [userId, idPrefix]);
+    return result.rows;
+  }
+};
+
+/**
+ * Memory Storage (used by the postgres memory backend)
+ */
+export const memories = {
+  /**
+   * Insert a memory record
+   * options.createdAt / options.state preserve the original values on import
+   */
+  async create(title, body, labels = [], options = {}) {
+    const query = `
+      INSERT INTO boss_claude.memories (title, body, labels, state, created_at)
+      VALUES ($1, $2, $3, COALESCE($4, 'open'), COALESCE($5::TIMESTAMPTZ, NOW()))
+      RETURNING id, title, body, labels, state, created_at, updated_at
+    `;
+
+    const result = await pool.query(query, [title, body, labels, options.state || null, options.createdAt || null]);
+    return result.rows[0];
+  },
+
+  /**
+   * Get a memory by id
+   */
+  async get(id) {
+    const query = `
+      SELECT id, title, body, labels, state, created_at, updated_at
+      FROM boss_claude.memories
+      WHERE id = $1
+    `;
+
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Update a memory's state and/or labels
+   */
+  async update(id, { state = null, labels = null } = {}) {
+    const query = `
+      UPDATE boss_claude.memories
+      SET state = COALESCE($2, state),
+          labels = COALESCE($3, labels),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, title, body, labels, state, created_at, updated_at
+    `;
+
+    const result = await pool.query(query, [id, state, labels]);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * List memories carrying a label, newest first
+   */
+  async list(label = null, limit = 100, offset = 0) {
+    const query = `
+      SELECT id, title, body, labels, state, created_at, updated_at
+      FROM boss_claude.memories
+      WHERE ($1::TEXT IS NULL OR $1 = ANY(labels))
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [label, limit, offset]);
+    return result.rows;
   }
 };
 
@@ -318,8 +474,9 @@ export const stats = {
 
   /**
    * Get top performing sessions
+   * @param {Date} [since] - Only sessions started on or after
    */
-  async getTopSessions(userId, limit = 5) {
+  async getTopSessions(userId, limit = 5, since = null) {
     const query = `
       SELECT
         project,
@@ -332,11 +489,12 @@ export const stats = {
       FROM boss_claude.sessions
       WHERE user_id = $1
         AND end_time IS NOT NULL
+        AND ($3::timestamptz IS NULL OR start_time >= $3)
       ORDER BY xp_earned DESC
       LIMIT $2
     `;
 
-    const result = await pool.query(query, [userId, limit]);
+    const result = await pool.query(query, [userId, limit, since]);
     return result.rows;
   }
 };
@@ -412,6 +570,7 @@ export default {
   sessions,
   achievements,
   snapshots,
+  memories,
   stats,
   utils,
   pool
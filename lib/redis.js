@@ -146,6 +146,28 @@ export async function ensureRedisConnected(timeout = 5000) {
   }
 }
 
+/**
+ * Keys matching a pattern, found with SCAN so Redis is never blocked the way
+ * KEYS blocks it on a large keyspace
+ * @param {Redis} client - Redis client
+ * @param {string} pattern - Glob-style pattern
+ * @param {Object} [options]
+ * @param {number} [options.count=1000] - Keys Redis examines per SCAN call
+ * @returns {Promise<string[]>} Matching keys (each once)
+ */
+export async function scanKeys(client, pattern, options = {}) {
+  const keys = new Set();
+  let cursor = '0';
+
+  do {
+    const [next, batch] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', options.count || 1000);
+    batch.forEach(key => keys.add(key));
+    cursor = next;
+  } while (cursor !== '0');
+
+  return [...keys];
+}
+
 /**
  * Close the Redis connection
  */
@@ -197,7 +219,7 @@ export async function subscribeToChannel(channel, callback) {
     globalSubscriptions.set(channel, []);
     try {
       await globalSubscriber.subscribe(channel);
-      console.log(`[redis] Subscribed to ${channel}`);
+      console.error(`[redis] Subscribed to ${channel}`);
     } catch (err) {
       console.error(`[redis] Failed to subscribe to ${channel}:`, err.message);
       globalSubscriptions.delete(channel);
@@ -236,4 +258,4 @@ export function getSubscriberCount() {
   return globalSubscriptions.size;
 }
 
-export default { getRedis, closeRedis, isRedisReady, ensureRedisConnected };
+export default { getRedis, closeRedis, isRedisReady, ensureRedisConnected, scanKeys };
@@ -0,0 +1,64 @@
+/**
+ * SEMVER
+ *
+ * Parsing and precedence for MAJOR.MINOR.PATCH[-prerelease][+build] versions
+ * (semver.org section 11), used to pick between skills with the same name.
+ * Build metadata is ignored for precedence.
+ */
+
+const SEMVER = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version string
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: Array<string|number> }|null} null if invalid
+ */
+export function parseSemver(version) {
+  const match = String(version ?? '').trim().match(SEMVER);
+  if (!match) return null;
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.').map(id => (/^\d+$/.test(id) ? parseInt(id, 10) : id)) : []
+  };
+}
+
+/**
+ * Compare two versions by semver precedence
+ * Invalid versions sort below every valid one.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} -1, 0 or 1
+ */
+export function compareSemver(a, b) {
+  const va = parseSemver(a);
+  const vb = parseSemver(b);
+  if (!va || !vb) return (va ? 1 : 0) - (vb ? 1 : 0);
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (va[part] !== vb[part]) return va[part] > vb[part] ? 1 : -1;
+  }
+
+  // A pre-release has lower precedence than the release itself
+  if (!va.prerelease.length || !vb.prerelease.length) {
+    return (vb.prerelease.length ? 1 : 0) - (va.prerelease.length ? 1 : 0);
+  }
+
+  for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+    const x = va.prerelease[i];
+    const y = vb.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    // Numeric identifiers sort before alphanumeric ones
+    if (typeof x !== typeof y) return typeof x === 'number' ? -1 : 1;
+    return x > y ? 1 : -1;
+  }
+  return 0;
+}
+
+export default {
+  parseSemver,
+  compareSemver
+};
@@ -0,0 +1,274 @@
+/**
+ * SESSION CONTEXT
+ *
+ * Context handed to a new Claude Code session by the SessionStart hook
+ * (`boss-claude hook session-start`, or bin/conductor-guard.js as installed
+ * by scripts/install-conductor-hooks.js). Sections:
+ * - The current mode: the compact delegate-only banner in orchestrator mode,
+ *   a one-line mode banner otherwise
+ * - Level and XP
+ * - Repo stats
+ * - Other terminals working on the repo
+ * - Active work orders
+ * - The top K memories for the repo (BOSS_CLAUDE_SESSION_MEMORIES, default 3)
+ *
+ * The text is kept within a token budget (BOSS_CLAUDE_SESSION_CONTEXT_BUDGET,
+ * default 2000). Over budget, the least relevant memories go first, then
+ * terminals, work order details and repo stats are dropped, in that order.
+ *
+ * Every source is optional: without Redis or a memory backend the context
+ * still has the banner and whatever else could be read.
+ */
+
+import { loadIdentity } from './identity.js';
+import { getCurrentRepo } from './session.js';
+import { getConductorName } from './conductor-name.js';
+import { displayConductorBannerCompact } from './conductor-banner.js';
+import { getTerminalsForRepo } from './terminal-registry.js';
+import { getActiveWorkOrders } from './work-order.js';
+import { searchMemory } from './memory.js';
+import { getEnforcer } from './mode-enforcer.js';
+import { ensureRedisConnected } from './redis.js';
+import { validateAndSanitizeRepoName } from './validators/agent.js';
+import { estimateTokens } from './token-parser.js';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
+
+export const DEFAULT_CONTEXT_BUDGET = 2000;
+export const DEFAULT_CONTEXT_MEMORIES = 3;
+
+/** How long the memory backend gets before the context is built without it */
+const MEMORY_TIMEOUT_MS = 5000;
+
+/**
+ * Resolve a positive integer option, falling back to an env var and a default
+ */
+function resolveLimit(value, envVar, fallback) {
+  const parsed = parseInt(value ?? process.env[envVar], 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Result of a promise, or `fallback` if it fails or takes longer than `ms`
+ */
+async function settle(promise, fallback, ms = null) {
+  let timer;
+  const timeout = ms ? new Promise(resolve => { timer = setTimeout(() => resolve(fallback), ms); }) : null;
+  try {
+    return await (timeout ? Promise.race([promise, timeout]) : promise);
+  } catch (error) {
+    return fallback;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Repo stats saved by `boss-claude status` / `save` (read only)
+ */
+async function readRepoStats(repoName) {
+  const client = await ensureRedisConnected();
+  if (!client) return null;
+  const data = await client.get(`boss:repo:${validateAndSanitizeRepoName(repoName)}`);
+  return data ? JSON.parse(data) : null;
+}
+
+async function currentBranch() {
+  const { stdout } = await execAsync('git rev-parse --abbrev-ref HEAD');
+  return stdout.trim();
+}
+
+/**
+ * Search query for the repo's most relevant memories
+ */
+function memoryQuery(repo, branch, workOrders) {
+  return [repo.name, branch && branch !== 'HEAD' ? branch.replace(/[/_-]+/g, ' ') : null, ...workOrders.map(order => order.title)]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Everything the session context is built from
+ * @param {Object} [options]
+ * @param {number} [options.memories] - Memories to include (defaults to BOSS_CLAUDE_SESSION_MEMORIES)
+ * @returns {Promise<Object>} { conductor, mode, boss, repo, terminals, workOrders, memories }
+ */
+export async function gatherSessionContext(options = {}) {
+  const memoryLimit = resolveLimit(options.memories, 'BOSS_CLAUDE_SESSION_MEMORIES', DEFAULT_CONTEXT_MEMORIES);
+  const repo = await settle(getCurrentRepo(), null);
+  const branch = repo ? await settle(currentBranch(), null) : null;
+
+  const [boss, mode, stats, terminals, workOrders] = await Promise.all([
+    settle(loadIdentity(), null),
+    settle(getEnforcer().getCurrentMode(), null),
+    repo ? settle(readRepoStats(repo.name), null) : null,
+    repo ? settle(getTerminalsForRepo(repo.name), []) : [],
+    repo ? settle(getActiveWorkOrders(repo.name), []) : []
+  ]);
+
+  const memories = repo && memoryLimit > 0
+    ? await settle(searchMemory(memoryQuery(repo, branch, workOrders), { limit: memoryLimit, repo: repo.name }), [], MEMORY_TIMEOUT_MS)
+    : [];
+
+  return {
+    conductor: getConductorName(),
+    mode,
+    boss: boss ? { ...boss, xp_to_next_level: boss.level * 100 } : null,
+    repo: repo ? { ...repo, branch, ...(stats || {}), name: repo.name, path: repo.path } : null,
+    terminals,
+    workOrders,
+    memories
+  };
+}
+
+function minutesAgo(timestamp) {
+  const minutes = Math.max(0, Math.round((Date.now() - timestamp) / 60000));
+  return minutes === 0 ? 'just now' : `${minutes}m ago`;
+}
+
+function truncate(text, length) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 3)}...` : flat;
+}
+
+/**
+ * Mode banner: only orchestrator mode is delegate-only, other modes execute
+ */
+function modeBanner(data) {
+  if (data.mode === 'orchestrator') {
+    return `${displayConductorBannerCompact(false)}
+🎼 YOU ARE ${data.conductor} - THE CONDUCTOR - ORCHESTRATOR MODE`;
+  }
+  return `🎼 ${data.conductor}${data.mode ? ` - ${data.mode.toUpperCase()} MODE` : ''}`;
+}
+
+/**
+ * Text for each section of the context, given what has been trimmed
+ */
+function renderSections(data, trim) {
+  const sections = [modeBanner(data)];
+
+  if (data.boss) {
+    const { level, xp, xp_to_next_level: next } = data.boss;
+    sections.push(`🎮 BOSS STATUS
+   Level ${level} • ${xp}/${next} XP (${Math.floor((xp / next) * 100)}%)
+   💰 Balance: $${(data.boss.balance || 0).toFixed(2)}
+   📊 Total Sessions: ${data.boss.total_sessions} • 🏢 Repos Managed: ${data.boss.repos_managed}`);
+  }
+
+  if (data.repo && !trim.repo) {
+    sections.push(`📁 CURRENT REPOSITORY
+   Name: ${data.repo.name}${data.repo.branch ? ` (${data.repo.branch})` : ''}
+   Path: ${data.repo.path}
+   Sessions: ${data.repo.session_count ?? 0} • Last Active: ${data.repo.last_active || 'Never'}`);
+  } else if (!data.repo) {
+    sections.push('⚠️  Not currently in a git repository');
+  }
+
+  if (data.terminals.length > 0 && !trim.terminals) {
+    const lines = data.terminals.map(t => `   - ${t.branch || '?'} (${t.context_type || 'terminal'}) on ${t.hostname || '?'}, active ${minutesAgo(t.last_heartbeat)}`);
+    sections.push(`🖥️  OTHER TERMINALS ON THIS REPO (${data.terminals.length})\n${lines.join('\n')}`);
+  }
+
+  if (data.repo) {
+    if (data.workOrders.length === 0) {
+      sections.push('📋 NO ACTIVE WORK ORDER - start one with: boss-claude work-order:start "<title>"');
+    } else {
+      const lines = data.workOrders.map(order => {
+        const detail = order.description && !trim.workOrderDetails ? `\n     ${truncate(order.description, 200)}` : '';
+        return `   ${order.id}: ${order.title}${detail}`;
+      });
+      sections.push(`📋 ACTIVE WORK ORDER${data.workOrders.length > 1 ? 'S' : ''}\n${lines.join('\n')}`);
+    }
+  }
+
+  const memories = data.memories.slice(0, data.memories.length - trim.memories);
+  if (memories.length > 0) {
+    const lines = memories.map((memory, index) =>
+      `   ${index + 1}. ${memory.title} (${String(memory.created_at || '').slice(0, 10)})${memory.summary ? `\n      ${truncate(memory.summary, 240)}` : ''}`
+    );
+    sections.push(`🧠 RELEVANT MEMORIES\n${lines.join('\n')}`);
+  }
+
+  return sections;
+}
+
+/**
+ * Format gathered context within a token budget
+ * @param {Object} data - From gatherSessionContext()
+ * @param {Object} [options]
+ * @param {number} [options.budget] - Token budget (defaults to BOSS_CLAUDE_SESSION_CONTEXT_BUDGET; 0 = unlimited)
+ * @returns {{ text: string, tokens: number, budget: number, omitted: string[] }}
+ */
+export function formatSessionContext(data, options = {}) {
+  const budget = resolveLimit(options.budget, 'BOSS_CLAUDE_SESSION_CONTEXT_BUDGET', DEFAULT_CONTEXT_BUDGET);
+  const trim = { memories: 0, terminals: false, workOrderDetails: false, repo: false };
+  const omitted = () => [
+    trim.memories > 0 ? `${trim.memories} memor${trim.memories === 1 ? 'y' : 'ies'}` : null,
+    trim.terminals && data.terminals.length > 0 ? 'other terminals' : null,
+    trim.workOrderDetails && data.workOrders.some(order => order.description) ? 'work order details' : null,
+    trim.repo && data.repo ? 'repo stats' : null
+  ].filter(Boolean);
+  const render = () => {
+    const dropped = omitted();
+    const footer = dropped.length > 0 ? `\n\nOmitted to fit the token budget: ${dropped.join(', ')}` : '';
+    return renderSections(data, trim).join('\n\n') + footer;
+  };
+
+  // Each step trims a little more, least important first
+  const steps = [
+    ...data.memories.map(() => () => { trim.memories++; }),
+    () => { trim.terminals = true; },
+    () => { trim.workOrderDetails = true; },
+    () => { trim.repo = true; }
+  ];
+
+  let text = render();
+  for (const step of steps) {
+    if (!budget || estimateTokens(text) <= budget) break;
+    step();
+    text = render();
+  }
+
+  if (budget && estimateTokens(text) > budget) {
+    text = `${text.slice(0, budget * 4 - 3)}...`;
+  }
+
+  return { text, tokens: estimateTokens(text), budget, omitted: omitted() };
+}
+
+/**
+ * Build the session context
+ * @param {Object} [options] - { memories, budget }
+ * @returns {Promise<{ text, tokens, budget, omitted, data }>}
+ */
+export async function buildSessionContext(options = {}) {
+  const data = await gatherSessionContext(options);
+  return { ...formatSessionContext(data, options), data };
+}
+
+/**
+ * SessionStart hook output
+ * @param {Object} [options] - { memories, budget }
+ * @returns {Promise<Object>} { hookSpecificOutput: { hookEventName: 'SessionStart', additionalContext } }
+ */
+export async function sessionStartOutput(options = {}) {
+  const context = await buildSessionContext(options);
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'SessionStart',
+      additionalContext: context.text
+    }
+  };
+}
+
+export default {
+  DEFAULT_CONTEXT_BUDGET,
+  DEFAULT_CONTEXT_MEMORIES,
+  gatherSessionContext,
+  formatSessionContext,
+  buildSessionContext,
+  sessionStartOutput
+};
@@ -0,0 +1,249 @@
+/**
+ * SESSION HISTORY
+ *
+ * Every session finished by saveSession() (./session.js) is recorded here:
+ * what was worked on, the token split between conductor and agents, and the
+ * rewards it earned. `boss-claude history` lists and drills into it.
+ *
+ * IDs: S-YYYYMMDD-HHMMSS-xxxx (UTC end time + 4 random hex chars)
+ *
+ * Redis Schema:
+ * - boss:sessions:history              # Sorted set of every session id by end time (ms)
+ * - boss:sessions:history:{repo}       # Sorted set of a repo's session ids by end time (ms)
+ * - boss:sessions:record:{id}          # String (JSON) with the session record
+ * - boss:leaderboard:xp                # Sorted set of users by XP earned
+ *
+ * With BOSS_CLAUDE_PG_URL set, each session is also a row in
+ * boss_claude.sessions (the record is its context_data), which history reads
+ * from when Redis is not configured. Postgres failures never fail a save.
+ */
+
+import crypto from 'crypto';
+import { ensureRedisConnected } from './redis.js';
+import { validateAndSanitizeRepoName } from './validators/agent.js';
+
+const HISTORY_KEY = 'boss:sessions:history';
+const LEADERBOARD_KEY = 'boss:leaderboard:xp';
+
+/** Largest value boss_claude.sessions.efficiency_multiplier (NUMERIC(4,2)) holds */
+const MAX_PG_EFFICIENCY = 99.99;
+
+export const SESSION_HISTORY_ID_PATTERN = /^S-\d{8}-\d{6}-[a-f0-9]{4}$/;
+
+const repoHistoryKey = (repo) => `${HISTORY_KEY}:${repo}`;
+const recordKey = (id) => `boss:sessions:record:${id}`;
+
+/**
+ * Generate a session history ID
+ * @param {Date} [date] - End time (defaults to now)
+ * @returns {string} S-YYYYMMDD-HHMMSS-xxxx
+ */
+export function generateSessionHistoryId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').slice(0, 15).replace('T', '-');
+  return `S-${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * User sessions, snapshots and the leaderboard are kept for (the setup wizard's GitHub user)
+ * @returns {string}
+ */
+export function getSessionUser() {
+  return process.env.GITHUB_OWNER || process.env.GITHUB_USER || 'default';
+}
+
+/**
+ * Postgres session queries, or null when BOSS_CLAUDE_PG_URL is not set
+ * (imported lazily: lib/postgres.js opens its pool on import)
+ */
+async function postgresSessions() {
+  if (!process.env.BOSS_CLAUDE_PG_URL) return null;
+  const { sessions } = await import('./postgres.js');
+  return sessions;
+}
+
+/**
+ * Write a session to boss_claude.sessions
+ * @returns {Promise<string>} Row id
+ */
+async function recordInPostgres(sessions, record) {
+  const row = await sessions.start(getSessionUser(), record.repo, record.level_at_start, record, record.started_at);
+  await sessions.updateProgress(row.id, {
+    xpEarned: record.xp_earned,
+    tokensSaved: record.agent_tokens,
+    tasksCompleted: record.delegations,
+    efficiency: Math.min(MAX_PG_EFFICIENCY, record.efficiency_ratio)
+  });
+  await sessions.end(row.id, record.level_at_end, record.summary, record.ended_at);
+  return row.id;
+}
+
+/**
+ * Convert a boss_claude.sessions row into a session record
+ */
+function fromPostgresRow(row) {
+  const data = row.context_data || {};
+  const iso = (value) => (value ? new Date(value).toISOString() : null);
+  return {
+    ...data,
+    id: data.id || row.id,
+    repo: row.project,
+    summary: row.summary ?? data.summary,
+    started_at: iso(row.start_time),
+    ended_at: iso(row.end_time),
+    duration_seconds: row.duration_seconds ?? data.duration_seconds,
+    xp_earned: row.xp_earned ?? data.xp_earned,
+    level_at_start: row.level_at_start ?? data.level_at_start,
+    level_at_end: row.level_at_end ?? data.level_at_end,
+    pg_session_id: row.id
+  };
+}
+
+function parseRecord(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Record a finished session
+ * @param {Object} session - Session fields (repo, started_at, summary, token totals, rewards...)
+ * @returns {Promise<Object>} The stored record, with its id and pg_session_id (null without Postgres)
+ */
+export async function recordSessionHistory(session) {
+  const endedAt = session.ended_at ? new Date(session.ended_at) : new Date();
+  const startedAt = session.started_at ? new Date(session.started_at) : endedAt;
+  const conductorTokens = session.conductor_tokens || 0;
+  const agentTokens = session.agent_tokens || 0;
+
+  const record = {
+    id: generateSessionHistoryId(endedAt),
+    ...session,
+    repo: validateAndSanitizeRepoName(session.repo),
+    started_at: startedAt.toISOString(),
+    ended_at: endedAt.toISOString(),
+    duration_seconds: Math.max(0, Math.round((endedAt - startedAt) / 1000)),
+    conductor_tokens: conductorTokens,
+    agent_tokens: agentTokens,
+    tokens_used: session.tokens_used || 0,
+    delegations: session.delegations || 0,
+    efficiency_ratio: conductorTokens > 0 ? Math.round((agentTokens / conductorTokens) * 100) / 100 : 0,
+    xp_earned: session.xp_earned || 0
+  };
+
+  let pgSessionId = null;
+  try {
+    const sessions = await postgresSessions();
+    if (sessions) {
+      pgSessionId = await recordInPostgres(sessions, record);
+    }
+  } catch (error) {
+    console.error('Warning: Failed to record session in Postgres:', error.message);
+  }
+
+  const stored = { ...record, pg_session_id: pgSessionId };
+  const client = await ensureRedisConnected();
+  if (client) {
+    const score = endedAt.getTime();
+    const transaction = client.multi()
+      .set(recordKey(stored.id), JSON.stringify(stored))
+      .zadd(HISTORY_KEY, score, stored.id)
+      .zadd(repoHistoryKey(stored.repo), score, stored.id);
+    if (stored.xp_earned > 0) {
+      transaction.zincrby(LEADERBOARD_KEY, stored.xp_earned, getSessionUser());
+    }
+    await transaction.exec();
+  }
+
+  return stored;
+}
+
+/**
+ * Finished sessions, newest first
+ * @param {Object} [options]
+ * @param {string} [options.repo] - Only this repo
+ * @param {Date} [options.since] - Ended at or after
+ * @param {Date} [options.until] - Ended at or before
+ * @param {number|null} [options.limit=20] - null for all
+ * @returns {Promise<Object[]>}
+ */
+export async function listSessionHistory(options = {}) {
+  const { repo = null, since = null, until = null, limit = 20 } = options;
+  const sanitizedRepo = repo ? validateAndSanitizeRepoName(repo) : null;
+
+  const client = await ensureRedisConnected();
+  if (client) {
+    const range = [until ? until.getTime() : '+inf', since ? since.getTime() : '-inf'];
+    const ids = await client.zrevrangebyscore(
+      sanitizedRepo ? repoHistoryKey(sanitizedRepo) : HISTORY_KEY,
+      ...range,
+      ...(limit === null ? [] : ['LIMIT', 0, limit])
+    );
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const pipeline = client.pipeline();
+    ids.forEach(id => pipeline.get(recordKey(id)));
+    const results = await pipeline.exec();
+    return results.map(([err, raw]) => (err ? null : parseRecord(raw))).filter(Boolean);
+  }
+
+  const sessions = await postgresSessions();
+  if (!sessions) {
+    throw new Error('Session history needs REDIS_URL or BOSS_CLAUDE_PG_URL in ~/.boss-claude/.env');
+  }
+  const rows = await sessions.listFinished(getSessionUser(), { project: sanitizedRepo, since, until, limit });
+  return rows.map(fromPostgresRow);
+}
+
+/**
+ * When a repo's last session was saved
+ * @param {string} repo - Repository name
+ * @returns {Promise<Date|null>} null when none was recorded (or without Redis)
+ */
+export async function getLastSessionEnd(repo) {
+  const client = await ensureRedisConnected();
+  if (!client) return null;
+
+  const [, score] = await client.zrevrange(repoHistoryKey(validateAndSanitizeRepoName(repo)), 0, 0, 'WITHSCORES');
+  return score ? new Date(Number(score)) : null;
+}
+
+/**
+ * One finished session
+ * @param {string} id - Session history ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getSessionHistory(id) {
+  if (!SESSION_HISTORY_ID_PATTERN.test(id || '')) {
+    return null;
+  }
+  const client = await ensureRedisConnected();
+  if (client) {
+    const record = parseRecord(await client.get(recordKey(id)));
+    if (record) return record;
+  }
+
+  const sessions = await postgresSessions();
+  if (!sessions) {
+    if (!client) {
+      throw new Error('Session history needs REDIS_URL or BOSS_CLAUDE_PG_URL in ~/.boss-claude/.env');
+    }
+    return null;
+  }
+  const row = await sessions.findByHistoryId(id);
+  return row ? fromPostgresRow(row) : null;
+}
+
+export default {
+  SESSION_HISTORY_ID_PATTERN,
+  generateSessionHistoryId,
+  getSessionUser,
+  recordSessionHistory,
+  getLastSessionEnd,
+  listSessionHistory,
+  getSessionHistory
+};
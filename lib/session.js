@@ -3,20 +3,22 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { existsSync } from 'fs';
 import os from 'os';
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import { saveMemory } from './memory.js';
-import { addXP, addBalance, incrementSessions } from './identity.js';
+import { loadIdentity, addXP, addBalance, incrementSessions } from './identity.js';
 import eventBus from './event-bus.js';
 import { registerTerminal, unregisterTerminal, getTerminalsForRepo } from './terminal-registry.js';
-import { getRedis, ensureRedisConnected } from './redis.js';
+import { getRedis, ensureRedisConnected, scanKeys } from './redis.js';
 import { logAgent } from './agent-logger.js';
 import { validateAndSanitizeAgentName, validateAndSanitizeRepoName } from './validators/agent.js';
 import { getConductorName } from './conductor-name.js';
 import { checkActiveWorkOrder } from './work-order.js';
+import { recordSessionHistory } from './session-history.js';
 import chalk from 'chalk';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /** Maximum number of messages to keep in session */
 const MAX_SESSION_MESSAGES = 100;
@@ -24,6 +26,16 @@ const MAX_SESSION_MESSAGES = 100;
 /** Session TTL in seconds (24 hours) */
 const SESSION_TTL_SECONDS = 86400;
 
+/**
+ * How long recorded transcript totals are kept (30 days, Claude Code's default
+ * transcript retention): a transcript resumed after its record expired would
+ * be counted again from the start
+ */
+const TRANSCRIPT_RECORD_TTL_SECONDS = 30 * 86400;
+
+/** XP every saved session earns before bonuses */
+export const BASE_SESSION_XP = 50;
+
 // Track current terminal ID for this session
 let currentTerminalId = null;
 
@@ -134,7 +146,11 @@ eventBus.on('tokens-tracked', async (data) => {
   }
 });
 
-async function getCurrentRepo() {
+/**
+ * Current repository (git remote name), falling back to the working directory name
+ * @returns {Promise<{ name: string, path: string, url: string|null }>}
+ */
+export async function getCurrentRepo() {
   try {
     const { stdout: repoPath } = await execAsync('git rev-parse --show-toplevel');
     const { stdout: repoUrl } = await execAsync('git config --get remote.origin.url');
@@ -167,6 +183,44 @@ async function getCurrentRepo() {
   }
 }
 
+/** Maximum number of touched files recorded in a memory */
+const MAX_TOUCHED_FILES = 200;
+
+/**
+ * Git branch, HEAD commit and files touched since the session started
+ * Every field is null/empty outside a git repository.
+ * @param {string} [since] - ISO timestamp of the session start
+ * @returns {Promise<{ branch: string|null, commit: string|null, files: string[] }>}
+ */
+async function getGitContext(since = null) {
+  // execFile: `since` goes to git as an argument, never through a shell
+  const run = async (...args) => {
+    try {
+      const { stdout } = await execFileAsync('git', args);
+      return stdout.trim();
+    } catch (error) {
+      return '';
+    }
+  };
+
+  const branch = await run('rev-parse', '--abbrev-ref', 'HEAD');
+  const commit = await run('rev-parse', 'HEAD');
+
+  // Uncommitted changes plus files in commits made during the session
+  const uncommitted = await run('diff', '--name-only', 'HEAD');
+  const committed = since
+    ? await run('log', `--since=${since}`, '--name-only', '--pretty=format:')
+    : '';
+
+  const files = [...new Set(`${uncommitted}\n${committed}`.split('\n').map(f => f.trim()).filter(Boolean))];
+
+  return {
+    branch: branch || null,
+    commit: commit || null,
+    files: files.slice(0, MAX_TOUCHED_FILES)
+  };
+}
+
 /**
  * Build a session key with validated agent name and repo name
  * @param {string} repoName - Repository name
@@ -201,6 +255,219 @@ function buildSessionKey(repoName, agentName = null) {
   return `boss:session:${sanitizedRepoName}:${sanitizedAgentName}:current`;
 }
 
+/**
+ * Reads a repo's session hashes in one atomic step and, with ARGV[1] = '1',
+ * deletes them in the same step, so tokens tracked while a session is being
+ * saved land in a fresh hash instead of being lost.
+ * KEYS: session hashes. Returns [key, [field, value, ...], key, ...]
+ */
+const COLLECT_SESSIONS_SCRIPT = `
+local sessions = {}
+for _, key in ipairs(KEYS) do
+  if redis.call('TYPE', key).ok == 'hash' then
+    table.insert(sessions, key)
+    table.insert(sessions, redis.call('HGETALL', key))
+    if ARGV[1] == '1' then
+      redis.call('DEL', key)
+    end
+  end
+end
+return sessions
+`;
+
+/** Session hash fields that are counters (restored by adding, not replacing) */
+const SESSION_COUNTERS = ['tokens_used', 'conductor_tokens', 'agent_tokens', 'delegations'];
+
+/**
+ * Every agent's session hash for a repo (SCAN, never KEYS)
+ * @param {Object} client - Redis client
+ * @param {string} repoName
+ * @returns {Promise<string[]>}
+ */
+async function findSessionKeys(client, repoName) {
+  return scanKeys(client, `boss:session:${validateAndSanitizeRepoName(repoName)}:*:current`);
+}
+
+/**
+ * Read (and optionally clear) a repo's session hashes atomically
+ * @param {Object} client - Redis client
+ * @param {string} repoName
+ * @param {Object} [options]
+ * @param {boolean} [options.clear=false] - Delete the hashes in the same step
+ * @returns {Promise<Array<{ key: string, data: Object }>>}
+ */
+export async function collectSessions(client, repoName, options = {}) {
+  const keys = await findSessionKeys(client, repoName);
+  if (keys.length === 0) return [];
+
+  const result = await client.eval(COLLECT_SESSIONS_SCRIPT, keys.length, ...keys, options.clear ? '1' : '0');
+  const sessions = [];
+  for (let i = 0; i < result.length; i += 2) {
+    const fields = result[i + 1];
+    const data = {};
+    for (let j = 0; j < fields.length; j += 2) {
+      data[fields[j]] = fields[j + 1];
+    }
+    sessions.push({ key: result[i], data });
+  }
+  return sessions;
+}
+
+/**
+ * Put cleared session hashes back, adding to anything tracked since
+ * @param {Object} client - Redis client
+ * @param {Array<{ key: string, data: Object }>} sessions - From collectSessions()
+ */
+async function restoreSessions(client, sessions) {
+  const pipeline = client.pipeline();
+  for (const { key, data } of sessions) {
+    for (const [field, value] of Object.entries(data)) {
+      if (SESSION_COUNTERS.includes(field)) {
+        pipeline.hincrby(key, field, parseInt(value || 0));
+      } else if (field === 'started_at') {
+        pipeline.hset(key, field, value);
+      } else {
+        pipeline.hsetnx(key, field, value);
+      }
+    }
+    pipeline.expire(key, SESSION_TTL_SECONDS);
+  }
+  await pipeline.exec();
+}
+
+/**
+ * Merges saved session hashes back into the live ones. Each counter keeps the
+ * larger of the saved and live value and started_at the earlier, so merging
+ * the same data twice changes nothing; other fields are only filled in.
+ * KEYS: session hashes; ARGV[1] TTL, ARGV[2..] each hash's fields as JSON.
+ * Returns the tokens_used added to each hash
+ */
+const MERGE_SESSIONS_SCRIPT = `
+local counters = { ${SESSION_COUNTERS.map(field => `${field} = true`).join(', ')} }
+local added = {}
+for i, key in ipairs(KEYS) do
+  local fields = cjson.decode(ARGV[i + 1])
+  local before = tonumber(redis.call('HGET', key, 'tokens_used')) or 0
+  for field, value in pairs(fields) do
+    local live = redis.call('HGET', key, field)
+    if counters[field] then
+      if tonumber(value) > (tonumber(live) or 0) then
+        redis.call('HSET', key, field, value)
+      end
+    elseif field == 'started_at' then
+      if not live or value < live then
+        redis.call('HSET', key, field, value)
+      end
+    elseif not live then
+      redis.call('HSET', key, field, value)
+    end
+  end
+  redis.call('EXPIRE', key, tonumber(ARGV[1]))
+  table.insert(added, (tonumber(redis.call('HGET', key, 'tokens_used')) or 0) - before)
+end
+return added
+`;
+
+/** Hash of the transcript totals recorded for a repo (see recordTranscriptUsage) */
+const transcriptsKey = (repoName) => `boss:transcripts:${validateAndSanitizeRepoName(repoName)}`;
+
+/**
+ * Copy of a repo's live session state, without clearing it
+ * @param {Object} client - Redis client
+ * @param {string} repoName
+ * @returns {Promise<{ sessions: Array<{ key: string, data: Object }>, transcripts: Object }>}
+ */
+export async function snapshotSessions(client, repoName) {
+  const [sessions, transcripts] = await Promise.all([
+    collectSessions(client, repoName),
+    client.hgetall(transcriptsKey(repoName))
+  ]);
+  return { sessions, transcripts: transcripts || {} };
+}
+
+/**
+ * Merge a snapshotSessions() copy back into the live session state
+ * Counters keep the larger value, so tokens tracked since the snapshot are
+ * kept and restoring twice adds nothing. Recorded transcript totals are only
+ * filled in where missing.
+ * @param {Object} client - Redis client
+ * @param {string} repoName
+ * @param {Object} snapshot - { sessions, transcripts }
+ * @returns {Promise<{ sessions: number, tokens_restored: number }>}
+ */
+export async function restoreSessionSnapshot(client, repoName, snapshot) {
+  const prefix = `boss:session:${validateAndSanitizeRepoName(repoName)}:`;
+  const sessions = (snapshot.sessions || []).filter(({ key }) => key.startsWith(prefix));
+
+  let tokensRestored = 0;
+  if (sessions.length > 0) {
+    const added = await client.eval(
+      MERGE_SESSIONS_SCRIPT,
+      sessions.length,
+      ...sessions.map(({ key }) => key),
+      SESSION_TTL_SECONDS,
+      ...sessions.map(({ data }) => JSON.stringify(data))
+    );
+    tokensRestored = added.reduce((sum, tokens) => sum + Number(tokens), 0);
+  }
+
+  const transcripts = Object.entries(snapshot.transcripts || {});
+  if (transcripts.length > 0) {
+    const pipeline = client.pipeline();
+    transcripts.forEach(([field, value]) => pipeline.hsetnx(transcriptsKey(repoName), field, value));
+    pipeline.expire(transcriptsKey(repoName), TRANSCRIPT_RECORD_TTL_SECONDS);
+    await pipeline.exec();
+  }
+
+  return { sessions: sessions.length, tokens_restored: tokensRestored };
+}
+
+/**
+ * Add up session hashes
+ * @param {Array<{ key: string, data: Object }>} sessions - From collectSessions()
+ * @returns {Object} { tokens_used, conductor_tokens, agent_tokens, delegations, started_at, last_updated, agents }
+ */
+export function aggregateSessions(sessions) {
+  const totals = {
+    tokens_used: 0,
+    conductor_tokens: 0,
+    agent_tokens: 0,
+    delegations: 0,
+    started_at: null,
+    last_updated: null,
+    agents: []
+  };
+
+  for (const { key, data } of sessions) {
+    const t = parseInt(data.tokens_used || 0);
+    const c = parseInt(data.conductor_tokens || 0);
+    const a = parseInt(data.agent_tokens || 0);
+    const d = parseInt(data.delegations || 0);
+
+    totals.tokens_used += t;
+    totals.conductor_tokens += c;
+    totals.agent_tokens += a;
+    totals.delegations += d;
+
+    // Extract agent name from key (boss:session:REPO:AGENT:current)
+    const parts = key.split(':');
+    const agentFromKey = parts.length >= 4 ? parts[3] : 'unknown';
+    if (t > 0 || a > 0 || d > 0) {
+      totals.agents.push({ name: agentFromKey, tokens: t, agent_tokens: a, delegations: d });
+    }
+
+    if (data.started_at && (!totals.started_at || data.started_at < totals.started_at)) {
+      totals.started_at = data.started_at;
+    }
+    if (data.last_updated && (!totals.last_updated || data.last_updated > totals.last_updated)) {
+      totals.last_updated = data.last_updated;
+    }
+  }
+
+  totals.agents.sort((a, b) => b.tokens - a.tokens);
+  return totals;
+}
+
 export async function loadSession(agentName = null) {
   const repo = await getCurrentRepo();
 
@@ -226,7 +493,8 @@ export async function loadSession(agentName = null) {
       // Track conductor vs agent tokens for efficiency bonus
       conductor_tokens: 0,    // Tokens used by CONDUCTOR (orchestration overhead)
       agent_tokens: 0,   // Tokens used by spawned agents (actual work)
-      delegations: 0     // Number of Task tool delegations
+      delegations: 0,    // Number of Task tool delegations
+      tokens_source: 'estimate'  // 'transcript' once the Stop hook records exact counts
     };
   }
 
@@ -240,11 +508,21 @@ export async function loadSession(agentName = null) {
     tokens_used: parseInt(data.tokens_used || 0),
     conductor_tokens: parseInt(data.conductor_tokens || 0),
     agent_tokens: parseInt(data.agent_tokens || 0),
-    delegations: parseInt(data.delegations || 0)
+    delegations: parseInt(data.delegations || 0),
+    tokens_source: data.tokens_source || 'estimate'
   };
 }
 
-export async function saveSession(summary, tags, agentName = null) {
+/**
+ * Aggregate this repo's sessions and save them as a memory
+ * @param {string} summary - Session summary
+ * @param {string} [tags] - Comma-separated tags
+ * @param {string} [agentName] - Agent saving the session (every agent's session is aggregated)
+ * @param {Object} [options]
+ * @param {string[]} [options.decisions] - Decisions to record with the memory
+ * @returns {Promise<Object>} Memory and reward details
+ */
+export async function saveSession(summary, tags, agentName = null, options = {}) {
   const repo = await getCurrentRepo();
 
   if (!repo) {
@@ -256,64 +534,51 @@ export async function saveSession(summary, tags, agentName = null) {
     throw new Error('Failed to connect to Redis');
   }
 
-  // AGGREGATE all sessions for this repo, not just one agent
-  const pattern = `boss:session:${validateAndSanitizeRepoName(repo.name)}:*`;
-  const keys = await client.keys(pattern);
-
-  let totalTokens = 0;
-  let conductorTokens = 0;
-  let agentTokens = 0;
-  let delegations = 0;
-  let earliestStart = new Date().toISOString();
-  let latestUpdate = null;
-
-  if (keys && keys.length > 0) {
-    for (const key of keys) {
-      const data = await client.hgetall(key);
-      if (!data || Object.keys(data).length === 0) continue;
-
-      totalTokens += parseInt(data.tokens_used || 0);
-      conductorTokens += parseInt(data.conductor_tokens || 0);
-      agentTokens += parseInt(data.agent_tokens || 0);
-      delegations += parseInt(data.delegations || 0);
-
-      if (data.started_at && data.started_at < earliestStart) {
-        earliestStart = data.started_at;
-      }
-      if (data.last_updated && (!latestUpdate || data.last_updated > latestUpdate)) {
-        latestUpdate = data.last_updated;
-      }
-    }
-  }
+  // AGGREGATE all sessions for this repo, not just one agent. Reading and
+  // clearing is one atomic step: tokens tracked from here on start a new session.
+  const sessions = await collectSessions(client, repo.name, { clear: true });
+  const totals = aggregateSessions(sessions);
+  const conductorTokens = totals.conductor_tokens;
+  const agentTokens = totals.agent_tokens;
+  const delegations = totals.delegations;
+  const earliestStart = totals.started_at || new Date().toISOString();
 
   const session = {
     started_at: earliestStart,
-    last_updated: latestUpdate || earliestStart,
+    last_updated: totals.last_updated || earliestStart,
     messages: [],
-    tokens_used: totalTokens,
+    tokens_used: totals.tokens_used,
     conductor_tokens: conductorTokens,
     agent_tokens: agentTokens,
     delegations: delegations
   };
 
-  // Save to GitHub Issues (wrapped in try-catch for safety)
+  const git = await getGitContext(earliestStart);
+
+  // Save to the memory backend. If it is unreachable saveMemory queues the
+  // memory on disk (memory.queued), so the cleared Redis sessions are not lost.
   let memory;
   try {
     memory = await saveMemory({
       repo_name: repo.name,
       summary: summary || 'Session saved',
       content: JSON.stringify(session, null, 2),
-      tags: tags ? tags.split(',').map(t => t.trim()) : []
+      tags: tags ? tags.split(',').map(t => t.trim()) : [],
+      branch: git.branch,
+      commit: git.commit,
+      files: git.files,
+      decisions: options.decisions || []
     });
   } catch (error) {
-    // GitHub save failed - keep Redis data and rethrow
-    throw new Error(`Failed to save session to GitHub: ${error.message}. Redis data preserved.`);
+    // Neither the backend nor the local queue took the memory - put the Redis data back and rethrow
+    await restoreSessions(client, sessions);
+    throw new Error(`Failed to save session memory: ${error.message}. Redis data preserved.`);
   }
 
   // Calculate rewards with EFFICIENCY MULTIPLIER
   // Formula: agent_tokens / conductor_tokens = efficiency ratio
   // The more work agents do vs CONDUCTOR overhead, the higher the bonus
-  const baseXP = 50;
+  const baseXP = BASE_SESSION_XP;
   // Use aggregated values from above (conductorTokens, agentTokens, delegations)
   const effectiveConductorTokens = conductorTokens || 1000; // Minimum 1000 to avoid division issues
 
@@ -330,8 +595,10 @@ export async function saveSession(summary, tags, agentName = null) {
   let xpEarned = baseXP + efficiencyBonus + delegationBonus;
   let tokensEarned = session.tokens_used || 0;
 
-  // ⚠️ WORK ORDER ENFORCEMENT: Check if session has active work orders
-  const hasWorkOrder = await checkActiveWorkOrder();
+  // ⚠️ WORK ORDER ENFORCEMENT: Repo needs an active work order (or one completed during this session)
+  const hasWorkOrder = await checkActiveWorkOrder(repo.name, { since: earliestStart });
+  const identityAtStart = await loadIdentity();
+  let identityAtEnd = identityAtStart;
 
   if (!hasWorkOrder) {
     console.error(chalk.yellow('\n⚠️  No active work order - XP/$ not earned'));
@@ -340,7 +607,7 @@ export async function saveSession(summary, tags, agentName = null) {
     xpEarned = 0;
     tokensEarned = 0;
   } else {
-    await addXP(xpEarned);
+    identityAtEnd = await addXP(xpEarned);
     await addBalance(tokensEarned);
   }
 
@@ -370,11 +637,40 @@ export async function saveSession(summary, tags, agentName = null) {
 
   await client.set(repoKey, JSON.stringify(repoStats));
 
-  // Clear all agent sessions for this repo
-  if (keys && keys.length > 0) {
-    for (const key of keys) {
-      await client.del(key);
-    }
+  // Record the finished session for `boss-claude history` (and Postgres, if configured)
+  let history = null;
+  try {
+    history = await recordSessionHistory({
+      repo: repo.name,
+      branch: git.branch,
+      commit: git.commit,
+      conductor: getConductorName(),
+      started_at: earliestStart,
+      summary: summary || 'Session saved',
+      tags: tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+      tokens_used: session.tokens_used,
+      conductor_tokens: conductorTokens,
+      agent_tokens: agentTokens,
+      delegations,
+      agents: totals.agents,
+      xp_earned: xpEarned,
+      dollars_earned: dollarsEarned,
+      tokens_earned: tokensEarned,
+      efficiency_bonus: efficiencyBonus,
+      delegation_bonus: delegationBonus,
+      level_at_start: identityAtStart.level,
+      level_at_end: identityAtEnd.level,
+      work_order: hasWorkOrder,
+      files: git.files,
+      decisions: options.decisions || [],
+      memory: {
+        issue_number: memory.issue_number ?? null,
+        url: memory.url ?? null,
+        queue_id: memory.queued ? memory.queue_id : null
+      }
+    });
+  } catch (error) {
+    console.error('Warning: Failed to record session history:', error.message);
   }
 
   // Unregister terminal from the terminal registry
@@ -391,6 +687,7 @@ export async function saveSession(summary, tags, agentName = null) {
   return {
     ...memory,
     repo_name: repo.name,
+    history_id: history ? history.id : null,
     xp_earned: xpEarned,
     tokens_earned: tokensEarned,
     // Efficiency metrics
@@ -637,11 +934,10 @@ export async function getEfficiencyStats(agentName = null) {
   const client = await ensureRedisConnected();
   if (!client) return null;
 
-  // AGGREGATE all sessions for this repo, not just one agent
-  const pattern = `boss:session:${validateAndSanitizeRepoName(repo.name)}:*`;
-  const keys = await client.keys(pattern);
+  // AGGREGATE all sessions for this repo, not just one agent (one consistent snapshot)
+  const sessions = await collectSessions(client, repo.name);
 
-  if (!keys || keys.length === 0) {
+  if (sessions.length === 0) {
     // No sessions, initialize one
     const newSession = await initializeSession(agentName);
     if (!newSession) return null;
@@ -659,43 +955,8 @@ export async function getEfficiencyStats(agentName = null) {
     };
   }
 
-  // Aggregate across all agent sessions
-  let totalTokens = 0;
-  let conductorTokens = 0;
-  let agentTokens = 0;
-  let delegations = 0;
-  let earliestStart = null;
-  let latestUpdate = null;
-  const agents = [];
-
-  for (const key of keys) {
-    const data = await client.hgetall(key);
-    if (!data || Object.keys(data).length === 0) continue;
-
-    const t = parseInt(data.tokens_used || 0);
-    const c = parseInt(data.conductor_tokens || 0);
-    const a = parseInt(data.agent_tokens || 0);
-    const d = parseInt(data.delegations || 0);
-
-    totalTokens += t;
-    conductorTokens += c;
-    agentTokens += a;
-    delegations += d;
-
-    // Extract agent name from key (boss:session:REPO:AGENT:current)
-    const parts = key.split(':');
-    const agentFromKey = parts.length >= 4 ? parts[3] : 'unknown';
-    if (t > 0 || a > 0 || d > 0) {
-      agents.push({ name: agentFromKey, tokens: t, agent_tokens: a, delegations: d });
-    }
-
-    if (data.started_at) {
-      if (!earliestStart || data.started_at < earliestStart) earliestStart = data.started_at;
-    }
-    if (data.last_updated) {
-      if (!latestUpdate || data.last_updated > latestUpdate) latestUpdate = data.last_updated;
-    }
-  }
+  const totals = aggregateSessions(sessions);
+  const { conductor_tokens: conductorTokens, agent_tokens: agentTokens, delegations } = totals;
 
   const ratio = conductorTokens > 0 ? agentTokens / conductorTokens : (agentTokens > 0 ? 999 : 0);
   const projectedBonus = Math.min(100, Math.floor(ratio));
@@ -703,20 +964,21 @@ export async function getEfficiencyStats(agentName = null) {
   return {
     conductor_tokens: conductorTokens,
     agent_tokens: agentTokens,
-    total_tokens: totalTokens,
+    total_tokens: totals.tokens_used,
     delegations: delegations,
     efficiency_ratio: ratio.toFixed(1) + 'x',
     projected_bonus_xp: projectedBonus,
     delegation_bonus_xp: Math.min(20, delegations * 2),
-    started_at: earliestStart,
-    last_updated: latestUpdate || earliestStart,
-    agents: agents.sort((a, b) => b.tokens - a.tokens)
+    started_at: totals.started_at,
+    last_updated: totals.last_updated || totals.started_at,
+    agents: totals.agents
   };
 }
 
 /**
  * Reconcile session tokens with actual usage at session end
- * Used as fallback when hooks fail to capture accurate counts
+ * Used as fallback when hooks fail to capture accurate counts; sessions with
+ * exact counts from the transcript (recordTranscriptUsage) are left alone.
  */
 export async function reconcileTokens(actualStats, agentName = null) {
   const repo = await getCurrentRepo();
@@ -731,6 +993,9 @@ export async function reconcileTokens(actualStats, agentName = null) {
 
   const tokensUsed = parseInt(sessionData.tokens_used || 0);
 
+  // Exact counts from the transcript always win over the estimate
+  if (sessionData.tokens_source === 'transcript') return;
+
   if (actualStats?.usedTokens && tokensUsed === 0) {
     // Fallback: if nothing tracked, estimate 90/10 agent/conductor split
     const agentTokens = Math.floor(actualStats.usedTokens * 0.9);
@@ -744,6 +1009,109 @@ export async function reconcileTokens(actualStats, agentName = null) {
   }
 }
 
+/**
+ * Adds what a transcript used since it was last recorded to the session hash,
+ * so repeated Stop events never count a token twice. The first transcript
+ * recorded into a hash replaces its estimated counters rather than adding to
+ * them. The recorded totals live in a per-repo hash that saveSession() does
+ * not clear, so a transcript that keeps going after a save only adds its new
+ * tokens to the next session.
+ * KEYS[1] session hash, KEYS[2] recorded transcripts;
+ * ARGV: session id, conductor tokens, agent tokens, record JSON, timestamp,
+ * session TTL, transcript record TTL
+ * Returns how much conductor_tokens and agent_tokens changed.
+ */
+const RECORD_TRANSCRIPT_SCRIPT = `
+local previous = redis.call('HGET', KEYS[2], ARGV[1])
+local conductor, agent = 0, 0
+if previous then
+  local record = cjson.decode(previous)
+  conductor = tonumber(record.conductor_tokens) or 0
+  agent = tonumber(record.agent_tokens) or 0
+end
+local conductorBefore = tonumber(redis.call('HGET', KEYS[1], 'conductor_tokens')) or 0
+local agentBefore = tonumber(redis.call('HGET', KEYS[1], 'agent_tokens')) or 0
+if redis.call('HGET', KEYS[1], 'tokens_source') ~= 'transcript' then
+  redis.call('HSET', KEYS[1], 'conductor_tokens', 0, 'agent_tokens', 0, 'tokens_used', 0)
+end
+local conductorDelta = tonumber(ARGV[2]) - conductor
+local agentDelta = tonumber(ARGV[3]) - agent
+redis.call('HINCRBY', KEYS[1], 'conductor_tokens', conductorDelta)
+redis.call('HINCRBY', KEYS[1], 'agent_tokens', agentDelta)
+redis.call('HINCRBY', KEYS[1], 'tokens_used', conductorDelta + agentDelta)
+redis.call('HSET', KEYS[1], 'tokens_source', 'transcript', 'last_updated', ARGV[5])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[4])
+redis.call('EXPIRE', KEYS[2], tonumber(ARGV[7]))
+if not redis.call('HGET', KEYS[1], 'started_at') then
+  redis.call('HSET', KEYS[1], 'started_at', ARGV[5])
+end
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[6]))
+return {
+  tonumber(redis.call('HGET', KEYS[1], 'conductor_tokens')) - conductorBefore,
+  tonumber(redis.call('HGET', KEYS[1], 'agent_tokens')) - agentBefore
+}
+`;
+
+/**
+ * Write exact token counts from a Claude Code transcript into the session hash
+ * Each transcript's (Claude Code session's) totals are remembered in
+ * boss:transcripts:{repo}, so several Claude Code sessions in one repo add up
+ * and recording the same transcript again only applies what changed since.
+ * @param {Object} usage - From readTranscriptUsage() (lib/transcript-usage.js)
+ * @param {string} [agentName] - Session owner (default: actual conductor name)
+ * @returns {Promise<Object|null>} { conductor_tokens, agent_tokens, conductor_delta, agent_delta }, or null without Redis
+ */
+export async function recordTranscriptUsage(usage, agentName = null) {
+  const repo = await getCurrentRepo();
+  if (!repo) return null;
+
+  const client = await ensureRedisConnected();
+  if (!client) return null;
+  const sessionKey = buildSessionKey(repo.name, agentName);
+
+  const now = new Date().toISOString();
+  const record = {
+    session_id: usage.sessionId,
+    conductor_tokens: usage.conductor.total,
+    agent_tokens: usage.agentTotal.total,
+    agents: Object.fromEntries(Object.entries(usage.agents).map(([agent, totals]) => [agent, totals.total])),
+    reconciled_at: now
+  };
+
+  const [conductorDelta, agentDelta] = await client.eval(
+    RECORD_TRANSCRIPT_SCRIPT,
+    2,
+    sessionKey,
+    transcriptsKey(repo.name),
+    usage.sessionId,
+    record.conductor_tokens,
+    record.agent_tokens,
+    JSON.stringify(record),
+    now,
+    SESSION_TTL_SECONDS,
+    TRANSCRIPT_RECORD_TTL_SECONDS
+  );
+
+  if (conductorDelta !== 0 || agentDelta !== 0) {
+    const sessionData = await client.hgetall(sessionKey);
+    eventBus.emitSessionUpdated('transcript-tokens', {
+      sessionId: usage.sessionId,
+      conductorTokens: record.conductor_tokens,
+      agentTokens: record.agent_tokens,
+      totalConductor: parseInt(sessionData.conductor_tokens || 0),
+      totalAgent: parseInt(sessionData.agent_tokens || 0),
+      totalTokens: parseInt(sessionData.tokens_used || 0)
+    });
+  }
+
+  return {
+    conductor_tokens: record.conductor_tokens,
+    agent_tokens: record.agent_tokens,
+    conductor_delta: conductorDelta,
+    agent_delta: agentDelta
+  };
+}
+
 /**
  * Check if other terminals are working on this repo
  * @param {string} repo - Repository name to check
@@ -771,15 +1139,22 @@ export async function cleanupLegacySessions() {
   const client = await ensureRedisConnected();
   if (!client) return { error: 'No Redis connection' };
 
-  const keys = await client.keys('boss:session:*:current');
+  const keys = await scanKeys(client, 'boss:session:*:current');
   let updated = 0;
 
-  for (const key of keys) {
-    const ttl = await client.ttl(key);
-    if (ttl === -1) { // No TTL set
-      await client.expire(key, SESSION_TTL_SECONDS);
+  const ttlPipeline = client.pipeline();
+  keys.forEach(key => ttlPipeline.ttl(key));
+  const ttls = keys.length > 0 ? await ttlPipeline.exec() : [];
+
+  const expirePipeline = client.pipeline();
+  ttls.forEach(([error, ttl], index) => {
+    if (!error && ttl === -1) { // No TTL set
+      expirePipeline.expire(keys[index], SESSION_TTL_SECONDS);
       updated++;
     }
+  });
+  if (updated > 0) {
+    await expirePipeline.exec();
   }
 
   return { keysChecked: keys.length, ttlsAdded: updated };
@@ -0,0 +1,309 @@
+/**
+ * Boss Claude - Claude Code Settings Manager
+ *
+ * Adds and removes Boss Claude's hooks in a Claude Code settings file
+ * (~/.claude/settings.json or a project's .claude/settings.json) with:
+ * - Merging: existing hooks and every other setting are left alone
+ * - Automatic backups before changes (~/.boss-claude/backups)
+ * - Atomic updates to prevent corruption
+ *
+ * Claude Code hook settings:
+ *   { hooks: { <Event>: [{ matcher?, hooks: [{ type: 'command', command, timeout? }] }] } }
+ * Boss Claude's entries are recognized by their command, so uninstalling
+ * removes only those.
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const BACKUP_DIR = path.join(os.homedir(), '.boss-claude', 'backups');
+const BACKUP_PREFIX = 'claude-settings.backup-';
+
+/** Hook entry point installed for every event */
+export const GUARD_SCRIPT = path.resolve(__dirname, '..', '..', 'bin', 'conductor-guard.js');
+
+/** Events Boss Claude hooks, and the matcher for each (null: no matcher) */
+export const HOOK_EVENTS = {
+  PreToolUse: '*',
+  PostToolUse: '*',
+  SessionStart: null,
+  Stop: null,
+  SubagentStop: null
+};
+
+/**
+ * Settings file for a scope
+ * @param {'user'|'project'} [scope='user']
+ * @param {string} [cwd] - Project directory for the project scope
+ * @returns {string}
+ */
+export function getSettingsPath(scope = 'user', cwd = process.cwd()) {
+  return scope === 'project'
+    ? path.join(cwd, '.claude', 'settings.json')
+    : path.join(os.homedir(), '.claude', 'settings.json');
+}
+
+/**
+ * Command Claude Code runs for Boss Claude's hooks
+ * @returns {string}
+ */
+export function getHookCommand() {
+  return `node "${GUARD_SCRIPT}"`;
+}
+
+/**
+ * Whether a hook entry belongs to Boss Claude
+ * @param {Object} hook - { type, command }
+ * @returns {boolean}
+ */
+export function isBossClaudeHook(hook) {
+  return typeof hook?.command === 'string' && /\bconductor-guard(\.js)?\b|\bboss-claude hook\b/.test(hook.command);
+}
+
+/**
+ * Remove Boss Claude's hooks from one event's matcher groups
+ * Groups left without hooks are dropped.
+ */
+function withoutBossClaude(groups) {
+  return groups
+    .map(group => ({ ...group, hooks: (group.hooks || []).filter(hook => !isBossClaudeHook(hook)) }))
+    .filter((group, index) => group.hooks.length > 0 || (groups[index].hooks || []).length === 0);
+}
+
+/**
+ * Settings with Boss Claude's hooks added (replacing earlier Boss Claude entries)
+ * @param {Object} settings - Parsed settings.json
+ * @param {Object} [options]
+ * @param {string} [options.command] - Hook command (defaults to getHookCommand())
+ * @param {string[]} [options.events] - Events to hook (defaults to every HOOK_EVENTS key)
+ * @returns {{ settings: Object, changes: Array<{ event: string, action: 'added'|'updated'|'unchanged' }> }}
+ */
+export function mergeHooks(settings, options = {}) {
+  const command = options.command || getHookCommand();
+  const events = options.events || Object.keys(HOOK_EVENTS);
+  const hooks = { ...(settings.hooks || {}) };
+  const changes = [];
+
+  for (const event of events) {
+    const groups = Array.isArray(hooks[event]) ? hooks[event] : [];
+    const existing = groups.flatMap(group => (group.hooks || []).filter(isBossClaudeHook));
+    const entry = { type: 'command', command };
+    const group = HOOK_EVENTS[event] ? { matcher: HOOK_EVENTS[event], hooks: [entry] } : { hooks: [entry] };
+
+    const unchanged = existing.length === 1 && existing[0].command === command &&
+      groups.some(g => JSON.stringify(g) === JSON.stringify(group));
+    if (unchanged) {
+      changes.push({ event, action: 'unchanged' });
+      continue;
+    }
+
+    hooks[event] = [...withoutBossClaude(groups), group];
+    changes.push({ event, action: existing.length > 0 ? 'updated' : 'added' });
+  }
+
+  return { settings: { ...settings, hooks }, changes };
+}
+
+/**
+ * Settings with every Boss Claude hook removed
+ * Events and the `hooks` key are dropped when nothing else is left in them.
+ * @param {Object} settings - Parsed settings.json
+ * @returns {{ settings: Object, removed: Array<{ event: string, count: number }> }}
+ */
+export function removeHooks(settings) {
+  if (!settings.hooks || typeof settings.hooks !== 'object') {
+    return { settings, removed: [] };
+  }
+
+  const hooks = {};
+  const removed = [];
+
+  for (const [event, groups] of Object.entries(settings.hooks)) {
+    if (!Array.isArray(groups)) {
+      hooks[event] = groups;
+      continue;
+    }
+    const count = groups.reduce((sum, group) => sum + (group.hooks || []).filter(isBossClaudeHook).length, 0);
+    if (count === 0) {
+      hooks[event] = groups;
+      continue;
+    }
+    removed.push({ event, count });
+    const kept = withoutBossClaude(groups);
+    if (kept.length > 0) {
+      hooks[event] = kept;
+    }
+  }
+
+  const rest = { ...settings };
+  delete rest.hooks;
+  return { settings: Object.keys(hooks).length > 0 ? { ...rest, hooks } : rest, removed };
+}
+
+/**
+ * Boss Claude's hooks present in settings
+ * @param {Object} settings
+ * @returns {Object} event -> commands
+ */
+export function findHooks(settings) {
+  const found = {};
+  for (const [event, groups] of Object.entries(settings.hooks || {})) {
+    if (!Array.isArray(groups)) continue;
+    const commands = groups.flatMap(group => (group.hooks || []).filter(isBossClaudeHook).map(hook => hook.command));
+    if (commands.length > 0) {
+      found[event] = commands;
+    }
+  }
+  return found;
+}
+
+export class ClaudeSettings {
+  constructor(settingsPath = getSettingsPath()) {
+    this.settingsPath = settingsPath;
+    this.backupDir = BACKUP_DIR;
+  }
+
+  /**
+   * Read and parse the settings file
+   * @returns {Promise<Object>} Settings ({} when the file does not exist)
+   * @throws {Error} When the file is not valid JSON (it is never overwritten then)
+   */
+  async read() {
+    if (!existsSync(this.settingsPath)) {
+      return {};
+    }
+
+    const content = await fs.readFile(this.settingsPath, 'utf8');
+    if (!content.trim()) {
+      return {};
+    }
+
+    let settings;
+    try {
+      settings = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${this.settingsPath} is not valid JSON (${error.message}) - fix it before installing hooks`);
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`${this.settingsPath} must contain a JSON object`);
+    }
+    return settings;
+  }
+
+  /**
+   * Back up the current file, then write settings atomically
+   * @param {Object} settings
+   * @returns {Promise<{ path: string, backup: string|null }>}
+   */
+  async write(settings) {
+    const backup = await this._createBackup();
+    await this._writeAtomic(JSON.stringify(settings, null, 2) + '\n');
+    return { path: this.settingsPath, backup };
+  }
+
+  /**
+   * Add Boss Claude's hooks
+   * @param {Object} [options] - See mergeHooks(); `dryRun` skips writing
+   * @returns {Promise<{ path, backup, changes }>}
+   */
+  async installHooks(options = {}) {
+    const { settings, changes } = mergeHooks(await this.read(), options);
+    const changed = changes.some(change => change.action !== 'unchanged');
+    const written = changed && !options.dryRun ? await this.write(settings) : { path: this.settingsPath, backup: null };
+    return { ...written, changes };
+  }
+
+  /**
+   * Remove Boss Claude's hooks, leaving every other hook in place
+   * @param {Object} [options] - `dryRun` skips writing
+   * @returns {Promise<{ path, backup, removed }>}
+   */
+  async uninstallHooks(options = {}) {
+    const { settings, removed } = removeHooks(await this.read());
+    const written = removed.length > 0 && !options.dryRun ? await this.write(settings) : { path: this.settingsPath, backup: null };
+    return { ...written, removed };
+  }
+
+  /**
+   * List backups of settings files, newest first
+   */
+  async listBackups() {
+    if (!existsSync(this.backupDir)) {
+      return [];
+    }
+
+    const files = await fs.readdir(this.backupDir);
+    const backups = [];
+
+    for (const file of files) {
+      if (!file.startsWith(BACKUP_PREFIX)) continue;
+
+      const filePath = path.join(this.backupDir, file);
+      const stats = await fs.stat(filePath);
+
+      backups.push({
+        name: file,
+        path: filePath,
+        size: stats.size,
+        created: stats.mtime
+      });
+    }
+
+    backups.sort((a, b) => b.created - a.created);
+    return backups;
+  }
+
+  /**
+   * Create backup of the current settings file
+   * The backup name records which file it came from (user or project scope).
+   */
+  async _createBackup() {
+    if (!existsSync(this.settingsPath)) {
+      return null; // Nothing to backup
+    }
+
+    await fs.mkdir(this.backupDir, { recursive: true, mode: 0o700 });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const scope = this.settingsPath === getSettingsPath('user') ? 'user' : 'project';
+    const backupPath = path.join(this.backupDir, `${BACKUP_PREFIX}${timestamp}-${scope}.json`);
+
+    await fs.copyFile(this.settingsPath, backupPath);
+
+    // Clean old backups (keep last 10)
+    const backups = await this.listBackups();
+    for (const old of backups.slice(10)) {
+      await fs.unlink(old.path);
+    }
+
+    return backupPath;
+  }
+
+  /**
+   * Write file atomically (write to temp, then rename), keeping its permissions
+   */
+  async _writeAtomic(content) {
+    const tempPath = `${this.settingsPath}.tmp.${Date.now()}`;
+    const mode = existsSync(this.settingsPath) ? (await fs.stat(this.settingsPath)).mode & 0o777 : 0o644;
+
+    try {
+      await fs.mkdir(path.dirname(this.settingsPath), { recursive: true });
+      await fs.writeFile(tempPath, content, { mode });
+      await fs.rename(tempPath, this.settingsPath);
+    } catch (error) {
+      // Cleanup temp file on error
+      try {
+        await fs.unlink(tempPath);
+      } catch {}
+
+      throw error;
+    }
+  }
+}
+
+export default ClaudeSettings;
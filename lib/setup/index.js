@@ -52,6 +52,14 @@ export {
 
 export { EnvManager } from './env-manager.js';
 
+export {
+  ClaudeSettings,
+  getSettingsPath,
+  mergeHooks,
+  removeHooks,
+  findHooks
+} from './claude-settings.js';
+
 export {
   displaySetupSummary,
   displayQuickSummary,
@@ -9,6 +9,7 @@
  * - boss_claude.achievements - User achievement records
  * - boss_claude.memory_snapshots - Point-in-time state snapshots
  * - boss_claude.stats_rollups - Aggregated statistics
+ * - boss_claude.memories - Session memories (postgres memory backend)
  *
  * This module runs automatically during setup wizard and can be
  * re-run safely to repair/update the PostgreSQL schema.
@@ -208,6 +209,20 @@ export async function initializePostgres(connectionString, force = false) {
             UNIQUE(user_id, rollup_period, period_start)
           )
         `
+      },
+      {
+        name: 'memories',
+        sql: `
+          CREATE TABLE IF NOT EXISTS boss_claude.memories (
+            id BIGSERIAL PRIMARY KEY,
+            title TEXT NOT NULL,
+            body TEXT,
+            labels TEXT[] NOT NULL DEFAULT '{}',
+            state VARCHAR(20) NOT NULL DEFAULT 'open',
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `
       }
     ];
 
@@ -246,7 +261,9 @@ export async function initializePostgres(connectionString, force = false) {
       'CREATE INDEX IF NOT EXISTS idx_snapshots_user_created ON boss_claude.memory_snapshots(user_id, created_at DESC)',
       'CREATE INDEX IF NOT EXISTS idx_snapshots_session ON boss_claude.memory_snapshots(session_id)',
       'CREATE INDEX IF NOT EXISTS idx_snapshots_type ON boss_claude.memory_snapshots(snapshot_type)',
-      'CREATE INDEX IF NOT EXISTS idx_rollups_user_period ON boss_claude.stats_rollups(user_id, rollup_period, period_start DESC)'
+      'CREATE INDEX IF NOT EXISTS idx_rollups_user_period ON boss_claude.stats_rollups(user_id, rollup_period, period_start DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_memories_created ON boss_claude.memories(created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_memories_labels ON boss_claude.memories USING GIN(labels)'
     ];
 
     for (const indexSql of indexes) {
@@ -393,6 +410,7 @@ export async function initializePostgres(connectionString, force = false) {
       await pool.query(`COMMENT ON TABLE boss_claude.achievements IS 'User achievements and milestones'`);
       await pool.query(`COMMENT ON TABLE boss_claude.memory_snapshots IS 'Point-in-time state snapshots'`);
       await pool.query(`COMMENT ON TABLE boss_claude.stats_rollups IS 'Aggregated statistics for analytics'`);
+      await pool.query(`COMMENT ON TABLE boss_claude.memories IS 'Session memories stored by the postgres memory backend'`);
     } catch (error) {
       // Comments are nice-to-have
     }
@@ -436,7 +454,7 @@ async function performHealthCheck(pool) {
     }
 
     // Check 2: All tables exist
-    const requiredTables = ['sessions', 'achievements', 'memory_snapshots', 'stats_rollups'];
+    const requiredTables = ['sessions', 'achievements', 'memory_snapshots', 'stats_rollups', 'memories'];
     const tableResult = await pool.query(
       `SELECT table_name FROM information_schema.tables
        WHERE table_schema = 'boss_claude' AND table_name = ANY($1)`,
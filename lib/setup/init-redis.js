@@ -16,6 +16,7 @@
 
 import Redis from 'ioredis';
 import chalk from 'chalk';
+import { scanKeys } from '../redis.js';
 
 // Default identity configuration
 const DEFAULT_IDENTITY = {
@@ -259,22 +260,22 @@ export async function getRedisStats(redisUrl) {
     stats.totalSessions = await client.zcard('boss:sessions:history');
 
     // Count repos
-    const repoKeys = await client.keys('boss:repo:*');
+    const repoKeys = await scanKeys(client, 'boss:repo:*');
     stats.totalRepos = repoKeys.length;
 
     // Count active sessions
-    const activeSessionKeys = await client.keys('boss:session:*:current');
+    const activeSessionKeys = await scanKeys(client, 'boss:session:*:current');
     stats.activeSessions = activeSessionKeys.length;
 
     // Get leaderboard size
     stats.leaderboardSize = await client.zcard('boss:leaderboard:xp');
 
     // Count cache keys
-    const cacheKeys = await client.keys('boss:cache:*');
+    const cacheKeys = await scanKeys(client, 'boss:cache:*');
     stats.cacheKeys = cacheKeys.length;
 
     // Get achievements for all users
-    const achievementKeys = await client.keys('boss:achievements:*');
+    const achievementKeys = await scanKeys(client, 'boss:achievements:*');
     for (const key of achievementKeys) {
       const username = key.replace('boss:achievements:', '');
       const achievements = await client.smembers(key);
@@ -304,10 +305,10 @@ export async function resetRedis(redisUrl, username = 'default') {
     await client.ping();
 
     // Delete all Boss Claude keys
-    const allKeys = await client.keys('boss:*');
+    const allKeys = await scanKeys(client, 'boss:*');
 
-    if (allKeys.length > 0) {
-      await client.del(...allKeys);
+    for (let start = 0; start < allKeys.length; start += 1000) {
+      await client.del(...allKeys.slice(start, start + 1000));
     }
 
     // Re-initialize
@@ -12,12 +12,32 @@
  * 5. Workers report to supervisor, supervisor reports to Conductor
  *
  * Skills save ~3000 tokens/session by loading on-demand vs preloaded.
+ *
+ * COMPOSITION:
+ * - `extends: parent` inherits the parent's metadata and sections; a section
+ *   with the same "## Heading" in the child replaces the parent's.
+ * - `requires: [a, b]` injects those skills before the one that needs them.
+ * Both are resolved recursively; cycles are reported instead of looping.
+ *
+ * TOKEN BUDGET:
+ * generateAgentPrompt() keeps prompts under `maxTokens` (or
+ * BOSS_CLAUDE_PROMPT_TOKEN_BUDGET) by dropping the least important skill
+ * sections first - boilerplate sections, then dependencies, then the
+ * requested skills' later sections. The task itself is never trimmed.
+ *
+ * AUTO:
+ * generateAgentPrompt(task, 'auto') injects the skills that best match the
+ * task text (tags, domain, category, keywords - see ./skill-matcher.js).
  */
 
 import { readFileSync, existsSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
+import { parseFrontmatter } from './yaml-frontmatter.js';
+import { estimateTokens } from './token-parser.js';
+import { compareSemver } from './semver.js';
+import { suggestSkills, AUTO_SKILL_LIMIT, AUTO_MIN_CONFIDENCE } from './skill-matcher.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -43,69 +63,76 @@ const WORK_ORDER_PATHS = [
 ];
 
 /**
- * Simple YAML frontmatter parser
- * @param {string} content - File content with YAML frontmatter
+ * Read and parse a skill file
+ * @param {string} filePath
  * @returns {{ metadata: object, content: string }}
+ * @throws {Error} When the frontmatter is not valid YAML (message includes file and line)
  */
-function parseFrontmatter(content) {
-  const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/;
-  const match = content.match(frontmatterRegex);
-
-  if (!match) {
-    return { metadata: {}, content };
-  }
-
-  const [, yamlContent, markdownContent] = match;
-  const metadata = {};
-
-  // Simple YAML parser (supports key: value pairs)
-  const lines = yamlContent.split('\n');
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-
-    const colonIndex = trimmed.indexOf(':');
-    if (colonIndex === -1) continue;
-
-    const key = trimmed.slice(0, colonIndex).trim();
-    const value = trimmed.slice(colonIndex + 1).trim();
-
-    // Remove quotes if present
-    metadata[key] = value.replace(/^["']|["']$/g, '');
+function readSkillFile(filePath) {
+  try {
+    return parseFrontmatter(readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(err.line ? `${filePath}:${err.line}: ${err.message.replace(/ \(line \d+\)$/, '')}` : err.message);
   }
+}
 
-  return { metadata, content: markdownContent };
+/**
+ * Coerce a frontmatter value into a string list
+ * Accepts YAML lists and legacy comma-separated strings ("[a, b]" or "a, b").
+ * @param {*} value
+ * @returns {string[]}
+ */
+function toNameList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).replace(/[\[\]]/g, '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
 }
 
 /**
- * Find skill file in search paths
+ * Every copy of a skill file across the search paths, in path priority order
  * @param {string} skillName - Name of the skill (without .md extension)
  * @param {boolean} includeWorkOrders - Also search work order paths
- * @returns {{ found: boolean, path?: string, error?: string }}
+ * @returns {Array<{ path: string, version: string|null }>} version is null when unreadable
  */
-function findSkillFile(skillName, includeWorkOrders = false) {
+export function findSkillCandidates(skillName, includeWorkOrders = false) {
   const filename = skillName.endsWith('.md') ? skillName : `${skillName}.md`;
+  const searchPaths = includeWorkOrders ? [...SKILL_PATHS, ...WORK_ORDER_PATHS] : SKILL_PATHS;
+  const candidates = [];
 
-  // First search skill paths
-  for (const searchPath of SKILL_PATHS) {
+  for (const searchPath of searchPaths) {
     if (!existsSync(searchPath)) continue;
 
     const skillPath = join(searchPath, filename);
-    if (existsSync(skillPath)) {
-      return { found: true, path: skillPath };
+    if (!existsSync(skillPath) || candidates.some(c => c.path === skillPath)) continue;
+
+    let version = null;
+    try {
+      version = String(readSkillFile(skillPath).metadata.version || '1.0.0');
+    } catch (err) {
+      // Broken frontmatter - still a candidate, reported when it is loaded
     }
+    candidates.push({ path: skillPath, version });
   }
 
-  // If requested, also search work order paths
-  if (includeWorkOrders) {
-    for (const searchPath of WORK_ORDER_PATHS) {
-      if (!existsSync(searchPath)) continue;
+  return candidates;
+}
 
-      const skillPath = join(searchPath, filename);
-      if (existsSync(skillPath)) {
-        return { found: true, path: skillPath };
-      }
-    }
+/**
+ * Find skill file in search paths
+ * When several paths hold the same skill, the highest semver wins; equal
+ * versions fall back to path priority (project, user, package).
+ * @param {string} skillName - Name of the skill (without .md extension)
+ * @param {boolean} includeWorkOrders - Also search work order paths
+ * @returns {{ found: boolean, path?: string, version?: string, error?: string }}
+ */
+function findSkillFile(skillName, includeWorkOrders = false) {
+  const candidates = findSkillCandidates(skillName, includeWorkOrders);
+
+  if (candidates.length > 0) {
+    const best = candidates.reduce((winner, candidate) => (
+      compareSemver(candidate.version, winner.version) > 0 ? candidate : winner
+    ));
+    return { found: true, path: best.path, version: best.version };
   }
 
   const allPaths = includeWorkOrders ? [...SKILL_PATHS, ...WORK_ORDER_PATHS] : SKILL_PATHS;
@@ -118,25 +145,31 @@ function findSkillFile(skillName, includeWorkOrders = false) {
 /**
  * Load a skill by name
  * @param {string} skillName - Name of the skill to load
+ * @param {Object} [options]
+ * @param {boolean} [options.includeWorkOrders=false] - Also search work order paths (where packaged skills live)
  * @returns {{ found: boolean, skill?: object, error?: string }}
  */
-export function loadSkill(skillName) {
-  const fileResult = findSkillFile(skillName);
+export function loadSkill(skillName, options = {}) {
+  const fileResult = findSkillFile(skillName, Boolean(options.includeWorkOrders));
   if (!fileResult.found) {
     return fileResult;
   }
 
   try {
-    const content = readFileSync(fileResult.path, 'utf8');
-    const { metadata, content: markdownContent } = parseFrontmatter(content);
+    const { metadata, content: markdownContent } = readSkillFile(fileResult.path);
 
     return {
       found: true,
       skill: {
         name: metadata.name || skillName,
-        version: metadata.version || '1.0.0',
+        version: String(metadata.version || '1.0.0'),
         description: metadata.description || '',
         category: metadata.category || 'general',
+        domain: metadata.domain || null,
+        tags: toNameList(metadata.tags),
+        extends: metadata.extends || null,
+        requires: toNameList(metadata.requires),
+        inputs: Array.isArray(metadata.inputs) ? metadata.inputs : [],
         content: markdownContent,
         path: fileResult.path,
         metadata
@@ -150,55 +183,6 @@ export function loadSkill(skillName) {
   }
 }
 
-/**
- * Parse nested YAML structure from frontmatter
- * Handles simple nested structures like:
- *   structure:
- *     supervisor: name
- *     workers: [a, b, c]
- * @param {string} yamlContent - Raw YAML frontmatter content
- * @returns {{ supervisor?: string, workers?: string[] }}
- */
-function parseNestedStructure(yamlContent) {
-  const result = {};
-  const lines = yamlContent.split('\n');
-  let inStructure = false;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    if (trimmed === 'structure:') {
-      inStructure = true;
-      continue;
-    }
-
-    if (inStructure) {
-      // End of structure block if we hit a non-indented line
-      if (line && !line.startsWith(' ') && !line.startsWith('\t')) {
-        break;
-      }
-
-      if (trimmed.startsWith('supervisor:')) {
-        const value = trimmed.slice('supervisor:'.length).trim();
-        result.supervisor = value;
-      } else if (trimmed.startsWith('workers:')) {
-        const value = trimmed.slice('workers:'.length).trim();
-        // Parse array format: [a, b, c]
-        if (value.startsWith('[') && value.includes(']')) {
-          result.workers = value
-            .replace(/[\[\]]/g, '')
-            .split(',')
-            .map(w => w.trim())
-            .filter(Boolean);
-        }
-      }
-    }
-  }
-
-  return result;
-}
-
 /**
  * Load a work order (special skill type with supervisor/worker structure)
  * @param {string} workOrderName - Name of the work order
@@ -211,38 +195,23 @@ export function loadWorkOrder(workOrderName) {
   }
 
   try {
-    const content = readFileSync(fileResult.path, 'utf8');
-    const { metadata, content: markdownContent } = parseFrontmatter(content);
-
-    // Parse nested structure from raw YAML if present
-    const frontmatterMatch = content.match(/^---\s*\n([\s\S]*?)\n---\s*\n/);
-    let structure = {};
-    if (frontmatterMatch) {
-      structure = parseNestedStructure(frontmatterMatch[1]);
-    }
+    const { metadata, content: markdownContent } = readSkillFile(fileResult.path);
+    const structure = metadata.structure && typeof metadata.structure === 'object' ? metadata.structure : {};
 
+    // Team comes from `structure`, or top-level supervisor/workers in older templates
     const workOrder = {
       name: metadata.name || workOrderName,
       description: metadata.description || '',
-      supervisor: metadata.supervisor || structure.supervisor || null,
-      workers: [],
+      supervisor: structure.supervisor || metadata.supervisor || null,
+      workers: toNameList(structure.workers || metadata.workers),
+      workflow: metadata.workflow || 'sequential',
+      requires: toNameList(metadata.requires),
+      inputs: Array.isArray(metadata.inputs) ? metadata.inputs : [],
       content: markdownContent,
-      path: fileResult.path
+      path: fileResult.path,
+      metadata
     };
 
-    // Parse workers from metadata or structure
-    if (metadata.workers) {
-      if (typeof metadata.workers === 'string') {
-        workOrder.workers = metadata.workers
-          .replace(/[\[\]]/g, '')
-          .split(',')
-          .map(w => w.trim())
-          .filter(Boolean);
-      }
-    } else if (structure.workers) {
-      workOrder.workers = structure.workers;
-    }
-
     return {
       found: true,
       workOrder
@@ -255,73 +224,284 @@ export function loadWorkOrder(workOrderName) {
   }
 }
 
+/** Sections dropped first when a prompt is over budget (lowercase headings) */
+const LOW_PRIORITY_SECTIONS = ['memory hooks', 'work order process', 'examples', 'references', 'further reading'];
+
 /**
- * Generate agent prompt with injected skill expertise
- * @param {string} taskPrompt - The base task prompt
- * @param {string|string[]} skills - Skill name(s) to inject
- * @returns {{ success: boolean, prompt?: string, errors?: string[] }}
+ * Split skill Markdown into "## " sections
+ * The text before the first heading is returned with a null title.
+ * @param {string} content
+ * @returns {Array<{ title: string|null, text: string }>}
  */
-export function generateAgentPrompt(taskPrompt, skills) {
-  const skillList = Array.isArray(skills) ? skills : [skills];
-  const loadedSkills = [];
-  const errors = [];
+function splitSections(content) {
+  const sections = [];
+  let current = { title: null, text: '' };
+  for (const line of (content || '').split('\n')) {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      if (current.title !== null || current.text.trim()) sections.push(current);
+      current = { title: heading[1], text: '' };
+    }
+    current.text += `${line}\n`;
+  }
+  if (current.title !== null || current.text.trim()) sections.push(current);
+  return sections;
+}
 
-  // Load all requested skills
-  for (const skillName of skillList) {
-    const result = loadSkill(skillName);
-    if (result.found) {
-      loadedSkills.push(result.skill);
+/**
+ * Merge a child skill over the parent it extends
+ * @param {object} parent - Resolved parent skill
+ * @param {object} child - Child skill
+ * @returns {object} Merged skill
+ */
+function mergeSkills(parent, child) {
+  const sections = splitSections(parent.content);
+  for (const section of splitSections(child.content)) {
+    const key = section.title === null ? null : section.title.toLowerCase();
+    const index = sections.findIndex(s => (s.title === null ? null : s.title.toLowerCase()) === key);
+    if (index === -1) {
+      sections.push(section);
     } else {
-      errors.push(result.error);
+      sections[index] = section;
     }
   }
 
-  // If no skills loaded successfully, return error
-  if (loadedSkills.length === 0 && skillList.length > 0) {
-    return {
-      success: false,
-      errors
-    };
+  return {
+    ...parent,
+    ...child,
+    description: child.description || parent.description,
+    category: child.metadata.category ? child.category : parent.category,
+    domain: child.domain || parent.domain,
+    tags: [...new Set([...parent.tags, ...child.tags])],
+    requires: [...new Set([...parent.requires, ...child.requires])],
+    inputs: [...parent.inputs.filter(p => !child.inputs.some(c => c.name === p.name)), ...child.inputs],
+    content: sections.map(s => s.text).join(''),
+    inherits: [parent.name, ...(parent.inherits || [])]
+  };
+}
+
+/**
+ * Load a skill with its `extends` chain applied
+ * @param {string} skillName - Name of the skill
+ * @param {Object} [options] - Same as loadSkill()
+ * @param {string[]} [chain] - Skills already being resolved (cycle detection)
+ * @returns {{ found: boolean, skill?: object, error?: string, cycle?: string[] }}
+ */
+export function resolveSkill(skillName, options = {}, chain = []) {
+  if (chain.includes(skillName)) {
+    const cycle = [...chain.slice(chain.indexOf(skillName)), skillName];
+    return { found: false, cycle, error: `Skill inheritance cycle: ${cycle.join(' -> ')}` };
+  }
+
+  const result = loadSkill(skillName, options);
+  if (!result.found || !result.skill.extends) {
+    return result;
+  }
+
+  const parent = resolveSkill(result.skill.extends, options, [...chain, skillName]);
+  if (!parent.found) {
+    return parent.cycle ? parent : { found: false, error: `Skill "${skillName}" extends "${result.skill.extends}": ${parent.error}` };
+  }
+
+  return { found: true, skill: mergeSkills(parent.skill, result.skill) };
+}
+
+/**
+ * Resolve skills and everything they require, dependencies first
+ * @param {string[]} skillNames - Requested skills
+ * @param {Object} [options] - Same as loadSkill()
+ * @returns {{ skills: Array<{ skill: object, via: string }>, errors: string[], cycles: string[][] }}
+ *   via is 'requested' or 'requires'
+ */
+export function resolveSkillGraph(skillNames, options = {}) {
+  const requested = new Set(skillNames);
+  const state = new Map();
+  const skills = [];
+  const errors = [];
+  const cycles = [];
+
+  const visit = (name, path) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      const cycle = [...path.slice(path.indexOf(name)), name];
+      cycles.push(cycle);
+      errors.push(`Skill dependency cycle: ${cycle.join(' -> ')}`);
+      return;
+    }
+
+    state.set(name, 'visiting');
+    const result = resolveSkill(name, options);
+    if (!result.found) {
+      if (result.cycle) cycles.push(result.cycle);
+      errors.push(path.length > 0 ? `${result.error} (required by "${path[path.length - 1]}")` : result.error);
+      state.set(name, 'done');
+      return;
+    }
+
+    for (const dependency of result.skill.requires) {
+      visit(dependency, [...path, name]);
+    }
+    state.set(name, 'done');
+    skills.push({ skill: result.skill, via: requested.has(name) ? 'requested' : 'requires' });
+  };
+
+  for (const name of skillNames) {
+    visit(name, []);
   }
 
-  // Build prompt with injected expertise
+  return { skills, errors, cycles };
+}
+
+/**
+ * Configured prompt token budget
+ * @param {number} [maxTokens] - Explicit budget
+ * @returns {number|null} null when unlimited
+ */
+function resolveTokenBudget(maxTokens) {
+  const value = maxTokens ?? process.env.BOSS_CLAUDE_PROMPT_TOKEN_BUDGET;
+  const budget = parseInt(value, 10);
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Render the EXPERTISE + TASK prompt from the sections still kept
+ */
+function renderPrompt(taskPrompt, blocks) {
   let prompt = '';
+  const kept = blocks.filter(block => block.kept);
 
-  // Add skill expertise sections
-  if (loadedSkills.length > 0) {
+  if (kept.length > 0) {
     prompt += '# EXPERTISE\n\n';
     prompt += 'You have been provided with the following specialized knowledge:\n\n';
 
-    for (const skill of loadedSkills) {
-      prompt += `## ${skill.name}\n\n`;
-      if (skill.description) {
-        prompt += `${skill.description}\n\n`;
+    for (const block of kept) {
+      prompt += `## ${block.skill.name}\n\n`;
+      if (block.skill.description) {
+        prompt += `${block.skill.description}\n\n`;
+      }
+      const dropped = block.sections.filter(section => !section.kept);
+      prompt += `${block.sections.filter(section => section.kept).map(section => section.text).join('').trim()}\n\n`;
+      if (dropped.length > 0) {
+        prompt += `_Omitted to fit the token budget: ${dropped.map(section => section.title || 'introduction').join(', ')}_\n\n`;
       }
-      prompt += `${skill.content}\n\n`;
       prompt += '---\n\n';
     }
   }
 
-  // Add task prompt
   prompt += '# TASK\n\n';
   prompt += taskPrompt;
+  return prompt;
+}
+
+/**
+ * Generate agent prompt with injected skill expertise
+ * @param {string} taskPrompt - The base task prompt
+ * @param {string|string[]} skills - Skill name(s) to inject (their `requires` are added automatically),
+ *   or 'auto' to pick the best matches for the task (see ./skill-matcher.js)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeWorkOrders=false] - Also search work order paths for skills (always on for 'auto')
+ * @param {number} [options.maxTokens] - Token budget (defaults to BOSS_CLAUDE_PROMPT_TOKEN_BUDGET, unlimited if unset)
+ * @param {number} [options.autoLimit] - 'auto': maximum skills to inject (default 2)
+ * @param {number} [options.minConfidence] - 'auto': minimum match confidence (default 0.4)
+ * @returns {{ success: boolean, prompt?: string, tokens?: number, skills?: string[], trimmed?: Array<{ skill: string, section: string|null }>, matches?: Object[], errors?: string[] }}
+ */
+export function generateAgentPrompt(taskPrompt, skills, options = {}) {
+  if (skills === 'auto') {
+    const matches = suggestSkills(taskPrompt, {
+      kind: 'skill',
+      limit: options.autoLimit ?? AUTO_SKILL_LIMIT,
+      minConfidence: options.minConfidence ?? AUTO_MIN_CONFIDENCE
+    });
+    const result = generateAgentPrompt(taskPrompt, matches.map(match => match.name), { ...options, includeWorkOrders: true });
+    return { ...result, matches };
+  }
+
+  const skillList = (Array.isArray(skills) ? skills : [skills]).filter(Boolean);
+  const graph = resolveSkillGraph(skillList, options);
+
+  // A cycle means the skill files are broken - do not guess which half to keep
+  if (graph.cycles.length > 0) {
+    return { success: false, errors: graph.errors };
+  }
+
+  // If no skills loaded successfully, return error
+  if (graph.skills.length === 0 && skillList.length > 0) {
+    return {
+      success: false,
+      errors: graph.errors
+    };
+  }
+
+  const blocks = graph.skills.map(({ skill, via }) => ({
+    skill,
+    via,
+    kept: true,
+    sections: splitSections(skill.content).map(section => ({ ...section, kept: true }))
+  }));
+
+  const budget = resolveTokenBudget(options.maxTokens);
+  const trimmed = [];
+  const errors = [...graph.errors];
+  let prompt = renderPrompt(taskPrompt, blocks);
+
+  if (budget && estimateTokens(prompt) > budget) {
+    // Drop order: boilerplate sections, dependencies before requested skills,
+    // later sections before earlier ones, the introduction last
+    const candidates = blocks.flatMap((block, blockIndex) => block.sections.map((section, sectionIndex) => ({
+      block,
+      section,
+      rank: [
+        section.title && LOW_PRIORITY_SECTIONS.includes(section.title.toLowerCase()) ? 0 : 1,
+        block.via === 'requested' ? 1 : 0,
+        section.title === null ? 1 : 0,
+        -blockIndex,
+        -sectionIndex
+      ]
+    })));
+    candidates.sort((a, b) => {
+      for (let i = 0; i < a.rank.length; i++) {
+        if (a.rank[i] !== b.rank[i]) return a.rank[i] - b.rank[i];
+      }
+      return 0;
+    });
+
+    for (const candidate of candidates) {
+      if (estimateTokens(prompt) <= budget) break;
+      candidate.section.kept = false;
+      trimmed.push({ skill: candidate.block.skill.name, section: candidate.section.title });
+      if (candidate.block.sections.every(section => !section.kept)) {
+        candidate.block.kept = false;
+      }
+      prompt = renderPrompt(taskPrompt, blocks);
+    }
+
+    if (estimateTokens(prompt) > budget) {
+      errors.push(`Task prompt alone is ~${estimateTokens(prompt)} tokens, over the ${budget} token budget`);
+    }
+  }
 
   return {
     success: true,
     prompt,
+    tokens: estimateTokens(prompt),
+    skills: blocks.filter(block => block.kept).map(block => block.skill.name),
+    trimmed: trimmed.length > 0 ? trimmed : undefined,
     errors: errors.length > 0 ? errors : undefined
   };
 }
 
 /**
  * List all available skills in search paths
- * @returns {Array<{ name: string, path: string, description?: string }>}
+ * @param {Object} [options]
+ * @param {boolean} [options.includeWorkOrders=false] - Also list files in work order paths (where packaged skills live)
+ * @returns {Array<{ name: string, path: string, version?: string, description?: string, category?: string, domain?: string, tags?: string[] }>}
  */
-export function listSkills() {
+export function listSkills(options = {}) {
   const skills = [];
   const seen = new Set();
+  const searchPaths = options.includeWorkOrders ? [...SKILL_PATHS, ...WORK_ORDER_PATHS] : SKILL_PATHS;
 
-  for (const searchPath of SKILL_PATHS) {
+  for (const searchPath of searchPaths) {
     if (!existsSync(searchPath)) continue;
 
     try {
@@ -331,18 +511,20 @@ export function listSkills() {
 
         const skillName = file.replace(/\.md$/, '');
 
-        // Skip duplicates (first found wins due to priority order)
+        // Each name is listed once, as the copy loadSkill() resolves to
         if (seen.has(skillName)) continue;
         seen.add(skillName);
 
-        const skillPath = join(searchPath, file);
-        const result = loadSkill(skillName);
+        const result = loadSkill(skillName, options);
 
         skills.push({
           name: skillName,
-          path: skillPath,
+          path: result.found ? result.skill.path : join(searchPath, file),
+          version: result.found ? result.skill.version : undefined,
           description: result.found ? result.skill.description : undefined,
-          category: result.found ? result.skill.category : undefined
+          category: result.found ? result.skill.category : undefined,
+          domain: result.found ? result.skill.domain : undefined,
+          tags: result.found ? result.skill.tags : undefined
         });
       }
     } catch (err) {
@@ -449,12 +631,24 @@ export function getSkillPaths() {
   return SKILL_PATHS;
 }
 
+/**
+ * Get work order search paths
+ * @returns {string[]}
+ */
+export function getWorkOrderPaths() {
+  return WORK_ORDER_PATHS;
+}
+
 // Default export
 export default {
   loadSkill,
   loadWorkOrder,
+  findSkillCandidates,
+  resolveSkill,
+  resolveSkillGraph,
   generateAgentPrompt,
   listSkills,
   listWorkOrders,
-  getSkillPaths
+  getSkillPaths,
+  getWorkOrderPaths
 };
@@ -0,0 +1,252 @@
+/**
+ * SKILL MATCHER
+ *
+ * Scores every skill and work order template against a task description so
+ * the right expertise can be picked without naming it. Used by
+ * `boss-claude skills suggest` and generateAgentPrompt(task, 'auto').
+ *
+ * Scoring (per task term, strongest field only):
+ * - Name:        4
+ * - Tag:         3
+ * - Domain:      3
+ * - Category:    2
+ * - Description: 1.5
+ * - Team:        1   (work orders: supervisor and worker skills)
+ * - Keyword:     0.5 (words in the skill body, boilerplate sections excluded)
+ * A hyphenated name or tag appearing whole in the task ("code review",
+ * "pub-sub") adds 2. Terms match on a shared stem, so "migrate" matches
+ * "migration" and "caching" matches "cache".
+ *
+ * Confidence is score / (score + 4): 0.5 at a score of 4 (one name match),
+ * approaching 1 as more fields agree.
+ */
+
+import { listSkills, listWorkOrders, resolveSkill, loadWorkOrder } from './skill-loader.js';
+
+// Includes generic task verbs ("add", "make") that say nothing about the domain
+const STOP_WORDS = new Set([
+  'a', 'add', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'create', 'do',
+  'for', 'from', 'get', 'how', 'i', 'in', 'into', 'is', 'it', 'its', 'make', 'me',
+  'my', 'need', 'new', 'of', 'on', 'or', 'our', 'please', 'set', 'should', 'so',
+  'some', 'that', 'the', 'their', 'them', 'then', 'this', 'to', 'up', 'update',
+  'us', 'use', 'was', 'we', 'what', 'when', 'where', 'which', 'will', 'with',
+  'you', 'your'
+]);
+
+const WEIGHTS = {
+  name: 4,
+  tag: 3,
+  domain: 3,
+  category: 2,
+  description: 1.5,
+  team: 1,
+  keyword: 0.5,
+  phrase: 2
+};
+
+/** Score at which confidence is 0.5 */
+const CONFIDENCE_MIDPOINT = 4;
+
+/** Endings that may differ between two words with the same stem */
+const SUFFIXES = new Set([
+  '', 'e', 's', 'es', 'ed', 'er', 'ers', 'ing', 'ings', 'ion', 'ions', 'ation',
+  'ations', 'ment', 'ments', 'al', 'ly', 'ity', 'ize', 'ise', 'ic', 'ics'
+]);
+
+/** Skill sections that are the same in every skill */
+const BOILERPLATE_SECTIONS = ['work order process', 'memory hooks'];
+
+/** Default suggestions for generateAgentPrompt(task, 'auto') */
+export const AUTO_SKILL_LIMIT = 2;
+export const AUTO_MIN_CONFIDENCE = 0.4;
+
+/**
+ * Split text into lowercase terms
+ * @param {string} text
+ * @returns {string[]} Unique terms with stop words removed
+ */
+export function tokenizeTask(text) {
+  if (typeof text !== 'string') return [];
+  const terms = text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+  return [...new Set(terms)];
+}
+
+/**
+ * Whether two terms share a stem ("migrate" / "migration", "cache" / "caching")
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameStem(a, b) {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) < 4) return false;
+
+  let prefix = 0;
+  while (prefix < a.length && a[prefix] === b[prefix]) prefix++;
+  return prefix >= 4 && SUFFIXES.has(a.slice(prefix)) && SUFFIXES.has(b.slice(prefix));
+}
+
+/**
+ * Text normalized for phrase matching ("Pub/Sub" -> "pub sub")
+ */
+function normalizePhrase(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+}
+
+/**
+ * Terms from the body text outside the boilerplate sections
+ */
+function skillKeywords(content) {
+  const kept = [];
+  let skip = false;
+  for (const line of (content || '').split('\n')) {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) skip = BOILERPLATE_SECTIONS.includes(heading[1].toLowerCase());
+    if (!skip) kept.push(line);
+  }
+  return tokenizeTask(kept.join('\n'));
+}
+
+/**
+ * Searchable profile of a skill or work order
+ * @param {Object} item - Skill from resolveSkill() or work order from loadWorkOrder()
+ * @param {string} kind - 'skill' | 'work-order'
+ * @returns {Object} { name, kind, description, fields: { name, tag, ... }: string[][], phrases: string[] }
+ */
+export function buildSkillProfile(item, kind) {
+  const metadata = item.metadata || {};
+  const category = kind === 'work-order' ? null : item.category;
+  const tags = Array.isArray(item.tags) ? item.tags : (Array.isArray(metadata.tags) ? metadata.tags : []);
+  const domain = item.domain || metadata.domain || null;
+
+  return {
+    name: item.name,
+    kind,
+    description: item.description || '',
+    fields: {
+      name: tokenizeTask(item.name),
+      tag: tokenizeTask(tags.join(' ')),
+      domain: tokenizeTask(domain || ''),
+      category: category && category !== 'general' ? tokenizeTask(category) : [],
+      description: tokenizeTask(item.description || ''),
+      team: kind === 'work-order' ? tokenizeTask([item.supervisor, ...(item.workers || [])].filter(Boolean).join(' ')) : [],
+      keyword: skillKeywords(item.content)
+    },
+    // Multi-word names and tags, matched whole
+    phrases: [item.name, ...tags].map(normalizePhrase).filter(phrase => phrase.includes(' '))
+  };
+}
+
+/**
+ * Score a profile against a task
+ * @param {Object} profile - From buildSkillProfile()
+ * @param {string[]} terms - From tokenizeTask()
+ * @param {string} [task] - Original task text, for phrase matches
+ * @returns {{ score: number, confidence: number, matches: Array<{ field: string, term: string, phrase?: boolean }> }}
+ */
+export function scoreSkill(profile, terms, task = '') {
+  const matches = [];
+  let score = 0;
+
+  for (const term of terms) {
+    for (const field of Object.keys(profile.fields).sort((a, b) => WEIGHTS[b] - WEIGHTS[a])) {
+      const hit = profile.fields[field].find(word => sameStem(word, term));
+      if (hit) {
+        score += WEIGHTS[field];
+        matches.push({ field, term: hit });
+        break;
+      }
+    }
+  }
+
+  const text = ` ${normalizePhrase(task)} `;
+  for (const phrase of profile.phrases) {
+    if (text.includes(` ${phrase} `)) {
+      score += WEIGHTS.phrase;
+      matches.push({ field: 'phrase', term: phrase, phrase: true });
+    }
+  }
+
+  return {
+    score,
+    confidence: Math.round((score / (score + CONFIDENCE_MIDPOINT)) * 100) / 100,
+    matches
+  };
+}
+
+/**
+ * Every skill and work order template as a profile
+ * Skills are resolved through `extends`, so inherited tags count.
+ * @returns {Object[]}
+ */
+export function loadSkillCatalog() {
+  const profiles = [];
+  const workOrderNames = new Set();
+
+  for (const entry of listWorkOrders()) {
+    const result = loadWorkOrder(entry.name);
+    if (!result.found) continue;
+    workOrderNames.add(entry.name);
+    profiles.push(buildSkillProfile(result.workOrder, 'work-order'));
+  }
+
+  for (const entry of listSkills({ includeWorkOrders: true })) {
+    if (workOrderNames.has(entry.name)) continue;
+    const result = resolveSkill(entry.name, { includeWorkOrders: true });
+    if (!result.found) continue;
+    profiles.push(buildSkillProfile(result.skill, 'skill'));
+  }
+
+  return profiles;
+}
+
+/**
+ * Rank skills and work orders for a task
+ * @param {string} task - Task description
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum suggestions
+ * @param {number} [options.minConfidence=0.2] - Drop weaker matches
+ * @param {string} [options.kind] - Only 'skill' or 'work-order'
+ * @param {Object[]} [options.catalog] - Profiles to rank (defaults to loadSkillCatalog())
+ * @returns {Array<{ name: string, kind: string, description: string, score: number, confidence: number, matches: Object[] }>}
+ */
+export function suggestSkills(task, options = {}) {
+  const terms = tokenizeTask(task);
+  if (terms.length === 0) return [];
+
+  const limit = options.limit ?? 5;
+  const minConfidence = options.minConfidence ?? 0.2;
+  const catalog = options.catalog || loadSkillCatalog();
+
+  return catalog
+    .filter(profile => !options.kind || profile.kind === options.kind)
+    .map(profile => ({ name: profile.name, kind: profile.kind, description: profile.description, ...scoreSkill(profile, terms, task) }))
+    .filter(result => result.score > 0 && result.confidence >= minConfidence)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Describe why a skill matched, for display in `boss-claude skills suggest`
+ * @param {Object[]} matches - Matches from scoreSkill()
+ * @returns {string}
+ */
+export function describeSkillMatches(matches) {
+  return matches
+    .map(m => (m.phrase ? `"${m.term}"` : `${m.field}: ${m.term}`))
+    .join(', ');
+}
+
+export default {
+  tokenizeTask,
+  buildSkillProfile,
+  scoreSkill,
+  loadSkillCatalog,
+  suggestSkills,
+  describeSkillMatches,
+  AUTO_SKILL_LIMIT,
+  AUTO_MIN_CONFIDENCE
+};
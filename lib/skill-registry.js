@@ -0,0 +1,398 @@
+/**
+ * SKILL REGISTRY
+ *
+ * Shares skills across a team without copying Markdown by hand:
+ * `boss-claude skills install <source>` copies skills into the user skill
+ * directory and records them in a lockfile, so they can be listed, checked
+ * for updates and uninstalled.
+ *
+ * Sources:
+ * - a single skill file (my-skill.md)
+ * - a directory of skill files (work-orders/ inside it is included)
+ * - a skill pack tarball (.tar.gz, .tgz or .tar)
+ *
+ * Skills install into ~/.boss-claude/skills, work order templates into
+ * ~/.boss-claude/skills/work-orders - the user entries of the loader's
+ * search paths. Every file is validated against the skill schema first.
+ *
+ * Lockfile (~/.boss-claude/skills/skills-lock.json):
+ *   {
+ *     lockfileVersion: 1,
+ *     skills: { <name>: { version, checksum, kind, file, source, installed_at } }
+ *   }
+ * `checksum` is sha256 of the installed file; `source` is where it came from,
+ * which `skills list --outdated` re-reads to find newer versions.
+ */
+
+import fs from 'fs/promises';
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { parseFrontmatter } from './yaml-frontmatter.js';
+import { validateSkillMetadata, isWorkOrderMetadata } from './skill-schema.js';
+import { findSkillCandidates, resolveSkill, getSkillPaths, getWorkOrderPaths } from './skill-loader.js';
+import { compareSemver } from './semver.js';
+import { extractTar } from './tar.js';
+
+const gunzip = promisify(zlib.gunzip);
+
+export const LOCKFILE_VERSION = 1;
+const LOCKFILE_NAME = 'skills-lock.json';
+
+/**
+ * Directory skills are installed into (also a loader search path)
+ * @returns {string}
+ */
+export function getInstallDir() {
+  return path.join(os.homedir(), '.boss-claude', 'skills');
+}
+
+/**
+ * Directory work order templates are installed into
+ * @returns {string}
+ */
+function getWorkOrderInstallDir() {
+  return path.join(getInstallDir(), 'work-orders');
+}
+
+function getLockfilePath() {
+  return path.join(getInstallDir(), LOCKFILE_NAME);
+}
+
+/**
+ * sha256 checksum in lockfile format
+ * @param {string|Buffer} content
+ * @returns {string} sha256-<hex>
+ */
+export function skillChecksum(content) {
+  return `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Write a file atomically (temp file + rename)
+ */
+async function writeAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read the lockfile
+ * @returns {Promise<{ lockfileVersion: number, skills: Object }>}
+ */
+export async function readLockfile() {
+  const lockPath = getLockfilePath();
+  if (!existsSync(lockPath)) {
+    return { lockfileVersion: LOCKFILE_VERSION, skills: {} };
+  }
+
+  const lock = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  if (lock.lockfileVersion > LOCKFILE_VERSION) {
+    throw new Error(`${lockPath} was written by a newer boss-claude (lockfile v${lock.lockfileVersion}). Upgrade boss-claude.`);
+  }
+  return { lockfileVersion: LOCKFILE_VERSION, skills: lock.skills || {} };
+}
+
+async function writeLockfile(lock) {
+  const sorted = Object.fromEntries(Object.entries(lock.skills).sort(([a], [b]) => a.localeCompare(b)));
+  await writeAtomic(getLockfilePath(), JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, skills: sorted }, null, 2) + '\n');
+}
+
+/**
+ * Read the skill files in a source
+ * @param {string} source - File, directory or tarball
+ * @returns {Promise<Array<{ fileName: string, content: string }>>} fileName is relative to the source
+ */
+export async function readSkillSource(source) {
+  if (!existsSync(source)) {
+    throw new Error(`${source} not found`);
+  }
+
+  if (statSync(source).isDirectory()) {
+    const dirs = [source, path.join(source, 'work-orders')].filter(dir => existsSync(dir) && statSync(dir).isDirectory());
+    return dirs.flatMap(dir => readdirSync(dir)
+      .filter(file => file.endsWith('.md'))
+      .sort()
+      .map(file => ({ fileName: path.join(path.relative(source, dir), file), content: readFileSync(path.join(dir, file), 'utf8') })));
+  }
+
+  if (source.endsWith('.md')) {
+    return [{ fileName: path.basename(source), content: await fs.readFile(source, 'utf8') }];
+  }
+
+  let raw = await fs.readFile(source);
+  // gzip magic bytes
+  if (raw[0] === 0x1f && raw[1] === 0x8b) {
+    raw = await gunzip(raw);
+  }
+  const files = [...extractTar(raw).entries()]
+    .filter(([name]) => name.endsWith('.md'))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, content]) => ({ fileName: name, content: content.toString('utf8') }));
+  if (files.length === 0) {
+    throw new Error(`${source} is not a skill pack (no .md files found; expected a .md file, a directory or a .tar.gz)`);
+  }
+  return files;
+}
+
+/**
+ * Parse and validate every skill in a source
+ * @param {string} source
+ * @returns {Promise<{ skills: Object[], problems: string[] }>}
+ *   skills: { name, version, kind, content, checksum, fileName }
+ */
+async function loadSource(source) {
+  const skills = [];
+  const problems = [];
+
+  for (const { fileName, content } of await readSkillSource(source)) {
+    let parsed;
+    try {
+      parsed = parseFrontmatter(content);
+    } catch (err) {
+      problems.push(`${fileName}:${err.line || 1}: ${err.message.replace(/ \(line \d+\)$/, '')}`);
+      continue;
+    }
+    if (!parsed.hasFrontmatter) {
+      problems.push(`${fileName}:1: missing YAML frontmatter`);
+      continue;
+    }
+
+    const validation = validateSkillMetadata(parsed.metadata, { lines: parsed.lines });
+    if (validation.errors.length > 0) {
+      problems.push(...validation.errors.map(e => `${fileName}:${e.line}: ${e.message}`));
+      continue;
+    }
+    if (skills.some(s => s.name === parsed.metadata.name)) {
+      problems.push(`${fileName}:1: duplicate skill name "${parsed.metadata.name}" in this source`);
+      continue;
+    }
+
+    skills.push({
+      name: parsed.metadata.name,
+      version: String(parsed.metadata.version || '1.0.0'),
+      kind: isWorkOrderMetadata(parsed.metadata) ? 'work-order' : 'skill',
+      content,
+      checksum: skillChecksum(content),
+      fileName
+    });
+  }
+
+  return { skills, problems };
+}
+
+/**
+ * Install skills from a file, directory or tarball
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Allow downgrades and overwriting skills not installed by the registry
+ * @returns {Promise<{ results: Object[] }>} results: { name, version, previous, action, reason? }
+ *   action: installed | upgraded | downgraded | reinstalled | unchanged | skipped
+ */
+export async function installSkills(source, options = {}) {
+  const sourcePath = path.resolve(source);
+  const { skills, problems } = await loadSource(sourcePath);
+  if (problems.length > 0) {
+    throw new Error(`Invalid skills in ${source}:\n${problems.map(p => `  ${p}`).join('\n')}`);
+  }
+  if (skills.length === 0) {
+    throw new Error(`No skills found in ${source}`);
+  }
+
+  const lock = await readLockfile();
+  const results = [];
+
+  for (const skill of skills) {
+    const dir = skill.kind === 'work-order' ? getWorkOrderInstallDir() : getInstallDir();
+    const target = path.join(dir, `${skill.name}.md`);
+    const locked = lock.skills[skill.name];
+    const base = { name: skill.name, version: skill.version, previous: locked ? locked.version : null };
+
+    if (!locked && existsSync(target) && !options.force) {
+      results.push({ ...base, action: 'skipped', reason: `${target} exists and was not installed by boss-claude (use --force to replace it)` });
+      continue;
+    }
+
+    let action = 'installed';
+    if (locked) {
+      const order = compareSemver(skill.version, locked.version);
+      if (order < 0 && !options.force) {
+        results.push({ ...base, action: 'skipped', reason: `installed ${locked.version} is newer (use --force to downgrade)` });
+        continue;
+      }
+      if (order === 0 && locked.checksum === skill.checksum && existsSync(path.join(getInstallDir(), locked.file))) {
+        results.push({ ...base, action: 'unchanged' });
+        continue;
+      }
+      action = order > 0 ? 'upgraded' : order < 0 ? 'downgraded' : 'reinstalled';
+
+      // A skill that changed kind moves directories
+      const previousPath = path.join(getInstallDir(), locked.file);
+      if (previousPath !== target) {
+        await fs.rm(previousPath, { force: true });
+      }
+    }
+
+    await writeAtomic(target, skill.content);
+    lock.skills[skill.name] = {
+      version: skill.version,
+      checksum: skill.checksum,
+      kind: skill.kind,
+      file: path.relative(getInstallDir(), target),
+      source: sourcePath,
+      installed_at: new Date().toISOString()
+    };
+    results.push({ ...base, action });
+  }
+
+  await writeLockfile(lock);
+  return { results };
+}
+
+/**
+ * Remove an installed skill
+ * @param {string} name - Skill name
+ * @returns {Promise<Object>} The removed lock entry
+ */
+export async function uninstallSkill(name) {
+  const lock = await readLockfile();
+  const entry = lock.skills[name];
+  if (!entry) {
+    throw new Error(`Skill "${name}" was not installed with "boss-claude skills install"`);
+  }
+
+  await fs.rm(path.join(getInstallDir(), entry.file), { force: true });
+  delete lock.skills[name];
+  await writeLockfile(lock);
+  return { name, ...entry };
+}
+
+/**
+ * Installed skills with a newer version at their recorded source
+ * Sources that are gone or unreadable are reported with an error instead.
+ * @returns {Promise<Array<{ name: string, installed: string, available: string|null, source: string, error?: string }>>}
+ */
+export async function findOutdatedSkills() {
+  const lock = await readLockfile();
+  const sources = new Map();
+  const outdated = [];
+
+  for (const [name, entry] of Object.entries(lock.skills)) {
+    if (!sources.has(entry.source)) {
+      sources.set(entry.source, loadSource(entry.source).catch(err => ({ error: err.message })));
+    }
+    const source = await sources.get(entry.source);
+    if (source.error) {
+      outdated.push({ name, installed: entry.version, available: null, source: entry.source, error: source.error });
+      continue;
+    }
+
+    const available = source.skills.find(s => s.name === name);
+    if (available && compareSemver(available.version, entry.version) > 0) {
+      outdated.push({ name, installed: entry.version, available: available.version, source: entry.source });
+    }
+  }
+
+  return outdated;
+}
+
+/**
+ * Which search path a file lives in
+ * @param {string} filePath
+ * @returns {string} project | user | package
+ */
+function locationOf(filePath) {
+  const dir = path.dirname(filePath);
+  const skillPaths = getSkillPaths();
+  const workOrderPaths = getWorkOrderPaths();
+  const labels = ['project', 'user', 'package'];
+  const index = Math.max(skillPaths.indexOf(dir), workOrderPaths.indexOf(dir));
+  return index === -1 ? 'other' : labels[index];
+}
+
+/**
+ * Every skill and work order across the search paths
+ * Each name appears once, as the copy the loader resolves to (highest semver).
+ * @returns {Promise<Object[]>} { name, version, kind, description, path, location, installed, shadowed: number }
+ */
+export async function listAllSkills() {
+  const lock = await readLockfile();
+  const names = new Set();
+  for (const dir of [...getSkillPaths(), ...getWorkOrderPaths()]) {
+    if (!existsSync(dir)) continue;
+    readdirSync(dir).filter(f => f.endsWith('.md')).forEach(f => names.add(f.replace(/\.md$/, '')));
+  }
+
+  const skills = [];
+  for (const name of [...names].sort()) {
+    const candidates = findSkillCandidates(name, true);
+    const best = candidates.reduce((winner, c) => (compareSemver(c.version, winner.version) > 0 ? c : winner));
+
+    let metadata = {};
+    try {
+      metadata = parseFrontmatter(readFileSync(best.path, 'utf8')).metadata;
+    } catch (err) {
+      // Listed without metadata; `skills validate` explains why
+    }
+
+    skills.push({
+      name,
+      version: best.version,
+      kind: isWorkOrderMetadata(metadata) ? 'work-order' : 'skill',
+      description: metadata.description || '',
+      path: best.path,
+      location: locationOf(best.path),
+      installed: Boolean(lock.skills[name]),
+      shadowed: candidates.length - 1
+    });
+  }
+  return skills;
+}
+
+/**
+ * Everything known about one skill
+ * @param {string} name
+ * @returns {Promise<Object|null>} { skill, candidates: [{ path, version, location, selected }], lock, modified } or null if not found
+ */
+export async function getSkillInfo(name) {
+  const candidates = findSkillCandidates(name, true);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const resolved = resolveSkill(name, { includeWorkOrders: true });
+  const best = candidates.reduce((winner, c) => (compareSemver(c.version, winner.version) > 0 ? c : winner));
+  const lock = (await readLockfile()).skills[name] || null;
+
+  let modified = false;
+  if (lock) {
+    const installedPath = path.join(getInstallDir(), lock.file);
+    modified = existsSync(installedPath) && skillChecksum(await fs.readFile(installedPath, 'utf8')) !== lock.checksum;
+  }
+
+  return {
+    skill: resolved.found ? resolved.skill : null,
+    error: resolved.found ? null : resolved.error,
+    candidates: candidates.map(c => ({ ...c, location: locationOf(c.path), selected: c.path === best.path })),
+    lock,
+    modified
+  };
+}
+
+export default {
+  installSkills,
+  uninstallSkill,
+  findOutdatedSkills,
+  listAllSkills,
+  getSkillInfo,
+  readSkillSource,
+  readLockfile,
+  skillChecksum,
+  getInstallDir,
+  LOCKFILE_VERSION
+};
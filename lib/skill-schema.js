@@ -0,0 +1,276 @@
+/**
+ * SKILL SCHEMA
+ *
+ * Declared frontmatter schema for skills and work order templates, and the
+ * validator behind `boss-claude skills validate`.
+ *
+ * A file is a work order when its category is `work-order` or it declares a
+ * `structure` (supervisor + workers); every other file is a skill. Issues are
+ * reported with the file line of the offending key so they can be fixed
+ * without hunting:
+ *
+ *   { level: 'error' | 'warning', field, message, line }
+ *
+ * Errors make a file unusable (missing name, malformed YAML, wrong types);
+ * warnings flag things that load but are probably mistakes (unknown keys,
+ * a name that does not match the file name).
+ */
+
+import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { join, basename, resolve } from 'path';
+import { parseFrontmatter } from './yaml-frontmatter.js';
+
+/** Skill and work order names: lowercase kebab-case */
+export const SKILL_NAME_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/** Semantic version (MAJOR.MINOR.PATCH with optional pre-release/build) */
+export const SEMVER_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+
+export const WORK_ORDER_CATEGORY = 'work-order';
+
+const NAME_LIST = { type: 'array', items: { type: 'string', pattern: SKILL_NAME_PATTERN } };
+
+/**
+ * Frontmatter fields
+ * type: string | integer | boolean | array | object | any
+ */
+export const SKILL_SCHEMA = {
+  name: { type: 'string', required: true, pattern: SKILL_NAME_PATTERN, description: 'Identifier, kebab-case, same as the file name' },
+  version: { type: 'string', pattern: SEMVER_PATTERN, description: 'Semantic version, e.g. 1.0.0' },
+  description: { type: 'string', required: true, description: 'One-line summary' },
+  category: { type: 'string', description: 'Grouping (work-order for templates)' },
+  domain: { type: 'string', description: 'Technology or area the skill covers' },
+  tags: { type: 'array', items: { type: 'string' }, description: 'Search keywords' },
+  extends: { type: 'string', pattern: SKILL_NAME_PATTERN, description: 'Skill whose metadata and sections this one inherits' },
+  requires: { ...NAME_LIST, description: 'Skills that must be available alongside this one' },
+  inputs: {
+    type: 'array',
+    description: 'Parameters the skill or work order expects',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', required: true },
+        description: { type: 'string' },
+        required: { type: 'boolean' },
+        default: { type: 'any' }
+      }
+    }
+  },
+  structure: {
+    type: 'object',
+    description: 'Work order team',
+    properties: {
+      supervisor: { type: 'string', pattern: SKILL_NAME_PATTERN },
+      workers: NAME_LIST
+    }
+  },
+  workflow: { type: 'string', enum: ['sequential', 'parallel'], description: 'Work order execution order' },
+  estimated_phases: { type: 'integer', minimum: 1, description: 'Number of phases in a work order' },
+  priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+};
+
+/**
+ * Human-readable type of a parsed YAML value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema rule, collecting issues
+ * @param {*} value
+ * @param {Object} rule
+ * @param {string} path - Dotted path ('structure.workers.0')
+ * @param {Function} report - (level, path, message) => void
+ */
+function checkValue(value, rule, path, report) {
+  if (rule.type === 'any') return;
+
+  const actual = typeOf(value);
+  const matches = rule.type === actual || (rule.type === 'number' && (actual === 'integer' || actual === 'number'));
+  if (!matches) {
+    // `version: 1.0` is a YAML number
+    const hint = rule.type === 'string' && (actual === 'number' || actual === 'integer') ? ' - wrap it in quotes' : '';
+    report('error', path, `must be ${rule.type === 'array' || rule.type === 'integer' ? 'an' : 'a'} ${rule.type}, got ${actual}${hint}`);
+    return;
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    report('error', path, `"${value}" does not match ${rule === SKILL_SCHEMA.version ? 'semver (e.g. 1.0.0)' : 'lowercase kebab-case'}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    report('error', path, `"${value}" is not one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    report('error', path, `must be at least ${rule.minimum}`);
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    value.forEach((item, i) => checkValue(item, rule.items, `${path}.${i}`, report));
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    for (const [key, childRule] of Object.entries(rule.properties)) {
+      if (value[key] === undefined || value[key] === null) {
+        if (childRule.required) report('error', path, `is missing "${key}"`);
+        continue;
+      }
+      checkValue(value[key], childRule, `${path}.${key}`, report);
+    }
+    for (const key of Object.keys(value)) {
+      if (!rule.properties[key]) report('warning', `${path}.${key}`, 'is not a known field');
+    }
+  }
+}
+
+/**
+ * Whether frontmatter describes a work order template
+ * @param {Object} metadata
+ * @returns {boolean}
+ */
+export function isWorkOrderMetadata(metadata) {
+  return metadata.category === WORK_ORDER_CATEGORY || Boolean(metadata.structure);
+}
+
+/**
+ * Validate parsed frontmatter
+ * @param {Object} metadata - Parsed frontmatter
+ * @param {Object} [options]
+ * @param {Object} [options.lines] - Dotted path -> file line (from parseFrontmatter)
+ * @param {string} [options.fileName] - File name, to check it matches `name`
+ * @returns {{ kind: string, errors: Object[], warnings: Object[] }}
+ */
+export function validateSkillMetadata(metadata, options = {}) {
+  const lines = options.lines || {};
+  const errors = [];
+  const warnings = [];
+
+  // Closest recorded line for a path, walking up to its parent
+  const lineFor = (path) => {
+    for (let p = path; p; p = p.includes('.') ? p.slice(0, p.lastIndexOf('.')) : '') {
+      if (lines[p]) return lines[p];
+    }
+    return 1;
+  };
+  const report = (level, field, message) => {
+    (level === 'error' ? errors : warnings).push({ level, field, message: `${field} ${message}`, line: lineFor(field) });
+  };
+
+  for (const [field, rule] of Object.entries(SKILL_SCHEMA)) {
+    const value = metadata[field];
+    if (value === undefined || value === null) {
+      if (rule.required) report('error', field, 'is required');
+      continue;
+    }
+    checkValue(value, rule, field, report);
+  }
+
+  for (const field of Object.keys(metadata)) {
+    if (!SKILL_SCHEMA[field]) report('warning', field, 'is not a known field');
+  }
+
+  const kind = isWorkOrderMetadata(metadata) ? 'work-order' : 'skill';
+  if (kind === 'work-order') {
+    const structure = metadata.structure && typeof metadata.structure === 'object' ? metadata.structure : null;
+    if (!structure) {
+      report('error', metadata.category ? 'category' : 'structure', 'is a work order but has no structure (supervisor and workers)');
+    } else if (!structure.supervisor && !(Array.isArray(structure.workers) && structure.workers.length > 0)) {
+      report('error', 'structure', 'needs a supervisor or at least one worker');
+    }
+    if (metadata.structure && metadata.category && metadata.category !== WORK_ORDER_CATEGORY) {
+      report('warning', 'category', `should be "${WORK_ORDER_CATEGORY}" for a file with a structure`);
+    }
+  }
+
+  if (options.fileName && typeof metadata.name === 'string') {
+    const expected = basename(options.fileName).replace(/\.md$/, '');
+    if (metadata.name !== expected) {
+      report('warning', 'name', `"${metadata.name}" does not match the file name "${expected}" (skills are loaded by file name)`);
+    }
+  }
+
+  const byLine = (a, b) => a.line - b.line;
+  return { kind, errors: errors.sort(byLine), warnings: warnings.sort(byLine) };
+}
+
+/**
+ * Validate one skill or work order file
+ * @param {string} filePath
+ * @returns {{ file: string, name: string|null, kind: string|null, errors: Object[], warnings: Object[] }}
+ */
+export function validateSkillFile(filePath) {
+  const result = { file: filePath, name: null, kind: null, errors: [], warnings: [] };
+
+  let parsed;
+  try {
+    parsed = parseFrontmatter(readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    result.errors.push({ level: 'error', field: null, message: err.message.replace(/ \(line \d+\)$/, ''), line: err.line || 1 });
+    return result;
+  }
+
+  if (!parsed.hasFrontmatter) {
+    result.errors.push({ level: 'error', field: null, message: 'missing YAML frontmatter (--- block at the top of the file)', line: 1 });
+    return result;
+  }
+
+  const validation = validateSkillMetadata(parsed.metadata, { lines: parsed.lines, fileName: filePath });
+  return {
+    ...result,
+    name: typeof parsed.metadata.name === 'string' ? parsed.metadata.name : null,
+    kind: validation.kind,
+    errors: validation.errors,
+    warnings: validation.warnings
+  };
+}
+
+/**
+ * Markdown files under the given paths (files are taken as-is, directories are not recursed)
+ * @param {string[]} paths
+ * @returns {string[]}
+ */
+function collectSkillFiles(paths) {
+  const files = [];
+  const seen = new Set();
+  for (const target of paths) {
+    if (!existsSync(target)) continue;
+    const entries = statSync(target).isDirectory()
+      ? readdirSync(target).filter(f => f.endsWith('.md')).sort().map(f => join(target, f))
+      : [target];
+    for (const file of entries) {
+      const absolute = resolve(file);
+      if (seen.has(absolute)) continue;
+      seen.add(absolute);
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Validate every skill and work order file under the given paths
+ * @param {string[]} paths - Files or directories
+ * @returns {{ files: Object[], errors: number, warnings: number }}
+ */
+export function validateSkills(paths) {
+  const files = collectSkillFiles(paths).map(validateSkillFile);
+  return {
+    files,
+    errors: files.reduce((sum, f) => sum + f.errors.length, 0),
+    warnings: files.reduce((sum, f) => sum + f.warnings.length, 0)
+  };
+}
+
+export default {
+  SKILL_SCHEMA,
+  SKILL_NAME_PATTERN,
+  SEMVER_PATTERN,
+  WORK_ORDER_CATEGORY,
+  isWorkOrderMetadata,
+  validateSkillMetadata,
+  validateSkillFile,
+  validateSkills
+};
@@ -0,0 +1,102 @@
+/**
+ * MINIMAL TAR
+ *
+ * Just enough ustar to write and read the flat archives Boss Claude produces
+ * and consumes (memory archives, skill packs) without a dependency. Regular
+ * files only; directories, links and long-name extensions are skipped.
+ * Entries are keyed by their normalized relative path; absolute paths, `..`
+ * and duplicate entries are rejected rather than silently overwritten.
+ */
+
+import path from 'path';
+
+const TAR_BLOCK = 512;
+
+/**
+ * Build a ustar header block for a regular file
+ */
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(TAR_BLOCK, 0);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000600\0', 100, 8, 'ascii');                        // mode
+  header.write('0000000\0', 108, 8, 'ascii');                        // uid
+  header.write('0000000\0', 116, 8, 'ascii');                        // gid
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124, 12, 'ascii');
+  header.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136, 12, 'ascii');
+  header.write('        ', 148, 8, 'ascii');                         // checksum placeholder
+  header.write('0', 156, 1, 'ascii');                                // regular file
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Pack files into an uncompressed tar buffer
+ * @param {Array<{ name: string, content: Buffer }>} files
+ * @returns {Buffer}
+ */
+export function createTar(files) {
+  const now = Date.now();
+  const blocks = [];
+  for (const { name, content } of files) {
+    blocks.push(tarHeader(name, content.length, now), content);
+    const padding = (TAR_BLOCK - (content.length % TAR_BLOCK)) % TAR_BLOCK;
+    if (padding) blocks.push(Buffer.alloc(padding, 0));
+  }
+  blocks.push(Buffer.alloc(TAR_BLOCK * 2, 0));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Normalized relative path of an entry, or throw if it could escape the archive
+ */
+function entryPath(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || /^[a-z]:/i.test(normalized) || normalized.split('/').includes('..')) {
+    throw new Error(`Unsafe path in archive: ${name}`);
+  }
+  return normalized;
+}
+
+/**
+ * Unpack regular files from a tar buffer
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} Relative path -> content
+ * @throws {Error} On absolute or `..` paths and duplicate entries
+ */
+export function extractTar(buffer) {
+  const files = new Map();
+  let offset = 0;
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(byte => byte === 0)) break;
+
+    const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    // POSIX ustar splits long paths into prefix/name (GNU tar uses that space for other fields)
+    const prefix = header.toString('ascii', 257, 263) === 'ustar\0'
+      ? header.toString('utf8', 345, 500).replace(/\0.*$/s, '')
+      : '';
+    const size = parseInt(header.toString('ascii', 124, 136).replace(/\0.*$/s, '').trim() || '0', 8);
+    const type = header.toString('ascii', 156, 157);
+    offset += TAR_BLOCK;
+
+    if (type === '0' || type === '\0') {
+      const file = entryPath(prefix ? `${prefix}/${name}` : name);
+      if (files.has(file)) {
+        throw new Error(`Duplicate entry in archive: ${file}`);
+      }
+      files.set(file, buffer.subarray(offset, offset + size));
+    }
+    offset += Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+  }
+  return files;
+}
+
+export default {
+  createTar,
+  extractTar
+};
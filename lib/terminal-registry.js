@@ -198,7 +198,7 @@ async function registerTerminal(repoOrOptions, branch, contextType = 'conductor'
     const repoName = repo.split('/').pop();
     logAgent('Terminal', 'SPAWN', `${currentTerminalId.split(':').pop()} on ${repoName}/${branch} (${contextType})`);
 
-    console.log(`[terminal-registry] Registered terminal: ${currentTerminalId}`);
+    console.error(`[terminal-registry] Registered terminal: ${currentTerminalId}`);
     return currentTerminalId;
   } catch (err) {
     console.error('[terminal-registry] Failed to register terminal:', err.message);
@@ -273,7 +273,7 @@ async function heartbeat() {
     // WO-003: Check for idle timeout
     const lastActivity = parseInt(await redis.hget(terminalKey, 'last_activity'), 10);
     if (!isNaN(lastActivity) && (now - lastActivity > IDLE_TIMEOUT * 1000)) {
-      console.log(`[terminal-registry] Idle timeout reached (${IDLE_TIMEOUT}s), unregistering`);
+      console.error(`[terminal-registry] Idle timeout reached (${IDLE_TIMEOUT}s), unregistering`);
       await unregisterTerminal();
       return false;
     }
@@ -336,7 +336,7 @@ async function unregisterTerminal() {
 
     await pipeline.exec();
 
-    console.log(`[terminal-registry] Unregistered terminal: ${currentTerminalId}`);
+    console.error(`[terminal-registry] Unregistered terminal: ${currentTerminalId}`);
     currentTerminalId = null;
     currentRepo = null;
     currentBranch = null;
@@ -505,12 +505,12 @@ async function acquireRepoLock(repo, branch) {
     const result = await redis.set(lockKey, currentTerminalId, 'EX', LOCK_TTL, 'NX');
 
     if (result === 'OK') {
-      console.log(`[terminal-registry] Acquired lock on ${repo}:${branch}`);
+      console.error(`[terminal-registry] Acquired lock on ${repo}:${branch}`);
       return true;
     } else {
       // Check who owns the lock
       const owner = await redis.get(lockKey);
-      console.log(`[terminal-registry] Lock on ${repo}:${branch} held by ${owner}`);
+      console.error(`[terminal-registry] Lock on ${repo}:${branch} held by ${owner}`);
       return false;
     }
   } catch (err) {
@@ -550,7 +550,7 @@ async function releaseRepoLock(repo, branch) {
     );
 
     if (result === 1) {
-      console.log(`[terminal-registry] Released lock on ${repo}:${branch}`);
+      console.error(`[terminal-registry] Released lock on ${repo}:${branch}`);
     }
 
     return true;
@@ -665,7 +665,7 @@ async function cleanupStaleTerminals() {
 
     await pipeline.exec();
 
-    console.log(`[terminal-registry] Cleaned up ${staleIds.length} stale terminals`);
+    console.error(`[terminal-registry] Cleaned up ${staleIds.length} stale terminals`);
     return staleIds.length;
   } catch (err) {
     console.error('[terminal-registry] Failed to cleanup stale terminals:', err.message);
@@ -0,0 +1,150 @@
+/**
+ * TRANSCRIPT USAGE
+ *
+ * Real token usage for a Claude Code session, read from the transcript JSONL
+ * Claude Code points hooks at (`transcript_path`). Every assistant message in
+ * the transcript carries the API's `usage` block:
+ *   { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ *
+ * Main thread messages count as conductor tokens. Subagent (Task) messages
+ * count as agent tokens, grouped by agent; they are either in the transcript
+ * itself (`isSidechain: true`) or, in newer Claude Code versions, in
+ * `<session id>/subagents/*.jsonl` next to it.
+ *
+ * A message streamed over several lines shares one message id, so it is
+ * counted once (with the last usage written for it).
+ */
+
+import { createReadStream, existsSync, readdirSync } from 'fs';
+import { createInterface } from 'readline';
+import path from 'path';
+
+/**
+ * Empty usage totals
+ * @returns {{ input: number, output: number, cacheCreation: number, cacheRead: number, total: number, messages: number }}
+ */
+export function emptyUsage() {
+  return { input: 0, output: 0, cacheCreation: 0, cacheRead: 0, total: 0, messages: 0 };
+}
+
+/**
+ * Add one API usage block to totals
+ * Total counts every input token (uncached, cache writes and cache reads) plus output.
+ */
+function addUsage(totals, usage) {
+  const input = usage.input_tokens || 0;
+  const output = usage.output_tokens || 0;
+  const cacheCreation = usage.cache_creation_input_tokens || 0;
+  const cacheRead = usage.cache_read_input_tokens || 0;
+
+  totals.input += input;
+  totals.output += output;
+  totals.cacheCreation += cacheCreation;
+  totals.cacheRead += cacheRead;
+  totals.total += input + output + cacheCreation + cacheRead;
+  totals.messages++;
+}
+
+/**
+ * Subagent transcripts written next to a session transcript
+ * @param {string} transcriptPath
+ * @param {string} [sessionId] - Defaults to the transcript's file name
+ * @returns {string[]}
+ */
+export function findSubagentTranscripts(transcriptPath, sessionId = null) {
+  const id = sessionId || path.basename(transcriptPath, '.jsonl');
+  const dir = path.join(path.dirname(transcriptPath), id, 'subagents');
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Read the usage-bearing assistant messages of one transcript file
+ * @param {string} file
+ * @param {Map} messages - Message id -> { agent, usage }, filled in place
+ * @param {string|null} fileAgent - Agent every message in the file belongs to (subagent transcripts)
+ */
+async function collectMessages(file, messages, fileAgent = null) {
+  const lines = createInterface({ input: createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // Claude Code may be mid-write on the last line
+      continue;
+    }
+
+    const usage = entry?.message?.usage;
+    if (entry.type !== 'assistant' || !usage) continue;
+
+    const agent = fileAgent || (entry.isSidechain ? entry.agentId || 'subagent' : null);
+    const id = entry.message.id || entry.requestId || entry.uuid || `${file}:${lineNumber}`;
+    messages.set(id, { agent, usage });
+  }
+}
+
+/**
+ * Sum the real token usage of a session
+ * @param {string} transcriptPath - Session transcript (JSONL)
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Session id (finds subagent transcripts)
+ * @param {string[]} [options.subagentTranscripts] - Extra subagent transcripts (e.g. SubagentStop's agent_transcript_path)
+ * @returns {Promise<{ sessionId: string, conductor: Object, agents: Object, agentTotal: Object, total: number }>}
+ *   Usage totals per thread (see emptyUsage()); `agents` is keyed by agent id
+ * @throws {Error} When the transcript does not exist
+ */
+export async function readTranscriptUsage(transcriptPath, options = {}) {
+  if (!transcriptPath || !existsSync(transcriptPath)) {
+    throw new Error(`Transcript not found: ${transcriptPath}`);
+  }
+
+  const sessionId = options.sessionId || path.basename(transcriptPath, '.jsonl');
+  const subagentFiles = [...new Set([
+    ...findSubagentTranscripts(transcriptPath, sessionId),
+    ...(options.subagentTranscripts || []).filter(file => file && existsSync(file))
+  ])];
+
+  const messages = new Map();
+  await collectMessages(transcriptPath, messages);
+  for (const file of subagentFiles) {
+    await collectMessages(file, messages, path.basename(file, '.jsonl').replace(/^agent-/, ''));
+  }
+
+  const conductor = emptyUsage();
+  const agentTotal = emptyUsage();
+  const agents = {};
+
+  for (const { agent, usage } of messages.values()) {
+    if (!agent) {
+      addUsage(conductor, usage);
+      continue;
+    }
+    agents[agent] = agents[agent] || emptyUsage();
+    addUsage(agents[agent], usage);
+    addUsage(agentTotal, usage);
+  }
+
+  return {
+    sessionId,
+    conductor,
+    agents,
+    agentTotal,
+    total: conductor.total + agentTotal.total
+  };
+}
+
+export default {
+  emptyUsage,
+  findSubagentTranscripts,
+  readTranscriptUsage
+};
@@ -0,0 +1,250 @@
+/**
+ * WORK ORDER PLANNER
+ *
+ * Turns a work order template (skills/work-orders/*.md) plus a task
+ * description into a concrete delegation plan: one prompt per worker and one
+ * for the supervisor, each built with generateAgentPrompt() so the role's
+ * skill is injected as expertise.
+ *
+ * Templates declare their team in frontmatter:
+ *   structure:
+ *     supervisor: postgres
+ *     workers: [data-science, automation]
+ * and assign work in PHASES with "**Worker-1 (skill):**" and
+ * "**Supervisor (skill):**" bullet lists, which become each role's assignment.
+ *
+ * Every prompt opens with "WORK ORDER #<id>" and a "TASK:" block, the format
+ * the delegation listener in ./session.js parses to attribute agent activity.
+ *
+ * Plan (version 1):
+ *   {
+ *     version, work_order_id, template, description, workflow, task, created_at,
+ *     workers:    [{ role, label, skill, phases, description, prompt }],
+ *     supervisor: { role, label, skill, phases, description, prompt } | null,
+ *     warnings:   string[]
+ *   }
+ */
+
+import { loadWorkOrder, generateAgentPrompt } from './skill-loader.js';
+
+export const PLAN_VERSION = 1;
+
+const PHASE_HEADING = /^###\s+Phase\s+(\d+)\s*:\s*(.+)$/i;
+const ROLE_MARKER = /^\*\*(Worker-(\d+)|Supervisor)\b[^*]*\*\*\s*$/i;
+const TASK_RULE = '─'.repeat(60);
+
+/**
+ * Collect each role's phase assignments from a template body
+ * @param {string} content - Template Markdown (without frontmatter)
+ * @returns {Map<string, Array<{ phase: string, lines: string[] }>>} 'worker-1' | 'supervisor' -> assignments
+ */
+export function extractAssignments(content) {
+  const assignments = new Map();
+  let phase = null;
+  let current = null;
+
+  for (const line of (content || '').split('\n')) {
+    const trimmed = line.trim();
+
+    const phaseMatch = trimmed.match(PHASE_HEADING);
+    if (phaseMatch) {
+      phase = `Phase ${phaseMatch[1]}: ${phaseMatch[2].trim()}`;
+      current = null;
+      continue;
+    }
+
+    // Any other heading ends the current assignment
+    if (trimmed.startsWith('#')) {
+      if (trimmed.startsWith('## ')) phase = null;
+      current = null;
+      continue;
+    }
+
+    const roleMatch = trimmed.match(ROLE_MARKER);
+    if (roleMatch) {
+      const role = roleMatch[2] ? `worker-${roleMatch[2]}` : 'supervisor';
+      current = { phase: phase || 'Assignment', lines: [] };
+      if (!assignments.has(role)) assignments.set(role, []);
+      assignments.get(role).push(current);
+      continue;
+    }
+
+    if (current && trimmed) {
+      current.lines.push(line.replace(/\s+$/, ''));
+    }
+  }
+
+  return assignments;
+}
+
+/**
+ * Body of a "## NAME" section of a template
+ * @param {string} content - Template Markdown
+ * @param {string} name - Section heading (case-insensitive)
+ * @returns {string} Section text, or '' if absent
+ */
+function extractSection(content, name) {
+  const pattern = new RegExp(`^##\\s+${name}\\s*$([\\s\\S]*?)(?=^##\\s|(?![\\s\\S]))`, 'im');
+  const match = (content || '').match(pattern);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Build the task prompt for one role (before skill injection)
+ */
+function buildTaskPrompt({ workOrderId, template, task, role, label, skill, assignments, supervisor, workers, successCriteria, escalation }) {
+  const lines = [];
+  lines.push(`WORK ORDER #${workOrderId || 'UNASSIGNED'}`);
+  lines.push(`Template: ${template.name}${template.description ? ` - ${template.description}` : ''}`);
+  lines.push(`Role: ${label} (${skill})`);
+  if (role === 'supervisor') {
+    lines.push(`Workers: ${workers.map(w => `${w.label} (${w.skill})`).join(', ') || 'none'}`);
+  } else if (supervisor) {
+    lines.push(`Supervisor: ${supervisor.skill}`);
+  }
+  lines.push('', 'TASK:', TASK_RULE, '', task.trim(), '');
+
+  lines.push('YOUR ASSIGNMENT:', TASK_RULE);
+  if (assignments.length > 0) {
+    for (const assignment of assignments) {
+      lines.push('', `${assignment.phase}`, ...assignment.lines);
+    }
+  } else if (role === 'supervisor') {
+    lines.push('', '- Review every worker report against the success criteria', '- Approve or request specific changes', '- Report the final status to the Conductor');
+  } else {
+    lines.push('', `- Apply your ${skill} expertise to the task`, '- Report results and risks to the supervisor');
+  }
+  lines.push('');
+
+  if (role === 'supervisor' && successCriteria) {
+    lines.push('SUCCESS CRITERIA:', TASK_RULE, '', successCriteria, '');
+  }
+  if (escalation) {
+    lines.push('ESCALATION:', TASK_RULE, '', escalation, '');
+  }
+
+  lines.push('REPORTING:', TASK_RULE, '');
+  if (role === 'supervisor') {
+    lines.push(`Report the final status to the Conductor, referencing WORK ORDER #${workOrderId || 'UNASSIGNED'}.`);
+  } else if (supervisor) {
+    lines.push(`Report findings, results and blockers to the supervisor (${supervisor.skill}).`);
+  } else {
+    lines.push('Report findings, results and blockers to the Conductor.');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Inject a role's skill into its task prompt
+ * Falls back to the bare task prompt when the skill cannot be loaded.
+ * @returns {{ prompt: string, warnings: string[] }}
+ */
+function renderRolePrompt(taskPrompt, skill, maxTokens) {
+  const result = generateAgentPrompt(taskPrompt, [skill], { includeWorkOrders: true, maxTokens });
+  if (!result.success) {
+    return {
+      prompt: `# TASK\n\n${taskPrompt}`,
+      warnings: [`Skill "${skill}" could not be loaded - prompt has no injected expertise (${result.errors.join('; ')})`]
+    };
+  }
+
+  const warnings = [...(result.errors || [])];
+  if (result.trimmed) {
+    warnings.push(`Trimmed to fit the token budget: ${result.trimmed.map(t => `${t.skill}/${t.section || 'introduction'}`).join(', ')}`);
+  }
+  return { prompt: result.prompt, warnings };
+}
+
+/**
+ * Plan a work order from a template
+ * @param {string} templateName - Work order template name (e.g. 'database-migration')
+ * @param {string} task - What needs to be done
+ * @param {Object} [options]
+ * @param {string} [options.workOrderId] - Work order the plan belongs to
+ * @param {number} [options.maxTokens] - Token budget per prompt (see generateAgentPrompt)
+ * @returns {Object} Delegation plan
+ */
+export function planWorkOrder(templateName, task, options = {}) {
+  if (!task || !String(task).trim()) {
+    throw new Error('A task description is required to plan a work order');
+  }
+
+  const result = loadWorkOrder(templateName);
+  if (!result.found) {
+    throw new Error(result.error);
+  }
+
+  const template = result.workOrder;
+  if (!template.supervisor && template.workers.length === 0) {
+    throw new Error(`"${templateName}" is a skill, not a work order template (no supervisor or workers)`);
+  }
+
+  const assignments = extractAssignments(template.content);
+  const successCriteria = extractSection(template.content, 'SUCCESS CRITERIA');
+  const escalation = extractSection(template.content, 'ESCALATION');
+  const workOrderId = options.workOrderId || null;
+  const warnings = [];
+
+  const workers = template.workers.map((skill, i) => ({
+    role: `worker-${i + 1}`,
+    label: `WORKER-${i + 1}`,
+    skill
+  }));
+  const supervisor = template.supervisor
+    ? { role: 'supervisor', label: 'SUPERVISOR', skill: template.supervisor }
+    : null;
+
+  for (const agent of supervisor ? [...workers, supervisor] : workers) {
+    const roleAssignments = assignments.get(agent.role) || [];
+    const taskPrompt = buildTaskPrompt({
+      workOrderId,
+      template,
+      task: String(task),
+      role: agent.role,
+      label: agent.label,
+      skill: agent.skill,
+      assignments: roleAssignments,
+      supervisor,
+      workers,
+      successCriteria,
+      escalation
+    });
+    const rendered = renderRolePrompt(taskPrompt, agent.skill, options.maxTokens);
+
+    agent.phases = roleAssignments.map(a => a.phase);
+    // Short label for the Task tool's description field
+    agent.description = `${workOrderId ? `${workOrderId} ` : ''}${agent.label.toLowerCase()} (${agent.skill})`;
+    agent.prompt = rendered.prompt;
+    warnings.push(...rendered.warnings.map(w => `${agent.label}: ${w}`));
+  }
+
+  return {
+    version: PLAN_VERSION,
+    work_order_id: workOrderId,
+    template: template.name,
+    description: template.description,
+    workflow: template.workflow,
+    task: String(task).trim(),
+    created_at: new Date().toISOString(),
+    workers,
+    supervisor,
+    warnings
+  };
+}
+
+/**
+ * Agents of a plan in delegation order (workers, then the supervisor)
+ * @param {Object} plan
+ * @returns {Object[]}
+ */
+export function planAgents(plan) {
+  return plan.supervisor ? [...plan.workers, plan.supervisor] : [...plan.workers];
+}
+
+export default {
+  planWorkOrder,
+  planAgents,
+  extractAssignments,
+  PLAN_VERSION
+};
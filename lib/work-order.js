@@ -0,0 +1,376 @@
+/**
+ * WORK ORDERS
+ *
+ * A work order is one tracked piece of work in a repo. Sessions only earn XP
+ * and $ while their repo has a work order (see saveSession() in ./session.js),
+ * and delegated tasks reference their order as "WORK ORDER #<id>" so agent
+ * activity can be traced back to it.
+ *
+ * IDs: WO-YYYYMMDD-HHMMSS-xxxx (UTC timestamp + 4 random hex chars)
+ * Lifecycle: active -> completed | cancelled
+ *
+ * Redis Schema:
+ * - boss:work-order:{id}                # Hash with id, title, description, repo, conductor, status, timestamps, note,
+ *                                       #   template and plan (JSON delegation plan, see ./work-order-planner.js)
+ * - boss:work-orders                    # Sorted set of every order id by creation time (ms)
+ * - boss:work-orders:active:{repo}      # Set of active order ids for a repo
+ * - boss:work-orders:completed:{repo}   # Sorted set of completed order ids by completion time (ms)
+ */
+
+import crypto from 'crypto';
+import { ensureRedisConnected } from './redis.js';
+import { logAgent } from './agent-logger.js';
+import { validateAndSanitizeRepoName } from './validators/agent.js';
+import { getConductorName } from './conductor-name.js';
+import eventBus from './event-bus.js';
+
+/** Redis key prefix for work orders */
+const KEY_PREFIX = 'boss';
+
+/** Sorted set key for all work orders */
+const WORK_ORDERS_KEY = `${KEY_PREFIX}:work-orders`;
+
+/** Longest accepted work order title */
+const MAX_TITLE_LENGTH = 200;
+
+/** Work order ID format, shared with the delegation log parser in session.js */
+export const WORK_ORDER_ID_PATTERN = /^WO-\d{8}-\d{6}-[a-f0-9]{4}$/;
+
+export const WORK_ORDER_STATUSES = ['active', 'completed', 'cancelled'];
+
+const orderKey = (id) => `${KEY_PREFIX}:work-order:${id}`;
+const activeKey = (repo) => `${WORK_ORDERS_KEY}:active:${repo}`;
+const completedKey = (repo) => `${WORK_ORDERS_KEY}:completed:${repo}`;
+
+/**
+ * Generate a work order ID
+ * @param {Date} [date] - Creation time (defaults to now)
+ * @returns {string} WO-YYYYMMDD-HHMMSS-xxxx
+ */
+export function generateWorkOrderId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').slice(0, 15).replace('T', '-');
+  return `WO-${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Check whether a string is a well-formed work order ID
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isWorkOrderId(id) {
+  return WORK_ORDER_ID_PATTERN.test(id || '');
+}
+
+/**
+ * Connected Redis client, or throw - work orders have no offline store
+ */
+async function requireRedis() {
+  const client = await ensureRedisConnected();
+  if (!client) {
+    throw new Error('Redis not available. Work orders need REDIS_URL in ~/.boss-claude/.env');
+  }
+  return client;
+}
+
+/**
+ * Convert a Redis hash into a work order object
+ * @param {Object} data - Hash fields
+ * @returns {Object|null}
+ */
+function parseWorkOrder(data) {
+  if (!data || Object.keys(data).length === 0) {
+    return null;
+  }
+  return {
+    id: data.id,
+    title: data.title,
+    description: data.description || '',
+    repo: data.repo,
+    conductor: data.conductor || null,
+    status: data.status,
+    created_at: data.created_at,
+    updated_at: data.updated_at || data.created_at,
+    closed_at: data.closed_at || null,
+    note: data.note || '',
+    template: data.template || null,
+    plan: parsePlan(data.plan)
+  };
+}
+
+/**
+ * Parse a stored delegation plan
+ * @param {string} [raw] - JSON from the work order hash
+ * @returns {Object|null}
+ */
+function parsePlan(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Create a work order
+ * @param {Object} params
+ * @param {string} params.title - Short task name
+ * @param {string} params.repo - Repository name
+ * @param {string} [params.description] - Longer description
+ * @param {string} [params.conductor] - Conductor name (defaults to the configured one)
+ * @returns {Promise<Object>} Work order
+ */
+export async function createWorkOrder({ title, repo, description = '', conductor = null }) {
+  const cleanTitle = String(title || '').trim();
+  if (!cleanTitle) {
+    throw new Error('Work order title is required');
+  }
+  if (cleanTitle.length > MAX_TITLE_LENGTH) {
+    throw new Error(`Work order title must be ${MAX_TITLE_LENGTH} characters or fewer`);
+  }
+  if (!repo) {
+    throw new Error('Work order repo is required (run inside a git repository or pass --repo)');
+  }
+
+  const sanitizedRepo = validateAndSanitizeRepoName(repo);
+  const client = await requireRedis();
+
+  const now = new Date();
+  const order = {
+    id: generateWorkOrderId(now),
+    title: cleanTitle,
+    description: String(description || '').trim(),
+    repo: sanitizedRepo,
+    conductor: conductor || getConductorName(),
+    status: 'active',
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    closed_at: null,
+    note: '',
+    template: null,
+    plan: null
+  };
+
+  const { closed_at, template, plan, ...fields } = order;
+  await client.multi()
+    .hset(orderKey(order.id), fields)
+    .zadd(WORK_ORDERS_KEY, now.getTime(), order.id)
+    .sadd(activeKey(sanitizedRepo), order.id)
+    .exec();
+
+  logAgent(order.conductor, 'WO-CREATE', `${order.id}: ${order.title}`);
+  eventBus.emitEvent('work-order-created', order);
+
+  return order;
+}
+
+/**
+ * Get a work order by ID
+ * @param {string} id - Work order ID
+ * @returns {Promise<Object|null>} Work order, or null if it does not exist
+ */
+export async function getWorkOrder(id) {
+  if (!isWorkOrderId(id)) {
+    return null;
+  }
+  const client = await requireRedis();
+  return parseWorkOrder(await client.hgetall(orderKey(id)));
+}
+
+/**
+ * List work orders, newest first
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only this status
+ * @param {string} [options.repo] - Only this repository
+ * @param {number|null} [options.limit=20] - Maximum results (null for all)
+ * @returns {Promise<Object[]>}
+ */
+export async function listWorkOrders(options = {}) {
+  const { status = null, repo = null, limit = 20 } = options;
+  if (status && !WORK_ORDER_STATUSES.includes(status)) {
+    throw new Error(`Unknown work order status "${status}". Valid statuses: ${WORK_ORDER_STATUSES.join(', ')}`);
+  }
+
+  const client = await requireRedis();
+  const sanitizedRepo = repo ? validateAndSanitizeRepoName(repo) : null;
+
+  // Active orders of one repo have their own index - no need to walk history
+  const ids = status === 'active' && sanitizedRepo
+    ? await client.smembers(activeKey(sanitizedRepo))
+    : await client.zrevrange(WORK_ORDERS_KEY, 0, -1);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const pipeline = client.pipeline();
+  ids.forEach(id => pipeline.hgetall(orderKey(id)));
+  const results = await pipeline.exec();
+
+  const orders = results
+    .map(([err, data]) => (err ? null : parseWorkOrder(data)))
+    .filter(order => order
+      && (!status || order.status === status)
+      && (!sanitizedRepo || order.repo === sanitizedRepo))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  return limit === null ? orders : orders.slice(0, limit);
+}
+
+/**
+ * Active work orders for a repo, newest first
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object[]>}
+ */
+export async function getActiveWorkOrders(repo) {
+  return listWorkOrders({ status: 'active', repo, limit: null });
+}
+
+/**
+ * Persist a delegation plan with its work order
+ * @param {string} id - Work order ID
+ * @param {Object} plan - Plan from planWorkOrder()
+ * @returns {Promise<Object>} Updated work order
+ */
+export async function setWorkOrderPlan(id, plan) {
+  const order = await getWorkOrder(id);
+  if (!order) {
+    throw new Error(`Work order ${id} not found`);
+  }
+
+  const client = await requireRedis();
+  const updatedAt = new Date().toISOString();
+  await client.hset(orderKey(id), {
+    template: plan.template,
+    plan: JSON.stringify(plan),
+    updated_at: updatedAt
+  });
+
+  logAgent(order.conductor || getConductorName(), 'WO-PLAN', `${id}: ${plan.template} (${plan.workers.length} workers${plan.supervisor ? ' + supervisor' : ''})`);
+  return { ...order, template: plan.template, plan, updated_at: updatedAt };
+}
+
+/**
+ * Move an active work order to a closed status
+ * @param {string} id - Work order ID
+ * @param {string} status - 'completed' | 'cancelled'
+ * @param {string} note - Outcome or reason
+ */
+async function closeWorkOrder(id, status, note) {
+  const order = await getWorkOrder(id);
+  if (!order) {
+    throw new Error(`Work order ${id} not found`);
+  }
+  if (order.status !== 'active') {
+    throw new Error(`Work order ${id} is already ${order.status}`);
+  }
+
+  const client = await requireRedis();
+  const now = new Date();
+  const closed = {
+    ...order,
+    status,
+    note: String(note || '').trim(),
+    updated_at: now.toISOString(),
+    closed_at: now.toISOString()
+  };
+
+  const multi = client.multi()
+    .hset(orderKey(id), {
+      status,
+      note: closed.note,
+      updated_at: closed.updated_at,
+      closed_at: closed.closed_at
+    })
+    .srem(activeKey(order.repo), id);
+  if (status === 'completed') {
+    multi.zadd(completedKey(order.repo), now.getTime(), id);
+  }
+  await multi.exec();
+
+  return closed;
+}
+
+/**
+ * Mark a work order as completed
+ * @param {string} id - Work order ID
+ * @param {Object} [options]
+ * @param {string} [options.note] - Outcome summary
+ * @returns {Promise<Object>} Updated work order
+ */
+export async function completeWorkOrder(id, { note = '' } = {}) {
+  const order = await closeWorkOrder(id, 'completed', note);
+  logAgent(order.conductor || getConductorName(), 'WO-DONE', `${order.id}: ${order.title}`);
+  eventBus.emitEvent('work-order-completed', order);
+  return order;
+}
+
+/**
+ * Cancel a work order
+ * @param {string} id - Work order ID
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why it was cancelled
+ * @returns {Promise<Object>} Updated work order
+ */
+export async function cancelWorkOrder(id, { reason = '' } = {}) {
+  const order = await closeWorkOrder(id, 'cancelled', reason);
+  logAgent(order.conductor || getConductorName(), 'WO-CANCEL', `${order.id}: ${order.title}`);
+  eventBus.emitEvent('work-order-cancelled', order);
+  return order;
+}
+
+/**
+ * Check whether work is covered by a work order (XP gate for saveSession)
+ *
+ * True when the repo has an active order, or - with `since` - an order that
+ * was completed after that time, so finishing the order before saving the
+ * session still earns its rewards. Without a repo, any active order counts.
+ * Returns false when Redis is unavailable.
+ *
+ * @param {string} [repo] - Repository name
+ * @param {Object} [options]
+ * @param {string} [options.since] - ISO timestamp (usually the session start)
+ * @returns {Promise<boolean>}
+ */
+export async function checkActiveWorkOrder(repo = null, options = {}) {
+  const client = await ensureRedisConnected();
+  if (!client) {
+    return false;
+  }
+
+  try {
+    if (!repo) {
+      return (await listWorkOrders({ status: 'active', limit: 1 })).length > 0;
+    }
+
+    const sanitizedRepo = validateAndSanitizeRepoName(repo);
+    if (await client.scard(activeKey(sanitizedRepo)) > 0) {
+      return true;
+    }
+
+    if (options.since) {
+      const since = new Date(options.since).getTime();
+      if (Number.isFinite(since)) {
+        return await client.zcount(completedKey(sanitizedRepo), since, '+inf') > 0;
+      }
+    }
+    return false;
+  } catch (err) {
+    console.error(`[work-order] Failed to check work orders: ${err.message}`);
+    return false;
+  }
+}
+
+export default {
+  generateWorkOrderId,
+  isWorkOrderId,
+  createWorkOrder,
+  getWorkOrder,
+  listWorkOrders,
+  getActiveWorkOrders,
+  setWorkOrderPlan,
+  completeWorkOrder,
+  cancelWorkOrder,
+  checkActiveWorkOrder,
+  WORK_ORDER_ID_PATTERN,
+  WORK_ORDER_STATUSES
+};
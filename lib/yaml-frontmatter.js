@@ -0,0 +1,110 @@
+/**
+ * YAML FRONTMATTER PARSER
+ *
+ * Parses the `---` delimited YAML header of skill and work order files with
+ * the `yaml` package (YAML 1.2 core schema: null / ~, true / false and
+ * numbers are typed, everything else - dates included - is a string).
+ *
+ * On top of it, every value's source line is recorded by dotted path
+ * ('structure.workers', 'tags.0') so validators can point at the exact line.
+ * Errors carry `line` (1-based, counted from the top of the file).
+ */
+
+import { parseDocument, LineCounter, isMap, isSeq, isScalar } from 'yaml';
+
+const FRONTMATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
+
+/**
+ * Create a parse error pointing at a file line
+ * @param {string} message
+ * @param {number} line - 1-based line number
+ * @returns {Error}
+ */
+function yamlError(message, line) {
+  const error = new Error(`${message} (line ${line})`);
+  error.line = line;
+  return error;
+}
+
+/**
+ * Record the source line of every key and sequence item under a node
+ * @param {Object} node - yaml AST node
+ * @param {string} path - Dotted path of the node
+ * @param {Function} lineOf - Source offset -> file line
+ * @param {Object<string, number>} lines - Collected path -> line
+ */
+function recordLines(node, path, lineOf, lines) {
+  if (isMap(node)) {
+    for (const pair of node.items) {
+      const key = isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+      const childPath = path ? `${path}.${key}` : key;
+      if (pair.key && pair.key.range) lines[childPath] = lineOf(pair.key.range[0]);
+      recordLines(pair.value, childPath, lineOf, lines);
+    }
+  } else if (isSeq(node)) {
+    node.items.forEach((item, index) => {
+      const itemPath = path ? `${path}.${index}` : String(index);
+      if (item && item.range) lines[itemPath] = lineOf(item.range[0]);
+      recordLines(item, itemPath, lineOf, lines);
+    });
+  }
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} yaml - YAML text
+ * @param {Object} [options]
+ * @param {number} [options.firstLine=1] - File line number of the first YAML line (for errors)
+ * @returns {{ data: Object, lines: Object<string, number> }} Parsed value and source line per dotted path
+ */
+export function parseYaml(yaml, options = {}) {
+  const firstLine = options.firstLine || 1;
+  const lineCounter = new LineCounter();
+  const lineOf = (offset) => firstLine - 1 + lineCounter.linePos(offset).line;
+
+  const doc = parseDocument(yaml, { lineCounter, prettyErrors: false });
+  if (doc.errors.length > 0) {
+    const [error] = doc.errors;
+    throw yamlError(error.message, lineOf(error.pos[0]));
+  }
+
+  if (doc.contents === null) {
+    return { data: {}, lines: {} };
+  }
+  if (!isMap(doc.contents)) {
+    throw yamlError('Frontmatter must be a "key: value" mapping', lineOf(doc.contents.range[0]));
+  }
+
+  const lines = {};
+  recordLines(doc.contents, '', lineOf, lines);
+  return { data: doc.toJS(), lines };
+}
+
+/**
+ * Split a Markdown file into YAML frontmatter and body
+ * @param {string} content - File content
+ * @returns {{ metadata: Object, content: string, lines: Object<string, number>, hasFrontmatter: boolean, bodyLine: number }}
+ *   bodyLine is the file line where the Markdown body starts
+ * @throws {Error} With `line` set when the YAML is malformed
+ */
+export function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { metadata: {}, content, lines: {}, hasFrontmatter: false, bodyLine: 1 };
+  }
+
+  const [, yaml, body] = match;
+  const { data, lines } = parseYaml(yaml, { firstLine: 2 });
+  return {
+    metadata: data,
+    content: body,
+    lines,
+    hasFrontmatter: true,
+    bodyLine: yaml.split(/\r?\n/).length + 3
+  };
+}
+
+export default {
+  parseYaml,
+  parseFrontmatter
+};
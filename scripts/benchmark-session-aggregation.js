@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * SESSION AGGREGATION BENCHMARK
+ *
+ * Compares the old way sessions were saved (KEYS, then HGETALL and DEL per
+ * key) with the current one (SCAN, then one Lua script that reads and clears
+ * every session hash) on a keyspace padded with unrelated keys.
+ *
+ * Metrics:
+ * - Time to find a repo's session keys (KEYS vs SCAN)
+ * - Longest time another client waits on Redis meanwhile (PING latency)
+ * - Time to aggregate and clear the sessions
+ * - Tokens lost when agents keep tracking tokens during the save
+ *
+ * Needs REDIS_URL (~/.boss-claude/.env). Every key it writes is under a
+ * throwaway repo name and is deleted afterwards.
+ *
+ * Usage:
+ *   node scripts/benchmark-session-aggregation.js
+ *   node scripts/benchmark-session-aggregation.js --keys=100000 --sessions=50
+ *   node scripts/benchmark-session-aggregation.js --runs=5 --verbose
+ */
+
+import { ensureRedisConnected, closeRedis, scanKeys } from '../lib/redis.js';
+import { collectSessions, aggregateSessions } from '../lib/session.js';
+import { performance } from 'perf_hooks';
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose') || args.includes('-v');
+const numberArg = (name, fallback) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? parseInt(arg.split('=')[1], 10) : fallback;
+};
+const fillerKeys = numberArg('keys', 10000);
+const sessionCount = numberArg('sessions', 20);
+const numberOfRuns = numberArg('runs', 3);
+
+const REPO = `benchmark-${process.pid}`;
+const FILLER_PREFIX = `boss:benchmark:${process.pid}`;
+const SESSION_PATTERN = `boss:session:${REPO}:*`;
+
+/** Tokens each tracking call adds while a save runs */
+const TOKENS_PER_WRITE = 100;
+
+const sessionKey = index => `boss:session:${REPO}:agent${index}:current`;
+
+/**
+ * Write the filler keys and session hashes
+ */
+async function seed(client) {
+  for (let start = 0; start < fillerKeys; start += 1000) {
+    const pipeline = client.pipeline();
+    for (let i = start; i < Math.min(start + 1000, fillerKeys); i++) {
+      pipeline.set(`${FILLER_PREFIX}:${i}`, 'x');
+    }
+    await pipeline.exec();
+  }
+  await seedSessions(client);
+}
+
+async function seedSessions(client) {
+  const pipeline = client.pipeline();
+  for (let i = 0; i < sessionCount; i++) {
+    pipeline.hset(sessionKey(i), {
+      started_at: new Date().toISOString(),
+      tokens_used: 1000,
+      conductor_tokens: 100,
+      agent_tokens: 900,
+      delegations: 1
+    });
+  }
+  await pipeline.exec();
+}
+
+/**
+ * Delete everything the benchmark wrote
+ */
+async function cleanup(client) {
+  const keys = [
+    ...await scanKeys(client, `${FILLER_PREFIX}:*`),
+    ...await scanKeys(client, SESSION_PATTERN)
+  ];
+  for (let start = 0; start < keys.length; start += 1000) {
+    await client.del(...keys.slice(start, start + 1000));
+  }
+}
+
+/**
+ * Run an operation while a second connection PINGs Redis, and report the
+ * operation's duration and the slowest PING
+ */
+async function withLatencyProbe(client, operation) {
+  const probe = client.duplicate();
+  await probe.connect();
+
+  let running = true;
+  let maxPingMs = 0;
+  const pinger = (async () => {
+    while (running) {
+      const start = performance.now();
+      await probe.ping();
+      maxPingMs = Math.max(maxPingMs, performance.now() - start);
+    }
+  })();
+
+  const start = performance.now();
+  const result = await operation();
+  const durationMs = performance.now() - start;
+
+  running = false;
+  await pinger;
+  probe.disconnect();
+
+  return { result, durationMs, maxPingMs };
+}
+
+/**
+ * Keep tracking tokens on the session hashes, over a second connection, until stopped
+ * @returns {Promise<{ stop: Function }>} stop() resolves to the tokens written
+ */
+async function startWriters(client) {
+  const connection = client.duplicate();
+  await connection.connect();
+
+  let running = true;
+  let written = 0;
+  const writer = (async () => {
+    let i = 0;
+    while (running) {
+      const key = sessionKey(i++ % sessionCount);
+      await connection.multi()
+        .hincrby(key, 'agent_tokens', TOKENS_PER_WRITE)
+        .hincrby(key, 'tokens_used', TOKENS_PER_WRITE)
+        .exec();
+      written += TOKENS_PER_WRITE;
+    }
+  })();
+
+  return {
+    async stop() {
+      running = false;
+      await writer;
+      connection.disconnect();
+      return written;
+    }
+  };
+}
+
+/**
+ * The old save: KEYS, HGETALL each key, DEL each key
+ */
+async function oldAggregateAndClear(client) {
+  const keys = await client.keys(SESSION_PATTERN);
+  let tokens = 0;
+  for (const key of keys) {
+    const data = await client.hgetall(key);
+    tokens += parseInt(data.tokens_used || 0);
+  }
+  for (const key of keys) {
+    await client.del(key);
+  }
+  return tokens;
+}
+
+/**
+ * The current save: SCAN, one atomic read-and-clear
+ */
+async function newAggregateAndClear(client) {
+  const sessions = await collectSessions(client, REPO, { clear: true });
+  return aggregateSessions(sessions).tokens_used;
+}
+
+/**
+ * Save while writers track tokens; every token written must end up either in
+ * the saved total or in the sessions left behind
+ */
+async function measureLostTokens(client, aggregateAndClear) {
+  await seedSessions(client);
+  const seeded = sessionCount * 1000;
+
+  const writers = await startWriters(client);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const saved = await aggregateAndClear(client);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const written = await writers.stop();
+
+  const remaining = (await collectSessions(client, REPO, { clear: true }))
+    .reduce((sum, { data }) => sum + parseInt(data.tokens_used || 0), 0);
+
+  return { seeded, written, saved, remaining, lost: seeded + written - saved - remaining };
+}
+
+const round = ms => Math.round(ms * 100) / 100;
+const avg = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('\n╔════════════════════════════════════════════════════════════════╗');
+  console.log('║      BOSS CLAUDE - SESSION AGGREGATION BENCHMARK               ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝');
+  console.log(`\nTest Configuration:`);
+  console.log(`  Filler keys: ${fillerKeys.toLocaleString()}`);
+  console.log(`  Session hashes: ${sessionCount}`);
+  console.log(`  Runs: ${numberOfRuns}`);
+
+  const client = await ensureRedisConnected();
+  if (!client) {
+    console.error('\n❌ Redis is not available - set REDIS_URL in ~/.boss-claude/.env');
+    process.exit(1);
+  }
+
+  const results = { keys: [], scan: [], oldSave: [], newSave: [], oldLost: [], newLost: [] };
+
+  try {
+    console.log('\n🔄 Seeding keys...');
+    await seed(client);
+
+    for (let run = 1; run <= numberOfRuns; run++) {
+      console.log(`\n🔄 Run ${run}/${numberOfRuns}`);
+
+      const keys = await withLatencyProbe(client, () => client.keys(SESSION_PATTERN));
+      const scan = await withLatencyProbe(client, () => scanKeys(client, SESSION_PATTERN));
+      results.keys.push(keys);
+      results.scan.push(scan);
+
+      const oldSave = await withLatencyProbe(client, () => oldAggregateAndClear(client));
+      await seedSessions(client);
+      const newSave = await withLatencyProbe(client, () => newAggregateAndClear(client));
+      await seedSessions(client);
+      results.oldSave.push(oldSave);
+      results.newSave.push(newSave);
+
+      const oldLost = await measureLostTokens(client, oldAggregateAndClear);
+      const newLost = await measureLostTokens(client, newAggregateAndClear);
+      results.oldLost.push(oldLost);
+      results.newLost.push(newLost);
+      await seedSessions(client);
+
+      if (verbose) {
+        console.log(`  KEYS:  ${round(keys.durationMs)}ms (max PING ${round(keys.maxPingMs)}ms), ${keys.result.length} keys`);
+        console.log(`  SCAN:  ${round(scan.durationMs)}ms (max PING ${round(scan.maxPingMs)}ms), ${scan.result.length} keys`);
+        console.log(`  Old save: ${round(oldSave.durationMs)}ms, lost ${oldLost.lost} of ${oldLost.written} tokens tracked meanwhile`);
+        console.log(`  New save: ${round(newSave.durationMs)}ms, lost ${newLost.lost} of ${newLost.written} tokens tracked meanwhile`);
+      }
+    }
+  } finally {
+    await cleanup(client);
+  }
+
+  const summary = (label, runs) => {
+    console.log(`  ${label.padEnd(28)} ${String(round(avg(runs.map(r => r.durationMs)))).padStart(9)}ms   max PING ${round(Math.max(...runs.map(r => r.maxPingMs)))}ms`);
+  };
+
+  console.log('\n\n╔════════════════════════════════════════════════════════════════╗');
+  console.log('║                    BENCHMARK RESULTS                           ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝');
+
+  console.log('\n📊 FINDING SESSION KEYS (average)');
+  console.log('─'.repeat(64));
+  summary('KEYS', results.keys);
+  summary('SCAN', results.scan);
+
+  console.log('\n📊 AGGREGATE AND CLEAR (average)');
+  console.log('─'.repeat(64));
+  summary('KEYS + HGETALL/DEL per key', results.oldSave);
+  summary('SCAN + Lua read-and-clear', results.newSave);
+
+  const lostTotal = runs => runs.reduce((sum, r) => sum + r.lost, 0);
+  const writtenTotal = runs => runs.reduce((sum, r) => sum + r.written, 0);
+  console.log('\n📊 TOKENS TRACKED DURING A SAVE');
+  console.log('─'.repeat(64));
+  console.log(`  KEYS + HGETALL/DEL per key   lost ${lostTotal(results.oldLost).toLocaleString()} of ${writtenTotal(results.oldLost).toLocaleString()}`);
+  console.log(`  SCAN + Lua read-and-clear    lost ${lostTotal(results.newLost).toLocaleString()} of ${writtenTotal(results.newLost).toLocaleString()}`);
+  console.log('');
+
+  await closeRedis();
+  process.exit(lostTotal(results.newLost) === 0 ? 0 : 1);
+}
+
+main().catch(async error => {
+  console.error('\n❌ Benchmark failed:', error.message);
+  await closeRedis();
+  process.exit(1);
+});
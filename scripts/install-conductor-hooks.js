@@ -2,79 +2,91 @@
 /**
  * INSTALL CONDUCTOR HOOKS - Runtime Integration Script
  *
- * Installs pre-hook system into Claude Code for CONDUCTOR agent.
- * This script patches tool execution to enforce delegation rules.
+ * Registers Boss Claude's hooks (PreToolUse, PostToolUse, SessionStart, Stop,
+ * SubagentStop -> bin/conductor-guard.js) in a Claude Code settings file.
+ * Existing hooks and settings are kept; the file is backed up to
+ * ~/.boss-claude/backups and written atomically.
  *
  * USAGE:
- *   node scripts/install-conductor-hooks.js [--force]
+ *   node scripts/install-conductor-hooks.js [install|uninstall|verify] [--project] [--dry-run]
  *   npm run install:conductor-hooks
+ *
+ *   --project   Use .claude/settings.json in the current directory
+ *               (default: ~/.claude/settings.json)
+ *   --dry-run   Show what would change without writing
+ *   --verbose   Show stack traces on failure
+ *   --help      Show usage
  */
 
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
+import { ClaudeSettings, getSettingsPath, findHooks, getHookCommand, GUARD_SCRIPT, HOOK_EVENTS } from '../lib/setup/claude-settings.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.dirname(__dirname);
 
-// Hook installation targets
-const HOOK_TARGETS = {
-  // Global Claude Code config (if exists)
-  claudeConfig: path.join(process.env.HOME, '.claude', 'config.json'),
+// Hook configuration written by earlier versions, which Claude Code never read
+const LEGACY_HOOK_CONFIG = path.join(projectRoot, '.claude-hooks', 'conductor-pre-hook.json');
 
-  // Project-level hook config
-  projectHook: path.join(projectRoot, '.claude-hooks', 'conductor-pre-hook.json'),
+const COMMANDS = ['install', 'uninstall', 'remove', 'verify'];
+const FLAGS = ['--project', '--dry-run', '--verbose', '--help', '-h'];
 
-  // NPM package bin
-  npmBin: path.join(projectRoot, 'bin', 'conductor-guard.js')
+const ACTION_COLORS = {
+  added: chalk.green,
+  updated: chalk.yellow,
+  unchanged: chalk.gray
 };
 
 /**
- * Install CONDUCTOR pre-hook configuration
+ * Settings manager for the chosen scope
+ */
+function settingsFor(options) {
+  return new ClaudeSettings(getSettingsPath(options.project ? 'project' : 'user'));
+}
+
+/**
+ * Install CONDUCTOR hooks into Claude Code settings
  */
 async function installHooks(options = {}) {
-  console.log(chalk.blue('\n🔧 Installing CONDUCTOR Pre-Hook System\n'));
+  console.log(chalk.blue('\n🔧 Installing Boss Claude Hooks\n'));
 
-  const spinner = ora('Checking environment...').start();
+  const settings = settingsFor(options);
+  const spinner = ora(`Updating ${settings.settingsPath}...`).start();
 
   try {
-    // 1. Create hook directory
-    spinner.text = 'Creating hook directory...';
-    await createHookDirectory();
-    spinner.succeed('Hook directory created');
-
-    // 2. Install hook configuration
-    spinner.start('Installing hook configuration...');
-    await installHookConfig(options);
-    spinner.succeed('Hook configuration installed');
-
-    // 3. Make executables executable
-    spinner.start('Setting executable permissions...');
-    await setExecutablePermissions();
-    spinner.succeed('Executable permissions set');
+    const result = await settings.installHooks({ dryRun: options.dryRun });
+    const changed = result.changes.some(change => change.action !== 'unchanged');
 
-    // 4. Create symlinks (if needed)
-    spinner.start('Creating symlinks...');
-    await createSymlinks();
-    spinner.succeed('Symlinks created');
+    if (options.dryRun) {
+      spinner.info(`Dry run - ${settings.settingsPath} not changed`);
+    } else if (changed) {
+      spinner.succeed(`Hooks written to ${result.path}`);
+    } else {
+      spinner.succeed('Hooks already installed');
+    }
 
-    // 5. Verify installation
-    spinner.start('Verifying installation...');
-    const verified = await verifyInstallation();
+    result.changes.forEach(({ event, action }) => {
+      console.log(`  ${ACTION_COLORS[action](action.padEnd(9))} ${event}`);
+    });
+    if (result.backup) {
+      console.log(chalk.dim(`\n  Backup: ${result.backup}`));
+    }
 
-    if (verified) {
-      spinner.succeed('Installation verified');
-    } else {
-      spinner.warn('Installation verification failed - may need manual setup');
+    if (options.dryRun) {
+      console.log('');
+      return;
     }
 
-    // Success summary
-    console.log(chalk.green('\n✅ CONDUCTOR Pre-Hook System Installed Successfully\n'));
+    await setExecutablePermissions();
+    await removeLegacyConfig();
 
-    printUsageInstructions();
+    console.log(chalk.green('\n✅ Boss Claude hooks installed\n'));
+    printUsageInstructions(settings.settingsPath);
 
   } catch (error) {
     spinner.fail('Installation failed');
@@ -89,242 +101,128 @@ async function installHooks(options = {}) {
 }
 
 /**
- * Create .claude-hooks directory
+ * Set executable permissions on the hook script
  */
-async function createHookDirectory() {
-  const hookDir = path.dirname(HOOK_TARGETS.projectHook);
-
+async function setExecutablePermissions() {
   try {
-    await fs.mkdir(hookDir, { recursive: true });
+    await fs.chmod(GUARD_SCRIPT, 0o755);
   } catch (error) {
-    if (error.code !== 'EEXIST') {
+    if (error.code !== 'ENOENT') {
       throw error;
     }
   }
 }
 
 /**
- * Install hook configuration file
+ * Remove the hook config file earlier versions wrote
  */
-async function installHookConfig(options) {
-  const hookConfig = {
-    name: 'CONDUCTOR Pre-Hook Tool Interceptor',
-    version: '1.0.0',
-    enabled: true,
-    agent: 'CONDUCTOR',
-    interceptor: {
-      module: '@cpretzinger/boss-claude/lib/conductor-tool-interceptor.js',
-      wrapper: '@cpretzinger/boss-claude/lib/conductor-wrapper.js',
-      cli: 'conductor-guard'
-    },
-    rules: {
-      forbiddenTools: [
-        'Read',
-        'Write',
-        'Edit',
-        'Bash',
-        'Grep',
-        'Glob',
-        'NotebookEdit'
-      ],
-      allowedTools: [
-        'Task',
-        'WebFetch',
-        'WebSearch',
-        'TodoWrite',
-        'Skill'
-      ],
-      delegationTarget: 'Task',
-      enforceStrict: true
-    },
-    logging: {
-      enabled: true,
-      violations: true,
-      delegations: true,
-      overrides: true
-    },
-    created: new Date().toISOString(),
-    installedBy: process.env.USER || 'unknown'
-  };
+async function removeLegacyConfig() {
+  if (!existsSync(LEGACY_HOOK_CONFIG)) return;
 
-  // Check if config already exists
+  await fs.unlink(LEGACY_HOOK_CONFIG);
   try {
-    const existing = await fs.readFile(HOOK_TARGETS.projectHook, 'utf-8');
-    const existingConfig = JSON.parse(existing);
-
-    if (!options.force && existingConfig.enabled) {
-      console.log(chalk.yellow('\n⚠️  Hook configuration already exists'));
-      console.log(chalk.dim('Use --force to overwrite'));
-      return;
-    }
+    await fs.rmdir(path.dirname(LEGACY_HOOK_CONFIG));
   } catch (error) {
-    // File doesn't exist - continue with installation
-  }
-
-  // Write configuration
-  await fs.writeFile(
-    HOOK_TARGETS.projectHook,
-    JSON.stringify(hookConfig, null, 2),
-    'utf-8'
-  );
-}
-
-/**
- * Set executable permissions on scripts
- */
-async function setExecutablePermissions() {
-  const executables = [
-    path.join(projectRoot, 'bin', 'conductor-guard.sh'),
-    path.join(projectRoot, 'bin', 'conductor-guard.js'),
-    path.join(projectRoot, 'lib', 'conductor-tool-interceptor.js'),
-    path.join(projectRoot, 'lib', 'conductor-wrapper.js')
-  ];
-
-  for (const exe of executables) {
-    try {
-      await fs.chmod(exe, 0o755);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
-    }
-  }
-}
-
-/**
- * Create symlinks for easy access
- */
-async function createSymlinks() {
-  // Symlink conductor-guard to project node_modules/.bin
-  const binDir = path.join(projectRoot, 'node_modules', '.bin');
-
-  try {
-    await fs.mkdir(binDir, { recursive: true });
-
-    const symlinkTarget = path.join(binDir, 'conductor-guard');
-    const symlinkSource = path.join(projectRoot, 'bin', 'conductor-guard.js');
-
-    try {
-      await fs.symlink(symlinkSource, symlinkTarget);
-    } catch (error) {
-      if (error.code !== 'EEXIST') {
-        // Symlink already exists or can't be created - not critical
-      }
-    }
-  } catch (error) {
-    // Not critical if symlinks fail
+    // Directory not empty - leave it
   }
+  console.log(chalk.dim(`  Removed old hook config: ${LEGACY_HOOK_CONFIG}`));
 }
 
 /**
  * Verify installation
+ * @returns {Promise<boolean>}
  */
-async function verifyInstallation() {
+async function verifyInstallation(options = {}) {
+  const settings = settingsFor(options);
   const checks = [];
 
-  // Check hook config exists
-  try {
-    await fs.access(HOOK_TARGETS.projectHook);
-    checks.push({ name: 'Hook config', status: true });
-  } catch (error) {
-    checks.push({ name: 'Hook config', status: false });
-  }
-
-  // Check interceptor module exists
-  try {
-    await fs.access(path.join(projectRoot, 'lib', 'conductor-tool-interceptor.js'));
-    checks.push({ name: 'Interceptor module', status: true });
-  } catch (error) {
-    checks.push({ name: 'Interceptor module', status: false });
-  }
-
-  // Check wrapper module exists
+  let installed = {};
   try {
-    await fs.access(path.join(projectRoot, 'lib', 'conductor-wrapper.js'));
-    checks.push({ name: 'Wrapper module', status: true });
+    installed = findHooks(await settings.read());
+    checks.push({ name: `Settings file readable (${settings.settingsPath})`, status: true });
   } catch (error) {
-    checks.push({ name: 'Wrapper module', status: false });
+    checks.push({ name: error.message, status: false });
   }
 
-  // Check CLI exists
-  try {
-    await fs.access(path.join(projectRoot, 'bin', 'conductor-guard.js'));
-    checks.push({ name: 'CLI tool', status: true });
-  } catch (error) {
-    checks.push({ name: 'CLI tool', status: false });
+  for (const event of Object.keys(HOOK_EVENTS)) {
+    const commands = installed[event] || [];
+    checks.push({
+      name: `${event} hook${commands.length > 1 ? ` (${commands.length} entries - reinstall to fix)` : ''}`,
+      status: commands.length === 1
+    });
   }
 
-  const allPassed = checks.every(c => c.status);
+  checks.push({
+    name: `Hook command points at this package (${getHookCommand()})`,
+    status: Object.values(installed).flat().every(command => command === getHookCommand())
+  });
+  checks.push({ name: 'Hook script exists', status: existsSync(GUARD_SCRIPT) });
 
-  if (!allPassed) {
-    console.log(chalk.yellow('\n⚠️  Verification Issues:'));
-    checks.forEach(check => {
-      const icon = check.status ? chalk.green('✓') : chalk.red('✗');
-      console.log(`  ${icon} ${check.name}`);
-    });
-  }
+  console.log(chalk.white(`\nBoss Claude hooks in ${settings.settingsPath}:`));
+  checks.forEach(check => {
+    const icon = check.status ? chalk.green('✓') : chalk.red('✗');
+    console.log(`  ${icon} ${check.name}`);
+  });
+  console.log('');
 
-  return allPassed;
+  return checks.every(c => c.status);
 }
 
 /**
  * Print usage instructions
  */
-function printUsageInstructions() {
-  console.log(chalk.cyan('📚 USAGE INSTRUCTIONS:\n'));
+function printUsageInstructions(settingsPath) {
+  console.log(chalk.cyan('📚 USAGE:\n'));
 
-  console.log(chalk.white('1. Programmatic Integration:'));
-  console.log(chalk.dim('   import conductorWrapper from "@cpretzinger/boss-claude/lib/conductor-wrapper.js";'));
-  console.log(chalk.dim('   const result = await conductorWrapper.executeTool("Read", { file_path: "..." });'));
+  console.log(chalk.white('1. Start a new Claude Code session - hooks are read at startup'));
+  console.log(chalk.dim(`   Review them with /hooks, or edit ${settingsPath}`));
   console.log();
 
-  console.log(chalk.white('2. CLI Usage:'));
-  console.log(chalk.dim('   npx conductor-guard check Read'));
-  console.log(chalk.dim('   npx conductor-guard intercept Bash --params \'{"command":"npm install"}\''));
-  console.log(chalk.dim('   npx conductor-guard report'));
+  console.log(chalk.white('2. Choose the mode the guard enforces:'));
+  console.log(chalk.dim('   boss-claude mode orchestrator'));
+  console.log(chalk.dim('   boss-claude mode explain "Edit src/app.js"'));
   console.log();
 
-  console.log(chalk.white('3. Shell Script:'));
-  console.log(chalk.dim('   ./bin/conductor-guard.sh --tool Read --file /path/to/file.js'));
-  console.log(chalk.dim('   ./bin/conductor-guard.sh --list-forbidden'));
+  console.log(chalk.white('3. Check the guard against its fixtures:'));
+  console.log(chalk.dim('   npm run test:conductor-guard'));
   console.log();
-
-  console.log(chalk.white('4. Configuration:'));
-  console.log(chalk.dim(`   Edit: ${HOOK_TARGETS.projectHook}`));
-  console.log();
-
-  console.log(chalk.green('✅ Pre-hooks are now active for CONDUCTOR agent\n'));
 }
 
 /**
  * Uninstall hooks
  */
-async function uninstallHooks() {
-  console.log(chalk.yellow('\n🗑️  Uninstalling CONDUCTOR Pre-Hook System\n'));
+async function uninstallHooks(options = {}) {
+  console.log(chalk.yellow('\n🗑️  Uninstalling Boss Claude Hooks\n'));
 
-  const spinner = ora('Removing hook configuration...').start();
+  const settings = settingsFor(options);
+  const spinner = ora(`Updating ${settings.settingsPath}...`).start();
 
   try {
-    // Remove hook config
-    try {
-      await fs.unlink(HOOK_TARGETS.projectHook);
-      spinner.succeed('Hook configuration removed');
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
-      spinner.warn('Hook configuration not found');
+    const result = await settings.uninstallHooks({ dryRun: options.dryRun });
+
+    if (result.removed.length === 0) {
+      spinner.warn('No Boss Claude hooks found');
+    } else if (options.dryRun) {
+      spinner.info(`Dry run - ${settings.settingsPath} not changed`);
+    } else {
+      spinner.succeed(`Hooks removed from ${result.path}`);
+    }
+
+    result.removed.forEach(({ event, count }) => {
+      console.log(`  ${chalk.red('removed'.padEnd(9))} ${event}${count > 1 ? ` (${count})` : ''}`);
+    });
+    if (result.backup) {
+      console.log(chalk.dim(`\n  Backup: ${result.backup}`));
     }
 
-    // Remove hook directory if empty
-    try {
-      const hookDir = path.dirname(HOOK_TARGETS.projectHook);
-      await fs.rmdir(hookDir);
-    } catch (error) {
-      // Directory not empty or doesn't exist - ignore
+    if (options.dryRun) {
+      console.log('');
+      return;
     }
 
-    console.log(chalk.green('\n✅ CONDUCTOR Pre-Hook System Uninstalled\n'));
+    await removeLegacyConfig();
+
+    console.log(chalk.green('\n✅ Boss Claude hooks uninstalled - other hooks were kept\n'));
 
   } catch (error) {
     spinner.fail('Uninstallation failed');
@@ -333,26 +231,66 @@ async function uninstallHooks() {
   }
 }
 
+/**
+ * Print command line usage
+ */
+function printHelp() {
+  console.log(`
+Usage: node scripts/install-conductor-hooks.js [install|uninstall|verify] [options]
+
+Commands:
+  install     Register Boss Claude's hooks (default)
+  uninstall   Remove Boss Claude's hooks, keeping any others
+  verify      Check that the hooks are registered
+
+Options:
+  --project   Use .claude/settings.json in the current directory
+              (default: ~/.claude/settings.json)
+  --dry-run   Show what would change without writing
+  --verbose   Show stack traces on failure
+  -h, --help  Show this help
+`);
+}
+
 /**
  * Main CLI
  */
 async function main() {
   const args = process.argv.slice(2);
-  const command = args[0];
+  const commands = args.filter(arg => !arg.startsWith('-'));
+  const command = commands[0];
+
+  if (args.includes('--help') || args.includes('-h')) {
+    printHelp();
+    return;
+  }
+
+  const unknown = [
+    ...args.filter(arg => arg.startsWith('-') && !FLAGS.includes(arg)),
+    ...commands.filter((arg, index) => index > 0 || !COMMANDS.includes(arg))
+  ];
+  if (unknown.length > 0) {
+    console.error(chalk.red(`\nUnknown ${unknown[0].startsWith('-') ? 'option' : 'command'}: ${unknown[0]}`));
+    printHelp();
+    process.exit(1);
+  }
 
   const options = {
-    force: args.includes('--force'),
+    project: args.includes('--project'),
+    dryRun: args.includes('--dry-run'),
     verbose: args.includes('--verbose')
   };
 
   switch (command) {
     case 'uninstall':
     case 'remove':
-      await uninstallHooks();
+      await uninstallHooks(options);
       break;
 
     case 'verify':
-      await verifyInstallation();
+      if (!await verifyInstallation(options)) {
+        process.exit(1);
+      }
       break;
 
     case 'install':